@@ -0,0 +1,89 @@
+/**
+ * Accessibility preferences, saved per device, and the screen-reader
+ * announcer used during a round.
+ *
+ * Preferences:
+ *   timePressure   false = no countdown and invaders never reach the bottom
+ *   reducedMotion  no hit / miss effects or fireworks; defaults to the
+ *                  system's prefers-reduced-motion setting
+ *   text           standard | large | dyslexic (larger, spaced-out type)
+ */
+const TEXT_OPTIONS = ['standard', 'large', 'dyslexic'];
+
+class AccessibilityOptions {
+    constructor(storageKey = 'mathInvaders.accessibility') {
+        this.storageKey = storageKey;
+        this.values = {};
+        this.load();
+    }
+
+    static systemPrefersReducedMotion() {
+        return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    load() {
+        let stored = null;
+        try { stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null'); }
+        catch (e) { console.warn('Could not load accessibility options', e); }
+        stored = stored && typeof stored === 'object' ? stored : {};
+        this.values = {
+            timePressure: stored.timePressure !== false,
+            reducedMotion: typeof stored.reducedMotion === 'boolean' ? stored.reducedMotion : AccessibilityOptions.systemPrefersReducedMotion(),
+            text: TEXT_OPTIONS.includes(stored.text) ? stored.text : 'standard',
+        };
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.values)); }
+        catch (e) { console.warn('Could not save accessibility options', e); }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+        this.apply();
+    }
+
+    // Page-wide classes for the text and motion options (see styles.css)
+    apply(root = document.documentElement) {
+        if (!root) return;
+        root.classList.toggle('reduce-motion', this.values.reducedMotion);
+        TEXT_OPTIONS.forEach(option => root.classList.toggle(`text-${option}`, option !== 'standard' && this.values.text === option));
+    }
+}
+
+/**
+ * Speaks messages through an aria-live region. Messages that arrive together
+ * (a hit followed by a new invader) are read as one, and the region is
+ * cleared first so a repeated message is announced again.
+ */
+class Announcer {
+    constructor(region, delayMs = 100) {
+        this.region = region;
+        this.delayMs = delayMs;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    announce(text) {
+        if (!this.region || !text) return;
+        this.queue.push(text);
+        if (this.timer) return;
+        this.region.textContent = '';
+        this.timer = setTimeout(() => {
+            this.region.textContent = this.queue.join(' ');
+            this.queue = [];
+            this.timer = null;
+        }, this.delayMs);
+    }
+
+    clear() {
+        if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+        this.queue = [];
+        if (this.region) this.region.textContent = '';
+    }
+}
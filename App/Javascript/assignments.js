@@ -0,0 +1,198 @@
+/**
+ * Teacher-authored assignments: a versioned JSON preset that pins the game
+ * settings for a drill, plus exporting results back out as JSON or CSV.
+ *
+ * Format (version 2):
+ *
+ *   {
+ *     "format": "math-fact-invaders-assignment",
+ *     "version": 2,
+ *     "title": "×6 to ×9",                  // optional
+ *     "operation": "multiply",               // multiply | add | subtract | divide | mixed
+ *     "problemFormat": "missing",            // optional: standard | missing | reverse
+ *     "multipliers": [6, 7, 8, 9],           // optional set of center numbers
+ *     "facts": [[7, 8], [6, 9]],             // optional explicit [base, operand] facts
+ *     "numbers": "tenths",                   // optional: whole | tenths | hundredths | fractions
+ *     "range": { "base": [-12, 12], "operand": [13, 20] },  // optional custom range, negatives allowed
+ *     "difficulty": "single",                // single | double
+ *     "speed": "intermediate",               // easy | intermediate | fast
+ *     "mode": "time",                        // time | score | survival
+ *     "limit": 90,                           // seconds, target score or lives (at most 9)
+ *     "passAccuracy": 80,                    // optional % needed to pass
+ *     "seed": 1234                           // optional, same invader stream for everyone
+ *   }
+ *
+ * Version 2 added problemFormat, numbers, range and survival mode. Older
+ * copies of the game ignore fields they don't know, so an assignment that uses
+ * any of them is marked version 2 and refused there ("needs a newer version")
+ * instead of being played without them; anything else stays version 1.
+ *
+ * A share code is the same JSON, base64url-encoded.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/assignments.test.js).
+ */
+
+const ASSIGNMENT_FORMAT = 'math-fact-invaders-assignment';
+const ASSIGNMENT_VERSION = 2;
+
+const ASSIGNMENT_CHOICES = {
+    operation: ['multiply', 'add', 'subtract', 'divide', 'mixed'],
+    problemFormat: ['standard', 'missing', 'reverse'],
+    difficulty: ['single', 'double'],
+    speed: ['easy', 'intermediate', 'fast'],
+    mode: ['time', 'score', 'survival'],
+    numbers: ['whole', 'tenths', 'hundredths', 'fractions'],
+};
+
+/**
+ * Validate an assignment (object or JSON text) and return a normalized copy.
+ * Throws an Error with a message suitable for showing to the teacher.
+ */
+function parseAssignment(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try { data = JSON.parse(input); }
+        catch (e) { throw new Error('Assignment is not valid JSON.'); }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Assignment must be a JSON object.');
+    if (data.format !== ASSIGNMENT_FORMAT) throw new Error('This file is not a Math Fact Invaders assignment.');
+    if (!Number.isInteger(data.version) || data.version < 1) throw new Error('Assignment is missing its version.');
+    if (data.version > ASSIGNMENT_VERSION) throw new Error(`Assignment version ${data.version} needs a newer version of the game.`);
+
+    const assignment = { format: ASSIGNMENT_FORMAT, version: 1 };
+    if (data.title !== undefined) assignment.title = String(data.title).slice(0, 80);
+
+    Object.keys(ASSIGNMENT_CHOICES).forEach((key) => {
+        if (data[key] === undefined) return;
+        if (!ASSIGNMENT_CHOICES[key].includes(data[key])) throw new Error(`Unknown ${key} "${data[key]}".`);
+        assignment[key] = data[key];
+    });
+
+    if (data.limit !== undefined) {
+        if (!Number.isInteger(data.limit) || data.limit <= 0) throw new Error('limit must be a positive whole number.');
+        // Survival rounds have at most nine lives, as in GameEngine.normalizeSettings
+        assignment.limit = data.mode === 'survival' ? Math.min(data.limit, 9) : data.limit;
+    }
+
+    if (data.multipliers !== undefined) {
+        if (!Array.isArray(data.multipliers) || !data.multipliers.length || !data.multipliers.every(n => Number.isInteger(n) && n >= 1 && n <= 12)) {
+            throw new Error('multipliers must be a list of whole numbers from 1 to 12.');
+        }
+        assignment.multipliers = [...new Set(data.multipliers)];
+    }
+
+    if (data.facts !== undefined) {
+        const valid = Array.isArray(data.facts) && data.facts.length && data.facts.every(f => Array.isArray(f) && f.length === 2
+            && Number.isInteger(f[0]) && f[0] >= 1 && f[0] <= 99 && Number.isInteger(f[1]) && f[1] >= 1 && f[1] <= 12);
+        if (!valid) throw new Error('facts must be a list of [base, operand] pairs (base 1-99, operand 1-12).');
+        assignment.facts = data.facts.map(f => [f[0], f[1]]);
+    }
+
+    if (data.range !== undefined) {
+        const bounds = (pair, limit) => Array.isArray(pair) && pair.length === 2 && pair.every(n => Number.isInteger(n) && Math.abs(n) <= limit) && pair[0] <= pair[1];
+        const range = data.range;
+        const valid = range && typeof range === 'object' && bounds(range.base, 999) && bounds(range.operand, 99) && !(range.operand[0] === 0 && range.operand[1] === 0);
+        if (!valid) throw new Error('range must give base [min, max] from -999 to 999 and operand [min, max] from -99 to 99, not just 0.');
+        assignment.range = { base: [...range.base], operand: [...range.operand] };
+    }
+
+    if (data.passAccuracy !== undefined) {
+        if (typeof data.passAccuracy !== 'number' || data.passAccuracy < 0 || data.passAccuracy > 100) throw new Error('passAccuracy must be a percentage from 0 to 100.');
+        assignment.passAccuracy = data.passAccuracy;
+    }
+
+    if (data.seed !== undefined) {
+        if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('seed must be a non-negative whole number.');
+        assignment.seed = data.seed;
+    }
+
+    const needsVersion2 = (assignment.problemFormat && assignment.problemFormat !== 'standard')
+        || (assignment.numbers && assignment.numbers !== 'whole') || assignment.range || assignment.mode === 'survival';
+    if (needsVersion2) assignment.version = 2;
+    return assignment;
+}
+
+// The settings form's limit field for a mode: seconds, lives or the score target
+function limitFieldId(mode) {
+    return { time: 'time-limit', survival: 'lives-limit' }[mode] || 'score-limit';
+}
+
+// Raw game settings for an assignment; anything it leaves out keeps the form's value
+function assignmentToSettings(assignment, base = {}) {
+    const settings = { ...base };
+    ['operation', 'problemFormat', 'numbers', 'range', 'difficulty', 'speed', 'mode', 'limit', 'passAccuracy', 'seed'].forEach((key) => {
+        if (assignment[key] !== undefined) settings[key] = assignment[key];
+    });
+    settings.multipliers = assignment.multipliers || [];
+    settings.facts = assignment.facts || [];
+    if (assignment.multipliers && assignment.multipliers.length === 1) {
+        settings.multiplierMode = 'fixed';
+        settings.fixedMultiplier = assignment.multipliers[0];
+    }
+    return settings;
+}
+
+function base64UrlEncode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(code) {
+    const padded = code.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((code.length + 3) % 4);
+    const binary = atob(padded);
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function encodeShareCode(assignment) {
+    return base64UrlEncode(JSON.stringify(parseAssignment(assignment)));
+}
+
+function decodeShareCode(code) {
+    const trimmed = String(code || '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(trimmed)) throw new Error('Share code is not valid.');
+    let text;
+    try { text = base64UrlDecode(trimmed); }
+    catch (e) { throw new Error('Share code is not valid.'); }
+    return parseAssignment(text);
+}
+
+/**
+ * Flatten session history entries into result rows for export.
+ * `student` is the profile name; `sessions` are StudentProfiles history entries.
+ */
+function resultRows(student, sessions) {
+    return sessions.map(s => ({
+        student,
+        date: s.date,
+        assignment: s.assignment || '',
+        operation: (s.settings && s.settings.operation) || '',
+        mode: (s.settings && s.settings.mode) || '',
+        limit: (s.settings && s.settings.limit) || '',
+        right: s.right,
+        wrong: s.wrong,
+        accuracy: s.accuracy,
+        passed: s.passed === undefined || s.passed === null ? '' : s.passed,
+        missedFacts: (s.missedFacts || []).map(f => f.label).join('; '),
+    }));
+}
+
+function resultsToJSON(student, sessions) {
+    return JSON.stringify({ format: 'math-fact-invaders-results', version: 1, exportedAt: new Date().toISOString(), results: resultRows(student, sessions) }, null, 2);
+}
+
+function resultsToCSV(student, sessions) {
+    const rows = resultRows(student, sessions);
+    const columns = ['student', 'date', 'assignment', 'operation', 'mode', 'limit', 'right', 'wrong', 'accuracy', 'passed', 'missedFacts'];
+    const escape = (value) => {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ASSIGNMENT_FORMAT, ASSIGNMENT_VERSION, parseAssignment, assignmentToSettings, limitFieldId, encodeShareCode, decodeShareCode, resultsToJSON, resultsToCSV };
+}
@@ -0,0 +1,111 @@
+/**
+ * Campaign mode: a fixed run of multiplication levels that unlock one after
+ * another. Each level is a score-target round on a few tables, with its own
+ * invader speed and spawn curve; boss levels mix every table learned so far.
+ * A level is cleared by reaching its target before `maxMisses` invaders get
+ * through, and earns 1-3 stars by accuracy. Stars are kept per student.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/campaign.test.js).
+ */
+const CAMPAIGN_LEVELS = [
+    { id: 1, title: '×2 and ×5', multipliers: [2, 5], target: 10, speed: 'easy', speedRange: [25, 10], spawnCurve: { initial: 3000, min: 2000, step: 40 }, maxMisses: 5 },
+    { id: 2, title: '×3 and ×4', multipliers: [3, 4], target: 12, speed: 'easy', speedRange: [30, 12], spawnCurve: { initial: 2800, min: 1800, step: 40 }, maxMisses: 5 },
+    { id: 3, title: '×10 and ×11', multipliers: [10, 11], target: 12, speed: 'easy', speedRange: [32, 14], spawnCurve: { initial: 2700, min: 1700, step: 40 }, maxMisses: 5 },
+    { id: 4, title: 'Boss: ×2 to ×5, ×10, ×11', boss: true, multipliers: [2, 3, 4, 5, 10, 11], target: 20, speed: 'intermediate', speedRange: [40, 20], spawnCurve: { initial: 2400, min: 1200, step: 50 }, maxMisses: 5 },
+    { id: 5, title: '×6 and ×9', multipliers: [6, 9], target: 12, speed: 'intermediate', speedRange: [35, 15], spawnCurve: { initial: 2600, min: 1600, step: 45 }, maxMisses: 5 },
+    { id: 6, title: '×7 and ×8', multipliers: [7, 8], target: 12, speed: 'intermediate', speedRange: [38, 16], spawnCurve: { initial: 2500, min: 1500, step: 45 }, maxMisses: 5 },
+    { id: 7, title: '×12', multipliers: [12], target: 12, speed: 'intermediate', speedRange: [40, 18], spawnCurve: { initial: 2400, min: 1400, step: 50 }, maxMisses: 5 },
+    { id: 8, title: 'Final boss: ×1 to ×12', boss: true, multipliers: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], target: 25, speed: 'fast', speedRange: [50, 30], spawnCurve: { initial: 2200, min: 900, step: 50 }, maxMisses: 5 },
+];
+
+function campaignLevel(id) {
+    return CAMPAIGN_LEVELS.find(level => level.id === id) || null;
+}
+
+// Raw game settings for a level; only the form's digit difficulty carries over
+function levelSettings(level, base = {}) {
+    return {
+        ...base,
+        operation: 'multiply',
+        mode: 'score',
+        limit: level.target,
+        speed: level.speed,
+        multiplierMode: 'random',
+        multipliers: level.multipliers.slice(),
+        facts: [],
+        speedRange: level.speedRange.slice(),
+        spawnCurve: { ...level.spawnCurve },
+        maxMisses: level.maxMisses,
+    };
+}
+
+// 0 stars for a level that wasn't cleared; otherwise 1, 2 at 80% and 3 at 95% accuracy
+function levelStars(result) {
+    if (!result || !result.won) return 0;
+    if (result.accuracy >= 95) return 3;
+    if (result.accuracy >= 80) return 2;
+    return 1;
+}
+
+function starText(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+/**
+ * Best star rating per level for one student, persisted in localStorage.
+ */
+class CampaignProgress {
+    constructor(storageKey = 'mathInvaders.campaign') {
+        this.storageKey = storageKey;
+        this.best = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            this.best = data && data.stars && typeof data.stars === 'object' ? data.stars : {};
+        } catch (e) {
+            console.warn('Could not load campaign progress', e);
+            this.best = {};
+        }
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify({ stars: this.best })); }
+        catch (e) { console.warn('Could not save campaign progress', e); }
+    }
+
+    stars(levelId) {
+        return this.best[levelId] || 0;
+    }
+
+    // The first level is always open; every other one needs the level before it cleared
+    isUnlocked(levelId) {
+        const index = CAMPAIGN_LEVELS.findIndex(level => level.id === levelId);
+        if (index <= 0) return index === 0;
+        return this.stars(CAMPAIGN_LEVELS[index - 1].id) > 0;
+    }
+
+    // Keep the better of the stored and new rating; returns true if it improved
+    record(levelId, stars) {
+        if (stars <= this.stars(levelId)) return false;
+        this.best[levelId] = stars;
+        this.save();
+        return true;
+    }
+
+    totalStars() {
+        return CAMPAIGN_LEVELS.reduce((sum, level) => sum + this.stars(level.id), 0);
+    }
+
+    nextLevel(levelId) {
+        const index = CAMPAIGN_LEVELS.findIndex(level => level.id === levelId);
+        return index === -1 ? null : CAMPAIGN_LEVELS[index + 1] || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CAMPAIGN_LEVELS, campaignLevel, levelSettings, levelStars, starText, CampaignProgress };
+}
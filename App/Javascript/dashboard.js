@@ -0,0 +1,171 @@
+/**
+ * Progress dashboard: session trend, most-missed facts and a 12×12 heat-map
+ * of fact accuracy for the selected student. Recent sessions that kept their
+ * event log get a button that calls `onReplay(session)`.
+ */
+class ProgressDashboard {
+    constructor(onReplay = null) {
+        this.onReplay = onReplay;
+        this.screen = document.getElementById('dashboard-screen');
+        this.studentName = document.getElementById('dashboard-student');
+        this.summary = document.getElementById('dashboard-summary');
+        this.trend = document.getElementById('dashboard-trend');
+        this.missedList = document.getElementById('dashboard-missed');
+        this.heatmap = document.getElementById('dashboard-heatmap');
+        this.heatmapOperation = document.getElementById('dashboard-heatmap-operation');
+        this.sessionsTable = document.getElementById('dashboard-sessions');
+
+        this.profile = null;
+        this.sessions = [];
+        this.mastery = null;
+
+        if (this.heatmapOperation) this.heatmapOperation.addEventListener('change', () => this.renderHeatmap());
+    }
+
+    render(profile, sessions, mastery) {
+        this.profile = profile;
+        this.sessions = sessions || [];
+        this.mastery = mastery;
+        if (this.studentName) this.studentName.textContent = !profile ? '' : (profile.id === StudentProfiles.GUEST_ID ? i18n.t('student.guest') : profile.name);
+        this.renderSummary();
+        this.renderTrend();
+        this.renderMissed();
+        this.renderHeatmap();
+        this.renderSessions();
+    }
+
+    renderSummary() {
+        if (!this.summary) return;
+        const right = this.sessions.reduce((sum, s) => sum + s.right, 0);
+        const wrong = this.sessions.reduce((sum, s) => sum + s.wrong, 0);
+        const last = this.sessions[this.sessions.length - 1];
+        const stats = [
+            [i18n.t('dashboard.sessions'), i18n.number(this.sessions.length)],
+            [i18n.t('dashboard.accuracy'), right + wrong > 0 ? i18n.percent(Math.round(100 * right / (right + wrong))) : '–'],
+            [i18n.t('dashboard.lastPlayed'), last ? new Date(last.date).toLocaleDateString(i18n.locale) : '–'],
+        ];
+        this.summary.replaceChildren(...stats.map(([label, value]) => {
+            const box = document.createElement('div');
+            box.className = 'text-center';
+            const span = document.createElement('span');
+            span.className = 'text-xs sm:text-sm font-medium text-gray-500';
+            span.textContent = label;
+            const p = document.createElement('p');
+            p.className = 'text-2xl font-bold text-blue-600';
+            p.textContent = value;
+            box.append(span, p);
+            return box;
+        }));
+    }
+
+    // One bar per session (most recent 20), height = accuracy
+    renderTrend() {
+        if (!this.trend) return;
+        const recent = this.sessions.slice(-20);
+        if (!recent.length) { this.trend.replaceChildren(this.emptyNote(i18n.t('dashboard.noSessions'))); return; }
+        this.trend.replaceChildren(...recent.map(s => {
+            const bar = document.createElement('div');
+            bar.className = 'dashboard-bar';
+            bar.style.height = `${Math.max(4, s.accuracy)}%`;
+            bar.style.backgroundColor = ProgressDashboard.accuracyColor(s.accuracy / 100);
+            bar.title = i18n.t('dashboard.session', { date: new Date(s.date).toLocaleString(i18n.locale), right: s.right, wrong: s.wrong, accuracy: i18n.percent(s.accuracy) });
+            return bar;
+        }));
+    }
+
+    // Facts missed most often across all stored sessions
+    renderMissed() {
+        if (!this.missedList) return;
+        const counts = new Map();
+        this.sessions.forEach(s => (s.missedFacts || []).forEach(f => counts.set(f.label, (counts.get(f.label) || 0) + 1)));
+        const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 8);
+        if (!top.length) { this.missedList.replaceChildren(this.emptyNote(i18n.t('dashboard.noMissed'))); return; }
+        this.missedList.replaceChildren(...top.map(([label, count]) => {
+            const chip = document.createElement('span');
+            chip.className = 'inline-block px-3 py-1 rounded-full bg-red-100 text-red-700 text-sm font-semibold';
+            chip.textContent = i18n.digits(`${label} (${count})`);
+            return chip;
+        }));
+    }
+
+    // Rows are the center operand, columns the base number, both 1-12
+    renderHeatmap() {
+        if (!this.heatmap) return;
+        const operation = this.heatmapOperation ? this.heatmapOperation.value : 'multiply';
+        const cells = [];
+        const header = (text) => {
+            const el = document.createElement('div');
+            el.className = 'heatmap-header';
+            el.textContent = typeof text === 'number' ? i18n.number(text) : text;
+            return el;
+        };
+        cells.push(header(OPERATIONS[operation] ? OPERATIONS[operation].symbol : ''));
+        for (let base = 1; base <= 12; base++) cells.push(header(base));
+        for (let operand = 1; operand <= 12; operand++) {
+            cells.push(header(operand));
+            for (let base = 1; base <= 12; base++) {
+                const rec = this.mastery ? this.mastery.get(operation, base, operand) : null;
+                const attempts = rec ? rec.right + rec.wrong + rec.missed : 0;
+                const cell = document.createElement('div');
+                cell.className = 'heatmap-cell';
+                const fact = i18n.digits(formatFact(operation, base, operand));
+                if (attempts > 0) {
+                    const accuracy = rec.right / attempts;
+                    cell.style.backgroundColor = ProgressDashboard.accuracyColor(accuracy);
+                    cell.title = i18n.t('dashboard.cell', { fact, right: rec.right, attempts, accuracy: i18n.percent(Math.round(accuracy * 100)) });
+                } else {
+                    cell.title = i18n.t('dashboard.notPractised', { fact });
+                }
+                cells.push(cell);
+            }
+        }
+        this.heatmap.replaceChildren(...cells);
+    }
+
+    renderSessions() {
+        if (!this.sessionsTable) return;
+        const rows = this.sessions.slice(-10).reverse().map(s => {
+            const tr = document.createElement('tr');
+            const settings = s.settings || {};
+            [
+                new Date(s.date).toLocaleString(i18n.locale),
+                `${i18n.t(`operation.${settings.operation || 'multiply'}`)} / ${settings.mode ? i18n.t(`mode.${settings.mode}`) : ''}`,
+                i18n.number(s.right),
+                i18n.number(s.wrong),
+                i18n.percent(s.accuracy),
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.className = 'px-2 py-1';
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            const replayCell = document.createElement('td');
+            replayCell.className = 'px-2 py-1';
+            if (s.replay && this.onReplay) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'px-2 border rounded-lg hover:bg-gray-100';
+                btn.textContent = i18n.t('dashboard.watch');
+                btn.setAttribute('aria-label', i18n.t('dashboard.watchLabel', { date: new Date(s.date).toLocaleString(i18n.locale) }));
+                btn.addEventListener('click', () => this.onReplay(s));
+                replayCell.appendChild(btn);
+            }
+            tr.appendChild(replayCell);
+            return tr;
+        });
+        this.sessionsTable.replaceChildren(...rows);
+    }
+
+    emptyNote(text) {
+        const p = document.createElement('p');
+        p.className = 'text-gray-500 text-sm';
+        p.textContent = text;
+        return p;
+    }
+
+    // Red (0) through yellow to green (1)
+    static accuracyColor(ratio) {
+        const hue = Math.round(Math.max(0, Math.min(1, ratio)) * 120);
+        return `hsl(${hue}, 70%, 50%)`;
+    }
+}
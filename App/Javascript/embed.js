@@ -0,0 +1,120 @@
+/**
+ * Embedding API: lets a page that shows the game in an <iframe> (a school
+ * site, an LMS) configure it and follow each round.
+ *
+ * Configuration: the assignment fields (see assignments.js) as URL params,
+ *
+ *   mathdex.html?operation=multiply&multipliers=6,7,8&mode=score&limit=20&autostart=1
+ *
+ * with `facts=7x8,6x9`, `rangeBase=-12,12` and `rangeOperand=13,20` for the
+ * list settings, or the same fields posted to the frame once it is ready:
+ *
+ *   frame.contentWindow.postMessage({ source: 'math-fact-invaders', type: 'configure', settings: { operation: 'divide', limit: 30 } }, '*');
+ *
+ * Other messages the game accepts: 'start' (start a round with the current
+ * settings) and 'quit' (abandon the round on screen). Invalid settings are
+ * answered with an 'error' message instead of being applied.
+ *
+ * Events: the game posts { source: 'math-fact-invaders', type, detail } to the
+ * parent frame for 'ready', 'configured', 'error' and each Game event:
+ *
+ *   start   { settings }
+ *   answer  { answer, correct, fact, points, right, wrong, score }
+ *   miss    { fact, answer, right, wrong, lives }
+ *   end     { won, right, wrong, accuracy, points, bestStreak, timeMs, passed, missedFacts, settings, player, assignment }
+ *
+ * Scripts on the same page can subscribe with game.on(type, fn) instead.
+ * `?parentOrigin=https://lms.example.org` keeps events from going to any
+ * other page and ignores messages from anywhere else. Without it the game
+ * trusts the origin of the page that framed it (document.referrer), or any
+ * page when the browser sends no referrer, and leaves `player` (the
+ * student's name) out of 'end': names only go to a parentOrigin set on
+ * purpose.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/embed.test.js).
+ */
+
+const EMBED_SOURCE = 'math-fact-invaders';
+const EMBED_EVENTS = ['start', 'answer', 'miss', 'end'];
+
+// Assignment settings carried by URL params, or null when there are none
+function embedSettings(params) {
+    const settings = {};
+    ['title', 'operation', 'problemFormat', 'numbers', 'difficulty', 'speed', 'mode'].forEach((key) => {
+        if (params.has(key)) settings[key] = params.get(key);
+    });
+    ['limit', 'passAccuracy', 'seed'].forEach((key) => {
+        if (params.has(key)) settings[key] = Number(params.get(key));
+    });
+    const list = key => params.get(key).split(',').map(Number);
+    if (params.has('multipliers')) settings.multipliers = list('multipliers');
+    if (params.has('facts')) settings.facts = params.get('facts').split(',').map(fact => fact.split('x').map(Number));
+    if (params.has('rangeBase') || params.has('rangeOperand')) {
+        settings.range = { base: params.has('rangeBase') ? list('rangeBase') : [1, 12], operand: params.has('rangeOperand') ? list('rangeOperand') : [1, 12] };
+    }
+    return Object.keys(settings).length ? settings : null;
+}
+
+// Where events go and messages may come from: ?parentOrigin, else the origin
+// of the framing page, else '*'
+function embedOrigin(params, referrer) {
+    if (params.get('parentOrigin')) return params.get('parentOrigin');
+    try {
+        const { origin } = new URL(referrer);
+        return origin === 'null' ? '*' : origin;
+    } catch (e) {
+        return '*';
+    }
+}
+
+// An assignment made from embed settings; throws parseAssignment's errors
+function embedAssignment(settings) {
+    return parseAssignment({ ...settings, format: ASSIGNMENT_FORMAT, version: ASSIGNMENT_VERSION });
+}
+
+/**
+ * Connects a Game to the page framing it: forwards the game's events with
+ * postMessage and applies the messages the parent sends.
+ */
+class EmbedBridge {
+    constructor(game, { host = window.parent, origin = '*', shareNames = false, win = window } = {}) {
+        this.game = game;
+        this.host = host;
+        this.origin = origin;
+        this.shareNames = shareNames; // send the player's name with 'end'
+        EMBED_EVENTS.forEach(type => game.on(type, detail => this.post(type, detail)));
+        win.addEventListener('message', event => this.receive(event));
+    }
+
+    post(type, detail = {}) {
+        if (!this.shareNames && 'player' in detail) {
+            detail = { ...detail };
+            delete detail.player;
+        }
+        try { this.host.postMessage({ source: EMBED_SOURCE, type, detail }, this.origin); }
+        catch (e) { console.warn('Could not post to the embedding page', e); }
+    }
+
+    receive(event) {
+        if (event.source !== this.host) return;
+        if (this.origin !== '*' && event.origin !== this.origin) return;
+        const data = event.data;
+        if (!data || data.source !== EMBED_SOURCE) return;
+        if (data.type === 'configure') this.configure(data.settings || {});
+        else if (data.type === 'start') this.game.start();
+        else if (data.type === 'quit' && this.game.running) this.game.quit();
+    }
+
+    configure(settings) {
+        let assignment;
+        try { assignment = embedAssignment(settings); }
+        catch (err) { this.post('error', { message: err.message }); return; }
+        this.game.setAssignment(assignment);
+        this.post('configured', { settings: assignment });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EMBED_SOURCE, EMBED_EVENTS, embedSettings, embedOrigin, embedAssignment, EmbedBridge };
+}
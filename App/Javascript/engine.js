@@ -0,0 +1,893 @@
+/**
+ * DOM-free game rules for Math Fact Invaders.
+ *
+ * The engine owns scoring, spawning, movement and the win/loss rule. It never
+ * touches the DOM: a renderer drives it with `tick(delta)` / `submit(answer)`
+ * and listens for events ('spawn', 'move', 'hit', 'wrong', 'miss', 'score',
+ * 'operation', 'timer', 'target', 'lives', 'powerup', 'bomb'). Randomness
+ * comes from an injectable `rng` and timestamps from an injectable `clock`, so
+ * a round can be replayed exactly from a seed.
+ *
+ * Points: each hit earns factPoints() plus a bonus for answering while the
+ * invader is still high on screen, scaled by the speed setting and by the
+ * current streak of correct answers (x2 at 5, x3 at 10, x4 at 20). A wrong
+ * answer breaks the streak and costs a few points; a missed invader costs more.
+ *
+ * Numbers: by default invaders show whole numbers from 1 to 9 (or 10 to 99)
+ * and center numbers run 1 to 9 (or 12). `range` replaces both with custom
+ * bounds, negatives allowed, and `numbers` switches the invaders to decimals
+ * or fractions. Answers are compared exactly (see exactNumber), so "0.5",
+ * ".5" and "1/2" all answer the same invader.
+ *
+ * Survival mode: `limit` is the number of lives and every invader that gets
+ * through costs one; the round ends when none are left. Each run of five
+ * correct answers earns a power-up (see usePowerUp).
+ *
+ * Spawning, the countdown and answer latency run on game time, which only
+ * advances through `tick(delta)`: when the renderer stops ticking (pause, a
+ * hidden tab) the whole round freezes.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/engine.test.js).
+ */
+
+/**
+ * Supported fact operations. `value` is the number shown on the invader and
+ * `operand` is the center number; `exact` returns the fact's result from the
+ * invader's value as an exact { n, d } (see exactNumber).
+ * Subtraction and division invaders show the minuend / dividend so every
+ * answer is the base: a whole number unless the round uses decimals or
+ * fractions. `commutative` operations are written with the known number first
+ * when a term is missing ("8 × ? = 56").
+ */
+const OPERATIONS = {
+    multiply: { symbol: '×', exact: (v, operand) => ratio(v.n * operand, v.d), display: (base) => base, commutative: true },
+    add:      { symbol: '+', exact: (v, operand) => ratio(v.n + operand * v.d, v.d), display: (base) => base, commutative: true },
+    subtract: { symbol: '−', exact: (v, operand) => ratio(v.n - operand * v.d, v.d), display: (base, operand) => base + operand },
+    divide:   { symbol: '÷', exact: (v, operand) => ratio(v.n, v.d * operand), display: (base, operand) => base * operand },
+};
+const OPERATION_NAMES = Object.keys(OPERATIONS);
+
+/**
+ * How an invader poses its fact. 'standard' shows `value` next to the center
+ * number and the player types the result; 'missing' ("8 × ? = 56") and
+ * 'reverse' ("56 = ? × 8") show the whole equation on the invader and the
+ * player types the missing `value`.
+ */
+const PROBLEM_FORMATS = ['standard', 'missing', 'reverse'];
+
+/**
+ * The numbers on the invaders. 'tenths' and 'hundredths' give them one or two
+ * decimal places and 'fractions' makes each one a proper fraction such as
+ * "3/4", written as that string (fraction rounds are multiplication only).
+ * The center number is always whole.
+ */
+const NUMBER_KINDS = ['whole', 'tenths', 'hundredths', 'fractions'];
+const DECIMAL_PLACES = { tenths: 1, hundredths: 2 };
+const MAX_DENOMINATOR = 10;
+
+// Custom ranges (settings.range) may go this far either side of zero
+const MAX_BASE = 999;
+const MAX_OPERAND = 99;
+
+// Longest answer the keypad accepts, sign and decimal point included
+const MAX_ANSWER_LENGTH = 10;
+
+// Speed ranges in pixels per second: [minimum, spread]
+const SPEED_RANGES = {
+    easy: [30, 30],
+    intermediate: [60, 60],
+    fast: [110, 70],
+};
+
+const INITIAL_SPAWN_INTERVAL = 2500;
+const MIN_SPAWN_INTERVAL = 600;
+const SPAWN_INTERVAL_STEP = 50;
+const INVADER_START_Y = -50;
+
+// Without time pressure invaders stop this far above the bottom edge and only a
+// few are on screen at once
+const RELAXED_FLOOR_MARGIN = 80;
+const RELAXED_MAX_INVADERS = 3;
+
+// Scoring
+const SPEED_MULTIPLIERS = { easy: 1, intermediate: 1.5, fast: 2 };
+const MAX_HEIGHT_BONUS = 10;
+const STREAK_STEPS = [[20, 4], [10, 3], [5, 2]]; // [streak length, multiplier]
+const WRONG_PENALTY = 5;
+const MISS_PENALTY = 15;
+
+// Survival
+const MAX_LIVES = 9;
+const POWER_UPS = ['freeze', 'slow', 'bomb', 'life'];
+const POWER_UP_STREAK = 5; // correct answers in a row per power-up
+const MAX_POWER_UPS = 3; // held of each kind
+const POWER_UP_SEED_SALT = 0x27d4eb2f; // seeds the power-up stream apart from the invaders
+const FREEZE_DURATION = 5000; // ms of game time
+const SLOW_DURATION = 8000;
+const SLOW_FACTOR = 0.5;
+
+// Points for a fact before bonuses: 10, +5 when both numbers are 6 or more,
+// +5 for a double-digit base and +5 for division. Harder numbers add +5 each
+// for a center number past 12, a negative number and a decimal or fraction.
+function factPoints(operation, base, operand) {
+    let points = 10;
+    const whole = Number.isInteger(base);
+    if (whole && Math.min(Math.abs(base), Math.abs(operand)) >= 6) points += 5;
+    if (whole && Math.abs(base) >= 10) points += 5;
+    if (operation === 'divide') points += 5;
+    if (Math.abs(operand) > 12) points += 5;
+    if (base < 0 || operand < 0) points += 5;
+    if (!whole) points += 5;
+    return points;
+}
+
+function streakMultiplier(streak) {
+    const step = STREAK_STEPS.find(([length]) => streak >= length);
+    return step ? step[1] : 1;
+}
+
+// Human-readable fact as the player sees it, e.g. "7 × 8" or "56 ÷ 8"
+function formatFact(operation, base, operand) {
+    const op = OPERATIONS[operation] || OPERATIONS.multiply;
+    return `${writeNumber(op.display(base, operand))} ${op.symbol} ${operand}`;
+}
+
+/**
+ * The problem an invader poses in its format: "7 × 8", "8 × ? = 56" or
+ * "56 = ? × 8". `num` writes each number (e.g. in the player's digits).
+ */
+function formatProblem(inv, num = String) {
+    const op = OPERATIONS[inv.operation] || OPERATIONS.multiply;
+    const result = GameEngine.resultText(inv, num);
+    if (inv.format === 'missing') {
+        return op.commutative ? `${num(inv.operand)} ${op.symbol} ? = ${result}` : `? ${op.symbol} ${num(inv.operand)} = ${result}`;
+    }
+    if (inv.format === 'reverse') return `${result} = ? ${op.symbol} ${num(inv.operand)}`;
+    return `${writeNumber(inv.value, num)} ${op.symbol} ${num(inv.operand)}`;
+}
+
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : Math.abs(a);
+}
+
+// An exact number { n, d } in lowest terms with a positive denominator
+function ratio(n, d) {
+    const sign = d < 0 ? -1 : 1;
+    const divisor = gcd(n, d) || 1;
+    return { n: sign * n / divisor, d: sign * d / divisor };
+}
+
+// Drop floating-point noise from decimal arithmetic: 0.07 * 3 is 0.21, not 0.21000000000000002
+function tidy(x) {
+    return Number(x.toPrecision(12));
+}
+
+/**
+ * Read a number exactly as { n, d }: a JS number, or text as typed such as
+ * "-12", "3.75", "3,75" or "15/4". Returns null when it isn't a number.
+ */
+function exactNumber(x) {
+    if (typeof x === 'number') {
+        if (!Number.isFinite(x)) return null;
+        let places = 0;
+        while (places < 6 && !Number.isInteger(tidy(x * 10 ** places))) places++;
+        return ratio(Math.round(x * 10 ** places), 10 ** places);
+    }
+    const text = String(x ?? '').trim().replace('−', '-');
+    const fraction = /^(-?)(\d+)\/(\d+)$/.exec(text);
+    if (fraction) return Number(fraction[3]) === 0 ? null : ratio(Number(fraction[1] + fraction[2]), Number(fraction[3]));
+    const decimal = /^(-?)(\d*)(?:[.,](\d+))?$/.exec(text);
+    if (!decimal || (!decimal[2] && !decimal[3])) return null;
+    const places = (decimal[3] || '').length;
+    return ratio(Number(`${decimal[1]}${decimal[2] || 0}${decimal[3] || ''}`), 10 ** places);
+}
+
+function sameNumber(a, b) {
+    return Boolean(a && b) && a.n * b.d === b.n * a.d;
+}
+
+/**
+ * Write an invader number: fraction strings as "3/4", anything else through
+ * `num`. `asFraction` writes an exact { n, d } as "15/4" rather than 3.75.
+ */
+function writeNumber(x, num = String, asFraction = false) {
+    if (x && typeof x === 'object') {
+        if (x.d === 1) return num(x.n);
+        return asFraction ? `${x.n < 0 ? '-' : ''}${num(Math.abs(x.n))}/${num(x.d)}` : num(tidy(x.n / x.d));
+    }
+    if (typeof x === 'string') return writeNumber(exactNumber(x), num, true);
+    return num(typeof x === 'number' ? tidy(x) : x);
+}
+
+/**
+ * The answer after pressing `key`: a digit, '-' (switches the sign), '.',
+ * '/' or 'del'. Keys that can't lead to a number are ignored, and answers
+ * stop growing at MAX_ANSWER_LENGTH characters.
+ */
+function typeAnswerKey(answer, key) {
+    if (key === 'del') return answer.slice(0, -1);
+    if (key === '-') return answer.startsWith('-') ? answer.slice(1) : `-${answer}`;
+    if (answer.length >= MAX_ANSWER_LENGTH) return answer;
+    if (key >= '0' && key <= '9' && key.length === 1) return answer + key;
+    if (key === '.' && !/[./]/.test(answer)) return `${/\d$/.test(answer) ? answer : `${answer}0`}.`;
+    if (key === '/' && !/[./]/.test(answer) && /\d$/.test(answer)) return `${answer}/`;
+    return answer;
+}
+
+// Keypad keys besides the digits that answers in these settings can need
+function answerSymbols(settings) {
+    const symbols = [];
+    if (settings.range && (settings.range.base[0] < 0 || settings.range.operand[0] < 0)) symbols.push('-');
+    if (DECIMAL_PLACES[settings.numbers]) symbols.push('.');
+    if (settings.numbers === 'fractions') symbols.push('/');
+    return symbols;
+}
+
+// Integers from min to max without zero, the center numbers a range allows
+function nonZeroIntegers([min, max]) {
+    return Array.from({ length: max - min + 1 }, (_, i) => min + i).filter(n => n !== 0);
+}
+
+/**
+ * Seconds of invader movement in the game time from `from` to `to` (ms):
+ * none inside a `frozen` window and SLOW_FACTOR inside a `slowed` one, where
+ * both are lists of [start, end] game times. Replays use it to follow
+ * invaders through power-ups.
+ */
+function motionSeconds(from, to, frozen = [], slowed = []) {
+    const inside = (windows, t) => windows.some(([start, end]) => t >= start && t < end);
+    const edges = [...new Set([from, to, ...frozen.flat(), ...slowed.flat()].filter(t => t >= from && t <= to))].sort((a, b) => a - b);
+    let ms = 0;
+    for (let i = 1; i < edges.length; i++) {
+        const middle = (edges[i - 1] + edges[i]) / 2;
+        const factor = inside(frozen, middle) ? 0 : inside(slowed, middle) ? SLOW_FACTOR : 1;
+        ms += (edges[i] - edges[i - 1]) * factor;
+    }
+    return ms / 1000;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32). Returns a function that yields
+ * numbers in [0, 1), like Math.random.
+ */
+function createRng(seed) {
+    let state = (Number(seed) >>> 0) || 0x9e3779b9;
+    return function rng() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick one item with probability proportional to weightFn(item).
+ * `rng` defaults to Math.random and must return a number in [0, 1).
+ */
+function weightedPick(items, weightFn, rng = Math.random) {
+    if (!items.length) return undefined;
+    const weights = items.map(item => Math.max(0, weightFn(item)));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return items[Math.floor(rng() * items.length)];
+    let r = rng() * total;
+    for (let i = 0; i < items.length; i++) {
+        r -= weights[i];
+        if (r < 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+class GameEngine {
+    /**
+     * @param {object} options
+     * @param {object} options.settings  raw settings, see GameEngine.normalizeSettings
+     * @param {function} [options.rng]   returns numbers in [0, 1); defaults to Math.random
+     * @param {function} [options.rotationRng] drives the operation / center number
+     *                                   changes; defaults to rng. Giving it its own stream
+     *                                   keeps the invaders the same however the round is played
+     * @param {function} [options.powerUpRng] picks earned power-ups; defaults to a stream
+     *                                   from settings.seed (Math.random without one), never rng
+     * @param {function} [options.clock] returns the current time in ms; defaults to Date.now
+     * @param {object} [options.mastery] FactMastery-like recorder used for adaptive selection
+     * @param {object} [options.area]    playfield size in px: { width, height }
+     */
+    constructor({ settings = {}, rng = Math.random, rotationRng = null, powerUpRng = null, clock = () => Date.now(), mastery = null, area = { width: 400, height: 500 } } = {}) {
+        this.settings = GameEngine.normalizeSettings(settings);
+        this.rng = rng;
+        this.rotationRng = rotationRng || rng;
+        this.powerUpRng = powerUpRng || (this.settings.seed !== null ? createRng(this.settings.seed ^ POWER_UP_SEED_SALT) : Math.random);
+        this.clock = clock;
+        this.mastery = mastery;
+        this.area = { width: area.width, height: area.height };
+        this.listeners = {};
+        this.reset();
+    }
+
+    /**
+     * Fill in defaults and clamp limits the same way the settings screen does.
+     */
+    static normalizeSettings(raw = {}) {
+        // No time pressure: nothing can run out, so the round is always to a score target
+        const timePressure = raw.timePressure !== false;
+        let mode = ['score', 'survival'].includes(raw.mode) ? raw.mode : 'time';
+        if (!timePressure) mode = 'score';
+        const difficulty = raw.difficulty === 'double' ? 'double' : 'single';
+        const speed = SPEED_RANGES[raw.speed] ? raw.speed : 'intermediate';
+        const numbers = NUMBER_KINDS.includes(raw.numbers) ? raw.numbers : 'whole';
+        const range = GameEngine.normalizeRange(raw.range);
+        let multiplierMode = ['random', 'fixed', 'adaptive'].includes(raw.multiplierMode) ? raw.multiplierMode : 'random';
+        // Mastery tracks whole-number facts only
+        if (multiplierMode === 'adaptive' && numbers !== 'whole') multiplierMode = 'random';
+        const problemFormat = PROBLEM_FORMATS.includes(raw.problemFormat) ? raw.problemFormat : 'standard';
+        // Targeting: answers only go to the invader the player selected
+        const targeting = raw.targeting === true;
+        let operation = raw.operation || 'multiply';
+        if (operation !== 'mixed' && !OPERATIONS[operation]) operation = 'multiply';
+        if (numbers === 'fractions') operation = 'multiply';
+
+        // The fixed center number stays inside the range, 1 to 12 by default, and is never 0
+        const [minOperand, maxOperand] = range ? range.operand : [1, 12];
+        let fixedMultiplier = parseInt(raw.fixedMultiplier ?? 7, 10);
+        if (isNaN(fixedMultiplier) || fixedMultiplier < minOperand) fixedMultiplier = minOperand;
+        if (fixedMultiplier > maxOperand) fixedMultiplier = maxOperand;
+        if (fixedMultiplier === 0) fixedMultiplier = maxOperand > 0 ? 1 : -1;
+
+        let limit = parseInt(raw.limit, 10);
+        if (isNaN(limit) || limit <= 0) limit = { time: 60, score: 20, survival: 5 }[mode];
+        if (mode === 'survival') limit = Math.min(limit, MAX_LIVES);
+
+        // Optional drill restrictions (from teacher assignments): a set of center
+        // numbers, or an explicit list of [base, operand] facts
+        const isInt = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+        const multipliers = Array.isArray(raw.multipliers)
+            ? [...new Set(raw.multipliers.map(n => parseInt(n, 10)).filter(n => isInt(n, 1, 12)))]
+            : [];
+        const facts = Array.isArray(raw.facts)
+            ? raw.facts
+                .map(f => (Array.isArray(f) ? { base: parseInt(f[0], 10), operand: parseInt(f[1], 10) } : { base: parseInt(f && f.base, 10), operand: parseInt(f && f.operand, 10) }))
+                .filter(f => isInt(f.base, 1, 99) && isInt(f.operand, 1, 12))
+            : [];
+
+        let passAccuracy = raw.passAccuracy === undefined || raw.passAccuracy === null ? null : Number(raw.passAccuracy);
+        if (passAccuracy !== null && (isNaN(passAccuracy) || passAccuracy < 0)) passAccuracy = null;
+        if (passAccuracy > 100) passAccuracy = 100;
+
+        const seed = Number.isInteger(raw.seed) ? raw.seed >>> 0 : null;
+
+        // Optional per-level tuning (campaign levels): invader speed as
+        // [minimum, spread] px/s, the spawn interval curve in ms, and how many
+        // invaders may reach the bottom before the round is lost
+        const positive = n => typeof n === 'number' && n > 0;
+        const speedRange = Array.isArray(raw.speedRange) && raw.speedRange.length === 2 && positive(raw.speedRange[0]) && raw.speedRange[1] >= 0
+            ? [raw.speedRange[0], raw.speedRange[1]]
+            : null;
+        const curve = raw.spawnCurve;
+        const spawnCurve = curve && positive(curve.initial) && positive(curve.min) && curve.step >= 0 && curve.min <= curve.initial
+            ? { initial: curve.initial, min: curve.min, step: curve.step }
+            : null;
+        const maxMisses = Number.isInteger(raw.maxMisses) && raw.maxMisses > 0 ? raw.maxMisses : null;
+
+        return { difficulty, mode, speed, multiplierMode, fixedMultiplier, operation, problemFormat, targeting, numbers, range, limit, multipliers, facts, passAccuracy, seed, timePressure, speedRange, spawnCurve, maxMisses };
+    }
+
+    /**
+     * A custom range { base: [min, max], operand: [min, max] } of whole
+     * numbers, or null to use the difficulty's. Bounds are put in order and
+     * clamped to ±MAX_BASE and ±MAX_OPERAND; the operand range needs a number
+     * other than 0, which is never used as a center number.
+     */
+    static normalizeRange(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const bounds = (pair, limit) => {
+            if (!Array.isArray(pair) || pair.length !== 2) return null;
+            const [a, b] = pair.map(n => parseInt(n, 10));
+            if (isNaN(a) || isNaN(b)) return null;
+            const clamp = n => Math.max(-limit, Math.min(limit, n));
+            return [clamp(Math.min(a, b)), clamp(Math.max(a, b))];
+        };
+        const base = bounds(raw.base, MAX_BASE);
+        const operand = bounds(raw.operand, MAX_OPERAND);
+        if (!base || !operand || (operand[0] === 0 && operand[1] === 0)) return null;
+        return { base, operand };
+    }
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return () => { this.listeners[type] = this.listeners[type].filter(f => f !== fn); };
+    }
+
+    emit(type, payload) {
+        (this.listeners[type] || []).forEach(fn => fn(payload));
+    }
+
+    reset() {
+        this.scoreRight = 0;
+        this.scoreWrong = 0;
+        this.points = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.operation = 'multiply';
+        this.multiplier = 0;
+        this.invaders = [];
+        this.targetId = null; // the selected invader when targeting
+        this.missedFacts = [];
+        this.factStats = {}; // this round's right / wrong / missed counts per fact
+        this.misses = 0; // invaders that reached the bottom
+        this.spawnInterval = this.spawnCurve().initial;
+        this.time = 0; // game time in ms, advanced by tick()
+        this.lastSpawnTime = 0;
+        this.timeLeft = this.settings.mode === 'time' ? this.settings.limit : null;
+        this.lives = this.settings.mode === 'survival' ? this.settings.limit : null;
+        this.powerUps = Object.fromEntries(POWER_UPS.map(type => [type, 0]));
+        this.frozenUntil = 0; // game time when a time freeze / slow-motion field ends
+        this.slowUntil = 0;
+        this.nextInvaderId = 1;
+        this.over = false;
+        this.result = null;
+    }
+
+    start() {
+        this.reset();
+        this.setOperation();
+        this.setMultiplier();
+        // Make first spawn immediate
+        this.lastSpawnTime = this.time - this.spawnInterval - 1;
+        return this.snapshot();
+    }
+
+    randomInt(min, max, rng = this.rng) {
+        return min + Math.floor(rng() * (max - min + 1));
+    }
+
+    // Pick the active operation; in mixed mode a different one is drawn each time
+    setOperation() {
+        if (this.settings.operation !== 'mixed') { this.operation = this.settings.operation; return; }
+        const choices = OPERATION_NAMES.filter(op => op !== this.operation);
+        this.operation = choices[Math.floor(this.rotationRng() * choices.length)];
+    }
+
+    // Center numbers the round is restricted to, or null when unrestricted
+    operandChoices() {
+        if (this.settings.facts.length) return [...new Set(this.settings.facts.map(f => f.operand))];
+        if (this.settings.multipliers.length) return this.settings.multipliers;
+        return null;
+    }
+
+    setMultiplier() {
+        const choices = this.operandChoices();
+        if (choices) {
+            // Move on to a different center number when there is one to move to
+            const pool = choices.length > 1 ? choices.filter(n => n !== this.multiplier) : choices;
+            if (this.settings.multiplierMode === 'adaptive' && this.mastery) this.multiplier = this.pickAdaptiveMultiplier(pool);
+            else this.multiplier = pool[Math.floor(this.rotationRng() * pool.length)];
+        } else if (this.settings.multiplierMode === 'fixed') this.multiplier = this.settings.fixedMultiplier;
+        else if (this.settings.multiplierMode === 'adaptive' && this.mastery) this.multiplier = this.pickAdaptiveMultiplier();
+        else if (this.settings.range) {
+            const operands = nonZeroIntegers(this.settings.range.operand);
+            this.multiplier = operands[Math.floor(this.rotationRng() * operands.length)];
+        } else this.multiplier = this.settings.difficulty === 'single' ? this.randomInt(1, 9, this.rotationRng) : this.randomInt(1, 12, this.rotationRng);
+    }
+
+    // Candidate base numbers: the assignment's facts for `operand`, else the custom or difficulty's range
+    baseRange(operand) {
+        if (this.settings.facts.length) {
+            const bases = this.settings.facts.filter(f => f.operand === operand).map(f => f.base);
+            if (bases.length) return bases;
+        }
+        const [min, max] = this.baseBounds();
+        return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    }
+
+    baseBounds() {
+        if (this.settings.range) return this.settings.range.base;
+        return this.settings.difficulty === 'single' ? [1, 9] : [10, 99];
+    }
+
+    // Center number whose facts are, on average, the weakest for this operation
+    pickAdaptiveMultiplier(candidates = null) {
+        const max = this.settings.difficulty === 'single' ? 9 : 12;
+        const operands = candidates || (this.settings.range ? nonZeroIntegers(this.settings.range.operand) : Array.from({ length: max }, (_, i) => i + 1));
+        return weightedPick(operands, (operand) => {
+            const bases = this.baseRange(operand);
+            const total = bases.reduce((sum, base) => sum + this.mastery.weight(this.operation, base, operand), 0);
+            return total / bases.length;
+        }, this.rotationRng);
+    }
+
+    pickBase() {
+        const bases = this.baseRange(this.multiplier);
+        if (this.settings.multiplierMode === 'adaptive' && this.mastery) {
+            return weightedPick(bases, (b) => this.mastery.weight(this.operation, b, this.multiplier), this.rng);
+        }
+        if (this.settings.facts.length) return bases[Math.floor(this.rng() * bases.length)];
+        if (this.settings.numbers === 'fractions') return this.pickFraction();
+        const [min, max] = this.baseBounds();
+        const places = DECIMAL_PLACES[this.settings.numbers];
+        if (!places) return this.randomInt(min, max);
+        // A decimal in the range with a digit after the point, unless the range is a single number
+        const scale = 10 ** places;
+        let steps;
+        do steps = this.randomInt(min * scale, max * scale);
+        while (steps % scale === 0 && min !== max);
+        return tidy(steps / scale);
+    }
+
+    // A proper fraction in lowest terms, written "3/4", with a denominator up to MAX_DENOMINATOR
+    pickFraction() {
+        const d = this.randomInt(2, MAX_DENOMINATOR);
+        const { n: top, d: bottom } = ratio(this.randomInt(1, d - 1), d);
+        return `${top}/${bottom}`;
+    }
+
+    spawnInvader() {
+        const base = this.pickBase();
+        const [minSpeed, spread] = this.settings.speedRange || SPEED_RANGES[this.settings.speed];
+        // Ensure X position respects padding/margins for mobile width
+        const availableWidth = Math.max(0, this.area.width - 80);
+        const invader = {
+            id: this.nextInvaderId++,
+            value: typeof base === 'number' ? tidy(OPERATIONS[this.operation].display(base, this.multiplier)) : base,
+            base,
+            operation: this.operation,
+            operand: this.multiplier,
+            format: this.settings.problemFormat,
+            x: 10 + this.rng() * availableWidth,
+            y: INVADER_START_Y,
+            speed: minSpeed + this.rng() * spread,
+            spawnedAt: this.clock(),
+            spawnTime: this.time,
+        };
+        this.invaders.push(invader);
+        if (this.mastery) this.mastery.recordSeen(invader.operation, base, invader.operand);
+        this.emit('spawn', invader);
+        return invader;
+    }
+
+    // The answer the player must type to destroy an invader
+    static answerFor(invader) {
+        const { n, d } = GameEngine.exactAnswer(invader);
+        return tidy(n / d);
+    }
+
+    // The result of the invader's fact, e.g. 56 for 7 × 8 whatever its format
+    static resultFor(invader) {
+        const { n, d } = GameEngine.exactResult(invader);
+        return tidy(n / d);
+    }
+
+    static exactAnswer(invader) {
+        if (invader.format === 'missing' || invader.format === 'reverse') return exactNumber(invader.value);
+        return GameEngine.exactResult(invader);
+    }
+
+    static exactResult(invader) {
+        return OPERATIONS[invader.operation].exact(exactNumber(invader.value), invader.operand);
+    }
+
+    // answerFor / resultFor as the player would type them: "15/4" in a fraction round, else "3.75"
+    static answerText(invader, num = String) {
+        return writeNumber(GameEngine.exactAnswer(invader), num, typeof invader.value === 'string');
+    }
+
+    static resultText(invader, num = String) {
+        return writeNumber(GameEngine.exactResult(invader), num, typeof invader.value === 'string');
+    }
+
+    /**
+     * Advance the round by `delta` seconds of game time: count down in timed
+     * mode, spawn on schedule (ramping the interval down), move invaders and
+     * count the ones that fall off the bottom as wrong.
+     */
+    tick(delta) {
+        if (this.over) return this.snapshot();
+        const from = this.time;
+        this.time += (delta || 0) * 1000;
+        const now = this.time;
+
+        if (this.settings.mode === 'time') {
+            const timeLeft = Math.max(0, this.settings.limit - Math.floor(now / 1000));
+            if (timeLeft !== this.timeLeft) {
+                this.timeLeft = timeLeft;
+                this.emit('timer', timeLeft);
+            }
+        }
+
+        // A time freeze holds the spawn schedule as well as movement
+        this.lastSpawnTime += Math.max(0, Math.min(now, this.frozenUntil) - from);
+        const relaxed = !this.settings.timePressure;
+        if (!this.isFrozen() && now - this.lastSpawnTime >= this.spawnInterval && !(relaxed && this.invaders.length >= RELAXED_MAX_INVADERS)) {
+            this.spawnInvader();
+            this.lastSpawnTime = now;
+            const curve = this.spawnCurve();
+            if (!relaxed) this.spawnInterval = Math.max(curve.min, this.spawnInterval - curve.step);
+        }
+
+        const floor = this.floorY();
+        const motion = motionSeconds(from, now, [[0, this.frozenUntil]], [[0, this.slowUntil]]);
+        for (let i = this.invaders.length - 1; i >= 0; i--) {
+            const inv = this.invaders[i];
+            inv.y += inv.speed * motion;
+            if (floor !== null && inv.y > floor) inv.y = floor;
+            if (inv.y > this.area.height) {
+                this.invaders.splice(i, 1);
+                this.dropTarget(inv);
+                this.scoreWrong++;
+                this.misses++;
+                this.countFact(inv, 'missed');
+                if (this.mastery) this.mastery.recordMiss(inv.operation, inv.base, inv.operand);
+                this.noteMissedFact(inv);
+                this.emit('miss', inv);
+                this.penalize(MISS_PENALTY, inv, 'miss');
+                if (this.lives !== null) {
+                    this.lives = Math.max(0, this.lives - 1);
+                    this.emit('lives', this.lives);
+                }
+            } else {
+                this.emit('move', inv);
+            }
+        }
+        return this.snapshot();
+    }
+
+    /**
+     * Check a typed answer against the invaders on screen. When several
+     * invaders share the answer the lowest one is destroyed; with targeting
+     * only the selected invader counts, and nothing happens until one is
+     * selected (`noTarget`). Otherwise the answer counts as wrong.
+     * Returns { correct, invader, reachedTarget, award }; `award` is the
+     * points change (see awardHit / penalize).
+     */
+    submit(answer) {
+        if (this.over || answer === '' || answer === null || answer === undefined) return { correct: false, invader: null, reachedTarget: false };
+        const value = exactNumber(answer);
+        const selected = this.target();
+        if (this.settings.targeting && !selected) return { correct: false, invader: null, reachedTarget: false, noTarget: true };
+        const candidates = selected ? [selected] : this.invaders;
+        const hit = candidates.filter(inv => sameNumber(GameEngine.exactAnswer(inv), value)).reduce((lowest, inv) => (!lowest || inv.y > lowest.y ? inv : lowest), null);
+
+        if (hit) {
+            this.invaders.splice(this.invaders.indexOf(hit), 1);
+            this.dropTarget(hit);
+            this.scoreRight++;
+            this.countFact(hit, 'right');
+            if (this.mastery) this.mastery.recordRight(hit.operation, hit.base, hit.operand, this.time - hit.spawnTime);
+            this.emit('hit', hit);
+            const award = this.awardHit(hit);
+            const reachedTarget = this.settings.mode === 'score' && this.scoreRight >= this.settings.limit;
+            if (!reachedTarget) this.rotateProblem();
+            return { correct: true, invader: hit, reachedTarget, award };
+        }
+
+        // Charge the miss to the selected invader, else the lowest: the one the
+        // player was most likely solving
+        const target = selected || this.lowestInvader();
+        if (target) {
+            this.countFact(target, 'wrong');
+            if (this.mastery) this.mastery.recordWrong(target.operation, target.base, target.operand);
+            this.noteMissedFact(target);
+        }
+        this.scoreWrong++;
+        this.emit('wrong', target);
+        const award = this.penalize(WRONG_PENALTY, target, 'wrong');
+        return { correct: false, invader: target, reachedTarget: false, award };
+    }
+
+    /**
+     * Score a destroyed invader and emit 'score'. The height bonus is full at
+     * the top of the game area and zero at the bottom.
+     */
+    awardHit(inv) {
+        this.streak++;
+        this.bestStreak = Math.max(this.bestStreak, this.streak);
+        const base = factPoints(inv.operation, inv.base, inv.operand);
+        const height = this.area.height > 0 ? Math.min(1, Math.max(0, inv.y / this.area.height)) : 1;
+        const heightBonus = Math.round(MAX_HEIGHT_BONUS * (1 - height));
+        const speedMultiplier = SPEED_MULTIPLIERS[this.settings.speed] || 1;
+        const multiplier = streakMultiplier(this.streak);
+        const points = Math.round((base + heightBonus) * speedMultiplier) * multiplier;
+        this.points += points;
+        const award = { reason: 'hit', points, base, heightBonus, speedMultiplier, streakMultiplier: multiplier, streak: this.streak, invader: inv };
+        this.emit('score', award);
+        if (this.lives !== null && this.streak % POWER_UP_STREAK === 0) this.earnPowerUp();
+        return award;
+    }
+
+    // Add a random power-up the player holds fewer than MAX_POWER_UPS of and
+    // emit 'powerup'. Returns its type, or null when every kind is full.
+    earnPowerUp() {
+        const choices = POWER_UPS.filter(type => this.powerUps[type] < MAX_POWER_UPS);
+        if (!choices.length) return null;
+        const type = choices[Math.floor(this.powerUpRng() * choices.length)];
+        this.powerUps[type]++;
+        this.emit('powerup', { type, action: 'earned', count: this.powerUps[type] });
+        return type;
+    }
+
+    /**
+     * Spend a held power-up: 'freeze' stops invaders and spawning, 'slow'
+     * halves their speed, 'bomb' clears the lowest invader (no points, and
+     * the fact isn't counted either way) and 'life' restores one life.
+     * Emits 'powerup' (with `until` for the timed ones) and returns false
+     * when the power-up isn't held or would do nothing.
+     */
+    usePowerUp(type) {
+        if (this.over || !this.powerUps[type]) return false;
+        if (type === 'life' && this.lives >= this.settings.limit) return false;
+        if (type === 'bomb' && !this.invaders.length) return false;
+        this.powerUps[type]--;
+        const used = { type, action: 'used', count: this.powerUps[type] };
+        if (type === 'freeze') used.until = this.frozenUntil = Math.max(this.frozenUntil, this.time) + FREEZE_DURATION;
+        if (type === 'slow') used.until = this.slowUntil = Math.max(this.slowUntil, this.time) + SLOW_DURATION;
+        if (type === 'bomb') {
+            const inv = this.lowestInvader();
+            this.invaders.splice(this.invaders.indexOf(inv), 1);
+            this.dropTarget(inv);
+            this.emit('bomb', inv);
+            used.invader = inv;
+        }
+        if (type === 'life') {
+            this.lives++;
+            this.emit('lives', this.lives);
+        }
+        this.emit('powerup', used);
+        return true;
+    }
+
+    isFrozen() {
+        return this.time < this.frozenUntil;
+    }
+
+    isSlowed() {
+        return this.time < this.slowUntil;
+    }
+
+    // Break the streak and take points away (never below zero)
+    penalize(amount, inv, reason) {
+        const points = -Math.min(amount, this.points);
+        this.points += points;
+        this.streak = 0;
+        const award = { reason, points, streak: 0, invader: inv || null };
+        this.emit('score', award);
+        return award;
+    }
+
+    // After a correct answer, move mixed rounds to a new operation and
+    // restricted rounds to a new center number for the invaders that spawn next
+    rotateProblem() {
+        const choices = this.operandChoices();
+        const rotateOperation = this.settings.operation === 'mixed';
+        const rotateOperand = choices && choices.length > 1;
+        if (!rotateOperation && !rotateOperand) return;
+        if (rotateOperation) this.setOperation();
+        if (rotateOperand) this.setMultiplier();
+        this.emit('operation', this.operation);
+    }
+
+    // Where invaders stop without time pressure; null when they fall off the bottom
+    floorY() {
+        return this.settings.timePressure ? null : Math.max(0, this.area.height - RELAXED_FLOOR_MARGIN);
+    }
+
+    // The selected invader, or null (always null without targeting)
+    target() {
+        return this.invaders.find(inv => inv.id === this.targetId) || null;
+    }
+
+    /**
+     * Select the invader with `id` (null clears the selection) and emit
+     * 'target' with it. Returns the selected invader or null.
+     */
+    setTarget(id) {
+        if (!this.settings.targeting || this.over) return null;
+        const inv = this.invaders.find(other => other.id === id) || null;
+        this.targetId = inv ? inv.id : null;
+        this.emit('target', inv);
+        return inv;
+    }
+
+    // Move the selection to the next invader to the right (1) or left (-1), wrapping around
+    cycleTarget(direction) {
+        if (!this.invaders.length) return this.setTarget(null);
+        const order = this.invaders.slice().sort((a, b) => a.x - b.x);
+        const index = order.findIndex(inv => inv.id === this.targetId);
+        if (index === -1) return this.setTarget((direction > 0 ? order[0] : order[order.length - 1]).id);
+        return this.setTarget(order[(index + direction + order.length) % order.length].id);
+    }
+
+    // Clear the selection when the selected invader leaves the screen
+    dropTarget(inv) {
+        if (this.targetId !== inv.id) return;
+        this.targetId = null;
+        this.emit('target', null);
+    }
+
+    lowestInvader() {
+        return this.invaders.reduce((lowest, inv) => (!lowest || inv.y > lowest.y ? inv : lowest), null);
+    }
+
+    countFact(inv, outcome) {
+        const key = `${inv.operation}:${inv.base}:${inv.operand}`;
+        if (!this.factStats[key]) {
+            this.factStats[key] = { operation: inv.operation, base: inv.base, operand: inv.operand, label: formatFact(inv.operation, inv.base, inv.operand), right: 0, wrong: 0, missed: 0 };
+        }
+        this.factStats[key][outcome]++;
+    }
+
+    // Remember a fact the player got wrong or let through this round (once per fact)
+    noteMissedFact(inv) {
+        const key = `${inv.operation}:${inv.base}:${inv.operand}`;
+        if (this.missedFacts.some(f => f.key === key)) return;
+        this.missedFacts.push({ key, operation: inv.operation, base: inv.base, operand: inv.operand, label: formatFact(inv.operation, inv.base, inv.operand) });
+    }
+
+    // The spawn interval schedule: a campaign level's own curve, else the default
+    spawnCurve() {
+        return this.settings.spawnCurve || { initial: INITIAL_SPAWN_INTERVAL, min: MIN_SPAWN_INTERVAL, step: SPAWN_INTERVAL_STEP };
+    }
+
+    // True once more invaders got through than the settings allow, or a
+    // survival round has lost its last life
+    isOutOfMisses() {
+        if (this.lives !== null && this.lives <= 0) return true;
+        return this.settings.maxMisses !== null && this.misses >= this.settings.maxMisses;
+    }
+
+    // True once a timed round has run out of time
+    isTimeUp() {
+        return this.settings.mode === 'time' && this.timeLeft <= 0;
+    }
+
+    // Percentage of answers that were right (misses count as wrong)
+    accuracy() {
+        const total = this.scoreRight + this.scoreWrong;
+        return total > 0 ? Math.round(100 * this.scoreRight / total) : 0;
+    }
+
+    /**
+     * End the round. More wrong answers than right is a loss regardless of
+     * `didWin`. `passed` is null unless the settings require an accuracy.
+     * Returns { won, lostByWrong, accuracy, passed, points, bestStreak }.
+     */
+    finish(didWin) {
+        const lostByWrong = this.scoreWrong > this.scoreRight;
+        const accuracy = this.accuracy();
+        const passed = this.settings.passAccuracy === null ? null : accuracy >= this.settings.passAccuracy;
+        this.over = true;
+        this.result = { won: Boolean(didWin) && !lostByWrong, lostByWrong, accuracy, passed, points: this.points, bestStreak: this.bestStreak };
+        return this.result;
+    }
+
+    // Plain, JSON-safe copy of the current state
+    snapshot() {
+        return {
+            settings: { ...this.settings },
+            scoreRight: this.scoreRight,
+            scoreWrong: this.scoreWrong,
+            misses: this.misses,
+            points: this.points,
+            streak: this.streak,
+            bestStreak: this.bestStreak,
+            operation: this.operation,
+            multiplier: this.multiplier,
+            spawnInterval: this.spawnInterval,
+            time: this.time,
+            timeLeft: this.timeLeft,
+            lives: this.lives,
+            powerUps: { ...this.powerUps },
+            frozenUntil: this.frozenUntil,
+            slowUntil: this.slowUntil,
+            invaders: this.invaders.map(inv => ({ ...inv })),
+            targetId: this.targetId,
+            missedFacts: this.missedFacts.map(f => ({ ...f })),
+            factStats: Object.fromEntries(Object.entries(this.factStats).map(([key, stat]) => [key, { ...stat }])),
+            over: this.over,
+            result: this.result ? { ...this.result } : null,
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine, OPERATIONS, OPERATION_NAMES, PROBLEM_FORMATS, NUMBER_KINDS, POWER_UPS, MAX_LIVES, MAX_ANSWER_LENGTH, motionSeconds, formatFact, formatProblem, exactNumber, sameNumber, writeNumber, typeAnswerKey, answerSymbols, factPoints, streakMultiplier, createRng, weightedPick };
+}
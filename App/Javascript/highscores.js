@@ -0,0 +1,106 @@
+/**
+ * Local high-score tables, one per combination of game settings, persisted in
+ * localStorage. Scores are only compared between rounds played the same way:
+ * a fast ×7 drill has its own table, separate from easy mixed facts.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/highscores.test.js).
+ */
+const HIGH_SCORE_LIMIT = 10;
+
+// Settings that change how hard a round is; anything else (theme) is ignored
+function highScoreKey(settings) {
+    // A campaign level fixes everything but the digit difficulty
+    if (settings.campaign) return ['campaign', settings.campaign.id, settings.difficulty, settings.timePressure === false ? 'relaxed' : 'timed', ...problemStyleParts(settings)].join('|');
+    const focus = settings.facts && settings.facts.length
+        ? `facts:${settings.facts.map(f => `${f.base}x${f.operand}`).join(',')}`
+        : settings.multipliers && settings.multipliers.length
+            ? `set:${settings.multipliers.join(',')}`
+            : settings.multiplierMode === 'fixed' ? `fixed:${settings.fixedMultiplier}` : settings.multiplierMode;
+    const parts = [settings.operation, settings.difficulty, settings.speed, settings.mode, settings.limit, focus, settings.timePressure === false ? 'relaxed' : 'timed'];
+    // Decimals, fractions and custom ranges get tables of their own; whole-number keys stay as they were
+    if (settings.numbers && settings.numbers !== 'whole') parts.push(settings.numbers);
+    if (settings.range) parts.push(`range:${settings.range.base.join('..')}x${settings.range.operand.join('..')}`);
+    parts.push(...problemStyleParts(settings));
+    return parts.join('|');
+}
+
+// Missing-factor problems and tapping to target get tables of their own; standard rounds keep their keys
+function problemStyleParts(settings) {
+    const parts = [];
+    if (settings.problemFormat && settings.problemFormat !== 'standard') parts.push(settings.problemFormat);
+    if (settings.targeting) parts.push('targeting');
+    return parts;
+}
+
+// Short description of a table's settings for the game-over screen, in the player's language
+function describeHighScoreSettings(settings) {
+    if (settings.campaign) return i18n.t('highScores.campaign', { id: settings.campaign.id, title: i18n.t(`campaign.level.${settings.campaign.id}`) });
+    const operation = i18n.t(`operation.${settings.operation}`);
+    const digits = i18n.t(settings.difficulty === 'double' ? 'highScores.double' : 'highScores.single');
+    let round = i18n.t('highScores.firstTo', { limit: settings.limit });
+    if (settings.mode === 'time') round = i18n.t('highScores.seconds', { seconds: settings.limit });
+    if (settings.mode === 'survival') round = i18n.t('highScores.lives', { count: settings.limit });
+    return `${operation}, ${digits}, ${i18n.t(`speed.${settings.speed}`)}, ${round}`;
+}
+
+class HighScores {
+    constructor(storageKey = 'mathInvaders.highScores') {
+        this.storageKey = storageKey;
+        this.tables = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            this.tables = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (e) {
+            console.warn('Could not load high scores', e);
+            this.tables = {};
+        }
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.tables)); }
+        catch (e) { console.warn('Could not save high scores', e); }
+    }
+
+    table(key) {
+        return (this.tables[key] || []).slice();
+    }
+
+    // True when `points` would make the table for `key`
+    qualifies(key, points) {
+        if (!(points > 0)) return false;
+        const table = this.table(key);
+        return table.length < HIGH_SCORE_LIMIT || points > table[table.length - 1].points;
+    }
+
+    /**
+     * Add an entry ({ name, points, ... }) and keep the best HIGH_SCORE_LIMIT.
+     * Ties keep the earlier score first. Returns the new entry's rank
+     * (0-based), or -1 if it didn't make the table.
+     */
+    add(key, entry) {
+        if (!this.qualifies(key, entry.points)) return -1;
+        const name = String(entry.name || '').trim().slice(0, 20) || 'Player';
+        const record = { ...entry, name, date: entry.date || new Date().toISOString() };
+        const table = this.table(key);
+        let rank = table.findIndex(e => record.points > e.points);
+        if (rank === -1) rank = table.length;
+        table.splice(rank, 0, record);
+        this.tables[key] = table.slice(0, HIGH_SCORE_LIMIT);
+        this.save();
+        return rank;
+    }
+
+    clear(key) {
+        delete this.tables[key];
+        this.save();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HighScores, highScoreKey, HIGH_SCORE_LIMIT };
+}
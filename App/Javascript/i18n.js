@@ -0,0 +1,157 @@
+/**
+ * Translations for the game screens. Each language is a flat catalog of
+ * dotted keys in Javascript/locales/<code>.js that adds itself to MESSAGES;
+ * English is the fallback for anything a catalog is missing.
+ *
+ * A message can use {name} placeholders, and a plural message is an object
+ * keyed by Intl.PluralRules category ({ one, other, ... }) chosen by
+ * `params.count`. Numbers in the params are formatted for the locale, so
+ * Arabic gets Arabic-Indic digits.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/i18n.test.js).
+ */
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    fr: { name: 'Français', dir: 'ltr' },
+    // Plain 'ar' formats with Latin digits in current CLDR data
+    ar: { name: 'العربية', dir: 'rtl', numberingSystem: 'arab' },
+};
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {};
+
+function addMessages(locale, messages) {
+    MESSAGES[locale] = { ...(MESSAGES[locale] || {}), ...messages };
+}
+
+// 'es-MX' -> 'es'; null if none of the languages are supported
+function matchLocale(languages) {
+    for (const tag of languages || []) {
+        const code = String(tag).toLowerCase().split('-')[0];
+        if (LOCALES[code]) return code;
+    }
+    return null;
+}
+
+// Arabic-Indic and Extended Arabic-Indic digits typed on an Arabic keyboard
+function asciiDigits(text) {
+    return String(text).replace(/[٠-٩۰-۹]/g, d => String(d.charCodeAt(0) & 0xf));
+}
+
+class Translator {
+    constructor(storageKey = 'mathInvaders.locale') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.setLocale(this.load(), false);
+    }
+
+    // Saved choice, else the browser's languages, else English
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (LOCALES[saved]) return saved;
+        } catch (e) { /* no storage: fall through */ }
+        const languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+        return matchLocale(languages) || DEFAULT_LOCALE;
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, this.locale); }
+        catch (e) { console.warn('Could not save the language', e); }
+    }
+
+    setLocale(locale, persist = true) {
+        this.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+        const { numberingSystem } = LOCALES[this.locale];
+        this.numberFormat = new Intl.NumberFormat(this.locale, numberingSystem ? { numberingSystem } : {});
+        this.percentFormat = new Intl.NumberFormat(this.locale, { style: 'percent', ...(numberingSystem ? { numberingSystem } : {}) });
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.ordinalRules = new Intl.PluralRules(this.locale, { type: 'ordinal' });
+        this.digitChars = [...'0123456789'].map(d => this.numberFormat.format(Number(d)));
+        if (persist) {
+            this.save();
+            this.listeners.forEach(fn => fn(this.locale));
+        }
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    get dir() {
+        return LOCALES[this.locale].dir;
+    }
+
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) return key;
+        if (typeof message === 'object') message = this.pick(message, typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other');
+        return this.format(message, params);
+    }
+
+    // 1st, 2nd, ... from the catalog's 'ordinal' forms (Intl ordinal categories)
+    ordinal(n) {
+        const forms = this.lookup('ordinal');
+        if (forms === undefined) return this.number(n);
+        return this.format(typeof forms === 'object' ? this.pick(forms, this.ordinalRules.select(n)) : forms, { count: n });
+    }
+
+    lookup(key) {
+        const message = (MESSAGES[this.locale] || {})[key];
+        return message !== undefined ? message : (MESSAGES[DEFAULT_LOCALE] || {})[key];
+    }
+
+    pick(forms, category) {
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    format(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            return typeof params[name] === 'number' ? this.number(params[name]) : String(params[name]);
+        });
+    }
+
+    number(n) {
+        return this.numberFormat.format(n);
+    }
+
+    // 0-100, as the game stores accuracy
+    percent(n) {
+        return this.percentFormat.format(n / 100);
+    }
+
+    // The locale's digits in text that is already laid out, like '7 × 8'
+    digits(text) {
+        return String(text).replace(/[0-9]/g, d => this.digitChars[d]);
+    }
+
+    /**
+     * Translate the page: [data-i18n] sets the text, data-i18n-placeholder,
+     * -aria-label and -title the attributes, and keypad digits take the
+     * locale's numerals.
+     */
+    apply(root = document) {
+        const html = root.documentElement;
+        if (html) {
+            html.lang = this.locale;
+            html.dir = this.dir;
+        }
+        root.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = this.t(el.dataset.i18n); });
+        ['placeholder', 'aria-label', 'title'].forEach((attr) => {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => el.setAttribute(attr, this.t(el.getAttribute(`data-i18n-${attr}`))));
+        });
+        root.querySelectorAll('button[data-key]').forEach((btn) => {
+            if (/^[0-9]$/.test(btn.dataset.key)) btn.textContent = this.digits(btn.dataset.key);
+        });
+    }
+}
+
+// Shared by every screen; the catalogs in locales/ fill MESSAGES after this
+const i18n = new Translator();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCALES, DEFAULT_LOCALE, MESSAGES, addMessages, matchLocale, asciiDigits, Translator, i18n };
+}
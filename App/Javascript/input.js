@@ -0,0 +1,508 @@
+/**
+ * Input devices for a round. Each one is turned into the same actions, which
+ * Game.handleAction carries out:
+ *
+ *   digit0-9, minus, point, fraction, fire, delete   the answer keys
+ *   pause, mute, readInvaders, targetPrev, targetNext
+ *   freeze, slow, bomb, life                         survival power-ups
+ *   scanSelect                                       the switch, when scanning
+ *   wheelUp, wheelDown, wheelType                    the gamepad digit wheel
+ *
+ * InputSettings keeps the keyboard bindings and the switch scanning options
+ * per device. GamepadInput polls the Gamepad API, SwitchScanner steps through
+ * the keypad for one-switch play, and BindingsScreen is the Controls screen
+ * reached from the settings page.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/input.test.js).
+ */
+
+// The keypad key (data-key) each answer action presses
+const ANSWER_ACTIONS = { minus: '-', point: '.', fraction: '/', fire: 'submit', delete: 'del' };
+for (let d = 0; d <= 9; d++) ANSWER_ACTIONS[`digit${d}`] = String(d);
+
+// Keys are e.key values; single characters are stored in lower case
+const DEFAULT_BINDINGS = {
+    digit0: ['0'], digit1: ['1'], digit2: ['2'], digit3: ['3'], digit4: ['4'],
+    digit5: ['5'], digit6: ['6'], digit7: ['7'], digit8: ['8'], digit9: ['9'],
+    minus: ['-'],
+    point: ['.', ',', '٫'], // a decimal comma counts as a point
+    fraction: ['/'],
+    fire: ['Enter'],
+    delete: ['Backspace'],
+    pause: ['Escape', 'p'],
+    mute: ['m'],
+    readInvaders: ['r'],
+    targetPrev: ['ArrowLeft', 'ArrowUp'],
+    targetNext: ['ArrowRight', 'ArrowDown'],
+    freeze: ['f'],
+    slow: ['s'],
+    bomb: ['b'],
+    life: ['l'],
+    scanSelect: [' '],
+};
+const INPUT_ACTIONS = Object.keys(DEFAULT_BINDINGS);
+
+// How the Controls screen groups the actions
+const ACTION_GROUPS = {
+    answer: ['digit0', 'digit1', 'digit2', 'digit3', 'digit4', 'digit5', 'digit6', 'digit7', 'digit8', 'digit9', 'minus', 'point', 'fraction', 'fire', 'delete'],
+    round: ['pause', 'mute', 'readInvaders', 'targetPrev', 'targetNext', 'scanSelect'],
+    power: ['freeze', 'slow', 'bomb', 'life'],
+};
+
+// Keys that keep their browser meaning and can't be bound
+const RESERVED_KEYS = ['Tab', 'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+
+// Milliseconds each keypad button stays highlighted while scanning
+const SCAN_SPEEDS = { slow: 2000, medium: 1200, fast: 800 };
+
+// Standard gamepad buttons (w3c.github.io/gamepad, "standard" mapping)
+const GAMEPAD_BUTTONS = {
+    0: 'wheelType', // A
+    1: 'delete', // B
+    2: 'fire', // X
+    3: 'readInvaders', // Y
+    4: 'targetPrev', // left bumper
+    5: 'targetNext', // right bumper
+    7: 'fire', // right trigger
+    8: 'mute', // back / select
+    9: 'pause', // start
+    12: 'wheelUp', // d-pad
+    13: 'wheelDown',
+    14: 'targetPrev',
+    15: 'targetNext',
+};
+// Holding the d-pad keeps turning the wheel
+const GAMEPAD_REPEAT = { actions: ['wheelUp', 'wheelDown'], delayMs: 400, everyMs: 150 };
+
+// e.key as stored in the bindings: Arabic-Indic digits as 0-9, letters in lower case
+function normalizeKey(key) {
+    const text = asciiDigits(key);
+    return text.length === 1 ? text.toLowerCase() : text;
+}
+
+// The action `key` (an e.key value) is bound to in `bindings`, or null
+function actionForKey(key, bindings) {
+    const normalized = normalizeKey(key);
+    return INPUT_ACTIONS.find(action => (bindings[action] || []).includes(normalized)) || null;
+}
+
+// A browser shortcut (Ctrl/Cmd/Alt + key) that no binding should take over;
+// AltGr, which some layouts need for digits and signs, still types
+function isShortcut(e) {
+    const altGraph = typeof e.getModifierState === 'function' && e.getModifierState('AltGraph');
+    return !altGraph && Boolean(e.ctrlKey || e.metaKey || e.altKey);
+}
+
+/**
+ * Keyboard bindings (action -> keys) and switch scanning options, saved per
+ * device. A key belongs to one action at most; binding it again moves it.
+ */
+class InputSettings {
+    constructor(storageKey = 'mathInvaders.input') {
+        this.storageKey = storageKey;
+        this.bindings = {};
+        this.values = {};
+        this.load();
+    }
+
+    load() {
+        let stored = null;
+        try { stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null'); }
+        catch (e) { console.warn('Could not load input settings', e); }
+        stored = stored && typeof stored === 'object' ? stored : {};
+        const saved = stored.bindings && typeof stored.bindings === 'object' ? stored.bindings : {};
+        this.bindings = {};
+        const used = new Set();
+        const take = keys => keys.filter(key => typeof key === 'string' && key && !RESERVED_KEYS.includes(key)).map(normalizeKey).filter((key) => {
+            if (used.has(key)) return false;
+            used.add(key);
+            return true;
+        });
+        // Saved choices first, so an action added later doesn't take a key back with its default
+        INPUT_ACTIONS.forEach((action) => { if (Array.isArray(saved[action])) this.bindings[action] = take(saved[action]); });
+        INPUT_ACTIONS.forEach((action) => { if (!this.bindings[action]) this.bindings[action] = take(DEFAULT_BINDINGS[action]); });
+        this.values = {
+            scanning: stored.scanning === true,
+            scanSpeed: SCAN_SPEEDS[stored.scanSpeed] ? stored.scanSpeed : 'medium',
+        };
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify({ bindings: this.bindings, ...this.values })); }
+        catch (e) { console.warn('Could not save input settings', e); }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+    }
+
+    scanInterval() {
+        return SCAN_SPEEDS[this.values.scanSpeed];
+    }
+
+    keys(action) {
+        return this.bindings[action] || [];
+    }
+
+    // The action bound to an e.key value, or null
+    actionFor(key) {
+        return actionForKey(key, this.bindings);
+    }
+
+    // The keypad key an e.key value types, or null
+    answerKey(key) {
+        return ANSWER_ACTIONS[this.actionFor(key)] || null;
+    }
+
+    /**
+     * Add `key` to `action`. Returns the action it was taken from, or null.
+     * Throws for keys that can't be bound.
+     */
+    bind(action, key) {
+        if (!DEFAULT_BINDINGS[action]) throw new Error(`Unknown action "${action}"`);
+        if (RESERVED_KEYS.includes(key)) throw new Error(`${key} can't be bound`);
+        const normalized = normalizeKey(key);
+        const previous = this.actionFor(normalized);
+        if (previous === action) return null;
+        if (previous) this.bindings[previous] = this.bindings[previous].filter(k => k !== normalized);
+        this.bindings[action] = [...this.bindings[action], normalized];
+        this.save();
+        return previous;
+    }
+
+    unbind(action, key) {
+        if (!this.bindings[action]) return;
+        this.bindings[action] = this.bindings[action].filter(k => k !== key);
+        this.save();
+    }
+
+    reset() {
+        this.bindings = {};
+        INPUT_ACTIONS.forEach((action) => { this.bindings[action] = [...DEFAULT_BINDINGS[action]]; });
+        this.save();
+    }
+}
+
+// The gamepad's digit wheel: the keys of a round, one selected at a time
+class DigitWheel {
+    constructor(keys = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']) {
+        this.keys = keys;
+        this.index = 0;
+    }
+
+    setKeys(keys) {
+        const current = this.current();
+        this.keys = keys;
+        this.index = Math.max(0, keys.indexOf(current));
+    }
+
+    current() {
+        return this.keys[this.index];
+    }
+
+    // Up is +1: 0 -> 1 ... 9 -> the symbols -> 0
+    move(step) {
+        this.index = (this.index + step + this.keys.length) % this.keys.length;
+        return this.current();
+    }
+}
+
+/**
+ * Turns gamepad buttons into actions for `onAction`. The Gamepad API has no
+ * button events, so connected pads are polled each animation frame.
+ */
+class GamepadInput {
+    constructor(onAction, { getGamepads = () => (navigator.getGamepads ? navigator.getGamepads() : []), win = window } = {}) {
+        this.onAction = onAction;
+        this.getGamepads = getGamepads;
+        this.win = win;
+        this.held = new Map(); // "pad:button" -> { since, last } while pressed
+        this.loopId = null;
+        this.onChange = () => {}; // a pad was connected or disconnected
+        win.addEventListener('gamepadconnected', () => { this.start(); this.onChange(); });
+        win.addEventListener('gamepaddisconnected', () => {
+            if (!this.pads().length) this.stop();
+            this.onChange();
+        });
+    }
+
+    pads() {
+        return Array.from(this.getGamepads() || []).filter(Boolean);
+    }
+
+    start() {
+        if (this.loopId !== null) return;
+        const loop = (now) => {
+            this.poll(now);
+            this.loopId = this.win.requestAnimationFrame(loop);
+        };
+        this.loopId = this.win.requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.loopId !== null) this.win.cancelAnimationFrame(this.loopId);
+        this.loopId = null;
+        this.held.clear();
+    }
+
+    // Fire an action for each newly pressed button, and for held d-pad buttons
+    poll(now) {
+        this.pads().forEach((pad) => {
+            Array.from(pad.buttons || []).forEach((button, i) => {
+                const action = GAMEPAD_BUTTONS[i];
+                if (!action) return;
+                const id = `${pad.index}:${i}`;
+                const pressed = typeof button === 'object' ? button.pressed : button > 0.5;
+                if (!pressed) { this.held.delete(id); return; }
+                const held = this.held.get(id);
+                if (!held) {
+                    this.held.set(id, { since: now, last: now });
+                    this.onAction(action);
+                } else if (GAMEPAD_REPEAT.actions.includes(action) && now - held.since >= GAMEPAD_REPEAT.delayMs && now - held.last >= GAMEPAD_REPEAT.everyMs) {
+                    held.last = now;
+                    this.onAction(action);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * One-switch play: highlights the buttons from `items()` in turn and clicks
+ * the highlighted one on select(). Disabled buttons are skipped, and each
+ * selection starts again from the first button.
+ */
+class SwitchScanner {
+    constructor(items, intervalMs = SCAN_SPEEDS.medium) {
+        this.items = items;
+        this.intervalMs = intervalMs;
+        this.index = -1;
+        this.current = null;
+        this.timer = null;
+    }
+
+    get active() {
+        return this.timer !== null;
+    }
+
+    start(intervalMs = this.intervalMs) {
+        this.stop();
+        this.intervalMs = intervalMs;
+        this.index = -1;
+        this.step();
+        this.timer = setInterval(() => this.step(), this.intervalMs);
+    }
+
+    stop() {
+        if (this.timer !== null) clearInterval(this.timer);
+        this.timer = null;
+        this.highlight(null);
+    }
+
+    // Begin again from the first button, e.g. when the buttons on screen change
+    restart() {
+        if (this.active) this.start();
+    }
+
+    step() {
+        const items = this.items().filter(el => !el.disabled);
+        if (!items.length) { this.highlight(null); return; }
+        this.index = (this.index + 1) % items.length;
+        this.highlight(items[this.index]);
+    }
+
+    select() {
+        const el = this.current;
+        if (!el) return;
+        el.click();
+        this.restart();
+    }
+
+    highlight(el) {
+        this.current?.classList.remove('scan-focus');
+        this.current = el;
+        el?.classList.add('scan-focus');
+    }
+}
+
+// Catalog keys for the actions the game already names elsewhere
+const ACTION_LABELS = {
+    minus: 'game.minusKey', point: 'game.pointKey', fraction: 'game.fractionKey', fire: 'game.fire', delete: 'game.delete',
+    mute: 'game.mute', freeze: 'power.freeze', slow: 'power.slow', bomb: 'power.bomb', life: 'power.life',
+};
+
+function actionLabel(action) {
+    const digit = /^digit(\d)$/.exec(action);
+    if (digit) return i18n.t('controls.action.digit', { digit: i18n.number(Number(digit[1])) });
+    return i18n.t(ACTION_LABELS[action] || `controls.action.${action}`);
+}
+
+// A key as shown on the Controls screen
+function keyLabel(key) {
+    const names = { ' ': i18n.t('controls.space'), ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+    if (names[key]) return names[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * The Controls screen: each action's keys, with buttons to add and remove
+ * keys, the switch scanning options and the gamepad layout. `game` is the
+ * solo Game, whose InputSettings and GamepadInput it shows.
+ */
+class BindingsScreen {
+    constructor(game) {
+        this.game = game;
+        this.screen = document.getElementById('controls-screen');
+        this.list = document.getElementById('controls-list');
+        this.message = document.getElementById('controls-message');
+        this.gamepadStatus = document.getElementById('controls-gamepad');
+        this.scanning = document.getElementById('controls-scanning');
+        this.capturing = null; // { action, button } while waiting for a key
+        this.onBack = null;
+
+        // onBack hides this screen along with the others
+        document.getElementById('controls-back')?.addEventListener('click', () => (this.onBack ? this.onBack() : this.close()));
+        document.getElementById('controls-reset')?.addEventListener('click', () => {
+            this.game.input.reset();
+            this.render();
+            this.say(i18n.t('controls.resetDone'));
+        });
+        if (this.scanning) this.scanning.addEventListener('change', () => this.game.input.set('scanning', this.scanning.checked));
+        document.querySelectorAll('input[name="scan_speed"]').forEach(radio => radio.addEventListener('change', () => {
+            if (radio.checked) this.game.input.set('scanSpeed', radio.value);
+        }));
+        if (this.list) this.list.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.remove !== undefined) {
+                this.game.input.unbind(btn.dataset.action, btn.dataset.remove);
+                this.render();
+                this.list.querySelector(`button[data-add="${btn.dataset.action}"]`)?.focus();
+            } else if (btn.dataset.add) this.capture(btn.dataset.add, btn);
+        });
+        // Capture before any other keydown handler sees the key
+        document.addEventListener('keydown', e => this.captureKey(e), true);
+        i18n.onChange(() => { if (this.isOpen()) this.render(); });
+    }
+
+    isOpen() {
+        return Boolean(this.screen && this.screen.style.display === 'block');
+    }
+
+    open(onBack) {
+        this.onBack = onBack;
+        if (this.screen) this.screen.style.display = 'block';
+        if (this.scanning) this.scanning.checked = this.game.input.get('scanning');
+        document.querySelectorAll('input[name="scan_speed"]').forEach((radio) => { radio.checked = radio.value === this.game.input.get('scanSpeed'); });
+        this.game.gamepad.onChange = () => this.showGamepad();
+        this.showGamepad();
+        this.say('');
+        this.render();
+        document.getElementById('controls-title')?.focus();
+    }
+
+    close() {
+        this.capturing = null;
+        this.game.gamepad.onChange = () => {};
+        if (this.screen) this.screen.style.display = 'none';
+    }
+
+    render() {
+        if (!this.list) return;
+        this.capturing = null;
+        this.list.replaceChildren(...Object.entries(ACTION_GROUPS).map(([group, actions]) => {
+            const section = document.createElement('section');
+            section.className = 'space-y-1';
+            const heading = document.createElement('h3');
+            heading.className = 'text-lg font-semibold text-gray-700';
+            heading.textContent = i18n.t(`controls.group.${group}`);
+            section.appendChild(heading);
+            actions.forEach(action => section.appendChild(this.row(action)));
+            return section;
+        }));
+    }
+
+    row(action) {
+        const row = document.createElement('div');
+        row.className = 'binding-row flex flex-wrap items-center gap-2 p-2 border rounded-lg';
+        const name = document.createElement('span');
+        name.className = 'flex-1 min-w-[40%] font-medium';
+        name.textContent = actionLabel(action);
+        row.appendChild(name);
+        const keys = this.game.input.keys(action);
+        keys.forEach((key) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'binding-key px-2 py-1 bg-gray-100 border rounded font-mono hover:bg-red-50';
+            chip.dataset.action = action;
+            chip.dataset.remove = key;
+            chip.textContent = `${keyLabel(key)} ×`;
+            chip.setAttribute('aria-label', i18n.t('controls.remove', { key: keyLabel(key), action: actionLabel(action) }));
+            row.appendChild(chip);
+        });
+        if (!keys.length) {
+            const none = document.createElement('span');
+            none.className = 'text-gray-500 text-sm';
+            none.textContent = i18n.t('controls.noKeys');
+            row.appendChild(none);
+        }
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'px-3 py-1 border rounded-lg font-semibold text-indigo-700 hover:bg-indigo-50';
+        add.dataset.add = action;
+        add.textContent = i18n.t('controls.add');
+        add.setAttribute('aria-label', i18n.t('controls.addLabel', { action: actionLabel(action) }));
+        row.appendChild(add);
+        return row;
+    }
+
+    // Wait for the next key press and bind it to `action`
+    capture(action, button) {
+        if (this.capturing) this.capturing.button.textContent = i18n.t('controls.add');
+        this.capturing = { action, button };
+        button.textContent = i18n.t('controls.pressKey');
+        this.say(i18n.t('controls.pressKeyFor', { action: actionLabel(action) }));
+    }
+
+    captureKey(e) {
+        if (!this.capturing || !this.isOpen()) return;
+        if (['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock'].includes(e.key)) return; // wait for the key itself
+        if (isShortcut(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const { action } = this.capturing;
+        if (e.key === 'Escape') {
+            this.render();
+            this.say(i18n.t('controls.cancelled'));
+        } else if (RESERVED_KEYS.includes(e.key)) {
+            this.say(i18n.t('controls.reserved', { key: e.key }));
+            return;
+        } else {
+            const previous = this.game.input.bind(action, e.key);
+            this.render();
+            const params = { key: keyLabel(normalizeKey(e.key)), action: actionLabel(action) };
+            this.say(previous ? i18n.t('controls.moved', { ...params, previous: actionLabel(previous) }) : i18n.t('controls.bound', params));
+        }
+        this.list?.querySelector(`button[data-add="${action}"]`)?.focus();
+    }
+
+    showGamepad() {
+        if (!this.gamepadStatus) return;
+        const pads = this.game.gamepad.pads();
+        this.gamepadStatus.textContent = pads.length ? i18n.t('controls.gamepadConnected', { name: pads[0].id }) : i18n.t('controls.gamepadNone');
+    }
+
+    say(text) {
+        if (this.message) this.message.textContent = text;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ANSWER_ACTIONS, DEFAULT_BINDINGS, INPUT_ACTIONS, SCAN_SPEEDS, GAMEPAD_BUTTONS, normalizeKey, actionForKey, isShortcut, InputSettings, DigitWheel, GamepadInput, SwitchScanner };
+}
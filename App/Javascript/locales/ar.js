@@ -0,0 +1,411 @@
+// Arabic (right to left; numbers use Arabic-Indic digits, see LOCALES in i18n.js)
+addMessages('ar', {
+    'app.title': 'غزاة الحقائق الرياضية',
+    'update.ready': 'يتوفر إصدار جديد من اللعبة.',
+    'update.reload': 'إعادة التحميل',
+    'ordinal': '{count}',
+
+    // Settings screen
+    'language.label': 'اللغة:',
+    'student.label': 'الطالب:',
+    'student.guest': 'ضيف',
+    'student.remove': 'حذف',
+    'student.progress': 'التقدم',
+    'student.newName': 'اسم الطالب الجديد',
+    'student.add': 'إضافة',
+    'student.removeConfirm': 'هل تريد حذف {name} وكل سجله؟',
+    'assignment.legend': 'الواجب (اختياري):',
+    'assignment.label': 'الواجب:',
+    'assignment.copy': 'نسخ رمز المشاركة',
+    'assignment.copied': 'تم النسخ!',
+    'assignment.sharePrompt': 'رمز المشاركة:',
+    'assignment.clear': 'مسح',
+    'assignment.codePlaceholder': 'الصق رمز مشاركة',
+    'assignment.load': 'تحميل',
+    'assignment.openFile': 'فتح ملف',
+    'assignment.untitled': 'واجب بلا عنوان',
+    'assignment.readError': 'تعذرت قراءة هذا الملف.',
+    'assignment.loadError': 'تعذر تحميل الواجب: {error}',
+    'race.legend': 'سباق الصف:',
+    'race.code': 'رمز السباق',
+    'race.name': 'اسمك',
+    'race.nameLabel': 'اسمك في السباق',
+    'race.join': 'انضمام',
+    'difficulty.legend': '١. اختر مستوى الصعوبة:',
+    'difficulty.single': 'رقم واحد',
+    'difficulty.singleExample': '(مثل ٧ × ٥)',
+    'difficulty.double': 'رقمان',
+    'difficulty.doubleExample': '(مثل ١٢ × ٨)',
+    'operation.legend': '٢. اختر العملية:',
+    'operation.multiply': '× الضرب',
+    'operation.add': '+ الجمع',
+    'operation.subtract': '− الطرح',
+    'operation.divide': '÷ القسمة',
+    'operation.mixed': 'مختلط',
+    'operation.mixedHint': '(العمليات الأربع)',
+    'mode.legend': '٣. اختر نمط اللعب:',
+    'mode.time': 'وقت محدد',
+    'mode.timeHint': 'نقاط بلا حد في وقت محدد.',
+    'mode.score': 'هدف النقاط',
+    'mode.scoreHint': 'وقت بلا حد للوصول إلى هدف.',
+    'mode.campaign': 'الحملة',
+    'mode.campaignHint': 'مستويات من ×٢ إلى ×١٢ تُفتح كلما تقدمت.',
+    'speed.legend': '٤. اختر السرعة:',
+    'speed.easy': 'سهلة',
+    'speed.intermediate': 'متوسطة',
+    'speed.fast': 'سريعة',
+    'multiplier.legend': '٥. التركيز على المضروب (العدد الأوسط):',
+    'multiplier.random': 'عشوائي',
+    'multiplier.fixed': 'ثابت',
+    'multiplier.adaptive': 'متكيف',
+    'multiplier.fixedLabel': 'المضروب الثابت:',
+    'limit.time': '٦. حدد الوقت (بالثواني):',
+    'limit.score': '٦. حدد هدف النقاط:',
+    'players.legend': 'اللاعبون:',
+    'players.solo': 'لاعب واحد',
+    'players.split': 'لاعبان',
+    'players.splitHint': 'جنبًا إلى جنب: لوحة الأرقام مقابل لوحة المفاتيح',
+    'players.hotseat': 'بالتناوب',
+    'players.hotseatHint': 'لاعبان ولوحة أرقام واحدة',
+    'players.one': 'اللاعب ١',
+    'players.two': 'اللاعب ٢',
+    'players.oneName': 'اسم اللاعب ١',
+    'players.twoName': 'اسم اللاعب ٢',
+    'theme.legend': 'المظهر:',
+    'theme.classic': 'كلاسيكي',
+    'theme.ships': 'سفن فضائية',
+    'theme.balloons': 'بالونات',
+    'theme.contrast': 'تباين عالٍ',
+    'a11y.legend': 'إمكانية الوصول:',
+    'a11y.noTimePressure': 'بلا ضغط الوقت',
+    'a11y.noTimePressureHint': 'بلا عد تنازلي، ويتوقف الغزاة قبل أن يصلوا إلى الأسفل. تُلعب الجولات حتى هدف النقاط.',
+    'a11y.reducedMotion': 'تقليل الحركة',
+    'a11y.reducedMotionHint': 'بلا مؤثرات انفجار أو ألعاب نارية.',
+    'a11y.textSize': 'حجم النص',
+    'a11y.textStandard': 'نص عادي',
+    'a11y.textLarge': 'نص كبير',
+    'a11y.textDyslexic': 'مناسب لعسر القراءة',
+    'a11y.keyboardHelp': 'لوحة المفاتيح: يتنقل Tab ومفاتيح الأسهم بين هذه الإعدادات. أثناء الجولة، اكتب الإجابات بمفاتيح الأرقام، ويطلق Enter، ويحذف Backspace، ويوقف Esc أو P مؤقتًا، ويكتم M الصوت، ويقرأ R الغزاة الظاهرين على الشاشة. يمكنك تغيير هذه المفاتيح في عناصر التحكم.',
+    'sound.legend': 'الصوت:',
+    'sound.volume': 'مستوى الصوت',
+    'sound.mute': 'كتم',
+    'sound.music': 'موسيقى الخلفية',
+    'sound.quiet': 'صف هادئ',
+    'sound.quietHint': 'لا صوت على الإطلاق مهما كان مستوى الصوت. أضف ?quiet=1 إلى رابط لتفعيله لكل من يفتحه.',
+    'settings.back': 'العودة إلى الإعدادات',
+    'start.game': 'ابدأ اللعبة',
+    'start.campaign': 'اختر مستوى',
+
+    // Campaign
+    'campaign.title': 'الحملة',
+    'campaign.intro': 'اجتز مستوى لفتح المستوى التالي. إذا عبر ٥ غزاة تخسر المستوى.',
+    'campaign.starsTotal': '{stars} / {total} نجمة',
+    'campaign.levelButton': '{id}. {title}',
+    'campaign.levelLabel': 'المستوى {id}، {title}، {stars} من ٣ نجوم',
+    'campaign.levelLockedLabel': 'المستوى {id}، {title}، مقفل',
+    'campaign.levelDetail': 'الوصول إلى {target} · {speed}',
+    'campaign.locked': 'مقفل',
+    'campaign.levelStart': 'المستوى {id}: {title}. صل إلى {target} قبل أن يعبر {misses} غزاة.',
+    'campaign.lost': 'خسرت المستوى {id}: عبر {misses} غزاة.',
+    'campaign.notCleared': 'لم تجتز المستوى {id}.',
+    'campaign.complete': 'اكتملت الحملة! {stars} من ٣ نجوم.',
+    'campaign.completeBest': 'اكتملت الحملة! {stars} من ٣ نجوم، رقم قياسي جديد.',
+    'campaign.cleared': 'اجتزت المستوى {id} بـ {stars} من ٣ نجوم!',
+    'campaign.clearedBest': 'اجتزت المستوى {id} بـ {stars} من ٣ نجوم، رقم قياسي جديد!',
+    'campaign.nextLevel': 'المستوى التالي',
+    'campaign.levelSelect': 'اختيار المستوى',
+    'campaign.level.1': '×٢ و×٥',
+    'campaign.level.2': '×٣ و×٤',
+    'campaign.level.3': '×١٠ و×١١',
+    'campaign.level.4': 'الزعيم: من ×٢ إلى ×٥، ×١٠، ×١١',
+    'campaign.level.5': '×٦ و×٩',
+    'campaign.level.6': '×٧ و×٨',
+    'campaign.level.7': '×١٢',
+    'campaign.level.8': 'الزعيم الأخير: من ×١ إلى ×١٢',
+
+    // Classroom race (student side)
+    'race.title': 'السباق {code}',
+    'race.banner': 'سباق',
+    'race.rejoin': 'العودة إلى السباق',
+    'race.players': 'اللاعبون في هذا السباق',
+    'race.leave': 'مغادرة السباق',
+    'race.needCode': 'أدخل رمز السباق الذي أعطاك إياه معلمك.',
+    'race.needName': 'أدخل اسمك للانضمام.',
+    'race.needServer': 'تحتاج السباقات إلى فتح اللعبة من خادم الصف.',
+    'race.replaced': 'فُتح هذا السباق في نافذة أخرى.',
+    'race.joining': 'جارٍ الانضمام إلى السباق…',
+    'race.joined': 'انضممت إلى السباق {code} باسم {name}.',
+    'race.getReady': 'استعد… {seconds}',
+    'race.starting': 'السباق على وشك أن يبدأ. استعد!',
+    'race.go': 'انطلق!',
+    'race.waitingForClass': 'في انتظار أن ينتهي بقية الصف…',
+    'race.over': 'انتهى السباق.',
+    'race.place': 'انتهى السباق: حللت في المركز {place} من {total} بـ {right} إجابة صحيحة!',
+    'race.on': 'بدأ السباق!',
+    'race.waitingForTeacher': 'في انتظار أن يبدأ معلمك السباق…',
+    'race.disconnected': 'غير متصل',
+    'race.status.connecting': 'جارٍ الاتصال…',
+    'race.status.open': 'متصل',
+    'race.status.reconnecting': 'جارٍ إعادة الاتصال…',
+    'race.status.closed': 'غير متصل',
+    'race.lostConnection': 'انقطع الاتصال بالسباق. جارٍ إعادة الاتصال…',
+    'race.backToRace': 'العودة إلى السباق',
+
+    // A round
+    'game.right': 'صحيح',
+    'game.wrong': 'خطأ',
+    'game.points': 'النقاط:',
+    'game.time': 'الوقت: {seconds} ث',
+    'game.score': 'النتيجة: {right} / {limit}',
+    'game.streak': 'سلسلة {count}',
+    'game.pause': 'إيقاف مؤقت',
+    'game.pauseTitle': 'إيقاف مؤقت (Esc أو P)',
+    'game.resume': 'متابعة',
+    'game.mute': 'كتم',
+    'game.unmute': 'إلغاء الكتم',
+    'game.muteTitle': 'كتم (M)',
+    'game.quit': 'خروج',
+    'game.paused': 'متوقف مؤقتًا',
+    'game.areaLabel': 'منطقة اللعب. اكتب الإجابات بمفاتيح الأرقام واضغط Enter. اضغط R لسماع الغزاة الظاهرين على الشاشة.',
+    'game.delete': 'حذف',
+    'game.deleteKey': 'حذف',
+    'game.fire': 'أطلق الإجابة',
+    'game.fireKey': '✓ انطلق',
+    'game.correct': 'صحيح!',
+    'game.wrongAlert': 'خطأ!',
+    'announce.newProblem': 'مسألة جديدة: {fact}.',
+    'announce.missed': 'فاتتك {fact} = {answer}.',
+    'announce.correct': 'صحيح! {fact} = {answer}.',
+    'announce.wrong': 'خطأ، {answer} ليست إجابة. حاول مرة أخرى.',
+    'announce.center': 'العدد الأوسط الآن {center}.',
+    'announce.secondsLeft': {
+        zero: 'لم تبق أي ثانية.',
+        one: 'بقيت ثانية واحدة.',
+        two: 'بقيت ثانيتان.',
+        few: 'بقيت {count} ثوانٍ.',
+        many: 'بقيت {count} ثانية.',
+        other: 'بقيت {count} ثانية.',
+    },
+    'announce.noInvaders': 'لا يوجد غزاة على الشاشة.',
+    'announce.invaders': {
+        one: 'غازٍ واحد على الشاشة: {facts}.',
+        two: 'غازيان على الشاشة، الأدنى أولًا: {facts}.',
+        few: '{count} غزاة على الشاشة، الأدنى أولًا: {facts}.',
+        other: '{count} غازيًا على الشاشة، الأدنى أولًا: {facts}.',
+    },
+    'announce.paused': 'متوقف مؤقتًا.',
+    'announce.resumed': 'تمت المتابعة.',
+    'announce.soundOn': 'الصوت مفعّل.',
+    'announce.soundOff': 'الصوت مكتوم.',
+
+    // Game over
+    'gameOver.title': 'انتهت اللعبة!',
+    'gameOver.win': 'لقد فزت!',
+    'gameOver.lost': 'لقد خسرت!',
+    'gameOver.celebrate': 'لقد فزت!',
+    'gameOver.finalRight': 'النتيجة النهائية (صحيح)',
+    'gameOver.finalWrong': 'النتيجة النهائية (خطأ)',
+    'gameOver.points': 'النقاط',
+    'gameOver.bestStreak': 'أفضل سلسلة: {count}',
+    'gameOver.summary': '{title} {right} صحيحة، {wrong} خاطئة.',
+    'gameOver.passed': 'نجحت في الواجب بدقة {accuracy}!',
+    'gameOver.failed': 'الدقة {accuracy}. يلزم {required} للنجاح. حاول مرة أخرى!',
+    'gameOver.saveJson': 'حفظ النتيجة (JSON)',
+    'gameOver.saveCsv': 'حفظ النتيجة (CSV)',
+    'gameOver.playAgain': 'العب مرة أخرى',
+    'gameOver.playLevelAgain': 'أعد المستوى',
+    'highScores.title': 'أعلى النتائج',
+    'highScores.newEntry': 'نتيجة عالية جديدة! أدخل اسمك:',
+    'highScores.newEntryAnnounce': 'نتيجة عالية جديدة! اكتب اسمك واضغط Enter.',
+    'highScores.save': 'حفظ',
+    'highScores.empty': 'لا توجد نتائج عالية لهذه الإعدادات بعد.',
+    'highScores.row': '{points} نقطة · {accuracy}',
+    'highScores.saved': 'تم الحفظ. ترتيبك {rank}.',
+    'highScores.campaign': 'الحملة، المستوى {id}: {title}',
+    'highScores.single': 'رقم واحد',
+    'highScores.double': 'رقمان',
+    'highScores.seconds': '{seconds} ث',
+    'highScores.firstTo': 'أول من يصل إلى {limit}',
+    'sync.sending': 'جارٍ الحفظ…',
+    'sync.synced': 'حُفظت في نتائج الصف.',
+    'sync.queued': 'حُفظت على هذا الجهاز. ستُرسل إلى نتائج الصف عندما يتوفر الخادم.',
+    'sync.rejected': 'حُفظت على هذا الجهاز، لكن خادم نتائج الصف لم يقبل هذه الجولة.',
+    'sync.local': 'حُفظت على هذا الجهاز.',
+
+    // Versus
+    'versus.pauseTitle': 'إيقاف مؤقت (Esc)',
+    'versus.pts': 'نقطة',
+    'versus.keyboardHelp': 'لوحة المفاتيح: اكتب بمفاتيح الأرقام، ويطلق Enter، ويحذف Backspace.',
+    'versus.startTurn': 'ابدأ الدور',
+    'versus.split': '{first}: لوحة الأرقام · {second}: لوحة المفاتيح',
+    'versus.turn': 'دور {name} (الجولة {round} من {total})',
+    'versus.passDevice': '{turn}. مرّر الجهاز!',
+    'versus.turnAnnounce': '{turn}. اضغط ابدأ الدور عندما تكون مستعدًا.',
+    'versus.firstTo': 'أول من يصل إلى {limit}',
+    'versus.scored': 'سجّل {name} {points} نقطة.',
+    'versus.tie': 'تعادل!',
+    'versus.wins': 'فاز {name}!',
+    'versus.playerResult': '{name}: {points} نقطة، {right} صحيحة، {wrong} خاطئة.',
+    'versus.player': 'اللاعب',
+    'versus.points': 'النقاط',
+    'versus.right': 'صحيح',
+    'versus.wrong': 'خطأ',
+    'versus.accuracy': 'الدقة',
+    'versus.bestStreak': 'أفضل سلسلة',
+    'versus.rematch': 'مباراة أخرى',
+    'versus.settings': 'الإعدادات',
+
+    // Progress dashboard
+    'dashboard.title': 'التقدم:',
+    'dashboard.trend': 'الدقة في كل جلسة',
+    'dashboard.missed': 'أكثر الحقائق خطأً',
+    'dashboard.heatmap': 'دقة الحقائق',
+    'dashboard.recent': 'الجلسات الأخيرة',
+    'dashboard.date': 'التاريخ',
+    'dashboard.settings': 'الإعدادات',
+    'dashboard.right': 'صحيح',
+    'dashboard.wrong': 'خطأ',
+    'dashboard.accuracy': 'الدقة',
+    'dashboard.exportJson': 'تصدير النتائج (JSON)',
+    'dashboard.exportCsv': 'تصدير النتائج (CSV)',
+    'dashboard.sessions': 'الجلسات',
+    'dashboard.lastPlayed': 'آخر لعب',
+    'dashboard.noSessions': 'لا توجد جلسات بعد.',
+    'dashboard.noMissed': 'لم تُسجل أي حقائق خاطئة.',
+    'dashboard.session': '{date}: {right} صحيحة، {wrong} خاطئة ({accuracy})',
+    'dashboard.cell': '{fact}: {right}/{attempts} ({accuracy})',
+    'dashboard.notPractised': '{fact}: لم يُتدرَّب عليها بعد',
+    'dashboard.replay': 'الإعادة',
+    'dashboard.watch': '▶ شاهد',
+    'dashboard.watchLabel': 'شاهد جولة {date}',
+    'replay.title': 'الإعادة',
+    'replay.watch': 'شاهد الإعادة',
+    'replay.play': 'تشغيل',
+    'replay.pause': 'إيقاف مؤقت',
+    'replay.stepBack': 'خطوة للخلف',
+    'replay.stepForward': 'خطوة للأمام',
+    'replay.speed': 'السرعة',
+    'replay.speedNormal': '١×',
+    'replay.speedDouble': '٢×',
+    'replay.timeline': 'الخط الزمني',
+    'replay.position': '{time} / {total}',
+    'replay.legendWrong': 'إجابة خاطئة',
+    'replay.legendMiss': 'أفلت',
+    'replay.markWrong': 'إجابة خاطئة {answer} عند {time}',
+    'replay.markMiss': 'أفلت {fact} عند {time}',
+    'replay.back': 'رجوع',
+    'replay.event.start': 'بدأت الجولة.',
+    'replay.event.spawn': 'غازٍ جديد: {fact}',
+    'replay.event.key': 'كتب {answer}',
+    'replay.event.delete': 'حذف رقمًا',
+    'replay.event.right': 'أطلق {answer}: دُمّر {fact}',
+    'replay.event.wrong': 'أطلق {answer}: خطأ',
+    'replay.event.miss': 'أفلت {fact} = {answer}',
+    'problemFormat.legend': 'شكل المسألة:',
+    'problemFormat.standard': 'عادي',
+    'problemFormat.standardHint': '٧ × ٨',
+    'problemFormat.missing': 'العامل المجهول',
+    'problemFormat.missingHint': '٨ × ? = ٥٦',
+    'problemFormat.reverse': 'معكوس',
+    'problemFormat.reverseHint': '٥٦ = ? × ٨',
+    'targeting.label': 'اختر غازيًا قبل الإجابة',
+    'targeting.hint': 'المس غازيًا أو استخدم مفاتيح الأسهم لاختياره، ثم اكتب إجابته.',
+    'game.pickTarget': 'اختر غازيًا أولًا!',
+    'game.areaLabelTargeting': 'منطقة اللعب. استخدم مفاتيح الأسهم لاختيار غازٍ، واكتب إجابته بمفاتيح الأرقام واضغط Enter. اضغط R لسماع الغزاة على الشاشة.',
+    'announce.target': 'تم اختيار {fact}.',
+    'replay.event.target': 'اختار {fact}',
+    'mode.survival': 'البقاء',
+    'mode.survivalHint': 'حافظ على درعك. سلاسل الإجابات تمنحك قوى خاصة.',
+    'limit.lives': '٦. حدد عدد الأرواح (١-٩):',
+    'game.lives': 'الدرع: {lives} / {max}',
+    'game.shield': 'الدرع',
+    'power.freeze': 'تجميد الوقت',
+    'power.slow': 'الحركة البطيئة',
+    'power.bomb': 'القنبلة',
+    'power.life': 'روح إضافية',
+    'power.freezeTitle': 'تجميد الوقت (F)',
+    'power.slowTitle': 'الحركة البطيئة (S)',
+    'power.bombTitle': 'إزالة أدنى غازٍ (B)',
+    'power.lifeTitle': 'روح إضافية (L)',
+    'power.label': '{name}: المتبقي {count}',
+    'announce.lives': {
+        zero: 'لم تبق أي روح.',
+        one: 'بقيت روح واحدة.',
+        two: 'بقيت روحان.',
+        few: 'بقيت {count} أرواح.',
+        many: 'بقيت {count} روحًا.',
+        other: 'بقيت {count} روح.',
+    },
+    'announce.powerUpEarned': 'قوة خاصة: {name}. اضغط {key} لاستخدامها.',
+    'announce.powerUpUsed': '{name}!',
+    'announce.powerUpUnavailable': 'لا تملك {name}.',
+    'gameOver.survived': 'انهار الدرع! صمدت {time}.',
+    'highScores.lives': {
+        zero: 'بلا أرواح',
+        one: 'روح واحدة',
+        two: 'روحان',
+        few: '{count} أرواح',
+        many: '{count} روحًا',
+        other: '{count} روح',
+    },
+    'replay.event.powerEarned': 'حصل على {name}',
+    'replay.event.powerUsed': 'استخدم {name}',
+    'numbers.legend': 'الأعداد:',
+    'numbers.whole': 'أعداد صحيحة',
+    'numbers.wholeHint': '٧ × ٨',
+    'numbers.tenths': 'أعشار',
+    'numbers.tenthsHint': '٠٫٧ × ٨',
+    'numbers.hundredths': 'أجزاء من مئة',
+    'numbers.hundredthsHint': '٠٫٧٥ × ٨',
+    'numbers.fractions': 'كسور',
+    'numbers.fractionsHint': '٣/٤ × ٨',
+    'range.label': 'استخدم نطاقًا مخصصًا',
+    'range.hint': 'اختر أصغر عدد وأكبر عدد، مثل ×١٣ إلى ×٢٠. الأعداد السالبة مسموح بها.',
+    'range.baseMin': 'أعداد الغزاة من:',
+    'range.baseMax': 'إلى:',
+    'range.operandMin': 'أعداد المركز من:',
+    'range.operandMax': 'إلى:',
+    'game.minusKey': 'إشارة السالب',
+    'game.pointKey': 'الفاصلة العشرية',
+    'game.fractionKey': 'خط الكسر',
+    'controls.open': 'عناصر التحكم: المفاتيح ووحدة التحكم في الألعاب والمفتاح المساعد',
+    'controls.title': 'عناصر التحكم',
+    'controls.keysTitle': 'لوحة المفاتيح',
+    'controls.keysHint': 'اختر «إضافة مفتاح» ثم اضغط المفتاح الذي تريده. لكل مفتاح عمل واحد فقط، فإذا كان مستخدمًا لعمل آخر ينتقل إلى هذا العمل. يلغي Esc. يُحفظ على هذا الجهاز.',
+    'controls.reset': 'إعادة المفاتيح إلى الوضع الافتراضي',
+    'controls.resetDone': 'عادت جميع المفاتيح إلى وضعها الافتراضي.',
+    'controls.group.answer': 'الإجابات',
+    'controls.group.round': 'أثناء الجولة',
+    'controls.group.power': 'قوى البقاء الخاصة',
+    'controls.action.digit': 'كتابة {digit}',
+    'controls.action.pause': 'الإيقاف المؤقت والاستئناف',
+    'controls.action.readInvaders': 'قراءة الغزاة بصوت عالٍ',
+    'controls.action.targetPrev': 'اختيار الغازي الذي على اليسار',
+    'controls.action.targetNext': 'اختيار الغازي الذي على اليمين',
+    'controls.action.scanSelect': 'المفتاح المساعد (أثناء المسح)',
+    'controls.space': 'مسافة',
+    'controls.noKeys': 'لا مفاتيح',
+    'controls.add': 'إضافة مفتاح',
+    'controls.addLabel': 'إضافة مفتاح لـ {action}',
+    'controls.remove': 'إزالة {key} من {action}',
+    'controls.pressKey': 'اضغط مفتاحًا…',
+    'controls.pressKeyFor': 'اضغط المفتاح لـ {action}، أو Esc للإلغاء.',
+    'controls.cancelled': 'لم يتغير شيء.',
+    'controls.reserved': 'لا يمكن استخدام {key}. اضغط مفتاحًا آخر.',
+    'controls.bound': 'صار {key} يؤدي {action}.',
+    'controls.moved': 'صار {key} يؤدي {action} بدلًا من {previous}.',
+    'controls.switchTitle': 'المفتاح المساعد',
+    'controls.scanning': 'مسح لوحة الأرقام',
+    'controls.scanningHint': 'أثناء الجولة تضيء أزرار لوحة الأرقام واحدًا بعد الآخر. اضغط المفتاح المساعد (المسافة، أو المفتاح المختار أعلاه للمفتاح المساعد) لضغط الزر المضيء.',
+    'controls.scanSpeed': 'سرعة المسح',
+    'controls.scanSlow': 'بطيئة (٢ ث)',
+    'controls.scanMedium': 'متوسطة (١٫٢ ث)',
+    'controls.scanFast': 'سريعة (٠٫٨ ث)',
+    'controls.gamepadTitle': 'وحدة التحكم في الألعاب',
+    'controls.gamepadNone': 'لم يُعثر على وحدة تحكم. وصّل واحدة واضغط أي زر فيها.',
+    'controls.gamepadConnected': 'متصلة: {name}',
+    'controls.gamepadWheel': 'أعلى وأسفل لوحة الاتجاهات: تدوير عجلة الأرقام (المفتاح المحاط بدائرة)',
+    'controls.gamepadType': 'A: كتابة المفتاح المحاط بدائرة. B: حذف. X أو الزناد الأيمن: إطلاق',
+    'controls.gamepadOther': 'الزران العلويان أو يسار ويمين لوحة الاتجاهات: اختيار غازٍ. Y: قراءة الغزاة. Start: إيقاف مؤقت. Back: كتم',
+    'announce.powerUpEarnedNoKey': 'قوة خاصة: {name}.',
+});
@@ -0,0 +1,385 @@
+// English: the source catalog, and the fallback for missing keys in the others
+addMessages('en', {
+    'app.title': 'Math Fact Invaders',
+    'update.ready': 'A new version of the game is ready.',
+    'update.reload': 'Reload',
+    'ordinal': { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+
+    // Settings screen
+    'language.label': 'Language:',
+    'student.label': 'Student:',
+    'student.guest': 'Guest',
+    'student.remove': 'Remove',
+    'student.progress': 'Progress',
+    'student.newName': 'New student name',
+    'student.add': 'Add',
+    'student.removeConfirm': 'Remove {name} and all of their history?',
+    'assignment.legend': 'Assignment (optional):',
+    'assignment.label': 'Assignment:',
+    'assignment.copy': 'Copy Share Code',
+    'assignment.copied': 'Copied!',
+    'assignment.sharePrompt': 'Share code:',
+    'assignment.clear': 'Clear',
+    'assignment.codePlaceholder': 'Paste a share code',
+    'assignment.load': 'Load',
+    'assignment.openFile': 'Open File',
+    'assignment.untitled': 'Untitled assignment',
+    'assignment.readError': 'Could not read that file.',
+    'assignment.loadError': 'Could not load assignment: {error}',
+    'race.legend': 'Classroom Race:',
+    'race.code': 'Race code',
+    'race.name': 'Your name',
+    'race.nameLabel': 'Your name in the race',
+    'race.join': 'Join',
+    'difficulty.legend': '1. Select Difficulty:',
+    'difficulty.single': 'Single Digit',
+    'difficulty.singleExample': '(e.g., 7 × 5)',
+    'difficulty.double': 'Double Digit',
+    'difficulty.doubleExample': '(e.g., 12 × 8)',
+    'operation.legend': '2. Select Operation:',
+    'operation.multiply': '× Multiply',
+    'operation.add': '+ Add',
+    'operation.subtract': '− Subtract',
+    'operation.divide': '÷ Divide',
+    'operation.mixed': 'Mixed',
+    'operation.mixedHint': '(all four)',
+    'mode.legend': '3. Select Game Mode:',
+    'mode.time': 'Timed',
+    'mode.timeHint': 'Unlimited score in a time limit.',
+    'mode.score': 'Score Target',
+    'mode.scoreHint': 'Unlimited time to reach a score.',
+    'mode.campaign': 'Campaign',
+    'mode.campaignHint': 'Levels from ×2 to ×12 that unlock as you go.',
+    'speed.legend': '4. Select Speed:',
+    'speed.easy': 'Easy',
+    'speed.intermediate': 'Intermediate',
+    'speed.fast': 'Fast',
+    'multiplier.legend': '5. Multiplier Focus (Center Number):',
+    'multiplier.random': 'Random',
+    'multiplier.fixed': 'Fixed',
+    'multiplier.adaptive': 'Adaptive',
+    'multiplier.fixedLabel': 'Set Fixed Multiplier:',
+    'limit.time': '6. Set Time Limit (seconds):',
+    'limit.score': '6. Set Score Target:',
+    'players.legend': 'Players:',
+    'players.solo': '1 Player',
+    'players.split': '2 Players',
+    'players.splitHint': 'Side by side: keypad vs. keyboard',
+    'players.hotseat': 'Take Turns',
+    'players.hotseatHint': '2 players, one keypad',
+    'players.one': 'Player 1',
+    'players.two': 'Player 2',
+    'players.oneName': 'Player 1 name',
+    'players.twoName': 'Player 2 name',
+    'theme.legend': 'Theme:',
+    'theme.classic': 'Classic',
+    'theme.ships': 'Space Ships',
+    'theme.balloons': 'Balloons',
+    'theme.contrast': 'High Contrast',
+    'a11y.legend': 'Accessibility:',
+    'a11y.noTimePressure': 'No time pressure',
+    'a11y.noTimePressureHint': 'No countdown, and invaders stop before they reach the bottom. Rounds are played to a score target.',
+    'a11y.reducedMotion': 'Reduce motion',
+    'a11y.reducedMotionHint': 'No explosion effects or fireworks.',
+    'a11y.textSize': 'Text size',
+    'a11y.textStandard': 'Standard Text',
+    'a11y.textLarge': 'Large Text',
+    'a11y.textDyslexic': 'Dyslexia-Friendly',
+    'a11y.keyboardHelp': 'Keyboard: Tab and the arrow keys move through these settings. In a round, type answers with the number keys, Enter fires, Backspace deletes, Esc or P pauses, M mutes and R reads out the invaders on screen. You can change these keys under Controls.',
+    'sound.legend': 'Sound:',
+    'sound.volume': 'Volume',
+    'sound.mute': 'Mute',
+    'sound.music': 'Background music',
+    'sound.quiet': 'Quiet classroom',
+    'sound.quietHint': 'No sound at all, whatever the volume. Add ?quiet=1 to a link to turn it on for everyone who opens it.',
+    'settings.back': 'Back to Settings',
+    'start.game': 'Start Game',
+    'start.campaign': 'Choose Level',
+
+    // Campaign
+    'campaign.title': 'Campaign',
+    'campaign.intro': 'Clear a level to unlock the next one. Let 5 invaders through and the level is lost.',
+    'campaign.starsTotal': '{stars} / {total} stars',
+    'campaign.levelButton': '{id}. {title}',
+    'campaign.levelLabel': 'Level {id}, {title}, {stars} of 3 stars',
+    'campaign.levelLockedLabel': 'Level {id}, {title}, locked',
+    'campaign.levelDetail': 'Reach {target} · {speed}',
+    'campaign.locked': 'Locked',
+    'campaign.levelStart': 'Level {id}: {title}. Reach {target} before {misses} invaders get through.',
+    'campaign.lost': 'Level {id} lost: {misses} invaders got through.',
+    'campaign.notCleared': 'Level {id} not cleared.',
+    'campaign.complete': 'Campaign complete! {stars} of 3 stars.',
+    'campaign.completeBest': 'Campaign complete! {stars} of 3 stars, a new best.',
+    'campaign.cleared': 'Level {id} cleared with {stars} of 3 stars!',
+    'campaign.clearedBest': 'Level {id} cleared with {stars} of 3 stars, a new best!',
+    'campaign.nextLevel': 'Next Level',
+    'campaign.levelSelect': 'Level Select',
+    'campaign.level.1': '×2 and ×5',
+    'campaign.level.2': '×3 and ×4',
+    'campaign.level.3': '×10 and ×11',
+    'campaign.level.4': 'Boss: ×2 to ×5, ×10, ×11',
+    'campaign.level.5': '×6 and ×9',
+    'campaign.level.6': '×7 and ×8',
+    'campaign.level.7': '×12',
+    'campaign.level.8': 'Final boss: ×1 to ×12',
+
+    // Classroom race (student side)
+    'race.title': 'Race {code}',
+    'race.banner': 'Race',
+    'race.rejoin': 'Back into the Race',
+    'race.players': 'Players in this race',
+    'race.leave': 'Leave Race',
+    'race.needCode': 'Enter the race code from your teacher.',
+    'race.needName': 'Enter your name to join.',
+    'race.needServer': 'Races need the game to be opened from the class server.',
+    'race.replaced': 'This race was opened in another window.',
+    'race.joining': 'Joining the race…',
+    'race.joined': 'Joined race {code} as {name}.',
+    'race.getReady': 'Get ready… {seconds}',
+    'race.starting': 'The race is starting. Get ready!',
+    'race.go': 'Go!',
+    'race.waitingForClass': 'Waiting for the rest of the class to finish…',
+    'race.over': 'The race is over.',
+    'race.place': 'The race is over: you came {place} of {total} with {right} right!',
+    'race.on': 'The race is on!',
+    'race.waitingForTeacher': 'Waiting for your teacher to start the race…',
+    'race.disconnected': 'Disconnected',
+    'race.status.connecting': 'Connecting…',
+    'race.status.open': 'Connected',
+    'race.status.reconnecting': 'Reconnecting…',
+    'race.status.closed': 'Offline',
+    'race.lostConnection': 'Lost the connection to the race. Reconnecting…',
+    'race.backToRace': 'Back to Race',
+
+    // A round
+    'game.right': 'RIGHT',
+    'game.wrong': 'WRONG',
+    'game.points': 'Points:',
+    'game.time': 'Time: {seconds}s',
+    'game.score': 'Score: {right} / {limit}',
+    'game.streak': 'Streak {count}',
+    'game.pause': 'Pause',
+    'game.pauseTitle': 'Pause (Esc or P)',
+    'game.resume': 'Resume',
+    'game.mute': 'Mute',
+    'game.unmute': 'Unmute',
+    'game.muteTitle': 'Mute (M)',
+    'game.quit': 'Quit',
+    'game.paused': 'Paused',
+    'game.areaLabel': 'Game area. Type answers with the number keys and press Enter. Press R to hear the invaders on screen.',
+    'game.delete': 'Delete',
+    'game.deleteKey': 'DEL',
+    'game.fire': 'Fire answer',
+    'game.fireKey': '✓ GO',
+    'game.correct': 'Correct!',
+    'game.wrongAlert': 'Wrong!',
+    'announce.newProblem': 'New problem: {fact}.',
+    'announce.missed': 'Missed {fact} = {answer}.',
+    'announce.correct': 'Correct! {fact} = {answer}.',
+    'announce.wrong': 'Wrong, {answer} is not an answer. Try again.',
+    'announce.center': 'Center number is now {center}.',
+    'announce.secondsLeft': { one: '{count} second left.', other: '{count} seconds left.' },
+    'announce.noInvaders': 'No invaders on screen.',
+    'announce.invaders': { one: '{count} on screen: {facts}.', other: '{count} on screen, lowest first: {facts}.' },
+    'announce.paused': 'Paused.',
+    'announce.resumed': 'Resumed.',
+    'announce.soundOn': 'Sound on.',
+    'announce.soundOff': 'Sound off.',
+
+    // Game over
+    'gameOver.title': 'Game Over!',
+    'gameOver.win': 'You Win!',
+    'gameOver.lost': 'You Lost!',
+    'gameOver.celebrate': 'YOU WIN!',
+    'gameOver.finalRight': 'Final Score (Right)',
+    'gameOver.finalWrong': 'Final Score (Wrong)',
+    'gameOver.points': 'Points',
+    'gameOver.bestStreak': 'Best streak: {count}',
+    'gameOver.summary': '{title} {right} right, {wrong} wrong.',
+    'gameOver.passed': 'Assignment passed with {accuracy} accuracy!',
+    'gameOver.failed': '{accuracy} accuracy. {required} needed to pass. Try again!',
+    'gameOver.saveJson': 'Save Result (JSON)',
+    'gameOver.saveCsv': 'Save Result (CSV)',
+    'gameOver.playAgain': 'Play Again',
+    'gameOver.playLevelAgain': 'Play Level Again',
+    'highScores.title': 'High Scores',
+    'highScores.newEntry': 'New high score! Enter your name:',
+    'highScores.newEntryAnnounce': 'New high score! Type your name and press Enter.',
+    'highScores.save': 'Save',
+    'highScores.empty': 'No high scores for these settings yet.',
+    'highScores.row': '{points} pts · {accuracy}',
+    'highScores.saved': 'Saved. You are number {rank}.',
+    'highScores.campaign': 'Campaign level {id}: {title}',
+    'highScores.single': 'single digit',
+    'highScores.double': 'double digit',
+    'highScores.seconds': '{seconds}s',
+    'highScores.firstTo': 'first to {limit}',
+    'sync.sending': 'Saving…',
+    'sync.synced': 'Saved to class results.',
+    'sync.queued': 'Saved on this device. It will be sent to class results when the server is reachable.',
+    'sync.rejected': 'Saved on this device, but the class results server did not accept this round.',
+    'sync.local': 'Saved on this device.',
+
+    // Versus
+    'versus.pauseTitle': 'Pause (Esc)',
+    'versus.pts': 'pts',
+    'versus.keyboardHelp': 'Keyboard: type with the number keys, Enter fires, Backspace deletes.',
+    'versus.startTurn': 'Start Turn',
+    'versus.split': '{first}: keypad · {second}: keyboard',
+    'versus.turn': "{name}'s turn (round {round} of {total})",
+    'versus.passDevice': '{turn}. Pass the device!',
+    'versus.turnAnnounce': '{turn}. Press Start Turn when ready.',
+    'versus.firstTo': 'First to {limit}',
+    'versus.scored': '{name} scored {points} points.',
+    'versus.tie': "It's a tie!",
+    'versus.wins': '{name} wins!',
+    'versus.playerResult': '{name}: {points} points, {right} right, {wrong} wrong.',
+    'versus.player': 'Player',
+    'versus.points': 'Points',
+    'versus.right': 'Right',
+    'versus.wrong': 'Wrong',
+    'versus.accuracy': 'Accuracy',
+    'versus.bestStreak': 'Best streak',
+    'versus.rematch': 'Rematch',
+    'versus.settings': 'Settings',
+
+    // Progress dashboard
+    'dashboard.title': 'Progress:',
+    'dashboard.trend': 'Accuracy by Session',
+    'dashboard.missed': 'Most Missed Facts',
+    'dashboard.heatmap': 'Fact Accuracy',
+    'dashboard.recent': 'Recent Sessions',
+    'dashboard.date': 'Date',
+    'dashboard.settings': 'Settings',
+    'dashboard.right': 'Right',
+    'dashboard.wrong': 'Wrong',
+    'dashboard.accuracy': 'Accuracy',
+    'dashboard.exportJson': 'Export Results (JSON)',
+    'dashboard.exportCsv': 'Export Results (CSV)',
+    'dashboard.sessions': 'Sessions',
+    'dashboard.lastPlayed': 'Last played',
+    'dashboard.noSessions': 'No sessions yet.',
+    'dashboard.noMissed': 'No missed facts recorded.',
+    'dashboard.session': '{date}: {right} right, {wrong} wrong ({accuracy})',
+    'dashboard.cell': '{fact}: {right}/{attempts} ({accuracy})',
+    'dashboard.notPractised': '{fact}: not practised yet',
+    'dashboard.replay': 'Replay',
+    'dashboard.watch': '▶ Watch',
+    'dashboard.watchLabel': 'Watch the round from {date}',
+    'replay.title': 'Replay',
+    'replay.watch': 'Watch Replay',
+    'replay.play': 'Play',
+    'replay.pause': 'Pause',
+    'replay.stepBack': 'Step Back',
+    'replay.stepForward': 'Step Forward',
+    'replay.speed': 'Speed',
+    'replay.speedNormal': '1×',
+    'replay.speedDouble': '2×',
+    'replay.timeline': 'Timeline',
+    'replay.position': '{time} / {total}',
+    'replay.legendWrong': 'Wrong answer',
+    'replay.legendMiss': 'Got through',
+    'replay.markWrong': 'Wrong answer {answer} at {time}',
+    'replay.markMiss': '{fact} got through at {time}',
+    'replay.back': 'Back',
+    'replay.event.start': 'The round starts.',
+    'replay.event.spawn': 'New invader: {fact}',
+    'replay.event.key': 'Typed {answer}',
+    'replay.event.delete': 'Deleted a digit',
+    'replay.event.right': 'Fired {answer}: {fact} destroyed',
+    'replay.event.wrong': 'Fired {answer}: wrong',
+    'replay.event.miss': '{fact} = {answer} got through',
+    'problemFormat.legend': 'Problem Format:',
+    'problemFormat.standard': 'Standard',
+    'problemFormat.standardHint': '7 × 8',
+    'problemFormat.missing': 'Missing Factor',
+    'problemFormat.missingHint': '8 × ? = 56',
+    'problemFormat.reverse': 'Reverse',
+    'problemFormat.reverseHint': '56 = ? × 8',
+    'targeting.label': 'Pick an invader before answering',
+    'targeting.hint': 'Tap an invader or use the arrow keys to select it, then type its answer.',
+    'game.pickTarget': 'Pick an invader first!',
+    'game.areaLabelTargeting': 'Game area. Use the arrow keys to select an invader, type its answer with the number keys and press Enter. Press R to hear the invaders on screen.',
+    'announce.target': '{fact} selected.',
+    'replay.event.target': 'Selected {fact}',
+    'mode.survival': 'Survival',
+    'mode.survivalHint': 'Keep your shield up. Streaks earn power-ups.',
+    'limit.lives': '6. Set Lives (1-9):',
+    'game.lives': 'Shield: {lives} / {max}',
+    'game.shield': 'Shield',
+    'power.freeze': 'Time freeze',
+    'power.slow': 'Slow motion',
+    'power.bomb': 'Bomb',
+    'power.life': 'Extra life',
+    'power.freezeTitle': 'Time freeze (F)',
+    'power.slowTitle': 'Slow motion (S)',
+    'power.bombTitle': 'Clear the lowest invader (B)',
+    'power.lifeTitle': 'Extra life (L)',
+    'power.label': '{name}: {count} left',
+    'announce.lives': { one: '{count} life left.', other: '{count} lives left.' },
+    'announce.powerUpEarned': 'Power-up: {name}. Press {key} to use it.',
+    'announce.powerUpUsed': '{name}!',
+    'announce.powerUpUnavailable': 'No {name} to use.',
+    'gameOver.survived': 'Shield down! You lasted {time}.',
+    'highScores.lives': { one: '{count} life', other: '{count} lives' },
+    'replay.event.powerEarned': 'Earned {name}',
+    'replay.event.powerUsed': 'Used {name}',
+    'numbers.legend': 'Numbers:',
+    'numbers.whole': 'Whole Numbers',
+    'numbers.wholeHint': '7 × 8',
+    'numbers.tenths': 'Tenths',
+    'numbers.tenthsHint': '0.7 × 8',
+    'numbers.hundredths': 'Hundredths',
+    'numbers.hundredthsHint': '0.75 × 8',
+    'numbers.fractions': 'Fractions',
+    'numbers.fractionsHint': '3/4 × 8',
+    'range.label': 'Use a custom range',
+    'range.hint': 'Choose the smallest and largest numbers, such as ×13 to ×20. Negative numbers are allowed.',
+    'range.baseMin': 'Invader numbers from:',
+    'range.baseMax': 'to:',
+    'range.operandMin': 'Center numbers from:',
+    'range.operandMax': 'to:',
+    'game.minusKey': 'Minus sign',
+    'game.pointKey': 'Decimal point',
+    'game.fractionKey': 'Fraction bar',
+    'controls.open': 'Controls: keys, game controller and switch access',
+    'controls.title': 'Controls',
+    'controls.keysTitle': 'Keyboard',
+    'controls.keysHint': 'Choose Add key, then press the key to use. A key can do one thing only, so taking one from another action moves it. Esc cancels. Saved on this device.',
+    'controls.reset': 'Reset keys to defaults',
+    'controls.resetDone': 'All keys are back to their defaults.',
+    'controls.group.answer': 'Answers',
+    'controls.group.round': 'During a round',
+    'controls.group.power': 'Survival power-ups',
+    'controls.action.digit': 'Type {digit}',
+    'controls.action.pause': 'Pause and resume',
+    'controls.action.readInvaders': 'Read out the invaders',
+    'controls.action.targetPrev': 'Select the invader to the left',
+    'controls.action.targetNext': 'Select the invader to the right',
+    'controls.action.scanSelect': 'Switch (when scanning)',
+    'controls.space': 'Space',
+    'controls.noKeys': 'No keys',
+    'controls.add': 'Add key',
+    'controls.addLabel': 'Add a key for {action}',
+    'controls.remove': 'Remove {key} from {action}',
+    'controls.pressKey': 'Press a key…',
+    'controls.pressKeyFor': 'Press the key for {action}, or Esc to cancel.',
+    'controls.cancelled': 'No change.',
+    'controls.reserved': "{key} can't be used. Press another key.",
+    'controls.bound': '{key} now does {action}.',
+    'controls.moved': '{key} now does {action} instead of {previous}.',
+    'controls.switchTitle': 'Switch access',
+    'controls.scanning': 'Scan the keypad',
+    'controls.scanningHint': 'In a round, the keypad buttons light up one after another. Press the switch (Space, or the key chosen for Switch above) to press the lit button.',
+    'controls.scanSpeed': 'Scan speed',
+    'controls.scanSlow': 'Slow (2 s)',
+    'controls.scanMedium': 'Medium (1.2 s)',
+    'controls.scanFast': 'Fast (0.8 s)',
+    'controls.gamepadTitle': 'Game controller',
+    'controls.gamepadNone': 'No controller found. Connect one and press any button on it.',
+    'controls.gamepadConnected': 'Connected: {name}',
+    'controls.gamepadWheel': 'D-pad up and down: turn the digit wheel (the ringed key)',
+    'controls.gamepadType': 'A: type the ringed key. B: delete. X or right trigger: fire',
+    'controls.gamepadOther': 'Bumpers or d-pad left and right: select an invader. Y: read out the invaders. Start: pause. Back: mute',
+    'announce.powerUpEarnedNoKey': 'Power-up: {name}.',
+});
@@ -0,0 +1,385 @@
+// Spanish
+addMessages('es', {
+    'app.title': 'Invasores de Operaciones',
+    'update.ready': 'Hay una nueva versión del juego.',
+    'update.reload': 'Recargar',
+    'ordinal': '{count}.º',
+
+    // Settings screen
+    'language.label': 'Idioma:',
+    'student.label': 'Alumno:',
+    'student.guest': 'Invitado',
+    'student.remove': 'Eliminar',
+    'student.progress': 'Progreso',
+    'student.newName': 'Nombre del nuevo alumno',
+    'student.add': 'Añadir',
+    'student.removeConfirm': '¿Eliminar a {name} y todo su historial?',
+    'assignment.legend': 'Tarea (opcional):',
+    'assignment.label': 'Tarea:',
+    'assignment.copy': 'Copiar código',
+    'assignment.copied': '¡Copiado!',
+    'assignment.sharePrompt': 'Código para compartir:',
+    'assignment.clear': 'Quitar',
+    'assignment.codePlaceholder': 'Pega un código para compartir',
+    'assignment.load': 'Cargar',
+    'assignment.openFile': 'Abrir archivo',
+    'assignment.untitled': 'Tarea sin título',
+    'assignment.readError': 'No se pudo leer ese archivo.',
+    'assignment.loadError': 'No se pudo cargar la tarea: {error}',
+    'race.legend': 'Carrera en clase:',
+    'race.code': 'Código de la carrera',
+    'race.name': 'Tu nombre',
+    'race.nameLabel': 'Tu nombre en la carrera',
+    'race.join': 'Unirse',
+    'difficulty.legend': '1. Elige la dificultad:',
+    'difficulty.single': 'Una cifra',
+    'difficulty.singleExample': '(p. ej., 7 × 5)',
+    'difficulty.double': 'Dos cifras',
+    'difficulty.doubleExample': '(p. ej., 12 × 8)',
+    'operation.legend': '2. Elige la operación:',
+    'operation.multiply': '× Multiplicar',
+    'operation.add': '+ Sumar',
+    'operation.subtract': '− Restar',
+    'operation.divide': '÷ Dividir',
+    'operation.mixed': 'Mezcla',
+    'operation.mixedHint': '(las cuatro)',
+    'mode.legend': '3. Elige el modo de juego:',
+    'mode.time': 'Contrarreloj',
+    'mode.timeHint': 'Puntos ilimitados en un tiempo fijo.',
+    'mode.score': 'Meta de puntos',
+    'mode.scoreHint': 'Tiempo ilimitado para llegar a una meta.',
+    'mode.campaign': 'Campaña',
+    'mode.campaignHint': 'Niveles del ×2 al ×12 que se desbloquean al avanzar.',
+    'speed.legend': '4. Elige la velocidad:',
+    'speed.easy': 'Fácil',
+    'speed.intermediate': 'Intermedia',
+    'speed.fast': 'Rápida',
+    'multiplier.legend': '5. Enfoque del multiplicador (número central):',
+    'multiplier.random': 'Aleatorio',
+    'multiplier.fixed': 'Fijo',
+    'multiplier.adaptive': 'Adaptativo',
+    'multiplier.fixedLabel': 'Multiplicador fijo:',
+    'limit.time': '6. Tiempo límite (segundos):',
+    'limit.score': '6. Meta de puntos:',
+    'players.legend': 'Jugadores:',
+    'players.solo': '1 jugador',
+    'players.split': '2 jugadores',
+    'players.splitHint': 'Lado a lado: teclado numérico contra teclado',
+    'players.hotseat': 'Por turnos',
+    'players.hotseatHint': '2 jugadores, un teclado numérico',
+    'players.one': 'Jugador 1',
+    'players.two': 'Jugador 2',
+    'players.oneName': 'Nombre del jugador 1',
+    'players.twoName': 'Nombre del jugador 2',
+    'theme.legend': 'Tema:',
+    'theme.classic': 'Clásico',
+    'theme.ships': 'Naves espaciales',
+    'theme.balloons': 'Globos',
+    'theme.contrast': 'Alto contraste',
+    'a11y.legend': 'Accesibilidad:',
+    'a11y.noTimePressure': 'Sin presión de tiempo',
+    'a11y.noTimePressureHint': 'Sin cuenta atrás, y los invasores se detienen antes de llegar abajo. Se juega hasta una meta de puntos.',
+    'a11y.reducedMotion': 'Reducir movimiento',
+    'a11y.reducedMotionHint': 'Sin explosiones ni fuegos artificiales.',
+    'a11y.textSize': 'Tamaño del texto',
+    'a11y.textStandard': 'Texto normal',
+    'a11y.textLarge': 'Texto grande',
+    'a11y.textDyslexic': 'Apto para dislexia',
+    'a11y.keyboardHelp': 'Teclado: Tab y las flechas recorren estas opciones. En una partida, escribe las respuestas con los números, Intro dispara, Retroceso borra, Esc o P pausa, M silencia y R lee en voz alta los invasores en pantalla. Puedes cambiar estas teclas en Controles.',
+    'sound.legend': 'Sonido:',
+    'sound.volume': 'Volumen',
+    'sound.mute': 'Silenciar',
+    'sound.music': 'Música de fondo',
+    'sound.quiet': 'Clase en silencio',
+    'sound.quietHint': 'Sin ningún sonido, sea cual sea el volumen. Añade ?quiet=1 a un enlace para activarlo para todos los que lo abran.',
+    'settings.back': 'Volver a las opciones',
+    'start.game': 'Empezar',
+    'start.campaign': 'Elegir nivel',
+
+    // Campaign
+    'campaign.title': 'Campaña',
+    'campaign.intro': 'Supera un nivel para desbloquear el siguiente. Si pasan 5 invasores, pierdes el nivel.',
+    'campaign.starsTotal': '{stars} / {total} estrellas',
+    'campaign.levelButton': '{id}. {title}',
+    'campaign.levelLabel': 'Nivel {id}, {title}, {stars} de 3 estrellas',
+    'campaign.levelLockedLabel': 'Nivel {id}, {title}, bloqueado',
+    'campaign.levelDetail': 'Llega a {target} · {speed}',
+    'campaign.locked': 'Bloqueado',
+    'campaign.levelStart': 'Nivel {id}: {title}. Llega a {target} antes de que pasen {misses} invasores.',
+    'campaign.lost': 'Nivel {id} perdido: pasaron {misses} invasores.',
+    'campaign.notCleared': 'Nivel {id} no superado.',
+    'campaign.complete': '¡Campaña completada! {stars} de 3 estrellas.',
+    'campaign.completeBest': '¡Campaña completada! {stars} de 3 estrellas, un nuevo récord.',
+    'campaign.cleared': '¡Nivel {id} superado con {stars} de 3 estrellas!',
+    'campaign.clearedBest': '¡Nivel {id} superado con {stars} de 3 estrellas, un nuevo récord!',
+    'campaign.nextLevel': 'Siguiente nivel',
+    'campaign.levelSelect': 'Elegir nivel',
+    'campaign.level.1': '×2 y ×5',
+    'campaign.level.2': '×3 y ×4',
+    'campaign.level.3': '×10 y ×11',
+    'campaign.level.4': 'Jefe: del ×2 al ×5, ×10, ×11',
+    'campaign.level.5': '×6 y ×9',
+    'campaign.level.6': '×7 y ×8',
+    'campaign.level.7': '×12',
+    'campaign.level.8': 'Jefe final: del ×1 al ×12',
+
+    // Classroom race (student side)
+    'race.title': 'Carrera {code}',
+    'race.banner': 'Carrera',
+    'race.rejoin': 'Volver a la carrera',
+    'race.players': 'Jugadores en esta carrera',
+    'race.leave': 'Salir de la carrera',
+    'race.needCode': 'Escribe el código de la carrera que te dio tu profesor.',
+    'race.needName': 'Escribe tu nombre para unirte.',
+    'race.needServer': 'Las carreras necesitan que el juego se abra desde el servidor de la clase.',
+    'race.replaced': 'Esta carrera se abrió en otra ventana.',
+    'race.joining': 'Uniéndote a la carrera…',
+    'race.joined': 'Te has unido a la carrera {code} como {name}.',
+    'race.getReady': 'Prepárate… {seconds}',
+    'race.starting': 'La carrera va a empezar. ¡Prepárate!',
+    'race.go': '¡Ya!',
+    'race.waitingForClass': 'Esperando a que termine el resto de la clase…',
+    'race.over': 'La carrera ha terminado.',
+    'race.place': 'La carrera ha terminado: quedaste en {place} lugar de {total} con {right} aciertos.',
+    'race.on': '¡La carrera está en marcha!',
+    'race.waitingForTeacher': 'Esperando a que tu profesor empiece la carrera…',
+    'race.disconnected': 'Desconectado',
+    'race.status.connecting': 'Conectando…',
+    'race.status.open': 'Conectado',
+    'race.status.reconnecting': 'Reconectando…',
+    'race.status.closed': 'Sin conexión',
+    'race.lostConnection': 'Se perdió la conexión con la carrera. Reconectando…',
+    'race.backToRace': 'Volver a la carrera',
+
+    // A round
+    'game.right': 'ACIERTOS',
+    'game.wrong': 'FALLOS',
+    'game.points': 'Puntos:',
+    'game.time': 'Tiempo: {seconds} s',
+    'game.score': 'Aciertos: {right} / {limit}',
+    'game.streak': 'Racha {count}',
+    'game.pause': 'Pausa',
+    'game.pauseTitle': 'Pausa (Esc o P)',
+    'game.resume': 'Continuar',
+    'game.mute': 'Silenciar',
+    'game.unmute': 'Activar sonido',
+    'game.muteTitle': 'Silenciar (M)',
+    'game.quit': 'Salir',
+    'game.paused': 'En pausa',
+    'game.areaLabel': 'Zona de juego. Escribe las respuestas con los números y pulsa Intro. Pulsa R para oír los invasores en pantalla.',
+    'game.delete': 'Borrar',
+    'game.deleteKey': 'BORRAR',
+    'game.fire': 'Disparar respuesta',
+    'game.fireKey': '✓ YA',
+    'game.correct': '¡Correcto!',
+    'game.wrongAlert': '¡Incorrecto!',
+    'announce.newProblem': 'Nueva operación: {fact}.',
+    'announce.missed': 'Se escapó {fact} = {answer}.',
+    'announce.correct': '¡Correcto! {fact} = {answer}.',
+    'announce.wrong': 'Incorrecto, {answer} no es una respuesta. Inténtalo de nuevo.',
+    'announce.center': 'El número central ahora es {center}.',
+    'announce.secondsLeft': { one: 'Queda {count} segundo.', other: 'Quedan {count} segundos.' },
+    'announce.noInvaders': 'No hay invasores en pantalla.',
+    'announce.invaders': { one: '{count} en pantalla: {facts}.', other: '{count} en pantalla, del más bajo al más alto: {facts}.' },
+    'announce.paused': 'En pausa.',
+    'announce.resumed': 'Continuamos.',
+    'announce.soundOn': 'Sonido activado.',
+    'announce.soundOff': 'Sonido desactivado.',
+
+    // Game over
+    'gameOver.title': '¡Fin de la partida!',
+    'gameOver.win': '¡Has ganado!',
+    'gameOver.lost': '¡Has perdido!',
+    'gameOver.celebrate': '¡HAS GANADO!',
+    'gameOver.finalRight': 'Resultado final (aciertos)',
+    'gameOver.finalWrong': 'Resultado final (fallos)',
+    'gameOver.points': 'Puntos',
+    'gameOver.bestStreak': 'Mejor racha: {count}',
+    'gameOver.summary': '{title} {right} aciertos, {wrong} fallos.',
+    'gameOver.passed': '¡Tarea aprobada con un {accuracy} de acierto!',
+    'gameOver.failed': '{accuracy} de acierto. Hace falta un {required} para aprobar. ¡Inténtalo de nuevo!',
+    'gameOver.saveJson': 'Guardar resultado (JSON)',
+    'gameOver.saveCsv': 'Guardar resultado (CSV)',
+    'gameOver.playAgain': 'Jugar otra vez',
+    'gameOver.playLevelAgain': 'Repetir el nivel',
+    'highScores.title': 'Mejores puntuaciones',
+    'highScores.newEntry': '¡Nueva mejor puntuación! Escribe tu nombre:',
+    'highScores.newEntryAnnounce': '¡Nueva mejor puntuación! Escribe tu nombre y pulsa Intro.',
+    'highScores.save': 'Guardar',
+    'highScores.empty': 'Todavía no hay puntuaciones con estas opciones.',
+    'highScores.row': '{points} pts · {accuracy}',
+    'highScores.saved': 'Guardado. Estás en el puesto {rank}.',
+    'highScores.campaign': 'Campaña, nivel {id}: {title}',
+    'highScores.single': 'una cifra',
+    'highScores.double': 'dos cifras',
+    'highScores.seconds': '{seconds} s',
+    'highScores.firstTo': 'hasta {limit}',
+    'sync.sending': 'Guardando…',
+    'sync.synced': 'Guardado en los resultados de la clase.',
+    'sync.queued': 'Guardado en este dispositivo. Se enviará a los resultados de la clase cuando el servidor esté disponible.',
+    'sync.rejected': 'Guardado en este dispositivo, pero el servidor de resultados de la clase no aceptó esta ronda.',
+    'sync.local': 'Guardado en este dispositivo.',
+
+    // Versus
+    'versus.pauseTitle': 'Pausa (Esc)',
+    'versus.pts': 'pts',
+    'versus.keyboardHelp': 'Teclado: escribe con los números, Intro dispara, Retroceso borra.',
+    'versus.startTurn': 'Empezar turno',
+    'versus.split': '{first}: teclado numérico · {second}: teclado',
+    'versus.turn': 'Turno de {name} (ronda {round} de {total})',
+    'versus.passDevice': '{turn}. ¡Pasa el dispositivo!',
+    'versus.turnAnnounce': '{turn}. Pulsa Empezar turno cuando estés listo.',
+    'versus.firstTo': 'Gana quien llegue a {limit}',
+    'versus.scored': '{name} ha conseguido {points} puntos.',
+    'versus.tie': '¡Empate!',
+    'versus.wins': '¡Gana {name}!',
+    'versus.playerResult': '{name}: {points} puntos, {right} aciertos, {wrong} fallos.',
+    'versus.player': 'Jugador',
+    'versus.points': 'Puntos',
+    'versus.right': 'Aciertos',
+    'versus.wrong': 'Fallos',
+    'versus.accuracy': 'Precisión',
+    'versus.bestStreak': 'Mejor racha',
+    'versus.rematch': 'Revancha',
+    'versus.settings': 'Opciones',
+
+    // Progress dashboard
+    'dashboard.title': 'Progreso:',
+    'dashboard.trend': 'Precisión por sesión',
+    'dashboard.missed': 'Operaciones más falladas',
+    'dashboard.heatmap': 'Precisión por operación',
+    'dashboard.recent': 'Sesiones recientes',
+    'dashboard.date': 'Fecha',
+    'dashboard.settings': 'Opciones',
+    'dashboard.right': 'Aciertos',
+    'dashboard.wrong': 'Fallos',
+    'dashboard.accuracy': 'Precisión',
+    'dashboard.exportJson': 'Exportar resultados (JSON)',
+    'dashboard.exportCsv': 'Exportar resultados (CSV)',
+    'dashboard.sessions': 'Sesiones',
+    'dashboard.lastPlayed': 'Última partida',
+    'dashboard.noSessions': 'Todavía no hay sesiones.',
+    'dashboard.noMissed': 'No hay operaciones falladas.',
+    'dashboard.session': '{date}: {right} aciertos, {wrong} fallos ({accuracy})',
+    'dashboard.cell': '{fact}: {right}/{attempts} ({accuracy})',
+    'dashboard.notPractised': '{fact}: sin practicar',
+    'dashboard.replay': 'Repetición',
+    'dashboard.watch': '▶ Ver',
+    'dashboard.watchLabel': 'Ver la ronda del {date}',
+    'replay.title': 'Repetición',
+    'replay.watch': 'Ver repetición',
+    'replay.play': 'Reproducir',
+    'replay.pause': 'Pausa',
+    'replay.stepBack': 'Paso atrás',
+    'replay.stepForward': 'Paso adelante',
+    'replay.speed': 'Velocidad',
+    'replay.speedNormal': '1×',
+    'replay.speedDouble': '2×',
+    'replay.timeline': 'Línea de tiempo',
+    'replay.position': '{time} / {total}',
+    'replay.legendWrong': 'Respuesta incorrecta',
+    'replay.legendMiss': 'Se escapó',
+    'replay.markWrong': 'Respuesta incorrecta {answer} en {time}',
+    'replay.markMiss': '{fact} se escapó en {time}',
+    'replay.back': 'Volver',
+    'replay.event.start': 'Empieza la ronda.',
+    'replay.event.spawn': 'Nuevo invasor: {fact}',
+    'replay.event.key': 'Escribió {answer}',
+    'replay.event.delete': 'Borró una cifra',
+    'replay.event.right': 'Disparó {answer}: {fact} destruido',
+    'replay.event.wrong': 'Disparó {answer}: incorrecto',
+    'replay.event.miss': '{fact} = {answer} se escapó',
+    'problemFormat.legend': 'Formato del problema:',
+    'problemFormat.standard': 'Estándar',
+    'problemFormat.standardHint': '7 × 8',
+    'problemFormat.missing': 'Factor desconocido',
+    'problemFormat.missingHint': '8 × ? = 56',
+    'problemFormat.reverse': 'Al revés',
+    'problemFormat.reverseHint': '56 = ? × 8',
+    'targeting.label': 'Elegir un invasor antes de responder',
+    'targeting.hint': 'Toca un invasor o usa las flechas para seleccionarlo y luego escribe su respuesta.',
+    'game.pickTarget': '¡Primero elige un invasor!',
+    'game.areaLabelTargeting': 'Área de juego. Usa las flechas para seleccionar un invasor, escribe su respuesta con las teclas numéricas y pulsa Intro. Pulsa R para oír los invasores en pantalla.',
+    'announce.target': '{fact} seleccionado.',
+    'replay.event.target': 'Seleccionó {fact}',
+    'mode.survival': 'Supervivencia',
+    'mode.survivalHint': 'Mantén tu escudo. Las rachas dan poderes.',
+    'limit.lives': '6. Vidas (1-9):',
+    'game.lives': 'Escudo: {lives} / {max}',
+    'game.shield': 'Escudo',
+    'power.freeze': 'Tiempo congelado',
+    'power.slow': 'Cámara lenta',
+    'power.bomb': 'Bomba',
+    'power.life': 'Vida extra',
+    'power.freezeTitle': 'Congelar el tiempo (F)',
+    'power.slowTitle': 'Cámara lenta (S)',
+    'power.bombTitle': 'Eliminar el invasor más bajo (B)',
+    'power.lifeTitle': 'Vida extra (L)',
+    'power.label': '{name}: quedan {count}',
+    'announce.lives': { one: 'Queda {count} vida.', other: 'Quedan {count} vidas.' },
+    'announce.powerUpEarned': 'Poder: {name}. Pulsa {key} para usarlo.',
+    'announce.powerUpUsed': '¡{name}!',
+    'announce.powerUpUnavailable': 'No tienes {name}.',
+    'gameOver.survived': '¡Escudo agotado! Aguantaste {time}.',
+    'highScores.lives': { one: '{count} vida', other: '{count} vidas' },
+    'replay.event.powerEarned': 'Ganó {name}',
+    'replay.event.powerUsed': 'Usó {name}',
+    'numbers.legend': 'Números:',
+    'numbers.whole': 'Números enteros',
+    'numbers.wholeHint': '7 × 8',
+    'numbers.tenths': 'Décimas',
+    'numbers.tenthsHint': '0,7 × 8',
+    'numbers.hundredths': 'Centésimas',
+    'numbers.hundredthsHint': '0,75 × 8',
+    'numbers.fractions': 'Fracciones',
+    'numbers.fractionsHint': '3/4 × 8',
+    'range.label': 'Usar un rango personalizado',
+    'range.hint': 'Elige el número más pequeño y el más grande, por ejemplo de ×13 a ×20. Se permiten números negativos.',
+    'range.baseMin': 'Números de los invasores desde:',
+    'range.baseMax': 'hasta:',
+    'range.operandMin': 'Números centrales desde:',
+    'range.operandMax': 'hasta:',
+    'game.minusKey': 'Signo menos',
+    'game.pointKey': 'Punto decimal',
+    'game.fractionKey': 'Barra de fracción',
+    'controls.open': 'Controles: teclas, mando y acceso por pulsador',
+    'controls.title': 'Controles',
+    'controls.keysTitle': 'Teclado',
+    'controls.keysHint': 'Elige Añadir tecla y pulsa la tecla que quieras usar. Cada tecla hace una sola cosa, así que si ya tenía otra acción, pasa a esta. Esc cancela. Se guarda en este dispositivo.',
+    'controls.reset': 'Restablecer las teclas',
+    'controls.resetDone': 'Todas las teclas vuelven a ser las de siempre.',
+    'controls.group.answer': 'Respuestas',
+    'controls.group.round': 'Durante una partida',
+    'controls.group.power': 'Poderes de supervivencia',
+    'controls.action.digit': 'Escribir {digit}',
+    'controls.action.pause': 'Pausar y continuar',
+    'controls.action.readInvaders': 'Leer los invasores en voz alta',
+    'controls.action.targetPrev': 'Elegir el invasor de la izquierda',
+    'controls.action.targetNext': 'Elegir el invasor de la derecha',
+    'controls.action.scanSelect': 'Pulsador (con barrido)',
+    'controls.space': 'Espacio',
+    'controls.noKeys': 'Sin teclas',
+    'controls.add': 'Añadir tecla',
+    'controls.addLabel': 'Añadir una tecla para {action}',
+    'controls.remove': 'Quitar {key} de {action}',
+    'controls.pressKey': 'Pulsa una tecla…',
+    'controls.pressKeyFor': 'Pulsa la tecla para {action}, o Esc para cancelar.',
+    'controls.cancelled': 'Sin cambios.',
+    'controls.reserved': 'No se puede usar {key}. Pulsa otra tecla.',
+    'controls.bound': '{key} ahora sirve para {action}.',
+    'controls.moved': '{key} ahora sirve para {action} en lugar de {previous}.',
+    'controls.switchTitle': 'Acceso por pulsador',
+    'controls.scanning': 'Barrido del teclado',
+    'controls.scanningHint': 'En una partida, los botones del teclado se iluminan uno tras otro. Usa el pulsador (Espacio, o la tecla elegida arriba para Pulsador) para pulsar el botón iluminado.',
+    'controls.scanSpeed': 'Velocidad del barrido',
+    'controls.scanSlow': 'Lenta (2 s)',
+    'controls.scanMedium': 'Media (1,2 s)',
+    'controls.scanFast': 'Rápida (0,8 s)',
+    'controls.gamepadTitle': 'Mando',
+    'controls.gamepadNone': 'No se encuentra ningún mando. Conecta uno y pulsa cualquier botón.',
+    'controls.gamepadConnected': 'Conectado: {name}',
+    'controls.gamepadWheel': 'Cruceta arriba y abajo: girar la rueda de cifras (la tecla marcada)',
+    'controls.gamepadType': 'A: escribir la tecla marcada. B: borrar. X o gatillo derecho: disparar',
+    'controls.gamepadOther': 'Botones superiores o cruceta izquierda y derecha: elegir un invasor. Y: leer los invasores. Start: pausa. Back: silenciar',
+    'announce.powerUpEarnedNoKey': 'Poder: {name}.',
+});
@@ -0,0 +1,385 @@
+// French
+addMessages('fr', {
+    'app.title': 'Les Envahisseurs du Calcul',
+    'update.ready': 'Une nouvelle version du jeu est disponible.',
+    'update.reload': 'Recharger',
+    'ordinal': { one: '{count}er', other: '{count}e' },
+
+    // Settings screen
+    'language.label': 'Langue :',
+    'student.label': 'Élève :',
+    'student.guest': 'Invité',
+    'student.remove': 'Supprimer',
+    'student.progress': 'Progrès',
+    'student.newName': 'Nom du nouvel élève',
+    'student.add': 'Ajouter',
+    'student.removeConfirm': 'Supprimer {name} et tout son historique ?',
+    'assignment.legend': 'Devoir (facultatif) :',
+    'assignment.label': 'Devoir :',
+    'assignment.copy': 'Copier le code',
+    'assignment.copied': 'Copié !',
+    'assignment.sharePrompt': 'Code de partage :',
+    'assignment.clear': 'Retirer',
+    'assignment.codePlaceholder': 'Collez un code de partage',
+    'assignment.load': 'Charger',
+    'assignment.openFile': 'Ouvrir un fichier',
+    'assignment.untitled': 'Devoir sans titre',
+    'assignment.readError': 'Impossible de lire ce fichier.',
+    'assignment.loadError': 'Impossible de charger le devoir : {error}',
+    'race.legend': 'Course en classe :',
+    'race.code': 'Code de la course',
+    'race.name': 'Ton prénom',
+    'race.nameLabel': 'Ton prénom dans la course',
+    'race.join': 'Rejoindre',
+    'difficulty.legend': '1. Choisis la difficulté :',
+    'difficulty.single': 'Un chiffre',
+    'difficulty.singleExample': '(ex. 7 × 5)',
+    'difficulty.double': 'Deux chiffres',
+    'difficulty.doubleExample': '(ex. 12 × 8)',
+    'operation.legend': "2. Choisis l'opération :",
+    'operation.multiply': '× Multiplier',
+    'operation.add': '+ Additionner',
+    'operation.subtract': '− Soustraire',
+    'operation.divide': '÷ Diviser',
+    'operation.mixed': 'Mélange',
+    'operation.mixedHint': '(les quatre)',
+    'mode.legend': '3. Choisis le mode de jeu :',
+    'mode.time': 'Chrono',
+    'mode.timeHint': 'Score illimité dans un temps donné.',
+    'mode.score': 'Objectif de score',
+    'mode.scoreHint': 'Temps illimité pour atteindre un score.',
+    'mode.campaign': 'Campagne',
+    'mode.campaignHint': 'Des niveaux de ×2 à ×12 qui se débloquent au fur et à mesure.',
+    'speed.legend': '4. Choisis la vitesse :',
+    'speed.easy': 'Facile',
+    'speed.intermediate': 'Moyenne',
+    'speed.fast': 'Rapide',
+    'multiplier.legend': '5. Multiplicateur ciblé (nombre central) :',
+    'multiplier.random': 'Au hasard',
+    'multiplier.fixed': 'Fixe',
+    'multiplier.adaptive': 'Adaptatif',
+    'multiplier.fixedLabel': 'Multiplicateur fixe :',
+    'limit.time': '6. Temps limite (secondes) :',
+    'limit.score': '6. Objectif de score :',
+    'players.legend': 'Joueurs :',
+    'players.solo': '1 joueur',
+    'players.split': '2 joueurs',
+    'players.splitHint': 'Côte à côte : pavé numérique contre clavier',
+    'players.hotseat': 'Chacun son tour',
+    'players.hotseatHint': '2 joueurs, un pavé numérique',
+    'players.one': 'Joueur 1',
+    'players.two': 'Joueur 2',
+    'players.oneName': 'Nom du joueur 1',
+    'players.twoName': 'Nom du joueur 2',
+    'theme.legend': 'Thème :',
+    'theme.classic': 'Classique',
+    'theme.ships': 'Vaisseaux spatiaux',
+    'theme.balloons': 'Ballons',
+    'theme.contrast': 'Contraste élevé',
+    'a11y.legend': 'Accessibilité :',
+    'a11y.noTimePressure': 'Sans limite de temps',
+    'a11y.noTimePressureHint': "Pas de compte à rebours, et les envahisseurs s'arrêtent avant d'arriver en bas. On joue jusqu'à un objectif de score.",
+    'a11y.reducedMotion': 'Réduire les animations',
+    'a11y.reducedMotionHint': "Pas d'explosions ni de feux d'artifice.",
+    'a11y.textSize': 'Taille du texte',
+    'a11y.textStandard': 'Texte normal',
+    'a11y.textLarge': 'Grand texte',
+    'a11y.textDyslexic': 'Adapté à la dyslexie',
+    'a11y.keyboardHelp': "Clavier : Tab et les flèches parcourent ces réglages. Pendant une partie, tape les réponses avec les chiffres, Entrée tire, Retour arrière efface, Échap ou P met en pause, M coupe le son et R lit les envahisseurs à l'écran. Tu peux changer ces touches dans Commandes.",
+    'sound.legend': 'Son :',
+    'sound.volume': 'Volume',
+    'sound.mute': 'Couper le son',
+    'sound.music': 'Musique de fond',
+    'sound.quiet': 'Classe silencieuse',
+    'sound.quietHint': "Aucun son, quel que soit le volume. Ajoutez ?quiet=1 à un lien pour l'activer pour tous ceux qui l'ouvrent.",
+    'settings.back': 'Retour aux réglages',
+    'start.game': 'Jouer',
+    'start.campaign': 'Choisir un niveau',
+
+    // Campaign
+    'campaign.title': 'Campagne',
+    'campaign.intro': 'Réussis un niveau pour débloquer le suivant. Si 5 envahisseurs passent, le niveau est perdu.',
+    'campaign.starsTotal': '{stars} / {total} étoiles',
+    'campaign.levelButton': '{id}. {title}',
+    'campaign.levelLabel': 'Niveau {id}, {title}, {stars} étoiles sur 3',
+    'campaign.levelLockedLabel': 'Niveau {id}, {title}, verrouillé',
+    'campaign.levelDetail': 'Atteindre {target} · {speed}',
+    'campaign.locked': 'Verrouillé',
+    'campaign.levelStart': 'Niveau {id} : {title}. Atteins {target} avant que {misses} envahisseurs passent.',
+    'campaign.lost': 'Niveau {id} perdu : {misses} envahisseurs sont passés.',
+    'campaign.notCleared': 'Niveau {id} non réussi.',
+    'campaign.complete': 'Campagne terminée ! {stars} étoiles sur 3.',
+    'campaign.completeBest': 'Campagne terminée ! {stars} étoiles sur 3, un nouveau record.',
+    'campaign.cleared': 'Niveau {id} réussi avec {stars} étoiles sur 3 !',
+    'campaign.clearedBest': 'Niveau {id} réussi avec {stars} étoiles sur 3, un nouveau record !',
+    'campaign.nextLevel': 'Niveau suivant',
+    'campaign.levelSelect': 'Choix du niveau',
+    'campaign.level.1': '×2 et ×5',
+    'campaign.level.2': '×3 et ×4',
+    'campaign.level.3': '×10 et ×11',
+    'campaign.level.4': 'Boss : de ×2 à ×5, ×10, ×11',
+    'campaign.level.5': '×6 et ×9',
+    'campaign.level.6': '×7 et ×8',
+    'campaign.level.7': '×12',
+    'campaign.level.8': 'Boss final : de ×1 à ×12',
+
+    // Classroom race (student side)
+    'race.title': 'Course {code}',
+    'race.banner': 'Course',
+    'race.rejoin': 'Retourner dans la course',
+    'race.players': 'Joueurs de cette course',
+    'race.leave': 'Quitter la course',
+    'race.needCode': 'Tape le code de la course donné par ton enseignant.',
+    'race.needName': 'Tape ton prénom pour rejoindre.',
+    'race.needServer': 'Les courses demandent que le jeu soit ouvert depuis le serveur de la classe.',
+    'race.replaced': 'Cette course a été ouverte dans une autre fenêtre.',
+    'race.joining': 'Connexion à la course…',
+    'race.joined': 'Tu as rejoint la course {code} sous le nom {name}.',
+    'race.getReady': 'Prépare-toi… {seconds}',
+    'race.starting': 'La course va commencer. Prépare-toi !',
+    'race.go': 'Partez !',
+    'race.waitingForClass': 'En attente du reste de la classe…',
+    'race.over': 'La course est terminée.',
+    'race.place': 'La course est terminée : tu es {place} sur {total} avec {right} bonnes réponses !',
+    'race.on': "C'est parti !",
+    'race.waitingForTeacher': 'En attente du départ donné par ton enseignant…',
+    'race.disconnected': 'Déconnecté',
+    'race.status.connecting': 'Connexion…',
+    'race.status.open': 'Connecté',
+    'race.status.reconnecting': 'Reconnexion…',
+    'race.status.closed': 'Hors ligne',
+    'race.lostConnection': 'Connexion à la course perdue. Reconnexion…',
+    'race.backToRace': 'Retour à la course',
+
+    // A round
+    'game.right': 'JUSTES',
+    'game.wrong': 'FAUSSES',
+    'game.points': 'Points :',
+    'game.time': 'Temps : {seconds} s',
+    'game.score': 'Score : {right} / {limit}',
+    'game.streak': 'Série {count}',
+    'game.pause': 'Pause',
+    'game.pauseTitle': 'Pause (Échap ou P)',
+    'game.resume': 'Reprendre',
+    'game.mute': 'Couper le son',
+    'game.unmute': 'Remettre le son',
+    'game.muteTitle': 'Couper le son (M)',
+    'game.quit': 'Quitter',
+    'game.paused': 'Pause',
+    'game.areaLabel': "Zone de jeu. Tape les réponses avec les chiffres puis Entrée. Appuie sur R pour entendre les envahisseurs à l'écran.",
+    'game.delete': 'Effacer',
+    'game.deleteKey': 'EFF',
+    'game.fire': 'Tirer la réponse',
+    'game.fireKey': '✓ FEU',
+    'game.correct': 'Juste !',
+    'game.wrongAlert': 'Faux !',
+    'announce.newProblem': 'Nouveau calcul : {fact}.',
+    'announce.missed': 'Raté : {fact} = {answer}.',
+    'announce.correct': 'Juste ! {fact} = {answer}.',
+    'announce.wrong': "Faux, {answer} n'est pas une réponse. Réessaie.",
+    'announce.center': 'Le nombre central est maintenant {center}.',
+    'announce.secondsLeft': { one: 'Encore {count} seconde.', other: 'Encore {count} secondes.' },
+    'announce.noInvaders': "Aucun envahisseur à l'écran.",
+    'announce.invaders': { one: "{count} à l'écran : {facts}.", other: "{count} à l'écran, du plus bas au plus haut : {facts}." },
+    'announce.paused': 'Pause.',
+    'announce.resumed': 'Reprise.',
+    'announce.soundOn': 'Son activé.',
+    'announce.soundOff': 'Son coupé.',
+
+    // Game over
+    'gameOver.title': 'Partie terminée !',
+    'gameOver.win': 'Gagné !',
+    'gameOver.lost': 'Perdu !',
+    'gameOver.celebrate': 'GAGNÉ !',
+    'gameOver.finalRight': 'Score final (justes)',
+    'gameOver.finalWrong': 'Score final (fausses)',
+    'gameOver.points': 'Points',
+    'gameOver.bestStreak': 'Meilleure série : {count}',
+    'gameOver.summary': '{title} {right} justes, {wrong} fausses.',
+    'gameOver.passed': 'Devoir réussi avec {accuracy} de bonnes réponses !',
+    'gameOver.failed': '{accuracy} de bonnes réponses. Il en faut {required} pour réussir. Réessaie !',
+    'gameOver.saveJson': 'Enregistrer le résultat (JSON)',
+    'gameOver.saveCsv': 'Enregistrer le résultat (CSV)',
+    'gameOver.playAgain': 'Rejouer',
+    'gameOver.playLevelAgain': 'Rejouer le niveau',
+    'highScores.title': 'Meilleurs scores',
+    'highScores.newEntry': 'Nouveau record ! Tape ton prénom :',
+    'highScores.newEntryAnnounce': 'Nouveau record ! Tape ton prénom puis Entrée.',
+    'highScores.save': 'Enregistrer',
+    'highScores.empty': 'Pas encore de score avec ces réglages.',
+    'highScores.row': '{points} pts · {accuracy}',
+    'highScores.saved': 'Enregistré. Tu es numéro {rank}.',
+    'highScores.campaign': 'Campagne, niveau {id} : {title}',
+    'highScores.single': 'un chiffre',
+    'highScores.double': 'deux chiffres',
+    'highScores.seconds': '{seconds} s',
+    'highScores.firstTo': 'premier à {limit}',
+    'sync.sending': 'Enregistrement…',
+    'sync.synced': 'Enregistré dans les résultats de la classe.',
+    'sync.queued': "Enregistré sur cet appareil. Il sera envoyé aux résultats de la classe dès que le serveur sera joignable.",
+    'sync.rejected': "Enregistré sur cet appareil, mais le serveur des résultats de la classe n'a pas accepté cette manche.",
+    'sync.local': 'Enregistré sur cet appareil.',
+
+    // Versus
+    'versus.pauseTitle': 'Pause (Échap)',
+    'versus.pts': 'pts',
+    'versus.keyboardHelp': 'Clavier : tape avec les chiffres, Entrée tire, Retour arrière efface.',
+    'versus.startTurn': 'Commencer le tour',
+    'versus.split': '{first} : pavé numérique · {second} : clavier',
+    'versus.turn': 'Au tour de {name} (manche {round} sur {total})',
+    'versus.passDevice': "{turn}. Passe l'appareil !",
+    'versus.turnAnnounce': '{turn}. Appuie sur Commencer le tour quand tu es prêt.',
+    'versus.firstTo': 'Premier à {limit}',
+    'versus.scored': '{name} a marqué {points} points.',
+    'versus.tie': 'Égalité !',
+    'versus.wins': '{name} gagne !',
+    'versus.playerResult': '{name} : {points} points, {right} justes, {wrong} fausses.',
+    'versus.player': 'Joueur',
+    'versus.points': 'Points',
+    'versus.right': 'Justes',
+    'versus.wrong': 'Fausses',
+    'versus.accuracy': 'Précision',
+    'versus.bestStreak': 'Meilleure série',
+    'versus.rematch': 'Revanche',
+    'versus.settings': 'Réglages',
+
+    // Progress dashboard
+    'dashboard.title': 'Progrès :',
+    'dashboard.trend': 'Précision par séance',
+    'dashboard.missed': 'Calculs les plus ratés',
+    'dashboard.heatmap': 'Précision par calcul',
+    'dashboard.recent': 'Séances récentes',
+    'dashboard.date': 'Date',
+    'dashboard.settings': 'Réglages',
+    'dashboard.right': 'Justes',
+    'dashboard.wrong': 'Fausses',
+    'dashboard.accuracy': 'Précision',
+    'dashboard.exportJson': 'Exporter les résultats (JSON)',
+    'dashboard.exportCsv': 'Exporter les résultats (CSV)',
+    'dashboard.sessions': 'Séances',
+    'dashboard.lastPlayed': 'Dernière partie',
+    'dashboard.noSessions': 'Pas encore de séance.',
+    'dashboard.noMissed': 'Aucun calcul raté.',
+    'dashboard.session': '{date} : {right} justes, {wrong} fausses ({accuracy})',
+    'dashboard.cell': '{fact} : {right}/{attempts} ({accuracy})',
+    'dashboard.notPractised': '{fact} : pas encore travaillé',
+    'dashboard.replay': 'Rediffusion',
+    'dashboard.watch': '▶ Revoir',
+    'dashboard.watchLabel': 'Revoir la partie du {date}',
+    'replay.title': 'Rediffusion',
+    'replay.watch': 'Revoir la partie',
+    'replay.play': 'Lecture',
+    'replay.pause': 'Pause',
+    'replay.stepBack': 'Étape précédente',
+    'replay.stepForward': 'Étape suivante',
+    'replay.speed': 'Vitesse',
+    'replay.speedNormal': '1×',
+    'replay.speedDouble': '2×',
+    'replay.timeline': 'Chronologie',
+    'replay.position': '{time} / {total}',
+    'replay.legendWrong': 'Mauvaise réponse',
+    'replay.legendMiss': 'Passé',
+    'replay.markWrong': 'Mauvaise réponse {answer} à {time}',
+    'replay.markMiss': '{fact} est passé à {time}',
+    'replay.back': 'Retour',
+    'replay.event.start': 'La partie commence.',
+    'replay.event.spawn': 'Nouvel envahisseur : {fact}',
+    'replay.event.key': 'A tapé {answer}',
+    'replay.event.delete': 'A effacé un chiffre',
+    'replay.event.right': 'A tiré {answer} : {fact} détruit',
+    'replay.event.wrong': 'A tiré {answer} : faux',
+    'replay.event.miss': '{fact} = {answer} est passé',
+    'problemFormat.legend': 'Format du problème :',
+    'problemFormat.standard': 'Standard',
+    'problemFormat.standardHint': '7 × 8',
+    'problemFormat.missing': 'Facteur manquant',
+    'problemFormat.missingHint': '8 × ? = 56',
+    'problemFormat.reverse': "À l'envers",
+    'problemFormat.reverseHint': '56 = ? × 8',
+    'targeting.label': 'Choisir un envahisseur avant de répondre',
+    'targeting.hint': 'Touche un envahisseur ou utilise les flèches pour le sélectionner, puis tape sa réponse.',
+    'game.pickTarget': "Choisis d'abord un envahisseur !",
+    'game.areaLabelTargeting': "Zone de jeu. Choisis un envahisseur avec les flèches, tape sa réponse avec les chiffres puis Entrée. Appuie sur R pour entendre les envahisseurs à l'écran.",
+    'announce.target': '{fact} sélectionné.',
+    'replay.event.target': 'A sélectionné {fact}',
+    'mode.survival': 'Survie',
+    'mode.survivalHint': 'Garde ton bouclier. Les séries donnent des bonus.',
+    'limit.lives': '6. Nombre de vies (1-9) :',
+    'game.lives': 'Bouclier : {lives} / {max}',
+    'game.shield': 'Bouclier',
+    'power.freeze': 'Temps figé',
+    'power.slow': 'Ralenti',
+    'power.bomb': 'Bombe',
+    'power.life': 'Vie en plus',
+    'power.freezeTitle': 'Figer le temps (F)',
+    'power.slowTitle': 'Ralenti (S)',
+    'power.bombTitle': "Détruire l'envahisseur le plus bas (B)",
+    'power.lifeTitle': 'Vie en plus (L)',
+    'power.label': '{name} : il en reste {count}',
+    'announce.lives': { one: 'Encore {count} vie.', other: 'Encore {count} vies.' },
+    'announce.powerUpEarned': "Bonus : {name}. Appuie sur {key} pour l'utiliser.",
+    'announce.powerUpUsed': '{name} !',
+    'announce.powerUpUnavailable': 'Aucun bonus disponible : {name}.',
+    'gameOver.survived': 'Bouclier détruit ! Tu as tenu {time}.',
+    'highScores.lives': { one: '{count} vie', other: '{count} vies' },
+    'replay.event.powerEarned': 'Bonus gagné : {name}',
+    'replay.event.powerUsed': 'Bonus utilisé : {name}',
+    'numbers.legend': 'Nombres :',
+    'numbers.whole': 'Nombres entiers',
+    'numbers.wholeHint': '7 × 8',
+    'numbers.tenths': 'Dixièmes',
+    'numbers.tenthsHint': '0,7 × 8',
+    'numbers.hundredths': 'Centièmes',
+    'numbers.hundredthsHint': '0,75 × 8',
+    'numbers.fractions': 'Fractions',
+    'numbers.fractionsHint': '3/4 × 8',
+    'range.label': 'Utiliser une plage personnalisée',
+    'range.hint': 'Choisis le plus petit et le plus grand nombre, par exemple de ×13 à ×20. Les nombres négatifs sont permis.',
+    'range.baseMin': 'Nombres des envahisseurs de :',
+    'range.baseMax': 'à :',
+    'range.operandMin': 'Nombres du centre de :',
+    'range.operandMax': 'à :',
+    'game.minusKey': 'Signe moins',
+    'game.pointKey': 'Virgule décimale',
+    'game.fractionKey': 'Barre de fraction',
+    'controls.open': 'Commandes : touches, manette et accès par contacteur',
+    'controls.title': 'Commandes',
+    'controls.keysTitle': 'Clavier',
+    'controls.keysHint': "Choisis Ajouter une touche, puis appuie sur la touche voulue. Une touche ne fait qu'une chose : si elle servait déjà ailleurs, elle est déplacée. Échap annule. Enregistré sur cet appareil.",
+    'controls.reset': 'Rétablir les touches par défaut',
+    'controls.resetDone': 'Toutes les touches sont revenues par défaut.',
+    'controls.group.answer': 'Réponses',
+    'controls.group.round': 'Pendant une partie',
+    'controls.group.power': 'Bonus de survie',
+    'controls.action.digit': 'Taper {digit}',
+    'controls.action.pause': 'Pause et reprise',
+    'controls.action.readInvaders': 'Lire les envahisseurs',
+    'controls.action.targetPrev': "Choisir l'envahisseur de gauche",
+    'controls.action.targetNext': "Choisir l'envahisseur de droite",
+    'controls.action.scanSelect': 'Contacteur (pendant le défilement)',
+    'controls.space': 'Espace',
+    'controls.noKeys': 'Aucune touche',
+    'controls.add': 'Ajouter une touche',
+    'controls.addLabel': 'Ajouter une touche pour {action}',
+    'controls.remove': 'Retirer {key} de {action}',
+    'controls.pressKey': 'Appuie sur une touche…',
+    'controls.pressKeyFor': 'Appuie sur la touche pour {action}, ou sur Échap pour annuler.',
+    'controls.cancelled': 'Aucun changement.',
+    'controls.reserved': "Impossible d'utiliser {key}. Appuie sur une autre touche.",
+    'controls.bound': '{key} sert maintenant à {action}.',
+    'controls.moved': '{key} sert maintenant à {action} au lieu de {previous}.',
+    'controls.switchTitle': 'Accès par contacteur',
+    'controls.scanning': 'Défilement du pavé',
+    'controls.scanningHint': "Pendant une partie, les boutons du pavé s'allument l'un après l'autre. Appuie sur le contacteur (Espace, ou la touche choisie plus haut pour Contacteur) pour appuyer sur le bouton allumé.",
+    'controls.scanSpeed': 'Vitesse du défilement',
+    'controls.scanSlow': 'Lente (2 s)',
+    'controls.scanMedium': 'Moyenne (1,2 s)',
+    'controls.scanFast': 'Rapide (0,8 s)',
+    'controls.gamepadTitle': 'Manette',
+    'controls.gamepadNone': "Aucune manette trouvée. Branche-en une et appuie sur n'importe quel bouton.",
+    'controls.gamepadConnected': 'Connectée : {name}',
+    'controls.gamepadWheel': 'Croix haut et bas : tourner la roue des chiffres (la touche entourée)',
+    'controls.gamepadType': 'A : taper la touche entourée. B : effacer. X ou gâchette droite : tirer',
+    'controls.gamepadOther': 'Boutons de tranche ou croix gauche et droite : choisir un envahisseur. Y : lire les envahisseurs. Start : pause. Back : couper le son',
+    'announce.powerUpEarnedNoKey': 'Bonus : {name}.',
+});
@@ -0,0 +1,97 @@
+/**
+ * Per-fact mastery records, persisted in localStorage.
+ *
+ * A fact is identified by its operation, the base number the player solves
+ * for and the center operand (e.g. `multiply:7:8` is 7 × 8). Each record
+ * keeps right/wrong counts, how often the fact fell off the bottom without
+ * an answer, and the response latency of correct answers.
+ */
+class FactMastery {
+    constructor(storageKey = 'mathInvaders.mastery') {
+        this.storageKey = storageKey;
+        this.records = {};
+        this.load();
+    }
+
+    static key(operation, base, operand) {
+        return `${operation}:${base}:${operand}`;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            this.records = raw ? (JSON.parse(raw) || {}) : {};
+        } catch (e) {
+            console.warn('Could not load mastery records', e);
+            this.records = {};
+        }
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.records)); }
+        catch (e) { console.warn('Could not save mastery records', e); }
+    }
+
+    get(operation, base, operand) {
+        return this.records[FactMastery.key(operation, base, operand)] || null;
+    }
+
+    // Create the record on first use
+    ensure(operation, base, operand) {
+        const key = FactMastery.key(operation, base, operand);
+        if (!this.records[key]) {
+            this.records[key] = { operation, base, operand, right: 0, wrong: 0, missed: 0, seen: 0, totalLatencyMs: 0, lastSeen: 0 };
+        }
+        return this.records[key];
+    }
+
+    recordSeen(operation, base, operand) {
+        const rec = this.ensure(operation, base, operand);
+        rec.seen++;
+        rec.lastSeen = Date.now();
+        this.save();
+    }
+
+    recordRight(operation, base, operand, latencyMs) {
+        const rec = this.ensure(operation, base, operand);
+        rec.right++;
+        if (latencyMs > 0) rec.totalLatencyMs += latencyMs;
+        this.save();
+    }
+
+    recordWrong(operation, base, operand) {
+        this.ensure(operation, base, operand).wrong++;
+        this.save();
+    }
+
+    recordMiss(operation, base, operand) {
+        this.ensure(operation, base, operand).missed++;
+        this.save();
+    }
+
+    // Mean latency of correct answers in ms, or null if never answered
+    averageLatency(rec) {
+        return rec && rec.right > 0 ? rec.totalLatencyMs / rec.right : null;
+    }
+
+    /**
+     * Selection weight for a fact: unseen facts and facts with misses, wrong
+     * answers or slow answers weigh more; well-known facts fall to a floor so
+     * they still come up occasionally.
+     */
+    weight(operation, base, operand) {
+        const rec = this.get(operation, base, operand);
+        if (!rec || rec.seen === 0) return 3;
+        const attempts = rec.right + rec.wrong + rec.missed;
+        const errorRate = attempts > 0 ? (rec.wrong + rec.missed) / attempts : 0;
+        const latency = this.averageLatency(rec);
+        const slowness = latency === null ? 0.5 : Math.min(1, Math.max(0, (latency - 2000) / 6000));
+        const rarity = 1 / (1 + rec.seen);
+        return 0.25 + 4 * errorRate + slowness + 2 * rarity;
+    }
+
+    clear() {
+        this.records = {};
+        this.save();
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Local student profiles and their session history, persisted in localStorage.
+ *
+ * The built-in "Guest" profile keeps using the original mastery storage key so
+ * records collected before profiles existed are not lost.
+ */
+// Replay logs run to a few KB each, so only the latest rounds keep theirs
+const MAX_SAVED_REPLAYS = 20;
+
+class StudentProfiles {
+    constructor(storageKey = 'mathInvaders.profiles') {
+        this.storageKey = storageKey;
+        this.profiles = [];
+        this.activeId = StudentProfiles.GUEST_ID;
+        this.load();
+    }
+
+    static get GUEST_ID() { return 'guest'; }
+
+    load() {
+        let data = null;
+        try { data = JSON.parse(localStorage.getItem(this.storageKey) || 'null'); }
+        catch (e) { console.warn('Could not load student profiles', e); }
+        this.profiles = data && Array.isArray(data.profiles) ? data.profiles : [];
+        if (!this.profiles.some(p => p.id === StudentProfiles.GUEST_ID)) {
+            this.profiles.unshift({ id: StudentProfiles.GUEST_ID, name: 'Guest', createdAt: new Date(0).toISOString() });
+        }
+        this.activeId = data && this.profiles.some(p => p.id === data.activeId) ? data.activeId : StudentProfiles.GUEST_ID;
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify({ profiles: this.profiles, activeId: this.activeId })); }
+        catch (e) { console.warn('Could not save student profiles', e); }
+    }
+
+    list() {
+        return this.profiles.slice();
+    }
+
+    active() {
+        return this.profiles.find(p => p.id === this.activeId) || this.profiles[0];
+    }
+
+    setActive(id) {
+        if (!this.profiles.some(p => p.id === id)) return false;
+        this.activeId = id;
+        this.save();
+        return true;
+    }
+
+    // Adds a profile and makes it active; returns the existing one on a duplicate name
+    add(name) {
+        const trimmed = String(name || '').trim().slice(0, 40);
+        if (!trimmed) return null;
+        let profile = this.profiles.find(p => p.name.toLowerCase() === trimmed.toLowerCase());
+        if (!profile) {
+            profile = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: trimmed, createdAt: new Date().toISOString() };
+            this.profiles.push(profile);
+        }
+        this.activeId = profile.id;
+        this.save();
+        return profile;
+    }
+
+    // Removes a profile with its history and mastery records (Guest cannot be removed)
+    remove(id) {
+        if (id === StudentProfiles.GUEST_ID) return false;
+        const index = this.profiles.findIndex(p => p.id === id);
+        if (index === -1) return false;
+        this.profiles.splice(index, 1);
+        try {
+            localStorage.removeItem(this.historyKey(id));
+            localStorage.removeItem(this.masteryKey(id));
+            localStorage.removeItem(this.campaignKey(id));
+        } catch (e) { /* ignore */ }
+        if (this.activeId === id) this.activeId = StudentProfiles.GUEST_ID;
+        this.save();
+        return true;
+    }
+
+    masteryKey(id = this.activeId) {
+        return id === StudentProfiles.GUEST_ID ? 'mathInvaders.mastery' : `mathInvaders.mastery.${id}`;
+    }
+
+    historyKey(id = this.activeId) {
+        return `mathInvaders.history.${id}`;
+    }
+
+    campaignKey(id = this.activeId) {
+        return `mathInvaders.campaign.${id}`;
+    }
+
+    // Sessions for a profile, oldest first
+    sessions(id = this.activeId) {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.historyKey(id)) || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            console.warn('Could not load session history', e);
+            return [];
+        }
+    }
+
+    /**
+     * Append a finished session to the active profile's history.
+     * Entries look like { date, settings, right, wrong, accuracy, missedFacts, replay }.
+     */
+    addSession(entry) {
+        const list = this.sessions();
+        list.push(entry);
+        list.slice(0, -MAX_SAVED_REPLAYS).forEach((session) => { delete session.replay; });
+        try { localStorage.setItem(this.historyKey(), JSON.stringify(list)); }
+        catch (e) { console.warn('Could not save session history', e); }
+        return entry;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Registers the service worker (sw.js) and offers a reload when a new build
+ * has been downloaded. The update is only applied when the player asks for it,
+ * so a round in progress is never interrupted.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    const banner = document.getElementById('update-banner');
+    const reloadBtn = document.getElementById('update-reload');
+    let waitingWorker = null;
+
+    const showUpdate = (worker) => {
+        waitingWorker = worker;
+        if (banner) banner.style.display = 'flex';
+    };
+
+    if (reloadBtn) reloadBtn.addEventListener('click', () => {
+        if (waitingWorker) waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    // Reload once the new worker has taken over
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then((registration) => {
+        // Only an update if a worker already controls the page (not the first install)
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(worker);
+            });
+        });
+    }).catch(err => console.warn('Service worker registration failed', err));
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', registerServiceWorker);
+else registerServiceWorker();
@@ -0,0 +1,255 @@
+/**
+ * Classroom race page (race.html): the teacher creates a room, shows its
+ * code, starts the race when the class has joined and watches the live
+ * leaderboard. The room's host token is kept in sessionStorage so a
+ * reloaded page takes the race back over.
+ *
+ * The race ends by itself once every student has finished, or a few
+ * seconds after a timed race runs out for anyone who lost their
+ * connection on the way; End Race stops it early.
+ */
+const RACE_HOST_STORAGE_KEY = 'mathInvaders.raceHost';
+const RACE_END_GRACE_MS = 5000;
+
+class RaceHost {
+    constructor() {
+        this.error = document.getElementById('race-host-error');
+        this.setup = document.getElementById('race-setup');
+        this.room = document.getElementById('race-room');
+        this.code = document.getElementById('race-room-code');
+        this.joinLink = document.getElementById('race-join-link');
+        this.settingsText = document.getElementById('race-room-settings');
+        this.status = document.getElementById('race-room-status');
+        this.startBtn = document.getElementById('race-start');
+        this.endBtn = document.getElementById('race-end');
+        this.lobbyList = document.getElementById('race-lobby');
+        this.playerCount = document.getElementById('race-player-count');
+        this.leaderboard = document.getElementById('race-leaderboard');
+
+        this.client = null;
+        this.hosted = null; // { code, hostToken } once the server has made the room
+        this.settings = null;
+        this.state = null;
+        this.startAt = null;
+        this.players = [];
+        this.ending = false;
+        this.clockTimer = null;
+
+        if (this.setup) this.setup.addEventListener('submit', (e) => { e.preventDefault(); this.create(); });
+        if (this.startBtn) this.startBtn.addEventListener('click', () => this.client && this.client.send({ type: 'start' }));
+        if (this.endBtn) this.endBtn.addEventListener('click', () => this.end());
+        document.getElementById('race-new')?.addEventListener('click', () => {
+            if (this.state === 'running' && !confirm('End this race and set up a new one?')) return;
+            if (this.state === 'running') this.end();
+            this.reset();
+        });
+        const mode = document.getElementById('race-mode');
+        const limit = document.getElementById('race-limit');
+        if (mode && limit) mode.addEventListener('change', () => { limit.value = mode.value === 'time' ? 60 : 20; });
+    }
+
+    saved() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(RACE_HOST_STORAGE_KEY) || 'null');
+            return saved && saved.code && saved.hostToken ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save(hosted) {
+        try {
+            if (hosted) sessionStorage.setItem(RACE_HOST_STORAGE_KEY, JSON.stringify(hosted));
+            else sessionStorage.removeItem(RACE_HOST_STORAGE_KEY);
+        } catch (e) {
+            console.warn('Could not save the race host token', e);
+        }
+    }
+
+    // Take back the race this tab was hosting before a reload
+    restore() {
+        const saved = this.saved();
+        if (saved) this.connect({ type: 'rehost', code: saved.code, hostToken: saved.hostToken });
+    }
+
+    create() {
+        const value = id => document.getElementById(id)?.value;
+        const settings = {
+            operation: value('race-operation'),
+            difficulty: value('race-difficulty'),
+            speed: value('race-speed'),
+            mode: value('race-mode'),
+            limit: parseInt(value('race-limit'), 10),
+        };
+        if (!RaceClient.enabled()) { this.showError('Races need this page to be opened from the class server.'); return; }
+        this.connect({ type: 'host', settings });
+    }
+
+    connect(hello) {
+        this.showError('');
+        if (!this.client) {
+            this.client = new RaceClient(raceUrl());
+            this.client.on('status', status => this.showConnection(status));
+            this.client.on('hosted', message => this.onHosted(message));
+            this.client.on('lobby', message => this.renderLobby(message.players));
+            this.client.on('start', message => this.onStart(message));
+            this.client.on('leaderboard', message => this.renderLeaderboard(message.players));
+            this.client.on('ended', message => this.onEnded(message));
+            this.client.on('error', message => this.onError(message));
+        }
+        this.client.connect(hello);
+    }
+
+    onHosted(message) {
+        this.hosted = { code: message.code, hostToken: message.hostToken };
+        this.save(this.hosted);
+        // Reconnects take the same room back instead of making a new one
+        this.client.hello = { type: 'rehost', ...this.hosted };
+        this.settings = message.settings;
+        if (message.race) this.startAt = Date.now() + message.race.startsIn;
+        this.setState(message.state);
+
+        if (this.setup) this.setup.style.display = 'none';
+        if (this.room) this.room.style.display = 'block';
+        if (this.code) this.code.textContent = message.code;
+        if (this.joinLink) {
+            const link = new URL(`mathdex.html?race=${message.code}`, location.href).href;
+            this.joinLink.href = link;
+            this.joinLink.textContent = link;
+        }
+        if (this.settingsText) this.settingsText.textContent = this.describe(message.settings);
+    }
+
+    describe(settings) {
+        const operations = { multiply: '× Multiply', add: '+ Add', subtract: '− Subtract', divide: '÷ Divide', mixed: 'Mixed' };
+        const limit = settings.mode === 'time' ? `${settings.limit} seconds` : `first to ${settings.limit}`;
+        return [operations[settings.operation], settings.difficulty === 'double' ? 'double digit' : 'single digit', settings.speed, limit].join(' · ');
+    }
+
+    onStart(message) {
+        this.settings = message.settings;
+        this.startAt = Date.now() + message.startsIn;
+        this.setState('running');
+    }
+
+    onEnded(message) {
+        this.setState('finished');
+        this.renderLeaderboard(message.players);
+    }
+
+    onError(message) {
+        if (this.hosted) { this.showError(message.message); return; }
+        // The saved room is gone (the race server restarted) or couldn't be made
+        this.client.close();
+        this.client = null;
+        this.save(null);
+        this.showError(message.message);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.ending = false;
+        if (this.startBtn) {
+            this.startBtn.style.display = state === 'running' ? 'none' : '';
+            this.startBtn.textContent = state === 'finished' ? 'Race Again' : 'Start Race';
+        }
+        if (this.endBtn) this.endBtn.style.display = state === 'running' ? '' : 'none';
+        clearInterval(this.clockTimer);
+        if (state === 'running') this.clockTimer = setInterval(() => this.updateClock(), 250);
+        this.updateClock();
+    }
+
+    updateClock() {
+        if (!this.status) return;
+        if (this.state === 'lobby') { this.status.textContent = 'Waiting for students to join…'; return; }
+        if (this.state === 'finished') { this.status.textContent = 'Race over!'; return; }
+        const elapsed = Date.now() - this.startAt;
+        if (elapsed < 0) { this.status.textContent = `Starting in ${Math.ceil(-elapsed / 1000)}…`; return; }
+        if (this.settings.mode === 'score') { this.status.textContent = `Race on: first to ${this.settings.limit}`; return; }
+        const left = this.settings.limit * 1000 - elapsed;
+        this.status.textContent = left > 0 ? `Time left: ${Math.ceil(left / 1000)}s` : 'Finishing…';
+        if (left < -RACE_END_GRACE_MS) this.end();
+    }
+
+    end() {
+        if (this.ending || !this.client) return;
+        this.ending = true;
+        this.client.send({ type: 'end' });
+    }
+
+    renderLobby(players) {
+        this.players = players;
+        if (this.playerCount) this.playerCount.textContent = `(${players.length})`;
+        if (this.startBtn) this.startBtn.disabled = !players.length;
+        if (!this.lobbyList) return;
+        if (!players.length) { this.lobbyList.replaceChildren(this.emptyNote('Nobody has joined yet.')); return; }
+        this.lobbyList.replaceChildren(...players.map((p) => {
+            const li = document.createElement('li');
+            li.className = `px-3 py-1 rounded-full border text-sm font-semibold ${p.connected ? 'bg-green-50 border-green-400 text-green-800' : 'bg-gray-50 text-gray-400'}`;
+            li.textContent = p.connected ? p.name : `${p.name} (offline)`;
+            return li;
+        }));
+    }
+
+    renderLeaderboard(players) {
+        if (!this.leaderboard) return;
+        this.leaderboard.replaceChildren(...players.map((p) => {
+            const tr = document.createElement('tr');
+            tr.className = `border-b ${p.connected ? '' : 'text-gray-400'}`;
+            const cells = [p.rank, p.name, p.right, p.wrong, p.points, p.finished ? 'Finished' : (p.connected ? '' : 'Offline')];
+            tr.append(...cells.map((value, i) => {
+                const td = document.createElement('td');
+                td.className = i === 1 ? 'py-2 pr-2 font-semibold' : 'py-2 pr-2';
+                td.textContent = value;
+                return td;
+            }));
+            return tr;
+        }));
+        // Everyone who started is done: no need to wait for the clock
+        if (this.state === 'running' && players.length && players.every(p => p.finished || !p.connected) && players.some(p => p.finished)) this.end();
+    }
+
+    showConnection(status) {
+        const labels = { connecting: 'Connecting…', open: 'Connected', reconnecting: 'Reconnecting…', closed: 'Offline' };
+        const colors = { connecting: 'text-gray-500', open: 'text-green-600', reconnecting: 'text-amber-600', closed: 'text-red-600' };
+        document.querySelectorAll('.race-connection').forEach((el) => {
+            el.textContent = labels[status];
+            el.className = `race-connection font-semibold ${colors[status]}`;
+        });
+    }
+
+    showError(text) {
+        if (!this.error) return;
+        this.error.textContent = text;
+        this.error.style.display = text ? 'block' : 'none';
+    }
+
+    // Back to the setup form for a new room
+    reset() {
+        clearInterval(this.clockTimer);
+        if (this.client) this.client.close();
+        this.client = null;
+        this.hosted = null;
+        this.state = null;
+        this.save(null);
+        if (this.room) this.room.style.display = 'none';
+        if (this.setup) this.setup.style.display = 'block';
+        if (this.leaderboard) this.leaderboard.replaceChildren();
+        this.showError('');
+    }
+
+    emptyNote(text) {
+        const note = document.createElement('p');
+        note.className = 'text-sm text-gray-500';
+        note.textContent = text;
+        return note;
+    }
+}
+
+function initRaceHost() {
+    const host = new RaceHost();
+    host.restore();
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initRaceHost);
+else initRaceHost();
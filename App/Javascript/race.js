@@ -0,0 +1,432 @@
+/**
+ * Live classroom races (race/ in docker-compose, protocol in race/server.js).
+ *
+ * The teacher opens race.html and hosts a room; students type its code
+ * under "Classroom Race" and wait in the lobby. When the teacher starts,
+ * everyone gets the same seed and settings, so the whole class faces the
+ * same invaders, and each answer sends the student's running totals to the
+ * teacher's live leaderboard.
+ *
+ * Dropped connections reconnect on their own and rejoin with the token
+ * kept in sessionStorage, which also brings a reloaded page back into the
+ * race. RaceClient has no DOM dependencies and is exported via
+ * module.exports when required from Node (see tests/race.test.js);
+ * ClassRace drives the student's race screens in the game.
+ */
+const RACE_RETRY_DELAYS = [1000, 2000, 5000, 10000];
+const RACE_STORAGE_KEY = 'mathInvaders.race';
+
+// The race server's WebSocket URL, next to the page like the results API
+function raceUrl(loc = location) {
+    const url = new URL('race', loc.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.href;
+}
+
+/**
+ * What is left of a race round for a student starting (or coming back) at
+ * `now`: the seconds left on a timed race, or null for a score race, and
+ * whether there is nothing left to play.
+ */
+function raceRoundPlan(settings, startAt, progress, now = Date.now()) {
+    if (progress.finished) return { timeLeft: null, done: true };
+    if (settings.mode === 'score') return { timeLeft: null, done: progress.right >= settings.limit };
+    const timeLeft = Math.min(settings.limit, Math.ceil(settings.limit - Math.max(0, now - startAt) / 1000));
+    return { timeLeft, done: timeLeft <= 0 };
+}
+
+/**
+ * A WebSocket connection to the race server that keeps itself open.
+ * connect(hello) sends `hello` (a join or rehost message) on every
+ * (re)connect; update `hello` once the server hands out a token. Messages
+ * sent while disconnected are queued, keeping only the latest progress.
+ *
+ * Events: one per server message type, plus 'status' ('connecting' |
+ * 'open' | 'reconnecting' | 'closed') and 'replaced' when the same player
+ * joins from another window.
+ */
+class RaceClient {
+    constructor(url, { createSocket = u => new WebSocket(u), retryDelays = RACE_RETRY_DELAYS } = {}) {
+        this.url = url;
+        this.createSocket = createSocket;
+        this.retryDelays = retryDelays;
+        this.listeners = {};
+        this.socket = null;
+        this.status = 'closed';
+        this.hello = null;
+        this.queue = [];
+        this.wanted = false; // false once close() is called
+        this.attempt = 0;
+        this.retryTimer = null;
+        if (typeof window !== 'undefined') window.addEventListener('online', () => { if (this.wanted && !this.socket) this.open(); });
+    }
+
+    static enabled() {
+        return typeof WebSocket === 'function' && location.protocol !== 'file:';
+    }
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return () => { this.listeners[type] = this.listeners[type].filter(f => f !== fn); };
+    }
+
+    emit(type, payload) {
+        (this.listeners[type] || []).forEach(fn => fn(payload));
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.emit('status', status);
+    }
+
+    connect(hello) {
+        this.hello = hello;
+        this.wanted = true;
+        this.attempt = 0;
+        if (this.socket && this.status === 'open') this.socket.send(JSON.stringify(hello));
+        else if (!this.socket) this.open();
+    }
+
+    open() {
+        clearTimeout(this.retryTimer);
+        this.setStatus(this.attempt ? 'reconnecting' : 'connecting');
+        let socket;
+        try { socket = this.createSocket(this.url); }
+        catch (e) { this.retry(); return; }
+        this.socket = socket;
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.setStatus('open');
+            if (this.hello) socket.send(JSON.stringify(this.hello));
+            const queued = this.queue;
+            this.queue = [];
+            queued.forEach(message => socket.send(JSON.stringify(message)));
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try { message = JSON.parse(event.data); }
+            catch (e) { return; }
+            if (message && typeof message.type === 'string') this.emit(message.type, message);
+        };
+        socket.onclose = (event) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            // 4000: this player joined from another window, which now has the race
+            if (event && event.code === 4000) {
+                this.wanted = false;
+                this.emit('replaced');
+            }
+            if (this.wanted) this.retry();
+            else this.setStatus('closed');
+        };
+    }
+
+    retry() {
+        const delay = this.retryDelays[Math.min(this.attempt, this.retryDelays.length - 1)];
+        this.attempt++;
+        this.setStatus('reconnecting');
+        this.retryTimer = setTimeout(() => this.open(), delay);
+    }
+
+    send(message) {
+        if (this.socket && this.status === 'open') {
+            this.socket.send(JSON.stringify(message));
+            return;
+        }
+        // Progress messages are running totals, so only the latest one matters
+        if (message.type === 'progress') this.queue = this.queue.filter(m => m.type !== 'progress');
+        this.queue.push(message);
+    }
+
+    close() {
+        this.wanted = false;
+        clearTimeout(this.retryTimer);
+        this.queue = [];
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.setStatus('closed');
+    }
+}
+
+/**
+ * The student side of a race: the join form on the settings screen, the
+ * race lobby, the connection badges and the reports sent as the student
+ * plays. The round itself is an ordinary Game round (see Game.startRace).
+ */
+class ClassRace {
+    constructor(game) {
+        this.game = game;
+        this.screen = document.getElementById('race-screen');
+        this.title = document.getElementById('race-title');
+        this.message = document.getElementById('race-message');
+        this.playersList = document.getElementById('race-players');
+        this.rejoinBtn = document.getElementById('race-rejoin');
+        this.codeInput = document.getElementById('race-code');
+        this.nameInput = document.getElementById('race-name');
+        this.joinError = document.getElementById('race-join-error');
+        this.banner = document.getElementById('race-banner');
+        this.result = document.getElementById('race-result');
+
+        this.client = null;
+        this.joined = null; // { code, token, name, playerId } once the server accepts us
+        this.state = null; // the room's state: lobby | running | finished
+        this.settings = null;
+        this.seed = null;
+        this.startAt = null; // local time the current round started (or starts)
+        this.progress = { right: 0, wrong: 0, points: 0, finished: false };
+        this.places = null; // final leaderboard once the teacher ends the race
+        this.countdownTimer = null;
+
+        document.getElementById('join-race')?.addEventListener('click', () => this.join());
+        if (this.codeInput) this.codeInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { this.join(); e.preventDefault(); } });
+        if (this.nameInput) this.nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { this.join(); e.preventDefault(); } });
+        document.getElementById('race-leave')?.addEventListener('click', () => this.leave());
+        if (this.rejoinBtn) this.rejoinBtn.addEventListener('click', () => this.startRound());
+    }
+
+    saved() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(RACE_STORAGE_KEY) || 'null');
+            return saved && saved.code && saved.token ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save(joined) {
+        try {
+            if (joined) sessionStorage.setItem(RACE_STORAGE_KEY, JSON.stringify(joined));
+            else sessionStorage.removeItem(RACE_STORAGE_KEY);
+        } catch (e) {
+            console.warn('Could not save the race token', e);
+        }
+    }
+
+    // Fill in the join form, e.g. from a ?race=CODE link
+    prefill(code) {
+        if (this.codeInput) this.codeInput.value = String(code).trim().toUpperCase();
+        if (this.nameInput && !this.nameInput.value) {
+            const profile = this.game.profiles.active();
+            if (profile.id !== StudentProfiles.GUEST_ID) this.nameInput.value = profile.name;
+        }
+    }
+
+    // Back into the race this tab was in before a reload
+    restore() {
+        const saved = this.saved();
+        if (saved) this.connect({ type: 'join', code: saved.code, token: saved.token });
+    }
+
+    join() {
+        const code = this.codeInput ? this.codeInput.value.trim().toUpperCase() : '';
+        const profile = this.game.profiles.active();
+        const name = (this.nameInput && this.nameInput.value.trim()) || (profile.id !== StudentProfiles.GUEST_ID ? profile.name : '');
+        if (!code) { this.showJoinError(i18n.t('race.needCode')); return; }
+        if (!name) { this.showJoinError(i18n.t('race.needName')); this.nameInput?.focus(); return; }
+        if (!RaceClient.enabled()) { this.showJoinError(i18n.t('race.needServer')); return; }
+        this.showJoinError('');
+        this.connect({ type: 'join', code, name });
+    }
+
+    showJoinError(text) {
+        if (!this.joinError) return;
+        this.joinError.textContent = text;
+        this.joinError.style.display = text ? 'block' : 'none';
+    }
+
+    connect(hello) {
+        if (!this.client) {
+            this.client = new RaceClient(raceUrl());
+            this.client.on('status', status => this.showConnection(status));
+            this.client.on('joined', message => this.onJoined(message));
+            this.client.on('lobby', message => this.renderPlayers(message.players));
+            this.client.on('start', message => this.onStart(message));
+            this.client.on('ended', message => this.onEnded(message));
+            this.client.on('error', message => this.onError(message));
+            this.client.on('replaced', () => this.stop(i18n.t('race.replaced')));
+        }
+        this.client.connect(hello);
+        if (!this.game.raceRound) this.showLobby();
+        this.setMessage(i18n.t('race.joining'));
+    }
+
+    onJoined(message) {
+        const first = !this.joined;
+        this.joined = { code: message.code, token: message.token, name: message.name, playerId: message.playerId };
+        this.save(this.joined);
+        this.client.hello = { type: 'join', code: message.code, token: message.token };
+        if (this.title) this.title.textContent = i18n.t('race.title', { code: message.code });
+        const bannerCode = this.banner && this.banner.querySelector('.race-code');
+        if (bannerCode) bannerCode.textContent = message.code;
+        this.state = message.state;
+        this.settings = message.settings;
+        this.places = message.places;
+        if (first) this.game.announcer.announce(i18n.t('race.joined', { code: message.code, name: message.name }));
+
+        if (this.game.raceRound && this.game.running) {
+            // The teacher ended the race while we were reconnecting
+            if (message.state !== 'running') this.game.endGame(false);
+            // Otherwise keep going; our own totals are newer than the server's
+            return;
+        }
+        this.progress = { ...message.progress };
+        if (message.state === 'running' && message.race) {
+            this.seed = message.race.seed;
+            this.startAt = Date.now() + message.race.startsIn;
+            if (message.race.startsIn > 0) this.countdown();
+            else this.startRound();
+        } else this.showLobby();
+    }
+
+    onStart(message) {
+        this.state = 'running';
+        this.settings = message.settings;
+        this.seed = message.seed;
+        this.startAt = Date.now() + message.startsIn;
+        this.progress = { right: 0, wrong: 0, points: 0, finished: false };
+        this.places = null;
+        this.countdown();
+    }
+
+    onEnded(message) {
+        this.state = 'finished';
+        this.places = message.players;
+        clearTimeout(this.countdownTimer);
+        // The teacher can end the race before a student's round is over
+        if (this.game.raceRound && this.game.running) this.game.endGame(false); // shows the place via finish()
+        else if (this.screen && this.screen.style.display === 'block') this.showLobby();
+        else this.showPlace();
+    }
+
+    onError(message) {
+        if (this.joined) { this.setMessage(message.message); return; }
+        // Joining failed (wrong code, race already started, a saved race that is gone)
+        this.stop();
+        this.game.showSettings();
+        this.showJoinError(message.message);
+        this.codeInput?.focus();
+    }
+
+    // Count down on the lobby screen, then start the round
+    countdown() {
+        clearTimeout(this.countdownTimer);
+        this.showLobby();
+        const left = Math.ceil((this.startAt - Date.now()) / 1000);
+        if (left <= 0) { this.startRound(); return; }
+        this.setMessage(i18n.t('race.getReady', { seconds: left }));
+        this.game.announcer.announce(left > 3 ? i18n.t('race.starting') : i18n.number(left));
+        this.countdownTimer = setTimeout(() => this.countdown(), Math.min(1000, this.startAt - Date.now() - (left - 1) * 1000));
+    }
+
+    // Play the race round, or what is left of it after a reload or a quit
+    startRound() {
+        clearTimeout(this.countdownTimer);
+        const { timeLeft, done } = raceRoundPlan(this.settings, this.startAt, this.progress);
+        if (done) { this.showLobby(); return; }
+        if (this.screen) this.screen.style.display = 'none';
+        this.game.startRace({ code: this.joined.code, settings: this.settings, seed: this.seed, timeLeft, progress: this.progress });
+    }
+
+    // Send the round's running totals; called by the game after each answer and miss
+    report(finished = false) {
+        const engine = this.game.engine;
+        if (!this.client || !engine) return;
+        this.progress = { right: engine.scoreRight, wrong: engine.scoreWrong, points: engine.points, finished: finished || this.progress.finished };
+        this.client.send({ type: 'progress', ...this.progress });
+    }
+
+    // The round is over on this device; called from the game-over screen
+    finish() {
+        this.report(true);
+        if (this.result) this.result.style.display = 'block';
+        this.showPlace();
+    }
+
+    showPlace() {
+        const text = this.placeText();
+        if (this.result) this.result.textContent = text;
+        if (this.screen && this.screen.style.display === 'block') this.setMessage(text);
+        if (this.places) this.game.announcer.announce(text);
+    }
+
+    placeText() {
+        if (!this.places) return i18n.t('race.waitingForClass');
+        const me = this.places.find(p => this.joined && p.id === this.joined.playerId);
+        if (!me) return i18n.t('race.over');
+        return i18n.t('race.place', { place: i18n.ordinal(me.rank), total: this.places.length, right: me.right });
+    }
+
+    showLobby() {
+        const game = this.game;
+        [game.settingsScreen, game.gameScreen, game.gameOverScreen, game.campaignScreen, game.dashboardScreen].forEach((el) => { if (el) el.style.display = 'none'; });
+        game.versus.stop();
+        game.cleanup();
+        game.raceRound = null;
+        if (this.screen) this.screen.style.display = 'block';
+        if (this.state === 'finished' && this.places) this.setMessage(this.placeText());
+        else if (this.state === 'running' && this.progress.finished) this.setMessage(this.placeText());
+        else if (this.state === 'running') this.setMessage(i18n.t('race.on'));
+        else this.setMessage(i18n.t('race.waitingForTeacher'));
+        const canRejoin = this.state === 'running' && this.settings && !raceRoundPlan(this.settings, this.startAt, this.progress).done && Date.now() >= this.startAt;
+        if (this.rejoinBtn) this.rejoinBtn.style.display = canRejoin ? '' : 'none';
+        this.title?.focus();
+    }
+
+    setMessage(text) {
+        if (this.message) this.message.textContent = text;
+    }
+
+    renderPlayers(players) {
+        if (!this.playersList) return;
+        this.playersList.replaceChildren(...players.map((p) => {
+            const li = document.createElement('li');
+            li.className = `px-3 py-1 rounded-full border text-sm font-semibold ${p.connected ? 'bg-green-50 border-green-400 text-green-800' : 'bg-gray-50 text-gray-400'}`;
+            li.textContent = p.name;
+            if (!p.connected) li.title = i18n.t('race.disconnected');
+            return li;
+        }));
+    }
+
+    // Connection badges on the lobby and game screens
+    showConnection(status) {
+        const colors = { connecting: 'text-gray-500', open: 'text-green-600', reconnecting: 'text-amber-600', closed: 'text-red-600' };
+        document.querySelectorAll('.race-connection').forEach((el) => {
+            el.textContent = i18n.t(`race.status.${status}`);
+            el.className = `race-connection text-sm font-semibold ${colors[status]}`;
+        });
+        if (status === 'reconnecting') this.game.announcer.announce(i18n.t('race.lostConnection'));
+    }
+
+    // Leave the race for good
+    leave() {
+        this.stop();
+        this.game.showSettings();
+    }
+
+    stop(reason = '') {
+        clearTimeout(this.countdownTimer);
+        if (this.client && this.joined) this.client.send({ type: 'leave' });
+        if (this.client) this.client.close();
+        this.client = null;
+        this.save(null);
+        this.joined = null;
+        this.state = null;
+        this.places = null;
+        this.game.raceRound = null;
+        if (this.screen) this.screen.style.display = 'none';
+        if (reason) {
+            this.game.showSettings();
+            this.showJoinError(reason);
+        }
+    }
+
+    hide() {
+        if (this.screen) this.screen.style.display = 'none';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RaceClient, raceUrl, raceRoundPlan };
+}
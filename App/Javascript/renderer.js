@@ -0,0 +1,405 @@
+/**
+ * Draws the game area on a single canvas instead of one DOM node per invader.
+ *
+ * Invader positions come straight from the engine state (x/y are the top-left
+ * corner in CSS pixels, as the old absolutely positioned divs used). Each theme
+ * knows how to draw an invader and its hit / miss animations; effects are kept
+ * here and aged by the frame delta so they freeze together with the game.
+ */
+
+// Size the canvas backing store for the device pixel ratio and draw in CSS pixels
+function fitCanvasToDisplay(canvas, ctx) {
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = Math.max(1, Math.floor(rect.width * devicePixelRatio));
+    canvas.height = Math.max(1, Math.floor(rect.height * devicePixelRatio));
+    ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
+    return rect;
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
+
+function drawLabel(ctx, text, cx, cy, color, font) {
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, cy);
+}
+
+/**
+ * Visual themes. `measure` returns the invader box size for a label,
+ * `drawInvader` paints it at (x, y) and `drawHit` / `drawMiss` paint an effect
+ * at progress t (0..1).
+ */
+const THEMES = {
+    classic: {
+        font: 'bold 24px Inter, sans-serif',
+        measure(ctx, text) {
+            ctx.font = this.font;
+            return { w: ctx.measureText(text).width + 32, h: 44 };
+        },
+        drawInvader(ctx, x, y, w, h, text) {
+            ctx.shadowColor = 'rgba(0,0,0,0.25)';
+            ctx.shadowBlur = 6;
+            ctx.shadowOffsetY = 3;
+            ctx.fillStyle = '#ef4444';
+            roundedRect(ctx, x, y, w, h, 6);
+            ctx.fill();
+            ctx.shadowColor = 'transparent';
+            drawLabel(ctx, text, x + w / 2, y + h / 2, '#ffffff', this.font);
+        },
+        drawHit(ctx, fx, t) {
+            // Box swells, turns green and fades out
+            const scale = 1 + t * 0.6;
+            const w = fx.w * scale;
+            const h = fx.h * scale;
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = '#16a34a';
+            roundedRect(ctx, fx.x + fx.w / 2 - w / 2, fx.y + fx.h / 2 - h / 2, w, h, 6);
+            ctx.fill();
+            drawLabel(ctx, fx.text, fx.x + fx.w / 2, fx.y + fx.h / 2, '#ffffff', this.font);
+            ctx.globalAlpha = 1;
+        },
+        drawMiss(ctx, fx, t, area) {
+            // Red glow along the bottom edge
+            const grad = ctx.createLinearGradient(0, area.height - 40, 0, area.height);
+            grad.addColorStop(0, 'rgba(220,38,38,0)');
+            grad.addColorStop(1, `rgba(220,38,38,${0.7 * (1 - t)})`);
+            ctx.fillStyle = grad;
+            ctx.fillRect(0, area.height - 40, area.width, 40);
+        },
+    },
+
+    ships: {
+        font: 'bold 20px Inter, sans-serif',
+        measure(ctx, text) {
+            ctx.font = this.font;
+            return { w: Math.max(64, ctx.measureText(text).width + 28), h: 48 };
+        },
+        drawInvader(ctx, x, y, w, h, text) {
+            const cx = x + w / 2;
+            // Dome
+            ctx.fillStyle = '#7dd3fc';
+            ctx.beginPath();
+            ctx.ellipse(cx, y + h * 0.38, w * 0.22, h * 0.3, 0, Math.PI, 0);
+            ctx.fill();
+            // Saucer body
+            ctx.fillStyle = '#a3e635';
+            ctx.beginPath();
+            ctx.ellipse(cx, y + h * 0.6, w / 2, h * 0.26, 0, 0, Math.PI * 2);
+            ctx.fill();
+            // Lights
+            ctx.fillStyle = '#facc15';
+            for (let i = -2; i <= 2; i++) {
+                ctx.beginPath();
+                ctx.arc(cx + i * w * 0.18, y + h * 0.78, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            drawLabel(ctx, text, cx, y + h * 0.58, '#1a2e05', this.font);
+        },
+        drawHit(ctx, fx, t) {
+            // Debris flying out from the saucer
+            const cx = fx.x + fx.w / 2;
+            const cy = fx.y + fx.h / 2;
+            ctx.globalAlpha = 1 - t;
+            fx.sparks.forEach(({ angle, speed, color }) => {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(cx + Math.cos(angle) * speed * t, cy + Math.sin(angle) * speed * t, 3 * (1 - t) + 1, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.globalAlpha = 1;
+        },
+        drawMiss(ctx, fx, t, area) {
+            // Ship streaks past the bottom with a fading red trail
+            const cx = fx.x + fx.w / 2;
+            ctx.strokeStyle = `rgba(248,113,113,${1 - t})`;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(cx, area.height - 80 * (1 - t));
+            ctx.lineTo(cx, area.height);
+            ctx.stroke();
+        },
+        stars: true,
+    },
+
+    balloons: {
+        font: 'bold 22px Inter, sans-serif',
+        colors: ['#f87171', '#fb923c', '#facc15', '#4ade80', '#60a5fa', '#c084fc'],
+        measure(ctx, text) {
+            ctx.font = this.font;
+            const w = Math.max(52, ctx.measureText(text).width + 24);
+            // Wide equations get an oval balloon rather than a huge one
+            return { w, h: Math.min(w * 1.2, 96) };
+        },
+        drawInvader(ctx, x, y, w, h, text, inv) {
+            const cx = x + w / 2;
+            const ry = h * 0.42;
+            // String
+            ctx.strokeStyle = '#475569';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(cx, y + ry * 2);
+            ctx.quadraticCurveTo(cx - 6, y + h, cx, y + h + 16);
+            ctx.stroke();
+            // Balloon
+            ctx.fillStyle = this.colors[inv.id % this.colors.length];
+            ctx.beginPath();
+            ctx.ellipse(cx, y + ry, w / 2, ry, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'rgba(255,255,255,0.45)';
+            ctx.beginPath();
+            ctx.ellipse(cx - w * 0.18, y + ry * 0.6, w * 0.08, ry * 0.22, -0.5, 0, Math.PI * 2);
+            ctx.fill();
+            drawLabel(ctx, text, cx, y + ry, '#1f2937', this.font);
+        },
+        drawHit(ctx, fx, t) {
+            // Pop: short lines radiating from the center
+            const cx = fx.x + fx.w / 2;
+            const cy = fx.y + fx.h * 0.42;
+            ctx.strokeStyle = this.colors[fx.id % this.colors.length];
+            ctx.globalAlpha = 1 - t;
+            ctx.lineWidth = 3;
+            for (let i = 0; i < 10; i++) {
+                const a = (i / 10) * Math.PI * 2;
+                const r1 = fx.w * 0.3 + t * fx.w * 0.5;
+                const r2 = r1 + 10;
+                ctx.beginPath();
+                ctx.moveTo(cx + Math.cos(a) * r1, cy + Math.sin(a) * r1);
+                ctx.lineTo(cx + Math.cos(a) * r2, cy + Math.sin(a) * r2);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+        },
+        drawMiss(ctx, fx, t, area) {
+            // Deflated balloon shrinking at the bottom
+            const cx = fx.x + fx.w / 2;
+            const r = (fx.w / 2) * (1 - t);
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = this.colors[fx.id % this.colors.length];
+            ctx.beginPath();
+            ctx.ellipse(cx, area.height - r, r, r * 0.6, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        },
+    },
+
+    contrast: {
+        font: 'bold 30px Inter, sans-serif',
+        measure(ctx, text) {
+            ctx.font = this.font;
+            return { w: ctx.measureText(text).width + 36, h: 54 };
+        },
+        drawInvader(ctx, x, y, w, h, text) {
+            ctx.fillStyle = '#ffff00';
+            ctx.fillRect(x, y, w, h);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 4;
+            ctx.strokeRect(x, y, w, h);
+            drawLabel(ctx, text, x + w / 2, y + h / 2, '#000000', this.font);
+        },
+        drawHit(ctx, fx, t) {
+            // Thick expanding outline, no color-only cue
+            const grow = t * 24;
+            ctx.globalAlpha = 1 - t;
+            ctx.strokeStyle = '#00ff00';
+            ctx.lineWidth = 6;
+            ctx.strokeRect(fx.x - grow, fx.y - grow, fx.w + grow * 2, fx.h + grow * 2);
+            drawLabel(ctx, '✓', fx.x + fx.w / 2, fx.y + fx.h / 2, '#00ff00', this.font);
+            ctx.globalAlpha = 1;
+        },
+        drawMiss(ctx, fx, t, area) {
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = '#ff0000';
+            ctx.fillRect(0, area.height - 12, area.width, 12);
+            drawLabel(ctx, '✗', fx.x + fx.w / 2, area.height - 36, '#ff0000', this.font);
+            ctx.globalAlpha = 1;
+        },
+    },
+};
+const THEME_NAMES = Object.keys(THEMES);
+
+// Label type for the accessibility text option: theme font sizes are scaled,
+// and the dyslexia-friendly option also swaps the typeface
+const TEXT_STYLES = {
+    standard: { scale: 1, family: null },
+    large: { scale: 1.4, family: null },
+    dyslexic: { scale: 1.25, family: 'OpenDyslexic, Lexend, Verdana, "Comic Sans MS", sans-serif' },
+};
+
+function scaleFont(font, style) {
+    return font.replace(/(\d+)px (.*)$/, (match, size, family) => `${Math.round(size * style.scale)}px ${style.family || family}`);
+}
+
+const EFFECT_DURATION = 0.45; // seconds
+const POPUP_DURATION = 0.9;
+const POPUP_RISE = 40; // pixels a score pop-up floats up
+const POPUP_FONT = 'bold 22px Inter, sans-serif';
+const TARGET_COLOR = '#facc15'; // yellow-400, visible on every theme background
+
+class CanvasRenderer {
+    constructor(canvas, themeName = 'classic') {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.area = { width: 0, height: 0 };
+        this.effects = [];
+        this.popups = [];
+        this.stars = [];
+        this.textStyle = 'standard';
+        this.reducedMotion = false; // when set, hits and misses are not animated
+        this.setTheme(themeName);
+        this.resize();
+        this._resizeHandler = () => this.resize();
+        window.addEventListener('resize', this._resizeHandler);
+    }
+
+    setTheme(name) {
+        this.themeName = THEMES[name] ? name : 'classic';
+        // Themes read this.font, so a derived object can swap in the accessible type
+        this.theme = Object.create(THEMES[this.themeName]);
+        this.theme.font = scaleFont(THEMES[this.themeName].font, TEXT_STYLES[this.textStyle]);
+        const container = this.canvas.parentElement;
+        if (container) container.dataset.theme = this.themeName;
+    }
+
+    setTextStyle(name) {
+        this.textStyle = TEXT_STYLES[name] ? name : 'standard';
+        this.setTheme(this.themeName);
+    }
+
+    resize() {
+        const rect = fitCanvasToDisplay(this.canvas, this.ctx);
+        this.area = { width: rect.width, height: rect.height };
+        this.stars = Array.from({ length: 40 }, () => ({ x: Math.random() * rect.width, y: Math.random() * rect.height, r: Math.random() * 1.5 + 0.3 }));
+    }
+
+    /**
+     * Text for an invader. Missing-factor and reverse invaders always show
+     * their equation. `labels.operand` is the center number on display:
+     * invaders left over from a different one show their full problem, and
+     * `labels.showOperation` (mixed mode) adds the operation symbol, and
+     * `labels.formatNumber` writes the numbers in the player's language.
+     */
+    label(inv, labels = {}) {
+        const symbol = OPERATIONS[inv.operation].symbol;
+        const num = labels.formatNumber || String;
+        if (inv.format === 'missing' || inv.format === 'reverse') return formatProblem(inv, num);
+        if (labels.operand !== undefined && labels.operand !== null && inv.operand !== labels.operand) return `${writeNumber(inv.value, num)} ${symbol} ${num(inv.operand)}`;
+        return labels.showOperation ? `${writeNumber(inv.value, num)} ${symbol}` : writeNumber(inv.value, num);
+    }
+
+    /**
+     * Where an invader is drawn: { x, y, w, h, text }. Equations can be wider
+     * than the room left at the spawn position, so boxes are kept inside the
+     * right edge.
+     */
+    box(inv, labels) {
+        const text = this.label(inv, labels);
+        const { w, h } = this.theme.measure(this.ctx, text);
+        const x = this.area.width > 0 ? Math.max(0, Math.min(inv.x, this.area.width - w)) : inv.x;
+        return { x, y: inv.y, w, h, text };
+    }
+
+    // The invader under a point in CSS pixels (a tap or click), topmost first
+    invaderAt(invaders, px, py, labels) {
+        for (let i = invaders.length - 1; i >= 0; i--) {
+            const { x, y, w, h } = this.box(invaders[i], labels);
+            if (px >= x && px <= x + w && py >= y && py <= y + h) return invaders[i];
+        }
+        return null;
+    }
+
+    // Queue a hit / miss animation for an invader that just left the engine
+    addEffect(type, inv, labels) {
+        if (this.reducedMotion) return;
+        const { x, y, w, h, text } = this.box(inv, labels);
+        const fx = { type, id: inv.id, x, y, w, h, text, age: 0 };
+        if (type === 'hit' && this.themeName === 'ships') {
+            const colors = ['#facc15', '#fb923c', '#a3e635', '#ffffff'];
+            fx.sparks = Array.from({ length: 14 }, (_, i) => ({ angle: (i / 14) * Math.PI * 2, speed: 40 + Math.random() * 40, color: colors[i % colors.length] }));
+        }
+        this.effects.push(fx);
+    }
+
+    /**
+     * Float a score change up from where an invader was. `inv` may be null
+     * (shown mid-screen); misses are shown at the bottom edge. With reduced
+     * motion the pop-up fades in place.
+     */
+    addPopup(text, inv, color, labels) {
+        let x = this.area.width / 2;
+        let y = this.area.height / 2;
+        if (inv) {
+            const box = this.box(inv, labels);
+            x = box.x + box.w / 2;
+            y = Math.min(box.y + box.h / 2, this.area.height - 30);
+        }
+        this.popups.push({ text, x, y, color, age: 0 });
+    }
+
+    /**
+     * Draw one frame. `delta` (seconds) ages running effects; the invader
+     * with id `labels.targetId` gets a selection ring.
+     */
+    render(invaders, delta, labels) {
+        const { ctx } = this;
+        ctx.clearRect(0, 0, this.area.width, this.area.height);
+
+        if (this.theme.stars) {
+            ctx.fillStyle = 'rgba(255,255,255,0.7)';
+            this.stars.forEach(s => { ctx.beginPath(); ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2); ctx.fill(); });
+        }
+
+        invaders.forEach(inv => {
+            const { x, y, w, h, text } = this.box(inv, labels);
+            this.theme.drawInvader(ctx, x, y, w, h, text, inv);
+            if (labels && labels.targetId === inv.id) {
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = TARGET_COLOR;
+                roundedRect(ctx, x - 5, y - 5, w + 10, h + 10, 10);
+                ctx.stroke();
+            }
+        });
+
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            const fx = this.effects[i];
+            fx.age += delta || 0;
+            const t = Math.min(1, fx.age / EFFECT_DURATION);
+            if (fx.type === 'hit') this.theme.drawHit(ctx, fx, t, this.area);
+            else this.theme.drawMiss(ctx, fx, t, this.area);
+            if (t >= 1) this.effects.splice(i, 1);
+        }
+
+        const font = scaleFont(POPUP_FONT, TEXT_STYLES[this.textStyle]);
+        for (let i = this.popups.length - 1; i >= 0; i--) {
+            const popup = this.popups[i];
+            popup.age += delta || 0;
+            const t = Math.min(1, popup.age / POPUP_DURATION);
+            const rise = this.reducedMotion ? 0 : POPUP_RISE * t;
+            ctx.globalAlpha = 1 - t * t;
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+            ctx.font = font;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.strokeText(popup.text, popup.x, popup.y - rise);
+            drawLabel(ctx, popup.text, popup.x, popup.y - rise, popup.color, font);
+            ctx.globalAlpha = 1;
+            if (t >= 1) this.popups.splice(i, 1);
+        }
+    }
+
+    clear() {
+        this.effects = [];
+        this.popups = [];
+        this.ctx.clearRect(0, 0, this.area.width, this.area.height);
+    }
+}
@@ -0,0 +1,398 @@
+/**
+ * Round recordings and the replay screen.
+ *
+ * RoundRecorder listens to a GameEngine and keeps an event log of the round:
+ * spawns (value, x, speed), the keys typed, each submitted answer, hits,
+ * misses and survival power-ups, all stamped with the engine's game time in ms so pauses leave no
+ * gaps. Game saves the log with the session (see recordSession in script.js).
+ *
+ * RoundReplay rebuilds what was on screen at any moment from the log.
+ * Invaders fall in a straight line, so their positions are worked out from
+ * the spawn (and any time freezes or slow motion since) instead of being
+ * stored every frame.
+ *
+ * Both have no DOM dependencies and are exported via module.exports when
+ * required from Node (see tests/replay.test.js); ReplayViewer drives the
+ * replay screen.
+ */
+const REPLAY_VERSION = 1;
+
+// Positions to a tenth of a pixel keep a saved round to a few KB
+function roundTenth(n) {
+    return Math.round(n * 10) / 10;
+}
+
+// Game time as the clock a player reads, e.g. 75000 -> '1:15'
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+class RoundRecorder {
+    /**
+     * Start recording `engine` from its current state; create it after
+     * engine.start() so a race round's carried-over totals are the baseline.
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.area = { ...engine.area };
+        this.floor = engine.floorY();
+        this.start = { right: engine.scoreRight, wrong: engine.scoreWrong, points: engine.points, lives: engine.lives, operation: engine.operation, multiplier: engine.multiplier };
+        this.settings = { mode: engine.settings.mode, limit: engine.settings.limit, operation: engine.settings.operation, problemFormat: engine.settings.problemFormat };
+        this.events = [];
+        this.pending = new Map(); // spawn events waiting for the invader's first move
+        engine.on('spawn', (inv) => this.pending.set(inv.id, this.add('spawn', {
+            id: inv.id, value: inv.value, base: inv.base, operation: inv.operation, operand: inv.operand, format: inv.format,
+            x: roundTenth(inv.x), y: inv.y, speed: roundTenth(inv.speed),
+        })));
+        // tick() moves an invader in the frame that spawns it, so its path starts there
+        engine.on('move', (inv) => {
+            const spawn = this.pending.get(inv.id);
+            if (!spawn) return;
+            spawn.y = roundTenth(inv.y);
+            this.pending.delete(inv.id);
+        });
+        // Selections only; the engine also clears them when the invader goes
+        engine.on('target', (inv) => { if (inv) this.add('target', { id: inv.id }); });
+        engine.on('operation', () => this.add('center', { operation: engine.operation, multiplier: engine.multiplier }));
+        // Wrong answers are logged by submit(), which knows what was typed
+        engine.on('score', (award) => {
+            if (award.reason !== 'wrong') this.add(award.reason, { id: award.invader.id, points: engine.points });
+        });
+        // Timed power-ups keep when they run out; a bomb keeps the invader it cleared
+        engine.on('powerup', (e) => {
+            const event = this.add('power', { power: e.type, action: e.action });
+            if (e.until !== undefined) event.until = Math.round(e.until);
+            if (e.invader) event.id = e.invader.id;
+        });
+    }
+
+    add(type, data) {
+        const event = { t: Math.round(this.engine.time), type, ...data };
+        this.events.push(event);
+        return event;
+    }
+
+    // A digit or 'del' from the keypad, with the answer as it now reads
+    key(key, answer) {
+        this.add('key', { key, answer });
+    }
+
+    // An answer fired at the invaders and the engine's verdict (see GameEngine.submit)
+    submit(answer, result) {
+        this.add('submit', { answer, correct: result.correct, id: result.invader ? result.invader.id : null, points: this.engine.points });
+    }
+
+    toJSON() {
+        return { version: REPLAY_VERSION, area: this.area, floor: this.floor, settings: this.settings, start: this.start, duration: Math.round(this.engine.time), events: this.events };
+    }
+}
+
+class RoundReplay {
+    constructor(recording) {
+        this.recording = recording;
+        this.events = recording.events || [];
+        this.settings = recording.settings || {};
+        this.spawns = new Map(this.events.filter(e => e.type === 'spawn').map(e => [e.id, e]));
+        // [start, end] game times of each time freeze and slow-motion field
+        const used = power => this.events.filter(e => e.type === 'power' && e.action === 'used' && e.power === power).map(e => [e.t, e.until]);
+        this.frozen = used('freeze');
+        this.slowed = used('slow');
+        const last = this.events.length ? this.events[this.events.length - 1].t : 0;
+        this.duration = Math.max(recording.duration || 0, last);
+        // Moments worth stopping at when stepping through the round
+        this.times = [...new Set([0, ...this.events.map(e => e.t), this.duration])].sort((a, b) => a - b);
+    }
+
+    // Where an invader was at game time `t`
+    invaderAt(id, t) {
+        const spawn = this.spawns.get(id);
+        if (!spawn) return null;
+        let y = spawn.y + spawn.speed * motionSeconds(spawn.t, Math.max(spawn.t, t), this.frozen, this.slowed);
+        if (this.recording.floor !== null && this.recording.floor !== undefined) y = Math.min(y, this.recording.floor);
+        const { value, base, operation, operand, format, x, speed } = spawn;
+        return { id, value, base, operation, operand, format, x, y, speed };
+    }
+
+    /**
+     * The round at game time `t`: invaders on screen, the selected one
+     * (targeting), the answer being typed, scores, center number, time left
+     * (timed rounds), lives and running power-ups (survival) and the latest
+     * event.
+     */
+    stateAt(t) {
+        const { start } = this.recording;
+        const lives = start.lives ?? null;
+        const state = { time: t, answer: '', right: start.right, wrong: start.wrong, points: start.points, lives, operation: start.operation, multiplier: start.multiplier, target: null, event: null };
+        const onScreen = new Set();
+        for (const e of this.events) {
+            if (e.t > t) break;
+            if (e.type === 'spawn') onScreen.add(e.id);
+            else if (e.type === 'hit') { onScreen.delete(e.id); state.right++; }
+            else if (e.type === 'miss') {
+                onScreen.delete(e.id);
+                state.wrong++;
+                if (state.lives !== null) state.lives = Math.max(0, state.lives - 1);
+            } else if (e.type === 'power' && e.action === 'used') {
+                if (e.power === 'bomb') onScreen.delete(e.id);
+                if (e.power === 'life') state.lives++;
+            }
+            else if (e.type === 'target') state.target = e.id;
+            else if (e.type === 'key') state.answer = e.answer;
+            else if (e.type === 'submit') {
+                state.answer = '';
+                if (!e.correct) state.wrong++;
+            } else if (e.type === 'center') {
+                state.operation = e.operation;
+                state.multiplier = e.multiplier;
+            }
+            if ((e.type === 'hit' || e.type === 'miss' || e.power === 'bomb') && e.id === state.target) state.target = null;
+            if (e.points !== undefined) state.points = e.points;
+            state.event = e;
+        }
+        state.invaders = [...onScreen].map(id => this.invaderAt(id, t));
+        state.timeLeft = this.settings.mode === 'time' ? Math.max(0, this.settings.limit - Math.floor(t / 1000)) : null;
+        const running = windows => windows.some(([from, until]) => t >= from && t < until);
+        state.frozen = running(this.frozen);
+        state.slowed = running(this.slowed);
+        return state;
+    }
+
+    // Events after `from` up to and including `to`, for effects during playback
+    eventsBetween(from, to) {
+        return this.events.filter(e => e.t > from && e.t <= to);
+    }
+
+    /**
+     * Timeline marks: each wrong answer (with the invader it was charged to,
+     * if any) and each invader that got through.
+     */
+    markers() {
+        return this.events
+            .filter(e => (e.type === 'submit' && !e.correct) || e.type === 'miss')
+            .map(e => {
+                const invader = this.spawns.get(e.id) || null;
+                return e.type === 'miss'
+                    ? { t: e.t, type: 'miss', invader, answer: invader ? GameEngine.answerFor(invader) : null }
+                    : { t: e.t, type: 'wrong', invader, answer: e.answer };
+            });
+    }
+
+    nextTime(t) {
+        return this.times.find(time => time > t) ?? this.duration;
+    }
+
+    previousTime(t) {
+        return [...this.times].reverse().find(time => time < t) ?? 0;
+    }
+}
+
+/**
+ * The replay screen: the recorded round on its own canvas with play / pause
+ * at 1× or 2×, step-by-step through the events and a timeline marking each
+ * wrong answer and each invader that got through. `open` takes a stored
+ * session and what to do on Back.
+ */
+class ReplayViewer {
+    constructor(game) {
+        this.game = game;
+        this.screen = document.getElementById('replay-screen');
+        this.dateDisplay = document.getElementById('replay-date');
+        this.rightDisplay = document.getElementById('replay-right');
+        this.wrongDisplay = document.getElementById('replay-wrong');
+        this.statusDisplay = document.getElementById('replay-status');
+        this.pointsDisplay = document.getElementById('replay-points');
+        this.multiplierDisplay = document.getElementById('replay-multiplier');
+        this.answerDisplay = document.getElementById('replay-answer');
+        this.eventDisplay = document.getElementById('replay-event');
+        this.marks = document.getElementById('replay-marks');
+        this.seekBar = document.getElementById('replay-seek');
+        this.clock = document.getElementById('replay-clock');
+        this.playBtn = document.getElementById('replay-play');
+        const canvas = document.getElementById('replay-canvas');
+        this.renderer = canvas ? new CanvasRenderer(canvas) : null;
+        this.area = canvas ? canvas.closest('.replay-area') : null;
+
+        this.replay = null;
+        this.state = null; // the round as last drawn
+        this.settings = {};
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.loopId = null;
+        this.lastFrameTime = null;
+        this.onBack = null;
+
+        if (this.playBtn) this.playBtn.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        document.getElementById('replay-step-back')?.addEventListener('click', () => this.step(-1));
+        document.getElementById('replay-step-forward')?.addEventListener('click', () => this.step(1));
+        if (this.seekBar) this.seekBar.addEventListener('input', () => { this.pause(); this.seek(Number(this.seekBar.value)); });
+        document.querySelectorAll('input[name="replay_speed"]').forEach(radio => radio.addEventListener('change', () => {
+            if (radio.checked) this.speed = Number(radio.value);
+        }));
+        document.getElementById('replay-back')?.addEventListener('click', () => {
+            this.close();
+            if (this.onBack) this.onBack();
+        });
+        document.addEventListener('visibilitychange', () => { if (document.hidden) this.pause(); });
+    }
+
+    open(session, onBack) {
+        this.onBack = onBack;
+        this.replay = new RoundReplay(session.replay);
+        this.settings = session.settings || {};
+        if (this.screen) this.screen.style.display = 'block';
+        if (this.dateDisplay) this.dateDisplay.textContent = new Date(session.date).toLocaleString(i18n.locale);
+        if (this.renderer) {
+            const a11y = this.game.accessibility;
+            this.renderer.reducedMotion = a11y.get('reducedMotion');
+            this.renderer.setTextStyle(a11y.get('text'));
+            this.renderer.setTheme(this.settings.theme);
+            this.renderer.resize(); // the screen was hidden until now
+        }
+        if (this.seekBar) this.seekBar.max = this.replay.duration;
+        this.renderMarks();
+        this.seek(0);
+        document.getElementById('replay-title')?.focus();
+    }
+
+    close() {
+        this.pause();
+        this.renderer?.clear();
+        if (this.screen) this.screen.style.display = 'none';
+    }
+
+    play() {
+        if (!this.replay || this.playing) return;
+        if (this.time >= this.replay.duration) this.seek(0);
+        this.playing = true;
+        this.lastFrameTime = null;
+        if (this.playBtn) this.playBtn.textContent = i18n.t('replay.pause');
+        this.loopId = requestAnimationFrame(t => this.loop(t));
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.loopId) { cancelAnimationFrame(this.loopId); this.loopId = null; }
+        if (this.playBtn) this.playBtn.textContent = i18n.t('replay.play');
+    }
+
+    loop(timestamp) {
+        if (this.lastFrameTime === null) this.lastFrameTime = timestamp;
+        const delta = Math.min(0.1, (timestamp - this.lastFrameTime) / 1000) * this.speed;
+        this.lastFrameTime = timestamp;
+        const from = this.time;
+        this.time = Math.min(this.replay.duration, this.time + delta * 1000);
+        this.replay.eventsBetween(from, this.time).forEach((e) => {
+            if (e.type === 'hit' || e.type === 'miss') this.renderer?.addEffect(e.type, this.scale(this.replay.invaderAt(e.id, e.t)), this.labelOptions());
+            if (e.power === 'bomb' && e.action === 'used') this.renderer?.addEffect('hit', this.scale(this.replay.invaderAt(e.id, e.t)), this.labelOptions());
+        });
+        this.draw(delta);
+        if (this.time >= this.replay.duration) { this.pause(); return; }
+        this.loopId = requestAnimationFrame(t => this.loop(t));
+    }
+
+    // Jump to the next (1) or previous (-1) event and read out what happened
+    step(direction) {
+        if (!this.replay) return;
+        this.pause();
+        this.seek(direction > 0 ? this.replay.nextTime(this.time) : this.replay.previousTime(this.time));
+        if (this.eventDisplay) this.game.announcer.announce(this.eventDisplay.textContent);
+    }
+
+    seek(t) {
+        this.time = Math.max(0, Math.min(this.replay.duration, t));
+        this.renderer?.clear();
+        this.draw(0);
+    }
+
+    // The recording's playfield may have been a different size from this one
+    scale(inv) {
+        const { area } = this.replay.recording;
+        const view = this.renderer ? this.renderer.area : area;
+        return { ...inv, x: inv.x * view.width / (area.width || 1), y: inv.y * view.height / (area.height || 1) };
+    }
+
+    labelOptions(state = this.state) {
+        return { showOperation: this.replay.settings.operation === 'mixed', operand: state.multiplier, targetId: state.target, formatNumber: n => i18n.number(n) };
+    }
+
+    draw(delta) {
+        const state = this.replay.stateAt(this.time);
+        this.state = state;
+        this.renderer?.render(state.invaders.map(inv => this.scale(inv)), delta, this.labelOptions(state));
+        if (this.rightDisplay) this.rightDisplay.textContent = i18n.number(state.right);
+        if (this.wrongDisplay) this.wrongDisplay.textContent = i18n.number(state.wrong);
+        if (this.pointsDisplay) this.pointsDisplay.textContent = i18n.number(state.points);
+        if (this.statusDisplay) {
+            if (state.timeLeft !== null) this.statusDisplay.textContent = i18n.t('game.time', { seconds: state.timeLeft });
+            else if (state.lives !== null) this.statusDisplay.textContent = i18n.t('game.lives', { lives: state.lives, max: this.replay.settings.limit });
+            else this.statusDisplay.textContent = i18n.t('game.score', { right: state.right, limit: this.replay.settings.limit });
+        }
+        this.area?.classList.toggle('time-frozen', state.frozen);
+        this.area?.classList.toggle('slow-motion', state.slowed && !state.frozen);
+        if (this.multiplierDisplay) {
+            const standard = (this.replay.settings.problemFormat || 'standard') === 'standard';
+            this.multiplierDisplay.textContent = standard ? `${OPERATIONS[state.operation].symbol} ${i18n.number(state.multiplier)}` : '';
+        }
+        if (this.answerDisplay) this.answerDisplay.textContent = i18n.digits(state.answer === '' ? '0' : state.answer);
+        if (this.eventDisplay) this.eventDisplay.textContent = this.describe(state.event);
+        if (this.seekBar) this.seekBar.value = this.time;
+        if (this.clock) this.clock.textContent = i18n.t('replay.position', { time: i18n.digits(formatClock(this.time)), total: i18n.digits(formatClock(this.replay.duration)) });
+    }
+
+    factText(inv) {
+        return i18n.digits(formatFact(inv.operation, inv.base, inv.operand));
+    }
+
+    // The invader's problem as it was shown, e.g. '8 × ? = 56'
+    problemText(inv) {
+        return i18n.digits(formatProblem(inv));
+    }
+
+    // A fired answer: typed text such as "-3.5", or a number in older recordings
+    typedText(answer) {
+        return typeof answer === 'string' ? i18n.digits(answer) : answer;
+    }
+
+    // One line about the latest event, e.g. "Fired 42: wrong"
+    describe(event) {
+        if (!event) return i18n.t('replay.event.start');
+        const inv = this.replay.spawns.get(event.id);
+        if (event.type === 'spawn') return i18n.t('replay.event.spawn', { fact: this.problemText(inv) });
+        if (event.type === 'target') return i18n.t('replay.event.target', { fact: this.problemText(inv) });
+        if (event.type === 'key') return event.key === 'del' ? i18n.t('replay.event.delete') : i18n.t('replay.event.key', { answer: i18n.digits(event.answer) });
+        if (event.type === 'submit' && !event.correct) return i18n.t('replay.event.wrong', { answer: this.typedText(event.answer) });
+        if (event.type === 'submit' || event.type === 'hit') return i18n.t('replay.event.right', { answer: GameEngine.answerText(inv, n => i18n.number(n)), fact: this.problemText(inv) });
+        if (event.type === 'miss') return i18n.t('replay.event.miss', { answer: GameEngine.resultText(inv, n => i18n.number(n)), fact: this.factText(inv) });
+        if (event.type === 'power') return i18n.t(event.action === 'used' ? 'replay.event.powerUsed' : 'replay.event.powerEarned', { name: i18n.t(`power.${event.power}`) });
+        return i18n.t('announce.center', { center: `${OPERATIONS[event.operation].symbol} ${i18n.number(event.multiplier)}` });
+    }
+
+    renderMarks() {
+        if (!this.marks) return;
+        const duration = this.replay.duration || 1;
+        this.marks.replaceChildren(...this.replay.markers().map((mark) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `replay-mark ${mark.type}`;
+            btn.style.left = `${100 * mark.t / duration}%`;
+            const time = i18n.digits(formatClock(mark.t));
+            const label = mark.type === 'miss'
+                ? i18n.t('replay.markMiss', { fact: this.problemText(mark.invader), time })
+                : i18n.t('replay.markWrong', { answer: this.typedText(mark.answer), time });
+            btn.title = label;
+            btn.setAttribute('aria-label', label);
+            btn.addEventListener('click', () => {
+                this.pause();
+                this.seek(mark.t);
+                if (this.eventDisplay) this.game.announcer.announce(this.eventDisplay.textContent);
+            });
+            return btn;
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoundRecorder, RoundReplay, formatClock, REPLAY_VERSION };
+}
@@ -0,0 +1,102 @@
+/**
+ * Class results page (roster.html): leaderboard, per-student totals and the
+ * class's most-missed facts, read from the results API.
+ */
+class ClassRoster {
+    constructor(baseUrl = 'api') {
+        this.baseUrl = baseUrl;
+        this.error = document.getElementById('roster-error');
+        this.period = document.getElementById('leaderboard-period');
+        this.leaderboard = document.getElementById('leaderboard');
+        this.rows = document.getElementById('roster-rows');
+        this.facts = document.getElementById('class-facts');
+
+        if (this.period) this.period.addEventListener('change', () => this.loadLeaderboard());
+    }
+
+    load() {
+        return Promise.all([this.loadLeaderboard(), this.loadRoster(), this.loadFacts()]);
+    }
+
+    get(path) {
+        return fetch(`${this.baseUrl}/${path}`).then((res) => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+        });
+    }
+
+    showError(err) {
+        if (!this.error) return;
+        this.error.textContent = `Could not reach the class results server (${err.message}). Results are still saved on each student's device.`;
+        this.error.style.display = 'block';
+    }
+
+    loadLeaderboard() {
+        const period = this.period ? this.period.value : 'week';
+        return this.get(`leaderboard?period=${period}`).then(({ leaders }) => {
+            if (!this.leaderboard) return;
+            if (!leaders.length) { this.leaderboard.replaceChildren(this.emptyNote('No rounds in this period yet.')); return; }
+            this.leaderboard.replaceChildren(...leaders.map((l) => {
+                const li = document.createElement('li');
+                li.className = 'flex justify-between p-2 bg-gray-50 rounded-lg';
+                const name = document.createElement('span');
+                name.className = 'font-semibold';
+                name.textContent = `${l.rank}. ${l.name}`;
+                const score = document.createElement('span');
+                score.className = 'text-gray-600';
+                score.textContent = `${l.right} right · ${l.accuracy}% · ${l.sessions} rounds`;
+                li.append(name, score);
+                return li;
+            }));
+        }).catch(err => this.showError(err));
+    }
+
+    loadRoster() {
+        return this.get('roster').then(({ students }) => {
+            if (!this.rows) return;
+            this.rows.replaceChildren(...students.map((s) => {
+                const tr = document.createElement('tr');
+                tr.className = 'border-b';
+                const cells = [
+                    s.name,
+                    s.sessions,
+                    s.right,
+                    s.wrong,
+                    s.sessions ? `${s.accuracy}%` : '–',
+                    s.lastPlayed ? new Date(s.lastPlayed).toLocaleDateString() : '–',
+                    s.weakFacts.join(', ') || '–',
+                ];
+                tr.append(...cells.map((value, i) => {
+                    const td = document.createElement('td');
+                    td.className = i === 0 ? 'py-2 pr-2 font-semibold' : 'py-2 pr-2';
+                    td.textContent = value;
+                    return td;
+                }));
+                return tr;
+            }));
+        }).catch(err => this.showError(err));
+    }
+
+    loadFacts() {
+        return this.get('facts?limit=12').then(({ facts }) => {
+            if (!this.facts) return;
+            if (!facts.length) { this.facts.replaceChildren(this.emptyNote('No missed facts recorded.')); return; }
+            this.facts.replaceChildren(...facts.map((f) => {
+                const chip = document.createElement('span');
+                chip.className = 'px-3 py-1 bg-red-50 border border-red-300 text-red-700 rounded-full text-sm font-semibold';
+                chip.textContent = `${f.label} (${f.wrong + f.missed})`;
+                return chip;
+            }));
+        }).catch(err => this.showError(err));
+    }
+
+    emptyNote(text) {
+        const note = document.createElement('p');
+        note.className = 'text-sm text-gray-500';
+        note.textContent = text;
+        return note;
+    }
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => new ClassRoster().load());
+else new ClassRoster().load();
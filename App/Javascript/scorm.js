@@ -0,0 +1,112 @@
+/**
+ * SCORM 1.2 reporting for the LMS package (scorm/build.js adds this script to
+ * the packaged page, after script.js). It finds the runtime API the LMS puts
+ * on a parent window, marks the activity incomplete when it opens, and after
+ * each round reports the best accuracy yet as the score (0-100) with
+ * 'completed', or 'passed' / 'failed' against an assignment's pass mark.
+ * A pass is never taken back by a later round.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/scorm.test.js).
+ */
+
+// LMSs put the API on the window that opened the content, up to a few frames up
+const SCORM_MAX_PARENTS = 7;
+
+function findScormAPI(win) {
+    const search = (start) => {
+        let current = start;
+        for (let level = 0; current && level <= SCORM_MAX_PARENTS; level++) {
+            try { if (current.API) return current.API; }
+            catch (e) { /* a cross-origin frame */ }
+            if (!current.parent || current.parent === current) break;
+            current = current.parent;
+        }
+        return null;
+    };
+    return search(win) || (win.opener ? search(win.opener) : null);
+}
+
+// Milliseconds as a SCORM 1.2 timespan, HHHH:MM:SS.SS
+function scormTime(ms) {
+    const centiseconds = Math.max(0, Math.round(ms / 10));
+    const pad = (n, width) => String(n).padStart(width, '0');
+    const hours = Math.min(9999, Math.floor(centiseconds / 360000));
+    const minutes = Math.floor(centiseconds / 6000) % 60;
+    const seconds = Math.floor(centiseconds / 100) % 60;
+    return `${pad(hours, 4)}:${pad(minutes, 2)}:${pad(seconds, 2)}.${pad(centiseconds % 100, 2)}`;
+}
+
+class ScormSession {
+    constructor(api, clock = Date.now) {
+        this.api = api;
+        this.clock = clock;
+        this.active = false;
+        this.best = null; // best score so far, including earlier sessions
+        this.status = null;
+        this.startedAt = 0;
+    }
+
+    start() {
+        this.active = this.api.LMSInitialize('') === 'true';
+        if (!this.active) { console.warn('SCORM initialize failed', this.api.LMSGetLastError()); return false; }
+        this.startedAt = this.clock();
+        const status = this.api.LMSGetValue('cmi.core.lesson_status');
+        this.status = status;
+        if (!status || status === 'not attempted') this.set('cmi.core.lesson_status', 'incomplete');
+        const score = this.api.LMSGetValue('cmi.core.score.raw');
+        if (score !== '' && !isNaN(Number(score))) this.best = Number(score);
+        this.api.LMSCommit('');
+        return true;
+    }
+
+    set(element, value) {
+        if (this.api.LMSSetValue(element, String(value)) !== 'true') console.warn(`SCORM could not set ${element}`, this.api.LMSGetLastError());
+        if (element === 'cmi.core.lesson_status') this.status = value;
+    }
+
+    // A finished round's results, as in the Game 'end' event
+    record(results) {
+        if (!this.active) return;
+        const score = Math.round(results.accuracy);
+        if (this.best === null || score > this.best) {
+            this.best = score;
+            this.set('cmi.core.score.min', 0);
+            this.set('cmi.core.score.max', 100);
+            this.set('cmi.core.score.raw', score);
+        }
+        if (this.status !== 'passed') {
+            if (results.passed === null || results.passed === undefined) this.set('cmi.core.lesson_status', 'completed');
+            else this.set('cmi.core.lesson_status', results.passed ? 'passed' : 'failed');
+        }
+        this.api.LMSCommit('');
+    }
+
+    finish() {
+        if (!this.active) return;
+        this.set('cmi.core.session_time', scormTime(this.clock() - this.startedAt));
+        this.api.LMSCommit('');
+        this.api.LMSFinish('');
+        this.active = false;
+    }
+}
+
+// Report the game's rounds to the LMS, when there is one
+function connectScorm(game, win = window) {
+    const api = findScormAPI(win);
+    if (!api) { console.warn('No SCORM API found; results are kept on this device only'); return null; }
+    const session = new ScormSession(api);
+    if (!session.start()) return null;
+    game.on('end', results => session.record(results));
+    win.addEventListener('pagehide', () => session.finish());
+    return session;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { findScormAPI, scormTime, ScormSession, connectScorm };
+} else {
+    // script.js has created the game by the time the DOM is ready
+    const connect = () => { if (window._mathInvadersGame) window._mathInvadersGame.scorm = connectScorm(window._mathInvadersGame); };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', connect);
+    else connect();
+}
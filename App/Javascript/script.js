@@ -1,56 +1,21 @@
-/**
- * Represents a single scrolling number (an "Invader").
- */
-class Invader {
-    constructor(value, gameArea, speedSetting) {
-        this.value = value;
-        this.gameArea = gameArea;
-        this.y = -50; // Start off-screen
-
-        // Ensure X position respects padding/margins for mobile width
-        const availableWidth = Math.max(0, gameArea.clientWidth - 80);
-        this.x = 10 + Math.random() * availableWidth;
-
-        // Set speed based on setting (pixels per second)
-        switch (speedSetting) {
-            case 'easy':
-                this.speed = 30 + Math.random() * 30; // 30-60 px/s
-                break;
-            case 'fast':
-                this.speed = 110 + Math.random() * 70; // 110-180 px/s
-                break;
-            case 'intermediate':
-            default:
-                this.speed = 60 + Math.random() * 60; // 60-120 px/s
-        }
-
-        this.element = document.createElement('div');
-        this.element.className = 'invader';
-        this.element.textContent = this.value;
-        this.element.style.left = `${this.x}px`;
-        this.element.style.top = `${this.y}px`;
-        this.element.style.zIndex = '5';
-
-        this.gameArea.appendChild(this.element);
-    }
-
-    // delta is in seconds
-    update(delta) {
-        this.y += this.speed * (delta || 0);
-        this.element.style.top = `${this.y}px`;
-    }
-
-    isOffScreen() {
-        return this.y > this.gameArea.clientHeight;
-    }
-
-    destroy() {
-        if (this.element.parentElement) this.gameArea.removeChild(this.element);
-    }
+// Offer text content to the user as a file download
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+// Survival power-ups, which are also the names of their input actions
+const POWER_ACTIONS = ['freeze', 'slow', 'bomb', 'life'];
+
 /**
- * Manages the entire game state, UI, and logic.
+ * Manages the UI for a round: reads settings, drives the GameEngine from
+ * requestAnimationFrame and keeps the DOM in sync with its events.
  */
 class Game {
     constructor() {
@@ -58,37 +23,105 @@ class Game {
         this.settingsScreen = document.getElementById('settings-screen');
         this.gameScreen = document.getElementById('game-screen');
         this.gameOverScreen = document.getElementById('game-over-screen');
+        this.dashboardScreen = document.getElementById('dashboard-screen');
+        this.campaignScreen = document.getElementById('campaign-screen');
+        this.campaignLevelsList = document.getElementById('campaign-levels');
+        this.campaignStarsTotal = document.getElementById('campaign-stars');
+        this.campaignResult = document.getElementById('campaign-result');
+        this.nextLevelBtn = document.getElementById('next-level');
         this.startGameBtn = document.getElementById('start-game');
         this.restartGameBtn = document.getElementById('restart-game');
+        this.pauseGameBtn = document.getElementById('pause-game');
+        this.muteGameBtn = document.getElementById('mute-game');
+        this.quitGameBtn = document.getElementById('quit-game');
+        this.pauseOverlay = document.getElementById('pause-overlay');
+        this.resumeGameBtn = document.getElementById('resume-game');
+        this.pauseQuitBtn = document.getElementById('pause-quit-game');
         this.gameArea = document.getElementById('game-area');
+        this.gameCanvas = document.getElementById('game-canvas');
         this.multiplierDisplay = document.getElementById('multiplier');
         this.fixedMultiplierContainer = document.getElementById('fixed-multiplier-container');
 
         // Keypad related elements
         this.answerDisplay = document.getElementById('answer-display');
         this.keypad = document.getElementById('keypad');
+        this.powerUpBar = document.getElementById('power-ups');
+        this.shieldBar = document.getElementById('shield-bar');
 
         this.scoreRightDisplay = document.getElementById('score-right');
         this.scoreWrongDisplay = document.getElementById('score-wrong');
         this.gameStatusDisplay = document.getElementById('game-status');
         this.finalScoreRight = document.getElementById('final-score-right');
         this.finalScoreWrong = document.getElementById('final-score-wrong');
+        this.pointsDisplay = document.getElementById('points');
+        this.streakDisplay = document.getElementById('streak');
+        this.finalPoints = document.getElementById('final-points');
+        this.finalBestStreak = document.getElementById('final-best-streak');
+        this.highScoreSettings = document.getElementById('high-score-settings');
+        this.highScoreEntry = document.getElementById('high-score-entry');
+        this.highScoreName = document.getElementById('high-score-name');
+        this.highScoreTable = document.getElementById('high-score-table');
         this.gameOverTitle = document.getElementById('game-over-title');
         this.gameAlert = document.getElementById('game-alert');
-
-        // Game State
+        this.studentSelect = document.getElementById('student-select');
+        this.newStudentName = document.getElementById('new-student-name');
+        this.addStudentBtn = document.getElementById('add-student');
+        this.removeStudentBtn = document.getElementById('remove-student');
+        this.showDashboardBtn = document.getElementById('show-dashboard');
+        this.dashboardBackBtn = document.getElementById('dashboard-back');
+        this.assignmentFile = document.getElementById('assignment-file');
+        this.assignmentCode = document.getElementById('assignment-code');
+        this.loadAssignmentCodeBtn = document.getElementById('load-assignment-code');
+        this.assignmentBanner = document.getElementById('assignment-banner');
+        this.assignmentTitle = document.getElementById('assignment-title');
+        this.assignmentError = document.getElementById('assignment-error');
+        this.clearAssignmentBtn = document.getElementById('clear-assignment');
+        this.copyShareCodeBtn = document.getElementById('copy-share-code');
+        this.assignmentResult = document.getElementById('assignment-result');
+        this.syncStatus = document.getElementById('sync-status');
+        this.languageSelect = document.getElementById('language-select');
+
+        // Game State (rules live in this.engine)
+        this.i18n = i18n;
         this.settings = {};
-        this.scoreRight = 0;
-        this.scoreWrong = 0;
-        this.multiplier = 0;
-        this.invaders = [];
+        this.engine = null;
+        this.renderer = this.gameCanvas ? new CanvasRenderer(this.gameCanvas) : null;
+        if (this.gameCanvas) this.gameCanvas.addEventListener('pointerdown', (e) => this.selectTargetAt(e));
         this.gameLoopId = null;
-        this.timerId = null;
-        this.timeLeft = 0;
-        this.spawnInterval = 2500;
-        this.lastSpawnTime = 0;
+        this.running = false;
+        this.paused = false;
         this.alertTimer = null;
         this.currentAnswer = '';
+        this.assignment = null;
+        this.profiles = new StudentProfiles();
+        this.mastery = new FactMastery(this.profiles.masteryKey());
+        this.dashboard = new ProgressDashboard(session => this.showReplay(session, () => this.showDashboard()));
+        this.resultsSync = new ResultsSync();
+        this.highScores = new HighScores();
+        this.campaign = new CampaignProgress(this.profiles.campaignKey());
+        this.campaignLevel = null; // the level being played, when in campaign mode
+        this.pendingHighScore = null;
+        this.accessibility = new AccessibilityOptions();
+        this.accessibility.apply();
+        this.announcer = new Announcer(document.getElementById('announcer'));
+        this.soundOptions = new SoundOptions();
+        this.sound = new SoundBoard(this.soundOptions);
+        this.winJingle = null;
+        this.versus = new VersusGame(this, () => this.showSettings());
+        this.race = new ClassRace(this);
+        this.raceRound = null; // the classroom race round being played, see startRace
+        this.raceBanner = document.getElementById('race-banner');
+        this.raceResult = document.getElementById('race-result');
+        this.replay = new ReplayViewer(this);
+        this.recorder = null; // RoundRecorder for the round being played
+        this.lastSession = null; // the finished round on the game-over screen
+        this.input = new InputSettings();
+        this.gamepad = new GamepadInput(action => this.handleAction(action));
+        this.wheel = new DigitWheel(); // the gamepad's digit wheel
+        this.scanner = new SwitchScanner(() => this.scanItems());
+        this.controls = new BindingsScreen(this);
+        this.listeners = {}; // see on()
+        this.embed = null; // EmbedBridge when the page is in a frame
 
         // Celebration / particle related refs (kept for safe cleanup)
         this.celebrationCanvas = null;
@@ -101,9 +134,19 @@ class Game {
         if (this.startGameBtn) this.startGameBtn.addEventListener('click', () => this.start());
         else console.warn('startGame button not found');
 
-        if (this.restartGameBtn) this.restartGameBtn.addEventListener('click', () => this.showSettings());
+        if (this.restartGameBtn) this.restartGameBtn.addEventListener('click', () => {
+            if (this.race.joined) this.race.showLobby();
+            else if (this.campaignLevel) this.startLevel(this.campaignLevel);
+            else this.showSettings();
+        });
         else console.warn('restartGame button not found');
 
+        if (this.pauseGameBtn) this.pauseGameBtn.addEventListener('click', () => this.togglePause());
+        if (this.resumeGameBtn) this.resumeGameBtn.addEventListener('click', () => this.resume());
+        if (this.muteGameBtn) this.muteGameBtn.addEventListener('click', () => this.toggleMute());
+        if (this.quitGameBtn) this.quitGameBtn.addEventListener('click', () => this.quit());
+        if (this.pauseQuitBtn) this.pauseQuitBtn.addEventListener('click', () => this.quit());
+
         if (this.keypad) {
             this.keypad.addEventListener('click', (e) => {
                 let btn = null;
@@ -113,34 +156,185 @@ class Game {
                 if (key) this.handleKeypadInput(key);
             });
         } else console.warn('keypad element not found');
+        if (this.powerUpBar) this.powerUpBar.addEventListener('click', (e) => {
+            const btn = e.target && typeof e.target.closest === 'function' ? e.target.closest('button') : null;
+            if (btn && btn.dataset.power) this.usePowerUp(btn.dataset.power);
+        });
 
-        // Keyboard input
+        // Keyboard input, through the bindings on the Controls screen
         document.addEventListener('keydown', (e) => {
-            if (this.gameScreen && this.gameScreen.style.display === 'block') {
-                const key = e.key;
-                if (key >= '0' && key <= '9') this.handleKeypadInput(key);
-                else if (key === 'Enter') { this.handleKeypadInput('submit'); e.preventDefault(); }
-                else if (key === 'Backspace') { this.handleKeypadInput('del'); e.preventDefault(); }
-            }
+            if (isShortcut(e)) return; // leave Ctrl+R, Cmd+P and the like to the browser
+            const action = this.input.actionFor(e.key);
+            if (action && this.handleAction(action)) e.preventDefault();
         });
 
+        // Pause automatically when the tab is hidden so timed rounds don't lose seconds
+        document.addEventListener('visibilitychange', () => { if (document.hidden) this.pause(); });
+
+        this.bindLanguageControls();
         this.bindSettingsControls();
+        this.bindAccessibilityControls();
+        this.bindSoundControls();
+        this.bindPlayerControls();
+        this.bindProfileControls();
+        if (this.highScoreEntry) this.highScoreEntry.addEventListener('submit', (e) => { e.preventDefault(); this.saveHighScore(); });
+        this.bindCampaignControls();
+        this.bindAssignmentControls();
+    }
+
+    bindAssignmentControls() {
+        if (this.assignmentFile) this.assignmentFile.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => this.loadAssignment(text))
+                .catch(() => this.showAssignmentError(this.i18n.t('assignment.readError')))
+                .finally(() => { e.target.value = ''; });
+        });
+        const loadCode = () => {
+            if (!this.assignmentCode || !this.assignmentCode.value.trim()) return;
+            try { this.setAssignment(decodeShareCode(this.assignmentCode.value)); this.assignmentCode.value = ''; }
+            catch (err) { this.showAssignmentError(err.message); }
+        };
+        if (this.loadAssignmentCodeBtn) this.loadAssignmentCodeBtn.addEventListener('click', loadCode);
+        if (this.assignmentCode) this.assignmentCode.addEventListener('keydown', (e) => { if (e.key === 'Enter') { loadCode(); e.preventDefault(); } });
+        if (this.clearAssignmentBtn) this.clearAssignmentBtn.addEventListener('click', () => this.setAssignment(null));
+        if (this.copyShareCodeBtn) this.copyShareCodeBtn.addEventListener('click', () => {
+            if (!this.assignment) return;
+            const code = encodeShareCode(this.assignment);
+            const sharePrompt = this.i18n.t('assignment.sharePrompt');
+            if (navigator.clipboard) navigator.clipboard.writeText(code).then(() => { this.copyShareCodeBtn.textContent = this.i18n.t('assignment.copied'); }, () => prompt(sharePrompt, code));
+            else prompt(sharePrompt, code);
+        });
+
+        const exportButtons = [
+            ['export-results-json', 'json', false], ['export-results-csv', 'csv', false],
+            ['export-round-json', 'json', true], ['export-round-csv', 'csv', true],
+        ];
+        exportButtons.forEach(([id, format, lastOnly]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', () => this.exportResults(format, lastOnly));
+        });
+        document.getElementById('watch-replay')?.addEventListener('click', () => {
+            if (this.lastSession) this.showReplay(this.lastSession, () => this.showGameOver());
+        });
+    }
+
+    // Load an assignment from JSON text; returns true on success
+    loadAssignment(text) {
+        try { this.setAssignment(parseAssignment(text)); return true; }
+        catch (err) { this.showAssignmentError(err.message); return false; }
+    }
+
+    setAssignment(assignment) {
+        this.assignment = assignment;
+        this.showAssignmentError('');
+        if (assignment) this.applyAssignmentToForm(assignment);
+        if (this.assignmentBanner) this.assignmentBanner.style.display = assignment ? 'flex' : 'none';
+        if (this.assignmentTitle) this.assignmentTitle.textContent = assignment ? (assignment.title || this.i18n.t('assignment.untitled')) : '';
+        if (this.copyShareCodeBtn) this.copyShareCodeBtn.textContent = this.i18n.t('assignment.copy');
+    }
+
+    showAssignmentError(message) {
+        if (!this.assignmentError) return;
+        this.assignmentError.textContent = message;
+        this.assignmentError.style.display = message ? 'block' : 'none';
+    }
+
+    // Reflect the assignment's settings in the form so the teacher sees what will run
+    applyAssignmentToForm(assignment) {
+        const settings = assignmentToSettings(assignment);
+        const check = (name, value) => {
+            const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+            if (radio) { radio.checked = true; radio.dispatchEvent(new Event('change')); }
+        };
+        ['difficulty', 'mode', 'speed', 'operation', 'numbers'].forEach(key => { if (settings[key] !== undefined) check(key, settings[key]); });
+        if (settings.multiplierMode) check('multiplier_mode', settings.multiplierMode);
+        if (settings.problemFormat) check('problem_format', settings.problemFormat);
+        const fEl = document.getElementById('fixed-multiplier');
+        if (fEl && settings.fixedMultiplier) fEl.value = settings.fixedMultiplier;
+        const rangeEl = document.getElementById('custom-range');
+        if (rangeEl && settings.range) {
+            rangeEl.checked = true;
+            rangeEl.dispatchEvent(new Event('change'));
+            ['min', 'max'].forEach((end, i) => {
+                const baseEl = document.getElementById(`range-base-${end}`); if (baseEl) baseEl.value = settings.range.base[i];
+                const operandEl = document.getElementById(`range-operand-${end}`); if (operandEl) operandEl.value = settings.range.operand[i];
+            });
+        }
+        const mode = settings.mode || document.querySelector('input[name="mode"]:checked')?.value;
+        const limitEl = document.getElementById(limitFieldId(mode));
+        if (limitEl && settings.limit) limitEl.value = settings.limit;
+    }
+
+    exportResults(format, lastOnly) {
+        const profile = this.profiles.active();
+        const sessions = this.profiles.sessions();
+        const selected = lastOnly ? sessions.slice(-1) : sessions;
+        if (!selected.length) return;
+        const stamp = new Date().toISOString().slice(0, 10);
+        const name = `${profile.name.replace(/[^\w-]+/g, '_')}-${stamp}.${format}`;
+        if (format === 'csv') downloadFile(name, resultsToCSV(profile.name, selected), 'text/csv');
+        else downloadFile(name, resultsToJSON(profile.name, selected), 'application/json');
+    }
+
+    bindProfileControls() {
+        if (this.studentSelect) this.studentSelect.addEventListener('change', (e) => this.selectStudent(e.target.value));
+        const addStudent = () => {
+            if (!this.newStudentName) return;
+            const profile = this.profiles.add(this.newStudentName.value);
+            if (!profile) return;
+            this.newStudentName.value = '';
+            this.selectStudent(profile.id);
+        };
+        if (this.addStudentBtn) this.addStudentBtn.addEventListener('click', addStudent);
+        if (this.newStudentName) this.newStudentName.addEventListener('keydown', (e) => { if (e.key === 'Enter') { addStudent(); e.preventDefault(); } });
+        if (this.removeStudentBtn) this.removeStudentBtn.addEventListener('click', () => {
+            const profile = this.profiles.active();
+            if (!profile || profile.id === StudentProfiles.GUEST_ID) return;
+            if (!confirm(this.i18n.t('student.removeConfirm', { name: profile.name }))) return;
+            this.profiles.remove(profile.id);
+            this.selectStudent(this.profiles.activeId);
+        });
+        if (this.showDashboardBtn) this.showDashboardBtn.addEventListener('click', () => this.showDashboard());
+        if (this.dashboardBackBtn) this.dashboardBackBtn.addEventListener('click', () => this.showSettings());
+        this.renderStudentOptions();
+    }
+
+    renderStudentOptions() {
+        if (!this.studentSelect) return;
+        this.studentSelect.replaceChildren(...this.profiles.list().map(p => {
+            const option = document.createElement('option');
+            option.value = p.id;
+            option.textContent = p.id === StudentProfiles.GUEST_ID ? this.i18n.t('student.guest') : p.name;
+            return option;
+        }));
+        this.studentSelect.value = this.profiles.activeId;
+        if (this.removeStudentBtn) this.removeStudentBtn.disabled = this.profiles.activeId === StudentProfiles.GUEST_ID;
+    }
+
+    // Switch the active student; mastery records follow the profile
+    selectStudent(id) {
+        this.profiles.setActive(id);
+        this.mastery = new FactMastery(this.profiles.masteryKey());
+        this.campaign = new CampaignProgress(this.profiles.campaignKey());
+        this.renderStudentOptions();
     }
 
     bindSettingsControls() {
         const modeRadios = document.querySelectorAll('input[name="mode"]');
         const timeInputContainer = document.getElementById('time-limit-container');
         const scoreInputContainer = document.getElementById('score-limit-container');
+        const livesInputContainer = document.getElementById('lives-limit-container');
         const multiplierModeRadios = document.querySelectorAll('input[name="multiplier_mode"]');
 
+        // One limit input per mode; campaign levels set their own targets
         modeRadios.forEach(radio => radio.addEventListener('change', (e) => {
-            if (e.target.value === 'time') {
-                if (timeInputContainer) timeInputContainer.style.display = 'block';
-                if (scoreInputContainer) scoreInputContainer.style.display = 'none';
-            } else {
-                if (timeInputContainer) timeInputContainer.style.display = 'none';
-                if (scoreInputContainer) scoreInputContainer.style.display = 'block';
-            }
+            const mode = e.target.value;
+            if (timeInputContainer) timeInputContainer.style.display = mode === 'time' ? 'block' : 'none';
+            if (scoreInputContainer) scoreInputContainer.style.display = mode === 'score' ? 'block' : 'none';
+            if (livesInputContainer) livesInputContainer.style.display = mode === 'survival' ? 'block' : 'none';
+            this.updateStartButton();
         }));
         const checkedMode = document.querySelector('input[name="mode"]:checked');
         if (checkedMode) checkedMode.dispatchEvent(new Event('change'));
@@ -154,13 +348,292 @@ class Game {
         }));
         const checkedMult = document.querySelector('input[name="multiplier_mode"]:checked');
         if (checkedMult) checkedMult.dispatchEvent(new Event('change'));
+
+        const customRange = document.getElementById('custom-range');
+        const rangeInputs = document.getElementById('custom-range-inputs');
+        customRange?.addEventListener('change', () => {
+            if (rangeInputs) rangeInputs.style.display = customRange.checked ? 'grid' : 'none';
+        });
+    }
+
+    updateStartButton() {
+        const campaign = document.querySelector('input[name="mode"]:checked')?.value === 'campaign';
+        if (this.startGameBtn) this.startGameBtn.textContent = this.i18n.t(campaign ? 'start.campaign' : 'start.game');
     }
 
     showSettings() {
+        // Coming back from another screen: move keyboard / screen-reader focus to the top
+        const returning = [this.gameScreen, this.gameOverScreen, this.dashboardScreen, this.campaignScreen, this.versus.screen, this.versus.overScreen, this.race.screen, this.replay.screen, this.controls.screen].some(el => el && el.style.display === 'block');
+        this.campaignLevel = null;
+        this.raceRound = null;
+        this.versus.stop();
+        this.race.hide();
+        this.replay.close();
+        this.controls.close();
         if (this.settingsScreen) this.settingsScreen.style.display = 'block';
+        if (this.campaignScreen) this.campaignScreen.style.display = 'none';
+        if (this.gameScreen) this.gameScreen.style.display = 'none';
+        if (this.gameOverScreen) this.gameOverScreen.style.display = 'none';
+        if (this.dashboardScreen) this.dashboardScreen.style.display = 'none';
+        this.cleanup();
+        if (returning) document.getElementById('settings-title')?.focus();
+    }
+
+    showDashboard() {
+        if (this.settingsScreen) this.settingsScreen.style.display = 'none';
+        if (this.dashboardScreen) this.dashboardScreen.style.display = 'block';
+        this.dashboard.render(this.profiles.active(), this.profiles.sessions(), this.mastery);
+        document.getElementById('dashboard-title')?.focus();
+    }
+
+    // Key bindings, switch scanning and gamepad (see input.js)
+    showControls() {
+        if (this.settingsScreen) this.settingsScreen.style.display = 'none';
+        this.controls.open(() => this.showSettings());
+    }
+
+    // Play back a stored round; `onBack` returns to the screen it was opened from
+    showReplay(session, onBack) {
+        if (this.dashboardScreen) this.dashboardScreen.style.display = 'none';
+        if (this.gameOverScreen) this.gameOverScreen.style.display = 'none';
+        this.replay.open(session, onBack);
+    }
+
+    showGameOver() {
+        if (this.gameOverScreen) this.gameOverScreen.style.display = 'block';
+        this.gameOverTitle?.focus();
+    }
+
+    bindCampaignControls() {
+        document.getElementById('campaign-back')?.addEventListener('click', () => this.showSettings());
+        document.getElementById('level-select')?.addEventListener('click', () => this.showCampaign());
+        if (this.nextLevelBtn) this.nextLevelBtn.addEventListener('click', () => {
+            const next = this.campaignLevel && this.campaign.nextLevel(this.campaignLevel.id);
+            if (next) this.startLevel(next);
+        });
+    }
+
+    // Level select: one button per level with its best stars; locked levels are disabled
+    showCampaign() {
+        if (this.settingsScreen) this.settingsScreen.style.display = 'none';
         if (this.gameScreen) this.gameScreen.style.display = 'none';
         if (this.gameOverScreen) this.gameOverScreen.style.display = 'none';
+        if (this.dashboardScreen) this.dashboardScreen.style.display = 'none';
+        if (this.campaignScreen) this.campaignScreen.style.display = 'block';
+        this.cleanup();
+        this.campaignLevel = null;
+
+        const t = (key, params) => this.i18n.t(key, params);
+        if (this.campaignStarsTotal) this.campaignStarsTotal.textContent = t('campaign.starsTotal', { stars: this.campaign.totalStars(), total: CAMPAIGN_LEVELS.length * 3 });
+        if (this.campaignLevelsList) {
+            this.campaignLevelsList.replaceChildren(...CAMPAIGN_LEVELS.map((level) => {
+                const unlocked = this.campaign.isUnlocked(level.id);
+                const stars = this.campaign.stars(level.id);
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.disabled = !unlocked;
+                btn.className = `p-4 border rounded-lg text-start hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed ${level.boss ? 'border-red-400 bg-red-50' : ''}`;
+                const levelTitle = this.levelTitle(level);
+                btn.setAttribute('aria-label', unlocked ? t('campaign.levelLabel', { id: level.id, title: levelTitle, stars }) : t('campaign.levelLockedLabel', { id: level.id, title: levelTitle }));
+                const title = document.createElement('span');
+                title.className = 'block text-lg font-semibold';
+                title.textContent = t('campaign.levelButton', { id: level.id, title: levelTitle });
+                const detail = document.createElement('span');
+                detail.className = 'block text-sm text-gray-500';
+                detail.textContent = unlocked ? t('campaign.levelDetail', { target: level.target, speed: t(`speed.${level.speed}`) }) : t('campaign.locked');
+                const starLine = document.createElement('span');
+                starLine.className = 'block text-xl text-amber-500';
+                starLine.textContent = unlocked ? starText(stars) : '🔒';
+                btn.append(title, detail, starLine);
+                btn.addEventListener('click', () => this.startLevel(level));
+                return btn;
+            }));
+        }
+        document.getElementById('campaign-title')?.focus();
+    }
+
+    startLevel(level) {
+        if (!this.campaign.isUnlocked(level.id)) return;
+        this.campaignLevel = level;
+        if (this.campaignScreen) this.campaignScreen.style.display = 'none';
+        this.start();
+        this.announcer.announce(this.i18n.t('campaign.levelStart', { id: level.id, title: this.levelTitle(level), target: level.target, misses: level.maxMisses }));
+    }
+
+    // Levels keep their English title for saved sessions; screens show the translation
+    levelTitle(level) {
+        return this.i18n.t(`campaign.level.${level.id}`);
+    }
+
+    // Solo, split-screen versus or hot-seat
+    bindPlayerControls() {
+        const names = document.getElementById('player-names');
+        document.querySelectorAll('input[name="players"]').forEach(radio => radio.addEventListener('change', () => {
+            if (!radio.checked) return;
+            if (names) names.style.display = radio.value !== 'solo' ? 'flex' : 'none';
+            this.syncModeChoices();
+        }));
+    }
+
+    /**
+     * Timed and survival rounds need time pressure, and campaign levels and
+     * survival are solo only. Disable the modes that don't apply and move off
+     * a disabled one to time, or to a score target when time is disabled too.
+     */
+    syncModeChoices() {
+        const relaxed = !this.accessibility.get('timePressure');
+        const versus = (document.querySelector('input[name="players"]:checked')?.value || 'solo') !== 'solo';
+        const unavailable = { time: relaxed, campaign: versus, survival: relaxed || versus };
+        const radios = {};
+        document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+            radios[radio.value] = radio;
+            radio.disabled = Boolean(unavailable[radio.value]);
+            radio.closest('label')?.classList.toggle('opacity-40', radio.disabled);
+        });
+        const checked = document.querySelector('input[name="mode"]:checked');
+        if (checked && !checked.disabled) return;
+        const fallback = [radios.time, radios.score].find(radio => radio && !radio.disabled);
+        if (fallback) {
+            fallback.checked = true;
+            fallback.dispatchEvent(new Event('change'));
+        }
+    }
+
+    startVersus(variant) {
+        this.getSettings();
+        if (this.settingsScreen) this.settingsScreen.style.display = 'none';
         this.cleanup();
+        const names = ['player1-name', 'player2-name'].map((id, i) => {
+            const input = document.getElementById(id);
+            return (input && input.value.trim()) || this.i18n.t(i === 0 ? 'players.one' : 'players.two');
+        });
+        // Both players share the keyboard, so there is no targeting in versus matches
+        this.versus.start({ ...this.settings, targeting: false }, names, variant);
+    }
+
+    /**
+     * Play a classroom race round (see ClassRace in race.js): the teacher's
+     * settings and seed, with the time left and the totals so far when the
+     * student comes back in partway through.
+     */
+    startRace(round) {
+        this.campaignLevel = null;
+        this.raceRound = round;
+        this.start();
+        this.announcer.announce(this.i18n.t('race.go'));
+    }
+
+    bindSoundControls() {
+        const volume = document.getElementById('sound-volume');
+        const volumeValue = document.getElementById('sound-volume-value');
+        const muted = document.getElementById('sound-muted');
+        const music = document.getElementById('sound-music');
+        const quiet = document.getElementById('sound-quiet');
+
+        // Quiet classroom overrides everything else, so grey the other controls out
+        const syncControls = () => {
+            const isQuiet = this.soundOptions.get('quiet');
+            if (volume) volume.value = Math.round(this.soundOptions.get('volume') * 100);
+            if (volumeValue) volumeValue.textContent = this.i18n.percent(Math.round(this.soundOptions.get('volume') * 100));
+            if (muted) muted.checked = this.soundOptions.get('muted');
+            if (music) music.checked = this.soundOptions.get('music');
+            if (quiet) quiet.checked = isQuiet;
+            [volume, muted, music].forEach((el) => {
+                if (!el) return;
+                el.disabled = isQuiet;
+                el.closest('label')?.classList.toggle('opacity-40', isQuiet);
+            });
+            this.updateMuteButton();
+        };
+        const update = (key, value) => {
+            this.soundOptions.set(key, value);
+            this.sound.refresh();
+            syncControls();
+        };
+
+        if (volume) {
+            volume.addEventListener('input', () => update('volume', volume.value / 100));
+            // Let the new level be heard
+            volume.addEventListener('change', () => { this.sound.unlock(); this.sound.play('correct'); });
+        }
+        if (muted) muted.addEventListener('change', () => update('muted', muted.checked));
+        if (music) music.addEventListener('change', () => update('music', music.checked));
+        if (quiet) quiet.addEventListener('change', () => update('quiet', quiet.checked));
+        this.syncSoundControls = syncControls;
+        syncControls();
+    }
+
+    // M / the Mute button during a round
+    toggleMute() {
+        if (this.soundOptions.get('quiet')) return;
+        this.soundOptions.set('muted', !this.soundOptions.get('muted'));
+        this.sound.refresh();
+        this.syncSoundControls?.();
+        if (this.running && !this.paused) {
+            this.sound.unlock();
+            this.sound.startMusic();
+        }
+        this.announcer.announce(this.i18n.t(this.soundOptions.get('muted') ? 'announce.soundOff' : 'announce.soundOn'));
+    }
+
+    updateMuteButton() {
+        if (!this.muteGameBtn) return;
+        const silent = !this.soundOptions.audible();
+        this.muteGameBtn.textContent = this.i18n.t(silent ? 'game.unmute' : 'game.mute');
+        this.muteGameBtn.setAttribute('aria-pressed', String(silent));
+        this.muteGameBtn.disabled = this.soundOptions.get('quiet');
+        this.muteGameBtn.style.display = this.soundOptions.get('quiet') ? 'none' : '';
+    }
+
+    // The language select on the settings screen; the other screens are drawn in the new language when they next open
+    bindLanguageControls() {
+        if (this.languageSelect) {
+            this.languageSelect.replaceChildren(...Object.entries(LOCALES).map(([code, locale]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = locale.name;
+                return option;
+            }));
+            this.languageSelect.value = this.i18n.locale;
+            this.languageSelect.addEventListener('change', () => this.i18n.setLocale(this.languageSelect.value));
+        }
+        this.i18n.onChange(() => this.localize());
+        this.i18n.apply(document);
+    }
+
+    localize() {
+        this.i18n.apply(document);
+        if (this.languageSelect) this.languageSelect.value = this.i18n.locale;
+        this.updateStartButton();
+        this.syncSoundControls?.();
+        this.renderStudentOptions();
+        if (this.assignmentTitle && this.assignment) this.assignmentTitle.textContent = this.assignment.title || this.i18n.t('assignment.untitled');
+        if (this.copyShareCodeBtn) this.copyShareCodeBtn.textContent = this.i18n.t('assignment.copy');
+        if (this.syncStatus?.dataset.status) this.showSyncStatus(this.syncStatus.dataset.status);
+    }
+
+    bindAccessibilityControls() {
+        const noTimePressure = document.getElementById('a11y-no-time-pressure');
+        const reducedMotion = document.getElementById('a11y-reduced-motion');
+
+        if (noTimePressure) {
+            noTimePressure.checked = !this.accessibility.get('timePressure');
+            noTimePressure.addEventListener('change', () => {
+                this.accessibility.set('timePressure', !noTimePressure.checked);
+                this.syncModeChoices();
+            });
+        }
+        if (reducedMotion) {
+            reducedMotion.checked = this.accessibility.get('reducedMotion');
+            reducedMotion.addEventListener('change', () => this.accessibility.set('reducedMotion', reducedMotion.checked));
+        }
+        document.getElementById('show-controls')?.addEventListener('click', () => this.showControls());
+        document.querySelectorAll('input[name="text_size"]').forEach((radio) => {
+            radio.checked = radio.value === this.accessibility.get('text');
+            radio.addEventListener('change', () => { if (radio.checked) this.accessibility.set('text', radio.value); });
+        });
+        this.syncModeChoices();
     }
 
     getSettings() {
@@ -168,68 +641,282 @@ class Game {
         const modeEl = document.querySelector('input[name="mode"]:checked');
         const speedEl = document.querySelector('input[name="speed"]:checked');
         const multiplierModeEl = document.querySelector('input[name="multiplier_mode"]:checked');
+        const themeEl = document.querySelector('input[name="theme"]:checked');
+        const operationEl = document.querySelector('input[name="operation"]:checked');
+        const problemFormatEl = document.querySelector('input[name="problem_format"]:checked');
+        const numbersEl = document.querySelector('input[name="numbers"]:checked');
 
         const difficulty = difficultyEl ? difficultyEl.value : 'single';
         const mode = modeEl ? modeEl.value : 'time';
         const speed = speedEl ? speedEl.value : 'intermediate';
         const multiplierMode = multiplierModeEl ? multiplierModeEl.value : 'random';
+        const operation = operationEl ? operationEl.value : 'multiply';
+        const problemFormat = problemFormatEl ? problemFormatEl.value : 'standard';
+        const targeting = Boolean(document.getElementById('targeting')?.checked);
+        const numbers = numbersEl ? numbersEl.value : 'whole';
+        const rangeValue = id => document.getElementById(id)?.value;
+        const range = document.getElementById('custom-range')?.checked
+            ? { base: [rangeValue('range-base-min'), rangeValue('range-base-max')], operand: [rangeValue('range-operand-min'), rangeValue('range-operand-max')] }
+            : null;
+
+        const timeLimit = document.getElementById('time-limit')?.value || '60';
+        const scoreLimit = document.getElementById('score-limit')?.value || '20';
+        const livesLimit = document.getElementById('lives-limit')?.value || '5';
+        const fixedMultiplier = document.getElementById('fixed-multiplier')?.value || '7';
+
+        const timePressure = this.accessibility.get('timePressure');
+        let raw = { difficulty, mode, speed, multiplierMode, fixedMultiplier, operation, problemFormat, targeting, numbers, range, limit: { time: timeLimit, survival: livesLimit }[mode] || scoreLimit, timePressure };
+        if (this.raceRound) {
+            // Everyone in a race plays the same round, so the student's own choices don't apply
+            const { settings, seed, timeLeft } = this.raceRound;
+            raw = { ...settings, seed, limit: settings.mode === 'time' ? timeLeft : settings.limit, timePressure: true };
+        } else if (this.campaignLevel) raw = levelSettings(this.campaignLevel, { difficulty, timePressure, problemFormat, targeting });
+        else if (this.assignment) raw = assignmentToSettings(this.assignment, raw);
+        // A timed assignment played without time pressure uses the form's score target instead
+        if (!timePressure && ['time', 'survival'].includes(raw.mode) && !this.raceRound) raw = { ...raw, mode: 'score', limit: scoreLimit };
+        this.settings = GameEngine.normalizeSettings(raw);
+        // Visual only: the engine ignores it
+        this.settings.theme = themeEl && THEMES[themeEl.value] ? themeEl.value : 'classic';
+        this.settings.campaign = this.campaignLevel ? { id: this.campaignLevel.id, title: this.campaignLevel.title } : null;
+        this.settings.race = this.raceRound ? this.raceRound.code : null;
+        if (this.raceRound) return;
+
+        // Reflect clamped values
+        const tEl = document.getElementById('time-limit'); if (tEl && mode === 'time') tEl.value = this.settings.limit;
+        const sEl = document.getElementById('score-limit'); if (sEl && mode === 'score') sEl.value = this.settings.limit;
+        const lEl = document.getElementById('lives-limit'); if (lEl && mode === 'survival') lEl.value = this.settings.limit;
+        const fEl = document.getElementById('fixed-multiplier'); if (fEl) fEl.value = this.settings.fixedMultiplier;
+        if (this.settings.range) {
+            ['min', 'max'].forEach((end, i) => {
+                const baseEl = document.getElementById(`range-base-${end}`); if (baseEl) baseEl.value = this.settings.range.base[i];
+                const operandEl = document.getElementById(`range-operand-${end}`); if (operandEl) operandEl.value = this.settings.range.operand[i];
+            });
+        }
+    }
 
-        let timeLimit = parseInt(document.getElementById('time-limit')?.value || '60', 10);
-        let scoreLimit = parseInt(document.getElementById('score-limit')?.value || '20', 10);
-        let fixedMultiplier = parseInt(document.getElementById('fixed-multiplier')?.value || '7', 10);
+    // Create the engine for a new round and mirror its events into the DOM
+    createEngine() {
+        const engine = new GameEngine({
+            settings: this.settings,
+            rng: this.settings.seed !== null ? createRng(this.settings.seed) : Math.random,
+            // Races keep the center number changes on their own stream, as versus matches do
+            rotationRng: this.raceRound ? createRng(this.settings.seed ^ ROTATION_SEED_SALT) : null,
+            mastery: this.mastery,
+            area: this.measureGameArea(),
+        });
+        engine.on('spawn', (state) => {
+            console.log('Spawned invader', state.value, state.operation, state.operand, 'x=', state.x, 'speed=', state.speed);
+            this.announcer.announce(this.i18n.t('announce.newProblem', { fact: this.problemText(state) }));
+        });
+        engine.on('target', (state) => {
+            if (state) this.announcer.announce(this.i18n.t('announce.target', { fact: this.problemText(state) }));
+        });
+        engine.on('miss', (state) => {
+            this.renderer?.addEffect('miss', state, this.labelOptions());
+            this.sound.play('miss');
+            this.updateScoreDisplay();
+            if (this.raceRound) this.race.report();
+            this.announcer.announce(this.i18n.t('announce.missed', { fact: this.factText(state), answer: GameEngine.resultText(state, n => this.i18n.number(n)) }));
+            this.emit('miss', { fact: formatProblem(state), answer: GameEngine.answerText(state), right: engine.scoreRight, wrong: engine.scoreWrong, lives: engine.lives });
+        });
+        engine.on('hit', (state) => {
+            this.renderer?.addEffect('hit', state, this.labelOptions());
+            this.announcer.announce(this.i18n.t('announce.correct', { fact: this.factText(state), answer: GameEngine.resultText(state, n => this.i18n.number(n)) }));
+        });
+        engine.on('score', (award) => {
+            this.updatePointsDisplay();
+            if (award.points === 0) return;
+            const text = this.i18n.digits(award.points > 0
+                ? `+${award.points}${award.streakMultiplier > 1 ? ` ×${award.streakMultiplier}` : ''}`
+                : String(award.points));
+            this.renderer?.addPopup(text, award.invader, award.points > 0 ? '#facc15' : '#f87171', this.labelOptions());
+        });
+        engine.on('operation', () => {
+            this.updateMultiplierDisplay();
+            if (this.settings.problemFormat !== 'standard') return;
+            this.announcer.announce(this.i18n.t('announce.center', { center: this.multiplierDisplay ? this.multiplierDisplay.textContent : engine.multiplier }));
+        });
+        engine.on('lives', (lives) => {
+            this.updateShieldDisplay();
+            this.updateStatusDisplay();
+            this.announcer.announce(this.i18n.t('announce.lives', { count: lives }));
+        });
+        engine.on('bomb', (state) => this.renderer?.addEffect('hit', state, this.labelOptions()));
+        engine.on('powerup', ({ type, action }) => {
+            this.updatePowerUpDisplay();
+            this.sound.play('powerUp');
+            const name = this.i18n.t(`power.${type}`);
+            if (action === 'used') {
+                this.showAlert(name, 'power');
+                this.announcer.announce(this.i18n.t('announce.powerUpUsed', { name }));
+            } else {
+                const key = this.input.keys(type)[0];
+                this.announcer.announce(key ? this.i18n.t('announce.powerUpEarned', { name, key: keyLabel(key) }) : this.i18n.t('announce.powerUpEarnedNoKey', { name }));
+            }
+        });
+        engine.on('timer', (timeLeft) => {
+            this.updateStatusDisplay();
+            if ([30, 10, 5].includes(timeLeft)) this.announcer.announce(this.i18n.t('announce.secondsLeft', { count: timeLeft }));
+            // Countdown ticks for the last 10 seconds, sharper for the final 3
+            if (timeLeft > 0 && timeLeft <= 10) this.sound.play(timeLeft <= 3 ? 'tickFinal' : 'tick');
+        });
+        return engine;
+    }
+
+    // Read the invaders on screen, lowest (most urgent) first
+    announceInvaders() {
+        if (!this.engine || !this.running) return;
+        const invaders = this.engine.invaders.slice().sort((a, b) => b.y - a.y);
+        if (!invaders.length) { this.announcer.announce(this.i18n.t('announce.noInvaders')); return; }
+        const facts = invaders.map(inv => this.problemText(inv));
+        this.announcer.announce(this.i18n.t('announce.invaders', { count: invaders.length, facts: facts.join(', ') }));
+    }
 
-        if (isNaN(timeLimit) || timeLimit <= 0) timeLimit = 60;
-        if (isNaN(scoreLimit) || scoreLimit <= 0) scoreLimit = 20;
-        if (isNaN(fixedMultiplier) || fixedMultiplier < 1) fixedMultiplier = 1;
-        if (fixedMultiplier > 12) fixedMultiplier = 12;
+    // '7 × 8' with the locale's digits
+    factText(inv) {
+        return this.i18n.digits(formatFact(inv.operation, inv.base, inv.operand));
+    }
 
-        this.settings = { difficulty, mode, speed, multiplierMode, fixedMultiplier, limit: mode === 'time' ? timeLimit : scoreLimit };
+    // The invader's problem as shown, e.g. '8 × ? = 56' for a missing factor
+    problemText(inv) {
+        return this.i18n.digits(formatProblem(inv));
+    }
 
-        // Reflect clamped values
-        const tEl = document.getElementById('time-limit'); if (tEl) tEl.value = timeLimit;
-        const sEl = document.getElementById('score-limit'); if (sEl) sEl.value = scoreLimit;
-        const fEl = document.getElementById('fixed-multiplier'); if (fEl) fEl.value = fixedMultiplier;
+    measureGameArea() {
+        if (this.renderer) return { ...this.renderer.area };
+        return { width: this.gameArea ? this.gameArea.clientWidth : 400, height: this.gameArea ? this.gameArea.clientHeight : 500 };
+    }
+
+    // In mixed mode each invader shows its own operation; invaders left over
+    // from a previous center number show their whole problem
+    labelOptions() {
+        return { showOperation: this.settings.operation === 'mixed', operand: this.engine ? this.engine.multiplier : null, targetId: this.engine ? this.engine.targetId : null, formatNumber: n => this.i18n.number(n) };
+    }
+
+    // Targeting: a tap or click on an invader selects it
+    selectTargetAt(e) {
+        if (!this.running || this.paused || !this.settings.targeting || !this.renderer) return;
+        const rect = this.gameCanvas.getBoundingClientRect();
+        const inv = this.renderer.invaderAt(this.engine.invaders, e.clientX - rect.left, e.clientY - rect.top, this.labelOptions());
+        if (inv) this.engine.setTarget(inv.id);
     }
 
     start() {
+        // Campaign mode starts from the level select screen instead
+        const modeEl = document.querySelector('input[name="mode"]:checked');
+        const special = this.campaignLevel || this.raceRound;
+        if (!special && modeEl && modeEl.value === 'campaign') { this.showCampaign(); return; }
+        const playersEl = document.querySelector('input[name="players"]:checked');
+        if (!special && playersEl && playersEl.value !== 'solo') { this.startVersus(playersEl.value); return; }
         this.getSettings();
         if (this.settingsScreen) this.settingsScreen.style.display = 'none';
         if (this.gameScreen) this.gameScreen.style.display = 'block';
         if (this.gameOverScreen) this.gameOverScreen.style.display = 'none';
 
         this.cleanup();
-        this.scoreRight = 0;
-        this.scoreWrong = 0;
-        this.invaders = [];
-        this.spawnInterval = 2500;
+        if (this.renderer) {
+            this.renderer.reducedMotion = this.accessibility.get('reducedMotion');
+            this.renderer.setTextStyle(this.accessibility.get('text'));
+            this.renderer.setTheme(this.settings.theme);
+            this.renderer.resize(); // the game screen was hidden until now
+        }
+        this.engine = this.createEngine();
+        this.engine.start();
+        this.updateAnswerKeys();
+        // Coming back into a race carries the totals on
+        if (this.raceRound) {
+            const { right, wrong, points } = this.raceRound.progress;
+            Object.assign(this.engine, { scoreRight: right, scoreWrong: wrong, points });
+        }
+        this.recorder = new RoundRecorder(this.engine);
+        if (this.raceBanner) this.raceBanner.style.display = this.raceRound ? 'flex' : 'none';
 
         this.currentAnswer = '';
         this.updateAnswerDisplay();
 
         this.updateScoreDisplay();
-        this.setMultiplier();
-
-        if (this.settings.mode === 'time') {
-            this.timeLeft = this.settings.limit;
-            this.updateStatusDisplay();
-            this.timerId = setInterval(() => {
-                this.timeLeft--;
-                this.updateStatusDisplay();
-                if (this.timeLeft <= 0) this.endGame(true);
-            }, 1000);
-        } else {
-            this.updateStatusDisplay();
-        }
-
-        // Make first spawn immediate
-        this.lastSpawnTime = Date.now() - this.spawnInterval - 1;
+        this.updatePointsDisplay();
+        this.updateMultiplierDisplay();
+        this.updateStatusDisplay();
+        this.updateShieldDisplay();
+        this.updatePowerUpDisplay();
+
+        this.running = true;
+        this.setPaused(false);
         this._lastFrameTime = null;
         this._loopTicks = 0;
+        this.announcer.clear();
+        this.sound.unlock();
+        this.sound.startMusic();
+        this.gameArea?.setAttribute('aria-label', this.i18n.t(this.settings.targeting ? 'game.areaLabelTargeting' : 'game.areaLabel'));
+        this.gameArea?.focus();
         this.gameLoop();
+        if (this.input.get('scanning')) this.scanner.start(this.input.scanInterval());
+        this.emit('start', { settings: { ...this.settings } });
+    }
+
+    /**
+     * Follow rounds from outside the game: 'start', 'answer', 'miss' and 'end'
+     * (solo rounds only; payloads are listed in embed.js). Returns an
+     * unsubscribe function.
+     */
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return () => { this.listeners[type] = this.listeners[type].filter(f => f !== fn); };
+    }
+
+    emit(type, payload) {
+        (this.listeners[type] || []).forEach((fn) => {
+            try { fn(payload); }
+            catch (e) { console.warn(`Game '${type}' listener failed`, e); }
+        });
+    }
+
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
+    }
+
+    // Freeze the round: no ticks means no movement, spawns or countdown
+    pause() {
+        if (!this.running || this.paused) return;
+        if (this.gameLoopId) { cancelAnimationFrame(this.gameLoopId); this.gameLoopId = null; }
+        this.setPaused(true);
+        this.sound.stopMusic();
+        this.announcer.announce(this.i18n.t('announce.paused'));
+        this.resumeGameBtn?.focus();
+    }
+
+    resume() {
+        if (!this.running || !this.paused) return;
+        this.setPaused(false);
+        this._lastFrameTime = null; // don't count the paused time as one long frame
+        this.gameLoopId = requestAnimationFrame((t) => this.gameLoop(t));
+        this.sound.startMusic();
+        this.announcer.announce(this.i18n.t('announce.resumed'));
+        this.gameArea?.focus();
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (this.pauseOverlay) this.pauseOverlay.style.display = paused ? 'flex' : 'none';
+        if (this.pauseGameBtn) this.pauseGameBtn.textContent = this.i18n.t(paused ? 'game.resume' : 'game.pause');
+        this.scanner.restart(); // over the pause menu, or back to the keypad
+    }
+
+    // Abandon the round without recording it
+    quit() {
+        if (this.raceRound) this.race.showLobby();
+        else if (this.campaignLevel) this.showCampaign();
+        else this.showSettings();
     }
 
     cleanup() {
-        if (this.timerId) { clearInterval(this.timerId); this.timerId = null; }
+        this.running = false;
+        this.scanner.stop();
+        this.showWheel(false);
+        this.setPaused(false);
+        this.sound.stopMusic();
         if (this.gameLoopId) { cancelAnimationFrame(this.gameLoopId); this.gameLoopId = null; }
         if (this.alertTimer) { clearTimeout(this.alertTimer); this.alertTimer = null; }
 
@@ -238,23 +925,13 @@ class Game {
         this.stopCelebration();
         this.stopWinCelebration();
 
-        this.invaders.forEach(inv => inv.destroy());
-        this.invaders = [];
+        this.renderer?.clear();
     }
 
-    setMultiplier() {
-        if (this.settings.multiplierMode === 'fixed') this.multiplier = this.settings.fixedMultiplier;
-        else this.multiplier = this.settings.difficulty === 'single' ? (Math.floor(Math.random() * 9) + 1) : (Math.floor(Math.random() * 12) + 1);
-        if (this.multiplierDisplay) this.multiplierDisplay.textContent = `× ${this.multiplier}`;
-    }
-
-    spawnInvader() {
-        let value;
-        if (this.settings.difficulty === 'single') value = Math.floor(Math.random() * 9) + 1;
-        else value = Math.floor(Math.random() * 90) + 10;
-        const inv = new Invader(value, this.gameArea, this.settings.speed);
-        this.invaders.push(inv);
-        console.log('Spawned invader', value, 'x=', inv.x, 'speed=', inv.speed);
+    // Missing-factor and reverse invaders carry their whole equation, so the center stays empty
+    updateMultiplierDisplay() {
+        if (!this.multiplierDisplay || !this.engine) return;
+        this.multiplierDisplay.textContent = this.settings.problemFormat === 'standard' ? `${OPERATIONS[this.engine.operation].symbol} ${this.i18n.number(this.engine.multiplier)}` : '';
     }
 
     gameLoop(timestamp) {
@@ -266,69 +943,128 @@ class Game {
 
         // debug logging first few ticks
         if (this._loopTicks < 3) {
-            console.log(`gameLoop tick ${this._loopTicks + 1}: delta=${delta.toFixed(3)}s invaders=${this.invaders.length}`);
+            console.log(`gameLoop tick ${this._loopTicks + 1}: delta=${delta.toFixed(3)}s invaders=${this.engine.invaders.length}`);
             this._loopTicks++;
         }
         // update on-screen debug overlay if present
         try {
             const dbg = document.getElementById('debug-overlay');
-            if (dbg) dbg.textContent = `ticks:${this._loopTicks} inv:${this.invaders.length} delta:${delta.toFixed(3)}s`;
+            if (dbg) dbg.textContent = `ticks:${this._loopTicks} inv:${this.engine.invaders.length} delta:${delta.toFixed(3)}s`;
         } catch (e) { /* ignore */ }
 
-        const wallNow = Date.now();
-        if (wallNow - this.lastSpawnTime >= this.spawnInterval) {
-            this.spawnInvader();
-            this.lastSpawnTime = wallNow;
-            if (this.spawnInterval > 600) this.spawnInterval -= 50;
-        }
-
-        for (let i = this.invaders.length - 1; i >= 0; i--) {
-            const inv = this.invaders[i];
-            inv.update(delta);
-            if (inv.isOffScreen()) {
-                inv.destroy();
-                this.invaders.splice(i, 1);
-                this.scoreWrong++;
-                this.updateScoreDisplay();
-            }
-        }
+        this.engine.area = this.measureGameArea();
+        this.engine.tick(delta);
+        this.renderer?.render(this.engine.invaders, delta, this.labelOptions());
+        this.gameArea?.classList.toggle('time-frozen', this.engine.isFrozen());
+        this.gameArea?.classList.toggle('slow-motion', this.engine.isSlowed() && !this.engine.isFrozen());
+        if (this.engine.isTimeUp()) { this.endGame(true); return; }
+        if (this.engine.isOutOfMisses()) { this.endGame(false); return; }
 
         this._lastFrameTime = now;
         this.gameLoopId = requestAnimationFrame((t) => this.gameLoop(t));
     }
 
+    /**
+     * Carry out an input action from the keyboard, a gamepad or a switch (see
+     * input.js). Returns false when the action doesn't apply right now, so the
+     * key keeps its usual meaning.
+     */
+    handleAction(action) {
+        if (!this.gameScreen || this.gameScreen.style.display !== 'block') return false;
+        if (ANSWER_ACTIONS[action]) this.handleKeypadInput(ANSWER_ACTIONS[action]);
+        else if (action === 'pause') this.togglePause();
+        else if (action === 'mute') this.toggleMute();
+        else if (action === 'readInvaders' && !this.paused) this.announceInvaders();
+        else if ((action === 'targetPrev' || action === 'targetNext') && this.settings.targeting && !this.paused) this.engine?.cycleTarget(action === 'targetPrev' ? -1 : 1);
+        else if (POWER_ACTIONS.includes(action) && this.settings.mode === 'survival') this.usePowerUp(action);
+        else if (action === 'scanSelect' && this.scanner.active) this.scanner.select();
+        else if ((action === 'wheelUp' || action === 'wheelDown') && !this.paused) this.turnWheel(action === 'wheelUp' ? 1 : -1);
+        else if (action === 'wheelType') this.handleKeypadInput(this.wheel.current());
+        else return false;
+        return true;
+    }
+
+    // Gamepad d-pad: pick the key to type, shown as a ring on the keypad
+    turnWheel(step) {
+        const key = this.wheel.move(step);
+        this.showWheel();
+        const btn = this.keypad?.querySelector(`button[data-key="${key}"]`);
+        this.announcer.announce(/^\d$/.test(key) ? this.i18n.number(Number(key)) : btn?.getAttribute('aria-label'));
+    }
+
+    showWheel(visible = true) {
+        this.keypad?.querySelectorAll('button').forEach((btn) => {
+            btn.classList.toggle('wheel-focus', visible && btn.dataset.key === this.wheel.current());
+        });
+    }
+
+    // What the switch steps through: the keypad, power-ups and pause button, or the pause menu
+    scanItems() {
+        if (this.paused) return [this.resumeGameBtn, this.pauseQuitBtn].filter(Boolean);
+        const keys = Array.from(this.keypad?.querySelectorAll('button') || []).filter(btn => btn.style.display !== 'none');
+        const powers = this.powerUpBar && this.powerUpBar.style.display !== 'none' ? Array.from(this.powerUpBar.querySelectorAll('button')) : [];
+        return [...keys, ...powers, this.pauseGameBtn].filter(Boolean);
+    }
+
     handleKeypadInput(key) {
-        if (key >= '0' && key <= '9') {
-            if (this.currentAnswer.length < 5) this.currentAnswer += key;
-        } else if (key === 'del') this.currentAnswer = this.currentAnswer.slice(0, -1);
-        else if (key === 'submit') this.checkAnswer();
+        if (this.paused) return;
+        if (key === 'submit') this.checkAnswer();
+        else {
+            this.currentAnswer = typeAnswerKey(this.currentAnswer, key);
+            this.recorder?.key(key, this.currentAnswer);
+        }
         this.updateAnswerDisplay();
     }
 
+    // Show the minus, point and fraction keys only in rounds whose answers can need them
+    updateAnswerKeys() {
+        const symbols = answerSymbols(this.engine.settings);
+        this.keypad?.querySelectorAll('.answer-symbol').forEach((btn) => {
+            btn.style.display = symbols.includes(btn.dataset.key) ? '' : 'none';
+        });
+        this.wheel.setKeys(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', ...symbols]);
+    }
+
+    // Survival power-ups from the buttons under the keypad or the F / S / B / L keys
+    usePowerUp(type) {
+        if (!this.running || this.paused || !this.engine) return;
+        if (!this.engine.usePowerUp(type)) this.announcer.announce(this.i18n.t('announce.powerUpUnavailable', { name: this.i18n.t(`power.${type}`) }));
+    }
+
     updateAnswerDisplay() {
-        if (this.answerDisplay) this.answerDisplay.textContent = this.currentAnswer === '' ? '0' : this.currentAnswer;
+        if (this.answerDisplay) this.answerDisplay.textContent = this.i18n.digits(this.currentAnswer === '' ? '0' : this.currentAnswer);
     }
 
     checkAnswer() {
         if (this.currentAnswer === '') return;
-        const answer = parseInt(this.currentAnswer, 10);
-        let correctIndex = -1;
-        for (let i = 0; i < this.invaders.length; i++) {
-            const required = this.invaders[i].value * this.multiplier;
-            if (required === answer) { correctIndex = i; break; }
+        const result = this.engine.submit(this.currentAnswer);
+        if (result.noTarget) {
+            // Keep the answer so it can be fired once an invader is selected
+            this.showAlert(this.i18n.t('game.pickTarget'), 'wrong');
+            this.announcer.announce(this.i18n.t('game.pickTarget'));
+            return;
         }
+        this.recorder?.submit(this.currentAnswer, result);
+        this.emit('answer', {
+            answer: this.currentAnswer,
+            correct: result.correct,
+            fact: result.invader ? formatProblem(result.invader) : null,
+            points: result.award ? result.award.points : 0,
+            right: this.engine.scoreRight,
+            wrong: this.engine.scoreWrong,
+            score: this.engine.points,
+        });
 
-        if (correctIndex !== -1) {
-            this.invaders[correctIndex].destroy();
-            this.invaders.splice(correctIndex, 1);
-            this.scoreRight++;
-            this.updateScoreDisplay();
-            this.showAlert('Correct!', 'correct');
-            if (this.settings.mode === 'score' && this.scoreRight >= this.settings.limit) this.endGame(true);
+        this.updateScoreDisplay();
+        if (this.raceRound) this.race.report();
+        if (result.correct) {
+            this.sound.play('correct');
+            this.showAlert(this.i18n.t('game.correct'), 'correct');
+            if (result.reachedTarget) this.endGame(true);
         } else {
-            this.scoreWrong++;
-            this.updateScoreDisplay();
-            this.showAlert('Wrong!', 'wrong');
+            this.sound.play('wrong');
+            this.showAlert(this.i18n.t('game.wrongAlert'), 'wrong');
+            this.announcer.announce(this.i18n.t('announce.wrong', { answer: this.i18n.digits(this.currentAnswer) }));
         }
 
         this.currentAnswer = '';
@@ -347,20 +1083,66 @@ class Game {
     }
 
     updateScoreDisplay() {
-        if (this.scoreRightDisplay) this.scoreRightDisplay.textContent = this.scoreRight;
-        if (this.scoreWrongDisplay) this.scoreWrongDisplay.textContent = this.scoreWrong;
+        if (!this.engine) return;
+        if (this.scoreRightDisplay) this.scoreRightDisplay.textContent = this.i18n.number(this.engine.scoreRight);
+        if (this.scoreWrongDisplay) this.scoreWrongDisplay.textContent = this.i18n.number(this.engine.scoreWrong);
+        if (this.settings.mode === 'score') this.updateStatusDisplay();
+    }
+
+    updatePointsDisplay() {
+        if (!this.engine) return;
+        if (this.pointsDisplay) this.pointsDisplay.textContent = this.i18n.number(this.engine.points);
+        if (this.streakDisplay) {
+            const multiplier = streakMultiplier(this.engine.streak);
+            this.streakDisplay.textContent = this.engine.streak > 1 ? `${this.i18n.t('game.streak', { count: this.engine.streak })}${multiplier > 1 ? ` · ×${this.i18n.number(multiplier)}` : ''}` : '';
+        }
     }
 
     updateStatusDisplay() {
         if (this.gameStatusDisplay) {
-            if (this.settings.mode === 'time') this.gameStatusDisplay.textContent = `Time: ${this.timeLeft}s`;
-            else this.gameStatusDisplay.textContent = `Score: ${this.scoreRight} / ${this.settings.limit}`;
+            if (this.settings.mode === 'time') this.gameStatusDisplay.textContent = this.i18n.t('game.time', { seconds: this.engine ? this.engine.timeLeft : this.settings.limit });
+            else if (this.settings.mode === 'survival') this.gameStatusDisplay.textContent = this.i18n.t('game.lives', { lives: this.engine ? this.engine.lives : this.settings.limit, max: this.settings.limit });
+            else this.gameStatusDisplay.textContent = this.i18n.t('game.score', { right: this.engine ? this.engine.scoreRight : 0, limit: this.settings.limit });
+            if (this.settings.maxMisses) this.gameStatusDisplay.textContent += ` · ${'❤'.repeat(Math.max(0, this.settings.maxMisses - (this.engine ? this.engine.misses : 0)))}`;
         }
     }
 
-    // Stop timers and RAF but don't destroy invaders (used when showing celebrations)
+    // Survival only: one shield segment per life, emptied as invaders get through
+    updateShieldDisplay() {
+        if (!this.shieldBar) return;
+        const survival = this.settings.mode === 'survival' && this.engine;
+        this.shieldBar.style.display = survival ? 'flex' : 'none';
+        if (!survival) return;
+        const max = this.settings.limit;
+        this.shieldBar.setAttribute('aria-valuemax', max);
+        this.shieldBar.setAttribute('aria-valuenow', this.engine.lives);
+        this.shieldBar.setAttribute('aria-valuetext', this.i18n.t('game.lives', { lives: this.engine.lives, max }));
+        this.shieldBar.replaceChildren(...Array.from({ length: max }, (_, i) => {
+            const segment = document.createElement('span');
+            segment.className = i < this.engine.lives ? 'shield-segment' : 'shield-segment lost';
+            return segment;
+        }));
+    }
+
+    // Survival only: how many of each power-up the player holds
+    updatePowerUpDisplay() {
+        if (!this.powerUpBar) return;
+        const survival = this.settings.mode === 'survival' && this.engine;
+        this.powerUpBar.style.display = survival ? 'grid' : 'none';
+        if (!survival) return;
+        this.powerUpBar.querySelectorAll('button[data-power]').forEach((btn) => {
+            const count = this.engine.powerUps[btn.dataset.power] || 0;
+            btn.disabled = count === 0;
+            const countEl = btn.querySelector('.power-count');
+            if (countEl) countEl.textContent = this.i18n.number(count);
+            btn.setAttribute('aria-label', this.i18n.t('power.label', { name: this.i18n.t(`power.${btn.dataset.power}`), count }));
+        });
+    }
+
+    // Stop timers and RAF but don't clear the playfield (used when showing celebrations)
     stopGameForCelebration() {
-        if (this.timerId) { clearInterval(this.timerId); this.timerId = null; }
+        this.running = false;
+        this.setPaused(false);
         if (this.gameLoopId) { cancelAnimationFrame(this.gameLoopId); this.gameLoopId = null; }
         if (this.alertTimer) { clearTimeout(this.alertTimer); this.alertTimer = null; }
     }
@@ -368,11 +1150,10 @@ class Game {
     endGame(didWin) {
         this.stopGameForCelebration();
         // If there are more wrong answers than right, it's a loss regardless of didWin
-        const lostByWrong = this.scoreWrong > this.scoreRight;
-        const actuallyWon = didWin && !lostByWrong;
-        this.finalizeEndGame(actuallyWon);
+        const { won } = this.engine.finish(didWin);
+        this.finalizeEndGame(won);
         // Only start celebration when truly won (not when outscored by wrong answers)
-        if (actuallyWon) this.startWinCelebration();
+        if (won) this.startWinCelebration();
     }
 
     finalizeEndGame(didWin) {
@@ -382,20 +1163,197 @@ class Game {
         if (this.gameOverScreen) this.gameOverScreen.style.display = 'block';
 
         // If player has more wrong than right, show explicit loss and suppress celebrations
-        const lostByWrong = this.scoreWrong > this.scoreRight;
+        const { scoreRight, scoreWrong } = this.engine;
+        const lostByWrong = this.engine.result ? this.engine.result.lostByWrong : scoreWrong > scoreRight;
         if (lostByWrong) {
-            if (this.gameOverTitle) this.gameOverTitle.textContent = 'You Lost!';
+            if (this.gameOverTitle) this.gameOverTitle.textContent = this.i18n.t('gameOver.lost');
             // Ensure celebration overlay is hidden
             try {
                 const overlay = document.getElementById('celebration-overlay-gameover');
                 if (overlay) { overlay.classList.remove('show'); overlay.style.display = 'none'; }
             } catch (e) { /* ignore */ }
         } else {
-            if (this.gameOverTitle) this.gameOverTitle.textContent = (this.settings.mode === 'score' && didWin) ? 'You Win!' : (didWin ? 'You Win!' : 'Game Over!');
+            if (this.gameOverTitle) this.gameOverTitle.textContent = this.i18n.t(didWin ? 'gameOver.win' : 'gameOver.title');
+        }
+        // Survival rounds always end with the shield down; how long it held is the result
+        if (this.settings.mode === 'survival' && this.gameOverTitle) {
+            this.gameOverTitle.textContent = this.i18n.t('gameOver.survived', { time: this.i18n.digits(formatClock(this.engine.time)) });
+        }
+
+        if (this.finalScoreRight) this.finalScoreRight.textContent = this.i18n.number(scoreRight);
+        if (this.finalScoreWrong) this.finalScoreWrong.textContent = this.i18n.number(scoreWrong);
+        if (this.finalPoints) this.finalPoints.textContent = this.i18n.number(this.engine.points);
+        if (this.finalBestStreak) this.finalBestStreak.textContent = this.engine.bestStreak > 1 ? this.i18n.t('gameOver.bestStreak', { count: this.engine.bestStreak }) : '';
+
+        // Assignment pass/fail against the teacher's required accuracy
+        const result = this.engine.result;
+        if (this.assignmentResult) {
+            const graded = result && result.passed !== null;
+            this.assignmentResult.style.display = graded ? 'block' : 'none';
+            if (graded) {
+                this.assignmentResult.textContent = result.passed
+                    ? this.i18n.t('gameOver.passed', { accuracy: this.i18n.percent(result.accuracy) })
+                    : this.i18n.t('gameOver.failed', { accuracy: this.i18n.percent(result.accuracy), required: this.i18n.percent(this.settings.passAccuracy) });
+                this.assignmentResult.className = result.passed ? 'text-xl font-bold text-green-600' : 'text-xl font-bold text-red-600';
+            }
+        }
+
+        const summary = [this.i18n.t('gameOver.summary', { title: this.gameOverTitle ? this.gameOverTitle.textContent : this.i18n.t('gameOver.title'), right: scoreRight, wrong: scoreWrong })];
+        if (this.assignmentResult && this.assignmentResult.style.display === 'block') summary.push(this.assignmentResult.textContent);
+        this.showCampaignResult();
+        if (this.campaignResult && this.campaignResult.style.display === 'block') summary.push(document.getElementById('campaign-result-text').textContent);
+        if (this.raceResult) this.raceResult.style.display = this.raceRound ? 'block' : 'none';
+        if (this.raceRound) {
+            this.race.finish();
+            if (this.raceResult) summary.push(this.raceResult.textContent);
+        }
+        if (this.restartGameBtn) this.restartGameBtn.textContent = this.i18n.t(this.raceRound ? 'race.backToRace' : (this.campaignLevel ? 'gameOver.playLevelAgain' : 'gameOver.playAgain'));
+
+        this.checkHighScore();
+        this.showHighScores();
+        if (this.pendingHighScore) summary.push(this.i18n.t('highScores.newEntryAnnounce'));
+        this.announcer.clear();
+        this.announcer.announce(summary.join(' '));
+        if (this.pendingHighScore) this.highScoreName?.focus();
+        else this.gameOverTitle?.focus();
+
+        this.recordSession();
+    }
+
+    // Store the finished round in the active student's history
+    recordSession() {
+        const { scoreRight, scoreWrong, missedFacts, result } = this.engine;
+        const entry = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
+            date: new Date().toISOString(),
+            settings: { ...this.settings },
+            right: scoreRight,
+            wrong: scoreWrong,
+            accuracy: this.engine.accuracy(),
+            points: this.engine.points,
+            bestStreak: this.engine.bestStreak,
+            missedFacts: missedFacts.map(({ operation, base, operand, label }) => ({ operation, base, operand, label })),
+            replay: this.recorder ? this.recorder.toJSON() : null,
+        };
+        if (this.raceRound) entry.race = this.raceRound.code;
+        else if (this.campaignLevel) {
+            entry.campaignLevel = this.campaignLevel.id;
+            entry.stars = levelStars(result);
+        } else if (this.assignment) {
+            entry.assignment = this.assignment.title || 'Untitled assignment';
+            entry.passed = result ? result.passed : null;
+        }
+        this.profiles.addSession(entry);
+        this.lastSession = entry;
+        this.syncSession(entry);
+        this.emit('end', {
+            won: Boolean(result && result.won),
+            right: entry.right,
+            wrong: entry.wrong,
+            accuracy: entry.accuracy,
+            points: entry.points,
+            bestStreak: entry.bestStreak,
+            timeMs: Math.round(this.engine.time),
+            passed: result ? result.passed : null,
+            missedFacts: entry.missedFacts.map(f => f.label),
+            settings: entry.settings,
+            player: this.profiles.active().name,
+            assignment: this.assignment ? (this.assignment.title || null) : null,
+        });
+    }
+
+    // Send the round to the class results API; guest rounds stay on this device
+    syncSession(entry) {
+        const profile = this.profiles.active();
+        if (profile.id === StudentProfiles.GUEST_ID) {
+            this.showSyncStatus('local');
+            return;
+        }
+        this.showSyncStatus('sending');
+        const facts = Object.values(this.engine.factStats);
+        // The replay log stays on this device
+        const { replay, ...round } = entry;
+        this.resultsSync.submit({ ...round, student: profile.name, facts })
+            .then(status => this.showSyncStatus(status))
+            .catch(() => this.showSyncStatus('queued'));
+    }
+
+    showSyncStatus(status) {
+        if (!this.syncStatus) return;
+        this.syncStatus.dataset.status = status;
+        this.syncStatus.textContent = this.i18n.t(['sending', 'synced', 'queued', 'rejected'].includes(status) ? `sync.${status}` : 'sync.local');
+    }
+
+    // Stars for a finished campaign level (best rating is kept) and what comes next
+    showCampaignResult() {
+        if (!this.campaignResult) return;
+        this.campaignResult.style.display = this.campaignLevel ? 'block' : 'none';
+        if (!this.campaignLevel) return;
+        const level = this.campaignLevel;
+        const stars = levelStars(this.engine.result);
+        const improved = this.campaign.record(level.id, stars);
+        const next = this.campaign.nextLevel(level.id);
+        const text = document.getElementById('campaign-result-text');
+        const starLine = document.getElementById('campaign-result-stars');
+        if (text) {
+            const params = { id: level.id, misses: level.maxMisses, stars };
+            if (!stars) text.textContent = this.i18n.t(this.engine.isOutOfMisses() ? 'campaign.lost' : 'campaign.notCleared', params);
+            else if (!next) text.textContent = this.i18n.t(improved ? 'campaign.completeBest' : 'campaign.complete', params);
+            else text.textContent = this.i18n.t(improved ? 'campaign.clearedBest' : 'campaign.cleared', params);
+            text.className = stars ? 'text-xl font-bold text-green-600' : 'text-xl font-bold text-red-600';
         }
+        if (starLine) starLine.textContent = starText(stars);
+        if (this.nextLevelBtn) this.nextLevelBtn.style.display = next && this.campaign.isUnlocked(next.id) ? '' : 'none';
+    }
 
-        if (this.finalScoreRight) this.finalScoreRight.textContent = this.scoreRight;
-        if (this.finalScoreWrong) this.finalScoreWrong.textContent = this.scoreWrong;
+    // Hold the finished round's score for name entry if it makes the table
+    checkHighScore() {
+        const { points, scoreRight, scoreWrong, bestStreak } = this.engine;
+        // A race round picked up partway through isn't comparable, and races have their own leaderboard
+        this.pendingHighScore = !this.raceRound && this.highScores.qualifies(highScoreKey(this.settings), points)
+            ? { points, right: scoreRight, wrong: scoreWrong, accuracy: this.engine.accuracy(), bestStreak }
+            : null;
+    }
+
+    // High-score table for this round's settings, with the name form while a score is pending
+    showHighScores(highlightRank = -1) {
+        const key = highScoreKey(this.settings);
+        if (this.highScoreSettings) this.highScoreSettings.textContent = describeHighScoreSettings(this.settings);
+        if (this.highScoreEntry) this.highScoreEntry.style.display = this.pendingHighScore ? 'block' : 'none';
+        if (this.highScoreName && this.pendingHighScore) {
+            const profile = this.profiles.active();
+            this.highScoreName.value = profile.id === StudentProfiles.GUEST_ID ? '' : profile.name;
+        }
+        if (!this.highScoreTable) return;
+        const table = this.highScores.table(key);
+        if (!table.length) {
+            const empty = document.createElement('li');
+            empty.className = 'text-sm text-gray-500';
+            empty.textContent = this.i18n.t('highScores.empty');
+            this.highScoreTable.replaceChildren(empty);
+            return;
+        }
+        this.highScoreTable.replaceChildren(...table.map((entry, i) => {
+            const li = document.createElement('li');
+            li.className = `flex justify-between gap-2 px-3 py-1 rounded-lg ${i === highlightRank ? 'bg-yellow-100 font-bold' : 'bg-gray-50'}`;
+            const name = document.createElement('span');
+            name.textContent = `${this.i18n.number(i + 1)}. ${entry.name}`;
+            const score = document.createElement('span');
+            score.className = 'text-gray-600';
+            score.textContent = this.i18n.t('highScores.row', { points: entry.points, accuracy: this.i18n.percent(entry.accuracy) });
+            li.append(name, score);
+            return li;
+        }));
+    }
+
+    saveHighScore() {
+        if (!this.pendingHighScore) return;
+        const name = this.highScoreName ? this.highScoreName.value : '';
+        const rank = this.highScores.add(highScoreKey(this.settings), { ...this.pendingHighScore, name });
+        this.pendingHighScore = null;
+        this.showHighScores(rank);
+        if (rank !== -1) this.announcer.announce(this.i18n.t('highScores.saved', { rank: rank + 1 }));
+        this.restartGameBtn?.focus();
     }
 
     // Win celebration (canvas) - simplified: safe no-op if elements missing
@@ -410,15 +1368,21 @@ class Game {
         overlay.style.display = 'block';
         // small timeout to allow CSS transitions
         setTimeout(() => overlay.classList.add('show'), 20);
+        // The jingle's fanfare lands on the first burst; it stops with the fireworks
+        this.winJingle = this.sound.play('win');
+
+        // Reduced motion: just the message, no fireworks
+        if (this.accessibility.get('reducedMotion')) {
+            this.winCelebrationEndTimeout = setTimeout(() => {
+                this.stopWinCelebration();
+                if (typeof onComplete === 'function') onComplete();
+            }, 2500);
+            return;
+        }
 
         // Prepare canvas for high DPI
         const ctx = canvas.getContext('2d');
-        const resize = () => {
-            const rect = canvas.getBoundingClientRect();
-            canvas.width = Math.max(1, Math.floor(rect.width * devicePixelRatio));
-            canvas.height = Math.max(1, Math.floor(rect.height * devicePixelRatio));
-            ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
-        };
+        const resize = () => fitCanvasToDisplay(canvas, ctx);
         resize();
         this._winCelebrationResizeHandler = () => resize();
         window.addEventListener('resize', this._winCelebrationResizeHandler);
@@ -517,6 +1481,7 @@ class Game {
     }
 
     stopWinCelebration() {
+        if (this.winJingle) { this.winJingle.stop(); this.winJingle = null; }
         if (this.winCelebrationAnimId) { cancelAnimationFrame(this.winCelebrationAnimId); this.winCelebrationAnimId = null; }
         if (this.winCelebrationEndTimeout) { clearTimeout(this.winCelebrationEndTimeout); this.winCelebrationEndTimeout = null; }
         if (this.winCelebrationTimers && this.winCelebrationTimers.length) { this.winCelebrationTimers.forEach(t => clearTimeout(t)); this.winCelebrationTimers = []; }
@@ -547,11 +1512,47 @@ function initGame() {
     const game = new Game();
     console.log('Game instance created');
     game.showSettings();
+    window._mathInvadersGame = game;
+    const params = new URLSearchParams(location.search);
+    // In a frame, report rounds to the embedding page (see embed.js)
+    if (window.parent !== window) {
+        game.embed = new EmbedBridge(game, { origin: embedOrigin(params, document.referrer), shareNames: params.has('parentOrigin') });
+        game.embed.post('ready');
+    }
+    // Back into a classroom race after a reload
+    game.race.restore();
+    // Send any rounds that were queued while the results API was unreachable
+    game.resultsSync.flush();
     try {
-        const params = new URLSearchParams(location.search);
-        if (params.get('autostart') === '1') { console.log('Auto-starting'); game.start(); }
+        // ?assignment=<share code> or ?assignmentUrl=<url of a JSON file>, optionally with autostart=1
+        // ?race=CODE fills in the join form (race.html links to it)
+        if (params.get('race')) game.race.prefill(params.get('race'));
+        // ?lang=es (or fr, ar, en) picks the language for this device
+        if (LOCALES[params.get('lang')]) game.i18n.setLocale(params.get('lang'));
+        if (params.get('quiet') === '1') {
+            game.soundOptions.set('quiet', true);
+            game.syncSoundControls();
+        }
+        const autostart = () => { if (params.get('autostart') === '1') { console.log('Auto-starting'); game.start(); } };
+        if (params.get('assignment')) {
+            try { game.setAssignment(decodeShareCode(params.get('assignment'))); }
+            catch (err) { game.showAssignmentError(err.message); return; }
+        }
+        // Or the settings one by one, e.g. ?operation=divide&limit=30 (see embed.js)
+        const settings = embedSettings(params);
+        if (settings) {
+            try { game.setAssignment(embedAssignment(settings)); }
+            catch (err) { game.showAssignmentError(err.message); game.embed?.post('error', { message: err.message }); return; }
+        }
+        if (params.get('assignmentUrl')) {
+            fetch(params.get('assignmentUrl'))
+                .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res.text(); })
+                .then(text => { if (game.loadAssignment(text)) autostart(); })
+                .catch(err => game.showAssignmentError(game.i18n.t('assignment.loadError', { error: err.message })));
+            return;
+        }
+        autostart();
     } catch (e) { /* ignore */ }
-    window._mathInvadersGame = game;
 }
 
 if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initGame);
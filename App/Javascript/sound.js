@@ -0,0 +1,190 @@
+/**
+ * Sound effects and background music, synthesized with the Web Audio API so
+ * there are no audio files to download or cache.
+ *
+ * Preferences (saved per device):
+ *   volume  0-1, for effects and music
+ *   muted   all sound off (M during a round)
+ *   music   background music while a round is running
+ *   quiet   quiet classroom: no sound at all, whatever the other settings.
+ *           Opening the game from a link with ?quiet=1 switches it on.
+ *
+ * Loaded as a plain <script> in the browser; exported via module.exports when
+ * required from Node (see tests/sound.test.js).
+ */
+const SOUND_DEFAULTS = { volume: 0.7, muted: false, music: false, quiet: false };
+
+// Each cue is a list of [frequency Hz, start s, duration s] notes on one waveform
+const SOUND_CUES = {
+    correct: { wave: 'triangle', gain: 0.5, notes: [[659, 0, 0.08], [880, 0.08, 0.14]] },
+    wrong: { wave: 'square', gain: 0.2, notes: [[196, 0, 0.12], [147, 0.12, 0.22]] },
+    miss: { wave: 'sawtooth', gain: 0.2, notes: [[392, 0, 0.12], [311, 0.12, 0.12], [233, 0.24, 0.3]] },
+    tick: { wave: 'square', gain: 0.15, notes: [[1000, 0, 0.04]] },
+    tickFinal: { wave: 'square', gain: 0.2, notes: [[1500, 0, 0.06]] },
+    powerUp: { wave: 'sine', gain: 0.4, notes: [[523, 0, 0.07], [784, 0.07, 0.07], [1047, 0.14, 0.18]] },
+    // Fanfare on the opening burst of the win fireworks, then a chord for the next ones
+    win: {
+        wave: 'triangle',
+        gain: 0.4,
+        notes: [[523, 0, 0.14], [659, 0.15, 0.14], [784, 0.3, 0.14], [1047, 0.45, 0.5],
+            [523, 0.7, 1.2], [659, 0.7, 1.2], [784, 0.7, 1.2], [1047, 1.4, 0.2], [1319, 1.6, 0.8]],
+    },
+};
+
+// One 4-beat bar per chord: root on the beat, then an arpeggio on the off-beats
+const MUSIC_TEMPO = 112; // beats per minute
+const MUSIC_BARS = [[131, 165, 196], [110, 131, 165], [87, 110, 131], [98, 123, 147]];
+const MUSIC_GAIN = 0.25;
+
+class SoundOptions {
+    constructor(storageKey = 'mathInvaders.sound') {
+        this.storageKey = storageKey;
+        this.values = { ...SOUND_DEFAULTS };
+        this.load();
+    }
+
+    load() {
+        let stored = null;
+        try { stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null'); }
+        catch (e) { console.warn('Could not load sound options', e); }
+        stored = stored && typeof stored === 'object' ? stored : {};
+        const volume = Number(stored.volume);
+        this.values = {
+            volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : SOUND_DEFAULTS.volume,
+            muted: stored.muted === true,
+            music: stored.music === true,
+            quiet: stored.quiet === true,
+        };
+    }
+
+    save() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.values)); }
+        catch (e) { console.warn('Could not save sound options', e); }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = key === 'volume' ? Math.min(1, Math.max(0, Number(value) || 0)) : Boolean(value);
+        this.save();
+    }
+
+    audible() {
+        return !this.values.quiet && !this.values.muted && this.values.volume > 0;
+    }
+}
+
+/**
+ * Plays the cues and the music loop through one master gain. The audio
+ * context is created on first use and has to be resumed from a click or key
+ * press (unlock) before browsers let it make a sound. Without Web Audio
+ * every method is a no-op.
+ */
+class SoundBoard {
+    constructor(options, createContext = SoundBoard.browserContext) {
+        this.options = options;
+        this.createContext = createContext;
+        this.ctx = null;
+        this.master = null;
+        this.musicGain = null;
+        this.musicTimer = null;
+        this.musicBar = 0;
+    }
+
+    static browserContext() {
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+
+    context() {
+        if (this.ctx) return this.ctx;
+        try { this.ctx = this.createContext(); }
+        catch (e) { console.warn('Web Audio is not available', e); }
+        if (!this.ctx) return null;
+        this.master = this.ctx.createGain();
+        this.master.connect(this.ctx.destination);
+        this.refresh();
+        return this.ctx;
+    }
+
+    // Call from a user gesture so the browser allows playback
+    unlock() {
+        if (!this.options.audible()) return;
+        const ctx = this.context();
+        if (ctx && ctx.state === 'suspended' && typeof ctx.resume === 'function') ctx.resume().catch(() => {});
+    }
+
+    // Apply the current options: volume, and music off when it's no longer wanted
+    refresh() {
+        if (this.master) this.master.gain.value = this.options.audible() ? this.options.get('volume') : 0;
+        if (!this.options.audible() || !this.options.get('music')) this.stopMusic();
+    }
+
+    /**
+     * Play a cue from SOUND_CUES. Returns a handle whose stop() cuts it off
+     * (used when the win celebration is dismissed early).
+     */
+    play(name) {
+        const cue = SOUND_CUES[name];
+        const ctx = cue && this.options.audible() ? this.context() : null;
+        if (!ctx) return { stop() {} };
+        const oscillators = cue.notes.map(([frequency, start, duration]) => this.note(this.master, cue.wave, frequency, ctx.currentTime + start, duration, cue.gain));
+        return {
+            stop: () => oscillators.forEach((osc) => { try { osc.stop(); } catch (e) { /* already stopped */ } }),
+        };
+    }
+
+    // One enveloped note; the short attack and release avoid clicks
+    note(destination, wave, frequency, when, duration, level) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = wave;
+        osc.frequency.value = frequency;
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(level, when + 0.01);
+        gain.gain.linearRampToValueAtTime(0, when + duration);
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.start(when);
+        osc.stop(when + duration + 0.02);
+        return osc;
+    }
+
+    // Background music, scheduled a bar ahead so timer jitter can't be heard
+    startMusic() {
+        if (this.musicTimer || !this.options.get('music') || !this.options.audible()) return;
+        const ctx = this.context();
+        if (!ctx) return;
+        this.musicGain = ctx.createGain();
+        this.musicGain.gain.value = MUSIC_GAIN;
+        this.musicGain.connect(this.master);
+        const beat = 60 / MUSIC_TEMPO;
+        let barStart = ctx.currentTime + 0.05;
+        const scheduleBar = () => {
+            // Catch up if the context was suspended or the tab was throttled
+            if (barStart < ctx.currentTime) barStart = ctx.currentTime + 0.05;
+            const [root, third, fifth] = MUSIC_BARS[this.musicBar % MUSIC_BARS.length];
+            this.musicBar++;
+            this.note(this.musicGain, 'triangle', root, barStart, beat * 4, 0.6);
+            [third, fifth, root * 2, fifth].forEach((frequency, i) => this.note(this.musicGain, 'sine', frequency * 2, barStart + (i + 0.5) * beat, beat * 0.45, 0.3));
+            barStart += beat * 4;
+            this.musicTimer = setTimeout(scheduleBar, Math.max(0, (barStart - ctx.currentTime - beat) * 1000));
+        };
+        scheduleBar();
+    }
+
+    stopMusic() {
+        if (this.musicTimer) { clearTimeout(this.musicTimer); this.musicTimer = null; }
+        if (this.musicGain) {
+            // Notes already scheduled keep playing into a disconnected gain
+            this.musicGain.disconnect();
+            this.musicGain = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SoundOptions, SoundBoard, SOUND_CUES, SOUND_DEFAULTS };
+}
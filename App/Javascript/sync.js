@@ -0,0 +1,96 @@
+/**
+ * Sends finished rounds to the class results API (api/ in docker-compose).
+ *
+ * Rounds are queued in localStorage first and posted in order; anything the
+ * API can't take right now (offline, no API deployed, server error) stays
+ * queued and is retried on the next round or when the browser comes back
+ * online. The game never waits on this and works the same without the API.
+ */
+class ResultsSync {
+    constructor(baseUrl = 'api', storageKey = 'mathInvaders.pendingResults') {
+        this.baseUrl = baseUrl;
+        this.storageKey = storageKey;
+        this.maxQueued = 200;
+        this.timeoutMs = 5000;
+        this.status = 'unknown'; // 'synced' | 'queued' | 'rejected' | 'unknown'
+        this.flushing = null;
+        if (typeof window !== 'undefined') window.addEventListener('online', () => this.flush());
+    }
+
+    enabled() {
+        return typeof fetch === 'function' && location.protocol !== 'file:';
+    }
+
+    pending() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    savePending(queue) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(queue.slice(-this.maxQueued)));
+        } catch (e) {
+            console.warn('Could not save queued results', e);
+        }
+    }
+
+    // Queue a round and try to send everything waiting; resolves to the new status
+    submit(round) {
+        this.savePending([...this.pending(), round]);
+        return this.flush();
+    }
+
+    flush() {
+        if (!this.enabled()) return Promise.resolve(this.status);
+        if (!this.flushing) {
+            this.flushing = this.sendPending().finally(() => { this.flushing = null; });
+        }
+        return this.flushing;
+    }
+
+    async sendPending() {
+        let queue = this.pending();
+        let rejected = false;
+        while (queue.length) {
+            let res;
+            try {
+                res = await this.post('sessions', queue[0]);
+            } catch (e) {
+                res = null;
+            }
+            // Network errors, a missing API (404 from a static host) and server errors are retried later
+            if (!res || res.status === 404 || res.status >= 500) {
+                this.status = 'queued';
+                return this.status;
+            }
+            // Any other 4xx means the round itself was rejected; resending won't help
+            if (!res.ok) {
+                console.warn('Results API rejected a round', res.status);
+                rejected = true;
+            }
+            queue = this.pending().filter(r => r.id !== queue[0].id);
+            this.savePending(queue);
+        }
+        this.status = rejected ? 'rejected' : 'synced';
+        return this.status;
+    }
+
+    post(path, data) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+        return fetch(`${this.baseUrl}/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data),
+            signal: controller ? controller.signal : undefined,
+        }).finally(() => clearTimeout(timer));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultsSync };
+}
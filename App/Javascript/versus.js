@@ -0,0 +1,474 @@
+/**
+ * Local two-player versus rounds.
+ *
+ *   split    two game areas side by side. Player 1 uses the on-screen keypad,
+ *            player 2 the keyboard (number keys, Enter fires, Backspace deletes).
+ *   hotseat  one game area and keypad; the players take alternating turns and
+ *            their points are added up, for single-keypad tablets.
+ *
+ * Both players face the same seeded invader stream: each engine gets the
+ * same seed, with the center number changes on a stream of their own so one
+ * player's hits don't reshuffle what the other sees. Versus rounds are not
+ * saved to a student's history.
+ *
+ * The match rules (VersusMatch, HotSeatMatch) have no DOM dependencies and
+ * are exported via module.exports when required from Node (see
+ * tests/versus.test.js); VersusGame drives the versus screens in the browser.
+ */
+const HOT_SEAT_TURNS = 2; // turns per player
+const ROTATION_SEED_SALT = 0x5bd1e995;
+
+function randomSeed() {
+    return Math.floor(Math.random() * 0x7fffffff);
+}
+
+// Turn `turn` (0-based) of a hot-seat match; both players' turn n share a seed
+function turnSeed(seed, turn) {
+    return (seed + Math.imul(turn, 0x9e3779b9)) >>> 0;
+}
+
+function createVersusEngine(settings, seed, area) {
+    return new GameEngine({ settings, rng: createRng(seed), rotationRng: createRng(seed ^ ROTATION_SEED_SALT), area });
+}
+
+// Player 2's keys in a split-screen round: the same answer keys as a solo round
+function versusKey(key, bindings = DEFAULT_BINDINGS) {
+    return ANSWER_ACTIONS[actionForKey(key, bindings)] || null;
+}
+
+/**
+ * Index of the winner of `results` ({ points, right, wrong }): most points,
+ * then most right, then fewest wrong. -1 for a tie.
+ */
+function rankPlayers(results) {
+    const order = results.map((r, i) => i).sort((a, b) => (results[b].points - results[a].points)
+        || (results[b].right - results[a].right)
+        || (results[a].wrong - results[b].wrong));
+    const [first, second] = order.map(i => results[i]);
+    if (second && first.points === second.points && first.right === second.right && first.wrong === second.wrong) return -1;
+    return order[0];
+}
+
+function playerResult(name, engine) {
+    return { name, points: engine.points, right: engine.scoreRight, wrong: engine.scoreWrong, accuracy: engine.accuracy(), bestStreak: engine.bestStreak };
+}
+
+/**
+ * Two engines on the same seed, ticked together. A timed match ends when the
+ * clock runs out and is won on points; a score-target match is a race, won
+ * by whoever reaches the target first.
+ */
+class VersusMatch {
+    constructor(settings, names, { area = { width: 400, height: 500 }, seed = null } = {}) {
+        this.seed = Number.isInteger(seed) ? seed : (Number.isInteger(settings.seed) ? settings.seed : randomSeed());
+        this.settings = { ...settings, seed: this.seed };
+        this.players = names.map(name => ({ name, engine: createVersusEngine(this.settings, this.seed, area) }));
+        this.over = false;
+        this.results = null;
+        this.winner = null;
+    }
+
+    start() {
+        this.players.forEach(p => p.engine.start());
+    }
+
+    tick(delta) {
+        if (this.over) return;
+        this.players.forEach(p => p.engine.tick(delta));
+        if (this.players[0].engine.isTimeUp()) this.finish();
+    }
+
+    submit(index, answer) {
+        if (this.over) return { correct: false, invader: null, reachedTarget: false };
+        const result = this.players[index].engine.submit(answer);
+        if (result.reachedTarget) this.finish(index);
+        return result;
+    }
+
+    // `raceWinner` is the player who reached the score target, if any
+    finish(raceWinner = null) {
+        this.over = true;
+        this.players.forEach((p, i) => p.engine.finish(i === raceWinner));
+        this.results = this.players.map(p => playerResult(p.name, p.engine));
+        this.winner = raceWinner !== null ? raceWinner : rankPlayers(this.results);
+        return this.results;
+    }
+}
+
+/**
+ * Alternating turns on one device: player 1, player 2, player 1, ... Each
+ * pair of turns shares a seed, and the totals decide the winner.
+ */
+class HotSeatMatch {
+    constructor(settings, names, { turnsEach = HOT_SEAT_TURNS, seed = null } = {}) {
+        this.seed = Number.isInteger(seed) ? seed : (Number.isInteger(settings.seed) ? settings.seed : randomSeed());
+        this.settings = { ...settings, seed: this.seed };
+        this.turnsEach = turnsEach;
+        this.turns = [];
+        for (let t = 0; t < turnsEach; t++) names.forEach((name, player) => this.turns.push({ player, round: t + 1, seed: turnSeed(this.seed, t) }));
+        this.current = 0;
+        this.totals = names.map(name => ({ name, points: 0, right: 0, wrong: 0, accuracy: 0, bestStreak: 0 }));
+    }
+
+    currentTurn() {
+        return this.turns[this.current] || null;
+    }
+
+    createEngine(area) {
+        const turn = this.currentTurn();
+        return turn ? createVersusEngine(this.settings, turn.seed, area) : null;
+    }
+
+    // Add a finished turn's engine to its player's totals and move on
+    record(engine) {
+        const turn = this.currentTurn();
+        if (!turn) return null;
+        const total = this.totals[turn.player];
+        total.points += engine.points;
+        total.right += engine.scoreRight;
+        total.wrong += engine.scoreWrong;
+        total.accuracy = total.right + total.wrong > 0 ? Math.round(100 * total.right / (total.right + total.wrong)) : 0;
+        total.bestStreak = Math.max(total.bestStreak, engine.bestStreak);
+        this.current++;
+        return this.currentTurn();
+    }
+
+    isOver() {
+        return this.current >= this.turns.length;
+    }
+
+    winner() {
+        return rankPlayers(this.totals);
+    }
+}
+
+/**
+ * The versus and versus results screens. `game` is the solo Game, whose
+ * sound, announcer and accessibility options are shared; `onExit` returns
+ * to the settings screen.
+ */
+class VersusGame {
+    constructor(game, onExit) {
+        this.game = game;
+        this.onExit = onExit;
+        this.screen = document.getElementById('versus-screen');
+        this.overScreen = document.getElementById('versus-over-screen');
+        this.playersGrid = document.getElementById('versus-players');
+        this.statusDisplay = document.getElementById('versus-status');
+        this.turnDisplay = document.getElementById('versus-turn');
+        this.pauseBtn = document.getElementById('versus-pause');
+        this.overlay = document.getElementById('versus-overlay');
+        this.overlayText = document.getElementById('versus-overlay-text');
+        this.continueBtn = document.getElementById('versus-continue');
+        this.winnerTitle = document.getElementById('versus-winner');
+        this.resultsTable = document.getElementById('versus-results');
+
+        // One panel per player: scores, game area, answer and input
+        this.panels = Array.from(document.querySelectorAll('.versus-player')).map((el) => {
+            const canvas = el.querySelector('.versus-canvas');
+            return {
+                el,
+                name: el.querySelector('.versus-name'),
+                right: el.querySelector('.versus-right'),
+                wrong: el.querySelector('.versus-wrong'),
+                points: el.querySelector('.versus-points'),
+                multiplier: el.querySelector('.versus-multiplier'),
+                answerDisplay: el.querySelector('.versus-answer'),
+                renderer: canvas ? new CanvasRenderer(canvas) : null,
+                answer: '',
+            };
+        });
+
+        // Player 1's keypad is a copy of the solo one
+        const keypad = document.getElementById('keypad');
+        const keypadSlot = document.getElementById('versus-keypad-slot');
+        if (keypad && keypadSlot) {
+            const copy = keypad.cloneNode(true);
+            copy.id = 'versus-keypad';
+            copy.querySelectorAll('button').forEach(btn => btn.setAttribute('type', 'button'));
+            copy.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (btn && btn.dataset.key) this.input(0, btn.dataset.key);
+            });
+            keypadSlot.appendChild(copy);
+        }
+
+        this.variant = 'split';
+        this.names = [i18n.t('players.one'), i18n.t('players.two')];
+        this.settings = null;
+        this.match = null; // VersusMatch (split) or HotSeatMatch
+        this.engines = []; // engine per visible panel
+        this.running = false;
+        this.paused = false;
+        this.loopId = null;
+        this.lastFrameTime = null;
+
+        if (this.pauseBtn) this.pauseBtn.addEventListener('click', () => (this.paused ? this.resume() : this.pause()));
+        document.getElementById('versus-quit')?.addEventListener('click', () => this.exit());
+        document.getElementById('versus-overlay-quit')?.addEventListener('click', () => this.exit());
+        if (this.continueBtn) this.continueBtn.addEventListener('click', () => (this.running ? this.resume() : this.startTurn()));
+        document.getElementById('versus-rematch')?.addEventListener('click', () => this.start(this.settings, this.names, this.variant));
+        document.getElementById('versus-settings')?.addEventListener('click', () => this.exit());
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.screen || this.screen.style.display !== 'block') return;
+            const bindings = this.game.input.bindings;
+            if (actionForKey(e.key, bindings) === 'pause') { this.paused ? this.resume() : this.pause(); e.preventDefault(); return; }
+            const key = versusKey(e.key, bindings);
+            if (!key) return;
+            // Split screen: the keyboard is player 2's; in hot-seat it types for whoever's turn it is
+            this.input(this.variant === 'split' ? 1 : 0, key);
+            e.preventDefault();
+        });
+        document.addEventListener('visibilitychange', () => { if (document.hidden) this.pause(); });
+    }
+
+    /**
+     * Start a match. `variant` is 'split' or 'hotseat'; `settings` are the
+     * normalized solo settings (a teacher's seed is kept).
+     */
+    start(settings, names, variant = 'split') {
+        this.stop();
+        this.settings = settings;
+        this.names = names;
+        this.variant = variant === 'hotseat' ? 'hotseat' : 'split';
+        if (this.screen) this.screen.style.display = 'block';
+        if (this.overScreen) this.overScreen.style.display = 'none';
+
+        const split = this.variant === 'split';
+        this.panels.forEach((panel, i) => { panel.el.style.display = split || i === 0 ? '' : 'none'; });
+        if (this.playersGrid) this.playersGrid.classList.toggle('grid-cols-2', split);
+        this.prepareRenderers();
+        const symbols = answerSymbols(settings);
+        document.querySelectorAll('#versus-keypad .answer-symbol').forEach((btn) => {
+            btn.style.display = symbols.includes(btn.dataset.key) ? '' : 'none';
+        });
+
+        const area = this.panels[0].renderer ? { ...this.panels[0].renderer.area } : undefined;
+        if (split) {
+            this.match = new VersusMatch(settings, names, { area });
+            this.panels.forEach((panel, i) => { if (panel.name) panel.name.textContent = names[i]; });
+            if (this.turnDisplay) this.turnDisplay.textContent = i18n.t('versus.split', { first: names[0], second: names[1] });
+            this.startTurn();
+        } else {
+            this.match = new HotSeatMatch(settings, names);
+            this.showHandOff();
+        }
+    }
+
+    // Canvases were hidden until now, so measure them again
+    prepareRenderers() {
+        const a11y = this.game.accessibility;
+        this.panels.forEach((panel) => {
+            if (!panel.renderer) return;
+            panel.renderer.reducedMotion = a11y.get('reducedMotion');
+            panel.renderer.setTextStyle(a11y.get('text'));
+            panel.renderer.setTheme(this.settings.theme);
+            panel.renderer.resize();
+        });
+    }
+
+    // Hot-seat: ask for the device to be passed before each turn
+    showHandOff() {
+        const turn = this.match.currentTurn();
+        const text = i18n.t('versus.turn', { name: this.names[turn.player], round: turn.round, total: this.match.turnsEach });
+        this.showOverlay(i18n.t('versus.passDevice', { turn: text }), i18n.t('versus.startTurn'));
+        if (this.turnDisplay) this.turnDisplay.textContent = this.totalsText();
+        this.game.announcer.announce(i18n.t('versus.turnAnnounce', { turn: text }));
+    }
+
+    totalsText() {
+        return this.match.totals.map(t => `${t.name}: ${i18n.number(t.points)}`).join(' · ');
+    }
+
+    showOverlay(text, buttonText) {
+        if (this.overlayText) this.overlayText.textContent = text;
+        if (this.continueBtn) this.continueBtn.textContent = buttonText;
+        if (this.overlay) this.overlay.style.display = 'flex';
+        this.continueBtn?.focus();
+    }
+
+    hideOverlay() {
+        if (this.overlay) this.overlay.style.display = 'none';
+    }
+
+    startTurn() {
+        this.hideOverlay();
+        if (this.variant === 'split') {
+            this.engines = this.match.players.map(p => p.engine);
+            this.match.start();
+        } else {
+            const turn = this.match.currentTurn();
+            const engine = this.match.createEngine(this.panels[0].renderer ? { ...this.panels[0].renderer.area } : undefined);
+            engine.start();
+            this.engines = [engine];
+            if (this.panels[0].name) this.panels[0].name.textContent = this.names[turn.player];
+        }
+        this.engines.forEach((engine, i) => this.watch(engine, i));
+        this.panels.forEach((panel) => { panel.answer = ''; panel.renderer?.clear(); });
+        this.updateDisplays();
+        this.running = true;
+        this.paused = false;
+        this.lastFrameTime = null;
+        if (this.pauseBtn) this.pauseBtn.textContent = i18n.t('game.pause');
+        this.game.sound.unlock();
+        this.game.sound.startMusic();
+        this.loopId = requestAnimationFrame(t => this.loop(t));
+    }
+
+    // Effects and sounds for one player's engine
+    watch(engine, index) {
+        const panel = this.panels[index];
+        const labels = () => ({ showOperation: this.settings.operation === 'mixed', operand: engine.multiplier, formatNumber: n => i18n.number(n) });
+        engine.on('hit', inv => panel.renderer?.addEffect('hit', inv, labels()));
+        engine.on('miss', (inv) => {
+            panel.renderer?.addEffect('miss', inv, labels());
+            this.game.sound.play('miss');
+        });
+        engine.on('score', (award) => {
+            if (award.points === 0) return;
+            panel.renderer?.addPopup(i18n.digits(award.points > 0 ? `+${award.points}` : String(award.points)), award.invader, award.points > 0 ? '#facc15' : '#f87171', labels());
+        });
+        // One countdown for both players
+        if (index === 0) engine.on('timer', (timeLeft) => {
+            if (timeLeft > 0 && timeLeft <= 10) this.game.sound.play(timeLeft <= 3 ? 'tickFinal' : 'tick');
+            if ([30, 10].includes(timeLeft)) this.game.announcer.announce(i18n.t('announce.secondsLeft', { count: timeLeft }));
+        });
+    }
+
+    loop(timestamp) {
+        const now = timestamp || performance.now();
+        if (!this.lastFrameTime) this.lastFrameTime = now;
+        const delta = Math.min(0.1, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+
+        if (this.variant === 'split') this.match.tick(delta);
+        else this.engines[0].tick(delta);
+        this.engines.forEach((engine, i) => this.panels[i].renderer?.render(engine.invaders, delta, { showOperation: this.settings.operation === 'mixed', operand: engine.multiplier, formatNumber: n => i18n.number(n) }));
+        this.updateDisplays();
+
+        if (this.variant === 'split' ? this.match.over : this.engines[0].isTimeUp()) { this.endTurn(); return; }
+        this.loopId = requestAnimationFrame(t => this.loop(t));
+    }
+
+    input(index, key) {
+        if (!this.running || this.paused || !this.engines[index]) return;
+        const panel = this.panels[index];
+        if (key === 'submit' && panel.answer !== '') {
+            const result = this.variant === 'split' ? this.match.submit(index, panel.answer) : this.engines[0].submit(panel.answer);
+            panel.answer = '';
+            this.game.sound.play(result.correct ? 'correct' : 'wrong');
+            if (result.reachedTarget) { this.updateDisplays(); this.endTurn(); return; }
+        } else if (key !== 'submit') panel.answer = typeAnswerKey(panel.answer, key);
+        this.updateDisplays();
+    }
+
+    updateDisplays() {
+        this.engines.forEach((engine, i) => {
+            const panel = this.panels[i];
+            if (panel.right) panel.right.textContent = i18n.number(engine.scoreRight);
+            if (panel.wrong) panel.wrong.textContent = i18n.number(engine.scoreWrong);
+            if (panel.points) panel.points.textContent = i18n.number(engine.points);
+            if (panel.multiplier) panel.multiplier.textContent = engine.settings.problemFormat === 'standard' ? `${OPERATIONS[engine.operation].symbol} ${i18n.number(engine.multiplier)}` : '';
+            if (panel.answerDisplay) panel.answerDisplay.textContent = i18n.digits(panel.answer === '' ? '0' : panel.answer);
+        });
+        const engine = this.engines[0];
+        if (this.statusDisplay && engine) {
+            this.statusDisplay.textContent = this.settings.mode === 'time'
+                ? i18n.t('game.time', { seconds: engine.timeLeft })
+                : i18n.t('versus.firstTo', { limit: this.settings.limit });
+        }
+    }
+
+    endTurn() {
+        this.halt();
+        if (this.variant === 'hotseat') {
+            const engine = this.engines[0];
+            if (!engine.over) engine.finish(false);
+            const finished = this.names[this.match.currentTurn().player];
+            this.match.record(engine);
+            if (!this.match.isOver()) {
+                this.game.announcer.announce(i18n.t('versus.scored', { name: finished, points: engine.points }));
+                this.showHandOff();
+                return;
+            }
+        }
+        this.showResults();
+    }
+
+    showResults() {
+        const results = this.variant === 'split' ? this.match.results : this.match.totals;
+        const winner = this.variant === 'split' ? this.match.winner : this.match.winner();
+        if (this.screen) this.screen.style.display = 'none';
+        if (this.overScreen) this.overScreen.style.display = 'block';
+        this.panels.forEach(panel => panel.renderer?.clear());
+
+        const title = winner === -1 ? i18n.t('versus.tie') : i18n.t('versus.wins', { name: results[winner].name });
+        if (this.winnerTitle) this.winnerTitle.textContent = title;
+        if (this.resultsTable) {
+            this.resultsTable.replaceChildren(...results.map((r, i) => {
+                const tr = document.createElement('tr');
+                if (i === winner) tr.className = 'bg-yellow-100 font-semibold';
+                [i === winner ? `🏆 ${r.name}` : r.name, i18n.number(r.points), i18n.number(r.right), i18n.number(r.wrong), i18n.percent(r.accuracy), i18n.number(r.bestStreak)].forEach((value) => {
+                    const td = document.createElement('td');
+                    td.className = 'p-2 border-b';
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+                return tr;
+            }));
+        }
+        if (winner !== -1) this.game.sound.play('win');
+        this.game.announcer.announce(`${title} ${results.map(r => i18n.t('versus.playerResult', { name: r.name, points: r.points, right: r.right, wrong: r.wrong })).join(' ')}`);
+        this.winnerTitle?.focus();
+    }
+
+    pause() {
+        if (!this.running || this.paused) return;
+        this.paused = true;
+        if (this.loopId) { cancelAnimationFrame(this.loopId); this.loopId = null; }
+        this.game.sound.stopMusic();
+        if (this.pauseBtn) this.pauseBtn.textContent = i18n.t('game.resume');
+        this.showOverlay(i18n.t('game.paused'), i18n.t('game.resume'));
+        this.game.announcer.announce(i18n.t('announce.paused'));
+    }
+
+    resume() {
+        if (!this.running || !this.paused) return;
+        this.paused = false;
+        this.hideOverlay();
+        if (this.pauseBtn) this.pauseBtn.textContent = i18n.t('game.pause');
+        this.lastFrameTime = null; // don't count the paused time as one long frame
+        this.game.sound.startMusic();
+        this.loopId = requestAnimationFrame(t => this.loop(t));
+        this.game.announcer.announce(i18n.t('announce.resumed'));
+    }
+
+    // Stop the loop but leave the screens as they are
+    halt() {
+        this.running = false;
+        this.paused = false;
+        if (this.loopId) { cancelAnimationFrame(this.loopId); this.loopId = null; }
+        this.game.sound.stopMusic();
+    }
+
+    // Abandon any match and hide the versus screens
+    stop() {
+        this.halt();
+        this.hideOverlay();
+        this.match = null;
+        this.engines = [];
+        this.panels.forEach(panel => panel.renderer?.clear());
+        if (this.screen) this.screen.style.display = 'none';
+        if (this.overScreen) this.overScreen.style.display = 'none';
+    }
+
+    exit() {
+        this.stop();
+        this.onExit();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VersusMatch, HotSeatMatch, rankPlayers, turnSeed, versusKey, HOT_SEAT_TURNS };
+}
@@ -0,0 +1,112 @@
+/**
+ * Class results API. The game posts each finished round here; the roster page
+ * (roster.html) reads it back. nginx proxies /api/ to this service, see
+ * default.conf and docker-compose.yml.
+ *
+ *   GET  /api/health
+ *   POST /api/sessions                  one finished round (JSON)
+ *   GET  /api/roster                    every student with totals and weakest facts
+ *   GET  /api/students/:name/sessions   one student's rounds and weakest facts
+ *   GET  /api/leaderboard?period=week   week | month | all, &limit=1-100
+ *   GET  /api/facts                     the class's most-missed facts
+ */
+const http = require('node:http');
+const path = require('node:path');
+const { ResultsStore, ValidationError, validateSession } = require('./store.js');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const PERIOD_DAYS = { week: 7, month: 30 };
+
+function sendJSON(res, status, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                const err = new ValidationError('Request body is too large.');
+                err.status = 413;
+                reject(err);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); }
+            catch (e) { reject(new ValidationError('Body is not valid JSON.')); }
+        });
+        req.on('error', reject);
+    });
+}
+
+const clampInt = (value, min, max, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+};
+
+/** Build the request handler around a ResultsStore (tests pass an in-memory one). */
+function createHandler(store, clock = () => new Date()) {
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+        try {
+            if (route === 'GET /api/health') return sendJSON(res, 200, { ok: true });
+
+            if (route === 'POST /api/sessions') {
+                const session = validateSession(await readJSON(req));
+                const { id, duplicate } = store.addSession(session);
+                return sendJSON(res, duplicate ? 200 : 201, { id, duplicate });
+            }
+
+            if (route === 'GET /api/roster') return sendJSON(res, 200, { students: store.roster() });
+
+            const studentMatch = url.pathname.match(/^\/api\/students\/([^/]+)\/sessions\/?$/);
+            if (req.method === 'GET' && studentMatch) {
+                const student = store.studentSessions(decodeURIComponent(studentMatch[1]), clampInt(url.searchParams.get('limit'), 1, 500, 50));
+                return student ? sendJSON(res, 200, student) : sendJSON(res, 404, { error: 'Unknown student.' });
+            }
+
+            if (route === 'GET /api/leaderboard') {
+                const period = url.searchParams.get('period') || 'week';
+                if (period !== 'all' && !PERIOD_DAYS[period]) return sendJSON(res, 400, { error: 'period must be week, month or all.' });
+                const since = period === 'all' ? null : new Date(clock().getTime() - PERIOD_DAYS[period] * 86400000).toISOString();
+                const limit = clampInt(url.searchParams.get('limit'), 1, 100, 10);
+                return sendJSON(res, 200, { period, leaders: store.leaderboard({ since, limit }) });
+            }
+
+            if (route === 'GET /api/facts') {
+                return sendJSON(res, 200, { facts: store.weakFacts(null, clampInt(url.searchParams.get('limit'), 1, 144, 20)) });
+            }
+
+            return sendJSON(res, 404, { error: 'Not found.' });
+        } catch (err) {
+            if (err instanceof ValidationError) return sendJSON(res, err.status, { error: err.message });
+            console.error(err);
+            return sendJSON(res, 500, { error: 'Internal error.' });
+        }
+    };
+}
+
+function createServer(store, clock) {
+    return http.createServer(createHandler(store, clock));
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '3000', 10);
+    const dbPath = process.env.DB_PATH || path.join(__dirname, 'results.db');
+    const store = new ResultsStore(dbPath);
+    const server = createServer(store);
+    server.listen(port, () => console.log(`Results API listening on ${port}, database ${dbPath}`));
+    const shutdown = () => server.close(() => { store.close(); process.exit(0); });
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
+
+module.exports = { createServer, createHandler };
@@ -0,0 +1,249 @@
+/**
+ * SQLite storage for class results: one row per finished round plus that
+ * round's per-fact counts. Uses the node:sqlite module built into Node 22.13+,
+ * so the service has no npm dependencies.
+ */
+const { DatabaseSync } = require('node:sqlite');
+
+const OPERATIONS = ['multiply', 'add', 'subtract', 'divide'];
+const MAX_FACTS_PER_SESSION = 500;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS students (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY,
+        client_id TEXT UNIQUE,
+        student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+        played_at TEXT NOT NULL,
+        received_at TEXT NOT NULL,
+        operation TEXT,
+        mode TEXT,
+        limit_value INTEGER,
+        speed TEXT,
+        assignment TEXT,
+        passed INTEGER,
+        right_count INTEGER NOT NULL,
+        wrong_count INTEGER NOT NULL,
+        accuracy INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS sessions_student ON sessions(student_id, played_at);
+    CREATE TABLE IF NOT EXISTS fact_stats (
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        operation TEXT NOT NULL,
+        base NUMERIC NOT NULL,
+        operand NUMERIC NOT NULL,
+        label TEXT NOT NULL,
+        right_count INTEGER NOT NULL,
+        wrong_count INTEGER NOT NULL,
+        missed_count INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS fact_stats_session ON fact_stats(session_id);
+`;
+
+/** Thrown for request bodies the API rejects; `status` is the HTTP status to send. */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+    }
+}
+
+const count = (value, field) => {
+    if (!Number.isInteger(value) || value < 0) throw new ValidationError(`${field} must be a non-negative whole number.`);
+    return value;
+};
+
+// A fact's numbers: whole, negative or decimal numbers, or a fraction such as "3/4".
+// NUMERIC columns keep numbers as numbers and fractions as text.
+const factNumber = (value, field) => {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && /^-?\d{1,6}\/[1-9]\d{0,5}$/.test(value)) return value;
+    throw new ValidationError(`${field} must be a number or a fraction such as 3/4.`);
+};
+
+const optionalText = (value, max) => (value === undefined || value === null ? null : String(value).slice(0, max));
+
+/**
+ * Check a session posted by the game (see ResultsSync in Javascript/sync.js)
+ * and return the normalized row data. Throws ValidationError.
+ */
+function validateSession(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new ValidationError('Body must be a JSON object.');
+    const student = typeof body.student === 'string' ? body.student.trim().slice(0, 40) : '';
+    if (!student) throw new ValidationError('student is required.');
+    const playedAt = new Date(body.date);
+    if (Number.isNaN(playedAt.getTime())) throw new ValidationError('date must be an ISO timestamp.');
+
+    const settings = body.settings && typeof body.settings === 'object' ? body.settings : {};
+    const facts = body.facts === undefined ? [] : body.facts;
+    if (!Array.isArray(facts) || facts.length > MAX_FACTS_PER_SESSION) throw new ValidationError('facts must be a list.');
+
+    return {
+        clientId: optionalText(body.id, 64),
+        student,
+        playedAt: playedAt.toISOString(),
+        operation: optionalText(settings.operation, 20),
+        mode: optionalText(settings.mode, 20),
+        limit: Number.isInteger(settings.limit) ? settings.limit : null,
+        speed: optionalText(settings.speed, 20),
+        assignment: optionalText(body.assignment, 80),
+        passed: typeof body.passed === 'boolean' ? Number(body.passed) : null,
+        right: count(body.right, 'right'),
+        wrong: count(body.wrong, 'wrong'),
+        accuracy: count(body.accuracy, 'accuracy'),
+        facts: facts.map((f) => {
+            if (!f || !OPERATIONS.includes(f.operation)) throw new ValidationError('Each fact needs a known operation.');
+            return {
+                operation: f.operation,
+                base: factNumber(f.base, 'base'),
+                operand: factNumber(f.operand, 'operand'),
+                label: optionalText(f.label, 40) || `${f.base} ${f.operation} ${f.operand}`,
+                right: count(f.right || 0, 'right'),
+                wrong: count(f.wrong || 0, 'wrong'),
+                missed: count(f.missed || 0, 'missed'),
+            };
+        }),
+    };
+}
+
+const percent = (right, wrong) => (right + wrong ? Math.round((right / (right + wrong)) * 100) : 0);
+
+/**
+ * Results database. `path` is a file path, or ':memory:' for tests.
+ */
+class ResultsStore {
+    constructor(path = ':memory:', clock = () => new Date()) {
+        this.clock = clock;
+        this.db = new DatabaseSync(path);
+        this.db.exec('PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;');
+        this.db.exec(SCHEMA);
+        this.migrate();
+    }
+
+    // Databases from before decimals and fractions have INTEGER fact columns: rebuild
+    // fact_stats with the NUMERIC ones so "3/4" is kept as it was played
+    migrate() {
+        const columns = this.db.prepare('PRAGMA table_info(fact_stats)').all();
+        if (!columns.some(c => c.name === 'base' && c.type === 'INTEGER')) return;
+        const fields = 'session_id, operation, base, operand, label, right_count, wrong_count, missed_count';
+        this.db.exec('BEGIN');
+        try {
+            this.db.exec('ALTER TABLE fact_stats RENAME TO fact_stats_old; DROP INDEX fact_stats_session;');
+            this.db.exec(SCHEMA);
+            this.db.exec(`INSERT INTO fact_stats (${fields}) SELECT ${fields} FROM fact_stats_old; DROP TABLE fact_stats_old;`);
+            this.db.exec('COMMIT');
+        } catch (err) {
+            this.db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    studentId(name) {
+        this.db.prepare('INSERT OR IGNORE INTO students (name, created_at) VALUES (?, ?)').run(name, this.clock().toISOString());
+        return this.db.prepare('SELECT id FROM students WHERE name = ?').get(name).id;
+    }
+
+    /**
+     * Store a validated session. A client id that was already stored is not
+     * stored twice (the game retries posts that timed out); returns
+     * { id, duplicate }.
+     */
+    addSession(session) {
+        if (session.clientId) {
+            const existing = this.db.prepare('SELECT id FROM sessions WHERE client_id = ?').get(session.clientId);
+            if (existing) return { id: existing.id, duplicate: true };
+        }
+        this.db.exec('BEGIN');
+        try {
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO sessions (client_id, student_id, played_at, received_at, operation, mode, limit_value, speed, assignment, passed, right_count, wrong_count, accuracy)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(session.clientId, this.studentId(session.student), session.playedAt, this.clock().toISOString(),
+                session.operation, session.mode, session.limit, session.speed, session.assignment, session.passed,
+                session.right, session.wrong, session.accuracy);
+            const insertFact = this.db.prepare(`
+                INSERT INTO fact_stats (session_id, operation, base, operand, label, right_count, wrong_count, missed_count)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            session.facts.forEach(f => insertFact.run(lastInsertRowid, f.operation, f.base, f.operand, f.label, f.right, f.wrong, f.missed));
+            this.db.exec('COMMIT');
+            return { id: Number(lastInsertRowid), duplicate: false };
+        } catch (err) {
+            this.db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    /** Facts with the most wrong answers and misses, for one student or the whole class. */
+    weakFacts(studentId = null, limit = 5) {
+        return this.db.prepare(`
+            SELECT f.operation, f.base, f.operand, MAX(f.label) AS label,
+                   SUM(f.right_count) AS "right", SUM(f.wrong_count) AS wrong, SUM(f.missed_count) AS missed
+            FROM fact_stats f JOIN sessions s ON s.id = f.session_id
+            WHERE (? IS NULL OR s.student_id = ?)
+            GROUP BY f.operation, f.base, f.operand
+            HAVING SUM(f.wrong_count) + SUM(f.missed_count) > 0
+            ORDER BY SUM(f.wrong_count) + SUM(f.missed_count) DESC, SUM(f.right_count) ASC
+            LIMIT ?
+        `).all(studentId, studentId, limit).map(row => ({ ...row }));
+    }
+
+    /** One row per student: totals, last round and their weakest facts. */
+    roster() {
+        return this.db.prepare(`
+            SELECT st.id, st.name, COUNT(s.id) AS sessions, COALESCE(SUM(s.right_count), 0) AS "right",
+                   COALESCE(SUM(s.wrong_count), 0) AS wrong, MAX(s.played_at) AS lastPlayed
+            FROM students st LEFT JOIN sessions s ON s.student_id = st.id
+            GROUP BY st.id
+            ORDER BY st.name COLLATE NOCASE
+        `).all().map(row => ({
+            name: row.name,
+            sessions: row.sessions,
+            right: row.right,
+            wrong: row.wrong,
+            accuracy: percent(row.right, row.wrong),
+            lastPlayed: row.lastPlayed,
+            weakFacts: this.weakFacts(row.id, 3).map(f => f.label),
+        }));
+    }
+
+    /** A student's rounds, newest first, or null for an unknown student. */
+    studentSessions(name, limit = 50) {
+        const student = this.db.prepare('SELECT id, name FROM students WHERE name = ?').get(name);
+        if (!student) return null;
+        const sessions = this.db.prepare(`
+            SELECT id, played_at AS date, operation, mode, limit_value AS "limit", speed, assignment, passed,
+                   right_count AS "right", wrong_count AS wrong, accuracy
+            FROM sessions WHERE student_id = ? ORDER BY played_at DESC LIMIT ?
+        `).all(student.id, limit).map(row => ({ ...row, passed: row.passed === null ? null : Boolean(row.passed) }));
+        return { name: student.name, sessions, weakFacts: this.weakFacts(student.id, 10) };
+    }
+
+    /**
+     * Students ranked by correct answers since `since` (ISO date, or null for
+     * all time); accuracy breaks ties.
+     */
+    leaderboard({ since = null, limit = 10 } = {}) {
+        return this.db.prepare(`
+            SELECT st.name, COUNT(s.id) AS sessions, SUM(s.right_count) AS "right", SUM(s.wrong_count) AS wrong
+            FROM sessions s JOIN students st ON st.id = s.student_id
+            WHERE (? IS NULL OR s.played_at >= ?)
+            GROUP BY st.id
+        `).all(since, since)
+            .map(row => ({ name: row.name, sessions: row.sessions, right: row.right, wrong: row.wrong, accuracy: percent(row.right, row.wrong) }))
+            .sort((a, b) => b.right - a.right || b.accuracy - a.accuracy || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map((row, i) => ({ rank: i + 1, ...row }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { ResultsStore, ValidationError, validateSession };
@@ -0,0 +1,143 @@
+// Run with (Node 22.13+): cd App/api && npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { ResultsStore, validateSession } = require('../store.js');
+const { createServer } = require('../server.js');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+const clock = () => NOW;
+
+function round(overrides = {}) {
+    return {
+        id: 'round-1',
+        student: 'Ana',
+        date: '2026-03-09T10:00:00.000Z',
+        settings: { operation: 'multiply', mode: 'score', limit: 20, speed: 'fast' },
+        right: 18,
+        wrong: 2,
+        accuracy: 90,
+        facts: [
+            { operation: 'multiply', base: 7, operand: 8, label: '7 × 8', right: 1, wrong: 1, missed: 1 },
+            { operation: 'multiply', base: 6, operand: 8, label: '6 × 8', right: 3, wrong: 0, missed: 0 },
+        ],
+        ...overrides,
+    };
+}
+
+async function withServer(fn) {
+    const store = new ResultsStore(':memory:', clock);
+    const server = createServer(store, clock);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+    const api = async (path, options = {}) => {
+        const res = await fetch(base + path, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            body: options.body === undefined ? undefined : JSON.stringify(options.body),
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    try { await fn(api); }
+    finally {
+        await new Promise(resolve => server.close(resolve));
+        store.close();
+    }
+}
+
+test('validateSession rejects malformed rounds', () => {
+    assert.throws(() => validateSession([]), /JSON object/);
+    assert.throws(() => validateSession(round({ student: ' ' })), /student is required/);
+    assert.throws(() => validateSession(round({ date: 'yesterday' })), /date/);
+    assert.throws(() => validateSession(round({ right: -1 })), /right/);
+    assert.throws(() => validateSession(round({ facts: [{ operation: 'modulo', base: 1, operand: 1 }] })), /operation/);
+});
+
+test('posting a round is idempotent per client id', () => withServer(async (api) => {
+    const first = await api('/sessions', { method: 'POST', body: round() });
+    assert.equal(first.status, 201);
+    const again = await api('/sessions', { method: 'POST', body: round() });
+    assert.equal(again.status, 200);
+    assert.deepEqual(again.body, { id: first.body.id, duplicate: true });
+
+    const { body } = await api('/students/Ana/sessions');
+    assert.equal(body.sessions.length, 1);
+    assert.equal(body.sessions[0].right, 18);
+    assert.equal(body.weakFacts[0].label, '7 × 8');
+}));
+
+test('rounds with negatives, decimals and fractions are stored as played', () => withServer(async (api) => {
+    const facts = [
+        { operation: 'multiply', base: '3/4', operand: 8, label: '3/4 × 8', right: 0, wrong: 2, missed: 0 },
+        { operation: 'add', base: -3, operand: 0.7, label: '-3 + 0.7', right: 0, wrong: 1, missed: 0 },
+    ];
+    const posted = await api('/sessions', { method: 'POST', body: round({ id: 'round-f', facts }) });
+    assert.equal(posted.status, 201);
+
+    const { body } = await api('/students/Ana/sessions');
+    assert.deepEqual(body.weakFacts.map(f => [f.label, f.base, f.operand]), [['3/4 × 8', '3/4', 8], ['-3 + 0.7', -3, 0.7]]);
+    assert.throws(() => validateSession(round({ facts: [{ operation: 'add', base: '3/0', operand: 1 }] })), /base/);
+}));
+
+test('databases with the old INTEGER fact columns are migrated', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-'));
+    const file = path.join(dir, 'results.db');
+    try {
+        const before = new ResultsStore(file, clock);
+        before.addSession(validateSession(round({ facts: [] })));
+        before.close();
+        const old = new DatabaseSync(file);
+        old.exec(`
+            DROP TABLE fact_stats;
+            CREATE TABLE fact_stats (session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE, operation TEXT NOT NULL,
+                base INTEGER NOT NULL, operand INTEGER NOT NULL, label TEXT NOT NULL,
+                right_count INTEGER NOT NULL, wrong_count INTEGER NOT NULL, missed_count INTEGER NOT NULL);
+            CREATE INDEX fact_stats_session ON fact_stats(session_id);
+            INSERT INTO fact_stats VALUES (1, 'multiply', 7, 8, '7 × 8', 1, 1, 1);
+        `);
+        old.close();
+
+        const store = new ResultsStore(file, clock);
+        const types = store.db.prepare('PRAGMA table_info(fact_stats)').all().filter(c => ['base', 'operand'].includes(c.name)).map(c => c.type);
+        assert.deepEqual(types, ['NUMERIC', 'NUMERIC']);
+        assert.ok(store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'fact_stats_session'").get());
+        store.addSession(validateSession(round({ id: 'round-2', facts: [{ operation: 'multiply', base: '3/4', operand: 8, wrong: 2 }] })));
+        assert.deepEqual(store.weakFacts().map(f => [f.base, f.operand, f.label]), [['3/4', 8, '3/4 multiply 8'], [7, 8, '7 × 8']]);
+        store.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('bad requests get a 4xx with a message', () => withServer(async (api) => {
+    const bad = await api('/sessions', { method: 'POST', body: round({ wrong: 'two' }) });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /wrong/);
+    assert.equal((await api('/students/Nobody/sessions')).status, 404);
+    assert.equal((await api('/leaderboard?period=year')).status, 400);
+    assert.equal((await api('/nope')).status, 404);
+}));
+
+test('roster totals each student and lists their weakest facts', () => withServer(async (api) => {
+    await api('/sessions', { method: 'POST', body: round() });
+    await api('/sessions', { method: 'POST', body: round({ id: 'round-2', right: 2, wrong: 8, accuracy: 20, facts: [] }) });
+    await api('/sessions', { method: 'POST', body: round({ id: 'round-3', student: 'ben', right: 5, wrong: 0, accuracy: 100, facts: [] }) });
+
+    const { body } = await api('/roster');
+    assert.deepEqual(body.students.map(s => s.name), ['Ana', 'ben']);
+    assert.deepEqual(body.students[0], { name: 'Ana', sessions: 2, right: 20, wrong: 10, accuracy: 67, lastPlayed: '2026-03-09T10:00:00.000Z', weakFacts: ['7 × 8'] });
+}));
+
+test('leaderboard ranks by correct answers within the period', () => withServer(async (api) => {
+    await api('/sessions', { method: 'POST', body: round() });
+    await api('/sessions', { method: 'POST', body: round({ id: 'old', student: 'Ben', date: '2026-01-01T10:00:00.000Z', right: 50, wrong: 0, accuracy: 100 }) });
+    await api('/sessions', { method: 'POST', body: round({ id: 'new', student: 'Ben', right: 10, wrong: 0, accuracy: 100 }) });
+
+    const week = (await api('/leaderboard?period=week')).body.leaders;
+    assert.deepEqual(week.map(l => [l.rank, l.name, l.right]), [[1, 'Ana', 18], [2, 'Ben', 10]]);
+    const all = (await api('/leaderboard?period=all&limit=1')).body.leaders;
+    assert.deepEqual(all.map(l => [l.name, l.right, l.sessions]), [['Ben', 60, 2]]);
+}));
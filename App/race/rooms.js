@@ -0,0 +1,182 @@
+/**
+ * Race rooms: a teacher hosts a room, students join it with its code, and
+ * everyone plays the same seeded round. Rooms live in memory only; the
+ * finished rounds still reach the results API from each student's device.
+ *
+ * Room states: lobby -> running -> finished. Each player gets a token when
+ * they join, so a dropped connection or a reloaded page can rejoin as the
+ * same player.
+ */
+const crypto = require('node:crypto');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 5;
+const MAX_PLAYERS = 60;
+const START_DELAY_MS = 3000; // countdown before the first invader
+const ROOM_IDLE_MS = 3 * 60 * 60 * 1000;
+
+const SETTING_CHOICES = {
+    operation: ['multiply', 'add', 'subtract', 'divide', 'mixed'],
+    difficulty: ['single', 'double'],
+    speed: ['easy', 'intermediate', 'fast'],
+    mode: ['time', 'score'],
+};
+
+/** A request the client got wrong; the message is shown to the player. */
+class RaceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RaceError';
+    }
+}
+
+// Keep only the settings a race can set; the game normalizes the rest
+function raceSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const settings = { operation: 'multiply', difficulty: 'single', speed: 'intermediate', mode: 'time', limit: 60 };
+    Object.keys(SETTING_CHOICES).forEach((key) => {
+        if (SETTING_CHOICES[key].includes(source[key])) settings[key] = source[key];
+    });
+    const limit = parseInt(source.limit, 10);
+    if (Number.isInteger(limit)) settings.limit = settings.mode === 'time' ? Math.min(600, Math.max(15, limit)) : Math.min(200, Math.max(1, limit));
+    if (Array.isArray(source.multipliers)) {
+        const multipliers = [...new Set(source.multipliers.filter(n => Number.isInteger(n) && n >= 1 && n <= 12))];
+        if (multipliers.length) settings.multipliers = multipliers;
+    }
+    return settings;
+}
+
+const count = value => (Number.isInteger(value) && value >= 0 ? Math.min(value, 1e6) : 0);
+
+class RaceRooms {
+    constructor({ clock = () => Date.now() } = {}) {
+        this.clock = clock;
+        this.rooms = new Map();
+    }
+
+    newCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    createRoom(settings) {
+        const room = {
+            code: this.newCode(),
+            hostToken: crypto.randomUUID(),
+            settings: raceSettings(settings),
+            state: 'lobby',
+            seed: null,
+            startedAt: null,
+            players: new Map(),
+            lastActivity: this.clock(),
+        };
+        this.rooms.set(room.code, room);
+        return room;
+    }
+
+    room(code) {
+        const room = this.rooms.get(String(code || '').trim().toUpperCase());
+        if (!room) throw new RaceError('No race with that code.');
+        room.lastActivity = this.clock();
+        return room;
+    }
+
+    checkHost(code, hostToken) {
+        const room = this.room(code);
+        if (hostToken !== room.hostToken) throw new RaceError('Only the teacher who made this race can run it.');
+        return room;
+    }
+
+    /**
+     * Add a player, or bring one back when `token` matches. New players can
+     * only join from the lobby. Returns { room, player, rejoined }.
+     */
+    join(code, name, token) {
+        const room = this.room(code);
+        const returning = token ? [...room.players.values()].find(p => p.token === token) : null;
+        if (returning) return { room, player: returning, rejoined: true };
+
+        if (room.state !== 'lobby') throw new RaceError('That race has already started.');
+        const cleanName = String(name || '').trim().slice(0, 20);
+        if (!cleanName) throw new RaceError('Enter your name to join.');
+        if ([...room.players.values()].some(p => p.name.toLowerCase() === cleanName.toLowerCase())) throw new RaceError('Someone in this race already has that name.');
+        if (room.players.size >= MAX_PLAYERS) throw new RaceError('This race is full.');
+
+        const player = { id: crypto.randomUUID(), token: crypto.randomUUID(), name: cleanName, connected: true, right: 0, wrong: 0, points: 0, finished: false };
+        room.players.set(player.id, player);
+        return { room, player, rejoined: false };
+    }
+
+    start(code, hostToken) {
+        const room = this.checkHost(code, hostToken);
+        if (room.state === 'running') throw new RaceError('The race is already running.');
+        if (!room.players.size) throw new RaceError('Wait for at least one student to join.');
+        // Starting again after a race is a rematch with everyone back at zero
+        room.players.forEach(p => Object.assign(p, { right: 0, wrong: 0, points: 0, finished: false }));
+        room.seed = crypto.randomInt(0x7fffffff);
+        room.startedAt = this.clock() + START_DELAY_MS;
+        room.state = 'running';
+        return room;
+    }
+
+    // Players send their running totals, so a repeated or late message is harmless
+    progress(code, playerId, totals) {
+        const room = this.room(code);
+        const player = room.players.get(playerId);
+        if (!player || room.state !== 'running') return null;
+        player.right = count(totals.right);
+        player.wrong = count(totals.wrong);
+        player.points = count(totals.points);
+        if (totals.finished) player.finished = true;
+        return player;
+    }
+
+    // A player who leaves the lobby frees their name; once racing they stay on the leaderboard
+    leave(code, playerId) {
+        const room = this.room(code);
+        if (room.state === 'lobby') room.players.delete(playerId);
+        else this.setConnected(room.code, playerId, false);
+        return room;
+    }
+
+    end(code, hostToken) {
+        const room = this.checkHost(code, hostToken);
+        room.state = 'finished';
+        return room;
+    }
+
+    setConnected(code, playerId, connected) {
+        const room = this.rooms.get(code);
+        const player = room && room.players.get(playerId);
+        if (player) player.connected = connected;
+        return player || null;
+    }
+
+    // Milliseconds until the round starts (negative once it is under way)
+    startsIn(room) {
+        return room.startedAt === null ? null : room.startedAt - this.clock();
+    }
+
+    lobby(room) {
+        return [...room.players.values()].map(({ id, name, connected }) => ({ id, name, connected }));
+    }
+
+    // Most right first, then fewest wrong, then points
+    leaderboard(room) {
+        return [...room.players.values()]
+            .map(({ id, name, connected, right, wrong, points, finished }) => ({ id, name, connected, right, wrong, points, finished }))
+            .sort((a, b) => (b.right - a.right) || (a.wrong - b.wrong) || (b.points - a.points) || a.name.localeCompare(b.name))
+            .map((p, i) => ({ rank: i + 1, ...p }));
+    }
+
+    // Forget rooms nobody has used for a while
+    sweep() {
+        const cutoff = this.clock() - ROOM_IDLE_MS;
+        this.rooms.forEach((room, code) => { if (room.lastActivity < cutoff) this.rooms.delete(code); });
+    }
+}
+
+module.exports = { RaceRooms, RaceError, raceSettings, START_DELAY_MS, CODE_LENGTH };
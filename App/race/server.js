@@ -0,0 +1,191 @@
+/**
+ * Classroom race server. Teachers (race.html) and students (the game) talk to
+ * it over a WebSocket at /race; nginx proxies it, see default.conf and
+ * docker-compose.yml. Every message is a JSON object with a `type`.
+ *
+ * Teacher -> server
+ *   host      { settings }            open a new room
+ *   rehost    { code, hostToken }     reconnect to a room
+ *   start     {}                      start (or restart) the race
+ *   end       {}                      stop the race and show final places
+ * Student -> server
+ *   join      { code, name, token? }  join, or rejoin with the token from `joined`
+ *   progress  { right, wrong, points, finished }  running totals
+ *   leave     {}                      leave the race for good
+ * Server -> client
+ *   hosted    { code, hostToken, settings, state }
+ *   joined    { code, playerId, token, name, settings, state, race, progress, places }
+ *   lobby     { players }             who is in the room
+ *   start     { seed, settings, startsIn }
+ *   leaderboard { players }           to the teacher, as answers come in
+ *   ended     { players }
+ *   error     { message }
+ */
+const http = require('node:http');
+const { acceptUpgrade } = require('./websocket.js');
+const { RaceRooms, RaceError } = require('./rooms.js');
+
+const HEARTBEAT_MS = 30 * 1000;
+const SWEEP_MS = 5 * 60 * 1000;
+
+function createRaceServer({ rooms = new RaceRooms(), heartbeatMs = HEARTBEAT_MS } = {}) {
+    // Open connections per room code
+    const sockets = new Map();
+    const roomSockets = (code) => {
+        if (!sockets.has(code)) sockets.set(code, { hosts: new Set(), players: new Map() });
+        return sockets.get(code);
+    };
+    const toHosts = (code, data) => roomSockets(code).hosts.forEach(ws => ws.sendJSON(data));
+    const toAll = (code, data) => {
+        toHosts(code, data);
+        roomSockets(code).players.forEach(ws => ws.sendJSON(data));
+    };
+    const raceInfo = room => (room.state === 'running' ? { seed: room.seed, startsIn: rooms.startsIn(room) } : null);
+
+    function handleMessage(ws, client, message) {
+        switch (message.type) {
+        case 'host':
+        case 'rehost': {
+            const room = message.type === 'host' ? rooms.createRoom(message.settings) : rooms.checkHost(message.code, message.hostToken);
+            Object.assign(client, { role: 'host', code: room.code, hostToken: room.hostToken });
+            roomSockets(room.code).hosts.add(ws);
+            ws.sendJSON({ type: 'hosted', code: room.code, hostToken: room.hostToken, settings: room.settings, state: room.state, race: raceInfo(room) });
+            ws.sendJSON({ type: 'lobby', players: rooms.lobby(room) });
+            if (room.state !== 'lobby') ws.sendJSON({ type: 'leaderboard', players: rooms.leaderboard(room) });
+            return;
+        }
+        case 'join': {
+            const { room, player } = rooms.join(message.code, message.name, message.token);
+            const previous = roomSockets(room.code).players.get(player.id);
+            if (previous && previous !== ws) previous.close(4000, 'Joined from another window');
+            Object.assign(client, { role: 'player', code: room.code, playerId: player.id });
+            roomSockets(room.code).players.set(player.id, ws);
+            rooms.setConnected(room.code, player.id, true);
+            ws.sendJSON({
+                type: 'joined',
+                code: room.code,
+                playerId: player.id,
+                token: player.token,
+                name: player.name,
+                settings: room.settings,
+                state: room.state,
+                race: raceInfo(room),
+                progress: { right: player.right, wrong: player.wrong, points: player.points, finished: player.finished },
+                places: room.state === 'finished' ? rooms.leaderboard(room) : null,
+            });
+            toAll(room.code, { type: 'lobby', players: rooms.lobby(room) });
+            return;
+        }
+        case 'start': {
+            if (client.role !== 'host') throw new RaceError('Only the teacher can start the race.');
+            const room = rooms.start(client.code, client.hostToken);
+            toAll(room.code, { type: 'start', seed: room.seed, settings: room.settings, startsIn: rooms.startsIn(room) });
+            toHosts(room.code, { type: 'leaderboard', players: rooms.leaderboard(room) });
+            return;
+        }
+        case 'progress': {
+            if (client.role !== 'player') throw new RaceError('Join a race first.');
+            if (rooms.progress(client.code, client.playerId, message)) toHosts(client.code, { type: 'leaderboard', players: rooms.leaderboard(rooms.room(client.code)) });
+            return;
+        }
+        case 'leave': {
+            if (client.role !== 'player') return;
+            const room = rooms.leave(client.code, client.playerId);
+            roomSockets(room.code).players.delete(client.playerId);
+            Object.assign(client, { role: null, code: null, playerId: null });
+            toAll(room.code, { type: 'lobby', players: rooms.lobby(room) });
+            return;
+        }
+        case 'end': {
+            if (client.role !== 'host') throw new RaceError('Only the teacher can end the race.');
+            const room = rooms.end(client.code, client.hostToken);
+            toAll(room.code, { type: 'ended', players: rooms.leaderboard(room) });
+            return;
+        }
+        default:
+            throw new RaceError(`Unknown message type "${message.type}".`);
+        }
+    }
+
+    function handleConnection(ws) {
+        const client = { role: null, code: null, playerId: null, hostToken: null };
+        ws.on('message', (text) => {
+            let message;
+            try { message = JSON.parse(text); }
+            catch (e) { ws.sendJSON({ type: 'error', message: 'Messages must be JSON.' }); return; }
+            try {
+                if (!message || typeof message !== 'object') throw new RaceError('Messages must be JSON objects.');
+                handleMessage(ws, client, message);
+            } catch (err) {
+                if (!(err instanceof RaceError)) console.error(err);
+                ws.sendJSON({ type: 'error', message: err instanceof RaceError ? err.message : 'Internal error.' });
+            }
+        });
+        ws.on('close', () => {
+            if (!client.code) return;
+            const open = roomSockets(client.code);
+            if (client.role === 'host') { open.hosts.delete(ws); return; }
+            if (open.players.get(client.playerId) !== ws) return; // replaced by a newer connection
+            open.players.delete(client.playerId);
+            rooms.setConnected(client.code, client.playerId, false);
+            const room = rooms.rooms.get(client.code);
+            if (room) toAll(client.code, { type: 'lobby', players: rooms.lobby(room) });
+        });
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && new URL(req.url, 'http://localhost').pathname === '/race/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(JSON.stringify({ ok: true, rooms: rooms.rooms.size }));
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ error: 'Not found.' }));
+    });
+
+    const connections = new Set();
+    server.on('upgrade', (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== '/race') {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const ws = acceptUpgrade(req, socket, head);
+        if (!ws) return;
+        connections.add(ws);
+        ws.on('close', () => connections.delete(ws));
+        handleConnection(ws);
+    });
+
+    // Drop connections that stopped answering pings, and forget idle rooms
+    const heartbeat = setInterval(() => {
+        connections.forEach((ws) => { if (!ws.alive) ws.close(1001, 'No heartbeat'); else ws.ping(); });
+    }, heartbeatMs);
+    const sweep = setInterval(() => {
+        rooms.sweep();
+        sockets.forEach((open, code) => { if (!rooms.rooms.has(code)) sockets.delete(code); });
+    }, SWEEP_MS);
+    heartbeat.unref();
+    sweep.unref();
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        clearInterval(sweep);
+    });
+    // close() waits for open connections, so end those too
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        connections.forEach(ws => ws.close(1001, 'Server shutting down'));
+        return close(callback);
+    };
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '3001', 10);
+    const server = createRaceServer();
+    server.listen(port, () => console.log(`Race server listening on ${port}`));
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
+
+module.exports = { createRaceServer };
@@ -0,0 +1,118 @@
+// Run with (Node 22.4+): cd App/race && npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RaceRooms, raceSettings } = require('../rooms.js');
+const { createRaceServer } = require('../server.js');
+
+// A WebSocket client that queues incoming messages so tests can await them in order
+function connect(url) {
+    const ws = new WebSocket(url);
+    const inbox = [];
+    const waiting = [];
+    ws.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        const i = waiting.findIndex(w => w.type === message.type);
+        if (i !== -1) waiting.splice(i, 1)[0].resolve(message);
+        else inbox.push(message);
+    });
+    return new Promise((resolve, reject) => {
+        ws.addEventListener('error', reject);
+        ws.addEventListener('open', () => resolve({
+            send: data => ws.send(JSON.stringify(data)),
+            next: (type) => {
+                const i = inbox.findIndex(m => m.type === type);
+                if (i !== -1) return Promise.resolve(inbox.splice(i, 1)[0]);
+                return new Promise(res => waiting.push({ type, resolve: res }));
+            },
+            close: () => ws.close(),
+        }));
+    });
+}
+
+async function withServer(fn) {
+    const server = createRaceServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `ws://127.0.0.1:${server.address().port}/race`;
+    try { await fn(url); }
+    finally { await new Promise(resolve => server.close(resolve)); }
+}
+
+test('race settings are limited to what a race can choose', () => {
+    assert.deepEqual(raceSettings({ operation: 'add', mode: 'time', limit: 5000, theme: 'ships', multipliers: [3, 99, 3] }),
+        { operation: 'add', difficulty: 'single', speed: 'intermediate', mode: 'time', limit: 600, multipliers: [3] });
+    assert.equal(raceSettings(null).operation, 'multiply');
+});
+
+test('rooms reject late joiners and duplicate names but let players rejoin', () => {
+    const rooms = new RaceRooms();
+    const room = rooms.createRoom({});
+    assert.match(room.code, /^[A-Z2-9]{5}$/);
+    const { player } = rooms.join(room.code.toLowerCase(), 'Ana');
+    assert.throws(() => rooms.join(room.code, ' ana '), /already has that name/);
+    assert.throws(() => rooms.join('NOPE1', 'Ben'), /No race/);
+    assert.throws(() => rooms.start(room.code, 'wrong token'), /Only the teacher/);
+
+    const { player: ben } = rooms.join(room.code, 'Ben');
+    rooms.leave(room.code, ben.id);
+    assert.deepEqual(rooms.lobby(room).map(p => p.name), ['Ana']);
+
+    rooms.start(room.code, room.hostToken);
+    assert.throws(() => rooms.join(room.code, 'Ben'), /already started/);
+    assert.equal(rooms.join(room.code, 'ignored', player.token).player, player);
+
+    rooms.progress(room.code, player.id, { right: 4, wrong: -1, points: 60 });
+    assert.deepEqual([player.right, player.wrong, player.points], [4, 0, 60]);
+});
+
+test('a teacher hosts, students join, race and show up on the leaderboard', async () => {
+    await withServer(async (url) => {
+        const teacher = await connect(url);
+        teacher.send({ type: 'host', settings: { mode: 'time', limit: 30 } });
+        const { code, hostToken } = await teacher.next('hosted');
+        await teacher.next('lobby');
+
+        const ana = await connect(url);
+        ana.send({ type: 'join', code, name: 'Ana' });
+        const joined = await ana.next('joined');
+        assert.equal(joined.state, 'lobby');
+        assert.deepEqual((await teacher.next('lobby')).players.map(p => p.name), ['Ana']);
+
+        const ben = await connect(url);
+        ben.send({ type: 'join', code, name: 'Ben' });
+        await ben.next('joined');
+        await teacher.next('lobby');
+
+        ana.send({ type: 'start' });
+        assert.equal((await ana.next('error')).message, 'Only the teacher can start the race.');
+
+        teacher.send({ type: 'start' });
+        const [startA, startB] = await Promise.all([ana.next('start'), ben.next('start')]);
+        assert.equal(startA.seed, startB.seed);
+        assert.equal(startA.settings.limit, 30);
+        assert.ok(startA.startsIn > 0);
+        await teacher.next('leaderboard');
+
+        ben.send({ type: 'progress', right: 3, wrong: 0, points: 45 });
+        assert.deepEqual((await teacher.next('leaderboard')).players.map(p => [p.rank, p.name, p.right]), [[1, 'Ben', 3], [2, 'Ana', 0]]);
+
+        // Ana drops out and comes back with the token
+        ana.close();
+        assert.equal((await teacher.next('lobby')).players.find(p => p.name === 'Ana').connected, false);
+        const anaAgain = await connect(url);
+        anaAgain.send({ type: 'join', code, token: joined.token });
+        const rejoined = await anaAgain.next('joined');
+        assert.equal(rejoined.playerId, joined.playerId);
+        assert.equal(rejoined.race.seed, startA.seed);
+        assert.equal((await teacher.next('lobby')).players.find(p => p.name === 'Ana').connected, true);
+
+        // The teacher's page reloads
+        const teacherAgain = await connect(url);
+        teacherAgain.send({ type: 'rehost', code, hostToken });
+        assert.equal((await teacherAgain.next('hosted')).state, 'running');
+        teacherAgain.send({ type: 'end' });
+        const ended = await anaAgain.next('ended');
+        assert.equal(ended.players[0].name, 'Ben');
+
+        [teacher, teacherAgain, anaAgain, ben].forEach(c => c.close());
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Just enough of the WebSocket protocol (RFC 6455) for the race server: the
+ * upgrade handshake, text frames, ping / pong and close. Race messages are
+ * small JSON objects, so binary and fragmented messages are refused.
+ */
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * One client connection. Emits 'message' (text) and 'close' (once).
+ * `alive` is cleared by ping() and set again by the client's pong, so a
+ * heartbeat can drop connections that stopped answering.
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.open = true;
+        this.alive = true;
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.closed());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.open) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // The next complete frame in the buffer, or null to wait for more data
+    readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) { this.close(1009, 'Message too big'); return null; }
+        if (!masked) { this.close(1002, 'Client frames must be masked'); return null; }
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.text && fin) this.emit('message', payload.toString('utf8'));
+        else if (opcode === OPCODES.ping) this.socket.write(encodeFrame(OPCODES.pong, payload));
+        else if (opcode === OPCODES.pong) this.alive = true;
+        else if (opcode === OPCODES.close) this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        else this.close(1003, 'Only unfragmented text messages are supported');
+    }
+
+    send(text) {
+        if (this.open) this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+
+    sendJSON(data) {
+        this.send(JSON.stringify(data));
+    }
+
+    ping() {
+        if (!this.open) return;
+        this.alive = false;
+        this.socket.write(encodeFrame(OPCODES.ping));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.closed();
+    }
+
+    closed() {
+        if (this.closeEmitted) return;
+        this.open = false;
+        this.closeEmitted = true;
+        this.socket.destroySoon?.();
+        this.emit('close');
+    }
+}
+
+/**
+ * Complete the handshake for an http 'upgrade' event. Returns the
+ * connection, or null after answering 400 if it isn't a WebSocket request.
+ */
+function acceptUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    const connection = new WebSocketConnection(socket);
+    if (head && head.length) connection.receive(head);
+    return connection;
+}
+
+module.exports = { acceptUpgrade, WebSocketConnection, encodeFrame, MAX_MESSAGE_BYTES };
@@ -0,0 +1,123 @@
+/**
+ * Packages the game as a SCORM 1.2 zip for an LMS such as Moodle:
+ *
+ *   npm run build -- [--title "Times tables"] [--assignment ../assignments/times-6-to-9.json] [--out dist/game.zip]
+ *
+ * The zip holds every file the page loads (APP_SHELL in ../sw.js; the
+ * service worker itself stays out, LMSs serve content from their own paths),
+ * an imsmanifest.xml with the game as a single SCO, and a mathdex.html that
+ * also loads Javascript/scorm.js to report each round to the LMS. With
+ * --assignment the activity always opens that drill, and its passAccuracy
+ * becomes the mastery score.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { writeZip } = require('./zip.js');
+const { parseAssignment, encodeShareCode } = require('../Javascript/assignments.js');
+
+const APP_ROOT = path.join(__dirname, '..');
+const LAUNCH_PAGE = 'mathdex.html';
+const ADAPTER = 'Javascript/scorm.js';
+const DEFAULT_TITLE = 'Math Fact Invaders';
+const DEFAULT_OUT = path.join(__dirname, 'dist', 'math-fact-invaders-scorm.zip');
+
+// The files the page loads, from the service worker's precache list
+function appFiles(root = APP_ROOT) {
+    const source = fs.readFileSync(path.join(root, 'sw.js'), 'utf8');
+    const list = /const APP_SHELL = \[([\s\S]*?)\];/.exec(source);
+    if (!list) throw new Error('APP_SHELL not found in sw.js');
+    const files = [...list[1].matchAll(/'([^']+)'/g)].map(m => m[1]).filter(file => file !== './');
+    return [...files, ADAPTER];
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// The game page with the SCORM adapter loaded once the game exists
+function launchPage(html) {
+    const tag = '<script src="Javascript/script.js"></script>';
+    if (!html.includes(tag)) throw new Error(`${LAUNCH_PAGE} no longer loads Javascript/script.js`);
+    return html.replace(tag, `${tag}\n    <script src="${ADAPTER}"></script>`);
+}
+
+function manifest({ title, launch, files, masteryScore }) {
+    const mastery = masteryScore === null ? '' : `\n        <adlcp:masteryscore>${masteryScore}</adlcp:masteryscore>`;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="math-fact-invaders" version="1.0"
+    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="math-fact-invaders-org">
+    <organization identifier="math-fact-invaders-org">
+      <title>${escapeXml(title)}</title>
+      <item identifier="game" identifierref="game-resource" isvisible="true">
+        <title>${escapeXml(title)}</title>${mastery}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="game-resource" type="webcontent" adlcp:scormtype="sco" href="${escapeXml(launch)}">
+${files.map(file => `      <file href="${escapeXml(file)}"/>`).join('\n')}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * The SCORM zip as a Buffer. `assignment` is an assignment object or JSON
+ * text (validated like any other), `title` defaults to its title.
+ */
+function buildPackage({ root = APP_ROOT, title = null, assignment = null } = {}) {
+    const drill = assignment ? parseAssignment(assignment) : null;
+    const files = appFiles(root);
+    const launch = drill ? `${LAUNCH_PAGE}?assignment=${encodeShareCode(drill)}` : LAUNCH_PAGE;
+    const entries = [{
+        name: 'imsmanifest.xml',
+        data: manifest({
+            title: title || (drill && drill.title) || DEFAULT_TITLE,
+            launch,
+            files,
+            masteryScore: drill && drill.passAccuracy !== undefined ? Math.round(drill.passAccuracy) : null,
+        }),
+    }];
+    files.forEach((file) => {
+        const data = fs.readFileSync(path.join(root, file));
+        entries.push({ name: file, data: file === LAUNCH_PAGE ? launchPage(data.toString('utf8')) : data });
+    });
+    return writeZip(entries);
+}
+
+// --name value pairs from the command line
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(\w+)$/.exec(argv[i]);
+        if (!match || argv[i + 1] === undefined) throw new Error(`Unexpected argument ${argv[i]}`);
+        args[match[1]] = argv[++i];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const assignment = args.assignment ? fs.readFileSync(args.assignment, 'utf8') : null;
+        const out = args.out ? path.resolve(args.out) : DEFAULT_OUT;
+        const zip = buildPackage({ title: args.title, assignment });
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, zip);
+        console.log(`SCORM package written to ${out} (${Math.round(zip.length / 1024)} KB)`);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildPackage, appFiles, launchPage, DEFAULT_OUT };
@@ -0,0 +1,115 @@
+/**
+ * A stand-in for an LMS's SCORM 1.2 runtime: the API object an LMS puts on
+ * window.API. It keeps the cmi data model in memory and checks calls the way
+ * an LMS does: LMSInitialize first, known elements only, read-only and
+ * write-only elements, the lesson_status vocabulary and scores from 0 to 100.
+ * `onCall` sees every call with its result and error code.
+ *
+ * Loaded as a plain <script> by stub.html; exported via module.exports for
+ * the tests.
+ */
+
+const SCORM_ERRORS = {
+    0: 'No error',
+    101: 'General exception',
+    201: 'Invalid argument error',
+    301: 'Not initialized',
+    401: 'Not implemented error',
+    403: 'Element is read only',
+    404: 'Element is write only',
+    405: 'Incorrect data type',
+};
+
+const LESSON_STATUSES = ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'];
+const isScore = value => value === '' || (value.trim() !== '' && Number(value) >= 0 && Number(value) <= 100);
+
+// The cmi.core elements the stub knows: `write` checks a value, no `read` means write-only
+const SCORM_ELEMENTS = {
+    'cmi.core.student_id': { read: true },
+    'cmi.core.student_name': { read: true },
+    'cmi.core.lesson_status': { read: true, write: value => LESSON_STATUSES.includes(value) && value !== 'not attempted' },
+    'cmi.core.entry': { read: true },
+    'cmi.core.score.raw': { read: true, write: isScore },
+    'cmi.core.score.min': { read: true, write: isScore },
+    'cmi.core.score.max': { read: true, write: isScore },
+    'cmi.core.total_time': { read: true },
+    'cmi.core.session_time': { write: value => /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value) },
+    'cmi.core.exit': { write: value => ['', 'time-out', 'suspend', 'logout'].includes(value) },
+    'cmi.suspend_data': { read: true, write: value => value.length <= 4096 },
+    'cmi.launch_data': { read: true },
+};
+
+function createScormAPI({ studentId = 'student-1', studentName = 'Student, Test', onCall = () => {} } = {}) {
+    const data = {
+        'cmi.core.student_id': studentId,
+        'cmi.core.student_name': studentName,
+        'cmi.core.lesson_status': 'not attempted',
+        'cmi.core.entry': 'ab-initio',
+        'cmi.core.score.raw': '',
+        'cmi.core.score.min': '',
+        'cmi.core.score.max': '',
+        'cmi.core.total_time': '0000:00:00.00',
+        'cmi.suspend_data': '',
+        'cmi.launch_data': '',
+    };
+    let state = 'new'; // new, running, finished
+    let lastError = 0;
+    const commits = [];
+    const answer = (name, args, result, error = 0) => {
+        lastError = error;
+        onCall({ name, args, result, error });
+        return result;
+    };
+
+    const api = {
+        LMSInitialize(arg) {
+            if (arg !== '') return answer('LMSInitialize', [arg], 'false', 201);
+            if (state !== 'new') return answer('LMSInitialize', [arg], 'false', 101);
+            state = 'running';
+            return answer('LMSInitialize', [arg], 'true');
+        },
+        LMSFinish(arg) {
+            if (arg !== '') return answer('LMSFinish', [arg], 'false', 201);
+            if (state !== 'running') return answer('LMSFinish', [arg], 'false', 301);
+            state = 'finished';
+            commits.push({ ...data });
+            return answer('LMSFinish', [arg], 'true');
+        },
+        LMSGetValue(element) {
+            if (state !== 'running') return answer('LMSGetValue', [element], '', 301);
+            const spec = SCORM_ELEMENTS[element];
+            if (!spec) return answer('LMSGetValue', [element], '', 401);
+            if (!spec.read) return answer('LMSGetValue', [element], '', 404);
+            return answer('LMSGetValue', [element], data[element] ?? '');
+        },
+        LMSSetValue(element, value) {
+            const text = String(value);
+            if (state !== 'running') return answer('LMSSetValue', [element, text], 'false', 301);
+            const spec = SCORM_ELEMENTS[element];
+            if (!spec) return answer('LMSSetValue', [element, text], 'false', 401);
+            if (!spec.write) return answer('LMSSetValue', [element, text], 'false', 403);
+            if (!spec.write(text)) return answer('LMSSetValue', [element, text], 'false', 405);
+            data[element] = text;
+            return answer('LMSSetValue', [element, text], 'true');
+        },
+        LMSCommit(arg) {
+            if (arg !== '') return answer('LMSCommit', [arg], 'false', 201);
+            if (state !== 'running') return answer('LMSCommit', [arg], 'false', 301);
+            commits.push({ ...data });
+            return answer('LMSCommit', [arg], 'true');
+        },
+        // The error calls leave the last error alone, as in SCORM
+        LMSGetLastError: () => String(lastError),
+        LMSGetErrorString: code => SCORM_ERRORS[code] || '',
+        LMSGetDiagnostic: code => SCORM_ERRORS[code === '' || code === undefined ? lastError : code] || '',
+    };
+    // Not part of SCORM: what an LMS would have stored, for the tests and stub.html
+    api.data = data;
+    api.commits = commits;
+    api.state = () => state;
+    return api;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createScormAPI, SCORM_ERRORS };
+}
@@ -0,0 +1,62 @@
+/**
+ * Plays the SCORM package the way an LMS would, without one:
+ *
+ *   npm run stub -- [--zip dist/math-fact-invaders-scorm.zip]   # PORT=3002 by default
+ *
+ * Serves stub.html, which puts a runtime-stub.js API on its window, launches
+ * the package from its manifest in an iframe and shows every API call and
+ * the data the LMS would store. Without --zip the package is built fresh
+ * from the app's files. The package is served from the zip itself, so a
+ * file missing from it shows up as a 404 here too.
+ */
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { readZip } = require('./zip.js');
+const { buildPackage } = require('./build.js');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.xml': 'application/xml',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+};
+const STUB_FILES = { '/': 'stub.html', '/runtime-stub.js': 'runtime-stub.js' };
+
+function createStubServer(zip = buildPackage()) {
+    const files = readZip(zip);
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const send = (status, body, type) => {
+            res.writeHead(status, { 'Content-Type': type || 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(body);
+        };
+        if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, 'Method not allowed');
+        if (STUB_FILES[pathname]) {
+            const file = STUB_FILES[pathname];
+            return send(200, fs.readFileSync(path.join(__dirname, file)), CONTENT_TYPES[path.extname(file)]);
+        }
+        const name = pathname.startsWith('/package/') ? decodeURIComponent(pathname.slice('/package/'.length)) : null;
+        if (name && files.has(name)) return send(200, files.get(name), CONTENT_TYPES[path.extname(name)] || 'application/octet-stream');
+        return send(404, 'Not found');
+    });
+}
+
+if (require.main === module) {
+    const zipArg = process.argv.indexOf('--zip');
+    const zip = zipArg === -1 ? buildPackage() : fs.readFileSync(process.argv[zipArg + 1]);
+    const port = parseInt(process.env.PORT || '3002', 10);
+    const server = createStubServer(zip);
+    server.listen(port, () => console.log(`SCORM runtime stub at http://localhost:${port}/`));
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
+
+module.exports = { createStubServer };
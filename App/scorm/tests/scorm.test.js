@@ -0,0 +1,72 @@
+// Run with (Node 22.4+): cd App/scorm && npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { writeZip, readZip } = require('../zip.js');
+const { buildPackage, appFiles } = require('../build.js');
+const { createStubServer } = require('../stub.js');
+const { decodeShareCode } = require('../../Javascript/assignments.js');
+
+const APP_ROOT = path.join(__dirname, '..', '..');
+const drill = fs.readFileSync(path.join(APP_ROOT, 'assignments', 'times-6-to-9.json'), 'utf8');
+
+test('zips read back what was written', () => {
+    const zip = writeZip([
+        { name: 'a.txt', data: 'hello' },
+        { name: 'dir/ünïcode ×.txt', data: Buffer.from('x'.repeat(10000)) },
+        { name: 'empty', data: '' },
+    ]);
+    const files = readZip(zip);
+    assert.deepEqual([...files.keys()], ['a.txt', 'dir/ünïcode ×.txt', 'empty']);
+    assert.equal(files.get('a.txt').toString(), 'hello');
+    assert.equal(files.get('dir/ünïcode ×.txt').length, 10000);
+    assert.equal(files.get('empty').length, 0);
+    assert.throws(() => readZip(Buffer.from('not a zip')), /Not a zip/);
+});
+
+test('the package holds the app and a manifest listing every file', () => {
+    const files = readZip(buildPackage());
+    const manifest = files.get('imsmanifest.xml').toString();
+    assert.match(manifest, /<schemaversion>1\.2<\/schemaversion>/);
+    assert.match(manifest, /adlcp:scormtype="sco" href="mathdex\.html"/);
+    assert.doesNotMatch(manifest, /masteryscore/);
+    assert.ok(!files.has('sw.js'));
+    appFiles().forEach((file) => {
+        assert.ok(files.has(file), `${file} is packaged`);
+        assert.ok(manifest.includes(`<file href="${file}"/>`), `${file} is in the manifest`);
+    });
+    assert.deepEqual(files.get('Javascript/engine.js'), fs.readFileSync(path.join(APP_ROOT, 'Javascript', 'engine.js')));
+    // The adapter loads after the game is created
+    const page = files.get('mathdex.html').toString();
+    assert.ok(page.indexOf('Javascript/scorm.js') > page.indexOf('Javascript/script.js'));
+});
+
+test('an assignment package launches the drill with its pass mark', () => {
+    const files = readZip(buildPackage({ assignment: drill }));
+    const manifest = files.get('imsmanifest.xml').toString();
+    const launch = /scormtype="sco" href="mathdex\.html\?assignment=([^"]+)"/.exec(manifest);
+    assert.ok(launch);
+    assert.deepEqual(decodeShareCode(launch[1]), JSON.parse(drill));
+    assert.match(manifest, /<adlcp:masteryscore>80<\/adlcp:masteryscore>/);
+    assert.match(manifest, /<title>×6 to ×9 practice<\/title>/);
+    assert.match(readZip(buildPackage({ assignment: drill, title: 'Tables <week 3>' })).get('imsmanifest.xml').toString(), /<title>Tables &lt;week 3&gt;<\/title>/);
+    assert.throws(() => buildPackage({ assignment: '{"format":"math-fact-invaders-assignment","version":1,"speed":"warp"}' }), /Unknown speed/);
+});
+
+test('the stub serves its runtime page and the package from the zip', async (t) => {
+    const server = createStubServer(buildPackage({ assignment: drill }));
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+    const base = `http://localhost:${server.address().port}`;
+
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /src="runtime-stub\.js"/);
+    assert.match(await (await fetch(`${base}/runtime-stub.js`)).text(), /function createScormAPI/);
+    const manifest = await fetch(`${base}/package/imsmanifest.xml`);
+    assert.equal(manifest.headers.get('content-type'), 'application/xml');
+    assert.match(await (await fetch(`${base}/package/mathdex.html?assignment=abc`)).text(), /Javascript\/scorm\.js/);
+    assert.equal((await fetch(`${base}/package/sw.js`)).status, 404);
+    assert.equal((await fetch(`${base}/package/../build.js`)).status, 404);
+});
@@ -0,0 +1,104 @@
+/**
+ * Just enough of the ZIP format for SCORM packages: deflated files, no
+ * directory entries, no ZIP64 (packages stay far below 4 GB and 65535
+ * files). readZip reads back what writeZip writes, for the tests and the
+ * runtime stub.
+ */
+const zlib = require('node:zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * A zip archive of `entries` ({ name, data }), with `name` a forward-slash
+ * path and `data` a Buffer or string.
+ */
+function writeZip(entries, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    entries.forEach(({ name, data }) => {
+        const raw = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const packed = zlib.deflateRawSync(raw, { level: 9 });
+        const fileName = Buffer.from(name);
+        const crc = zlib.crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4); // version needed: 2.0
+        local.writeUInt16LE(UTF8_NAMES, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(packed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, packed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4); // made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_NAMES, 8);
+        central.writeUInt16LE(DEFLATE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(packed.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + packed.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// The files in a zip written by writeZip, as a Map of name -> Buffer
+function readZip(buffer) {
+    const endAt = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endAt === -1) throw new Error('Not a zip file');
+    const count = buffer.readUInt16LE(endAt + 10);
+    let at = buffer.readUInt32LE(endAt + 16);
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(at) !== CENTRAL_HEADER) throw new Error('Corrupt zip directory');
+        const method = buffer.readUInt16LE(at + 10);
+        const crc = buffer.readUInt32LE(at + 16);
+        const packedSize = buffer.readUInt32LE(at + 20);
+        const nameLength = buffer.readUInt16LE(at + 28);
+        const extraLength = buffer.readUInt16LE(at + 30);
+        const commentLength = buffer.readUInt16LE(at + 32);
+        const localAt = buffer.readUInt32LE(at + 42);
+        const name = buffer.toString('utf8', at + 46, at + 46 + nameLength);
+        const dataAt = localAt + 30 + buffer.readUInt16LE(localAt + 26) + buffer.readUInt16LE(localAt + 28);
+        const packed = buffer.subarray(dataAt, dataAt + packedSize);
+        const data = method === DEFLATE ? zlib.inflateRawSync(packed) : Buffer.from(packed);
+        if (zlib.crc32(data) !== crc) throw new Error(`Bad checksum for ${name}`);
+        files.set(name, data);
+        at += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+module.exports = { writeZip, readZip };
@@ -0,0 +1,89 @@
+/**
+ * Service worker: precaches the whole game so it installs and runs offline.
+ *
+ * CACHE_VERSION is stamped with a build id by the Dockerfile, so every image
+ * the nginx container ships gets a fresh cache. The new worker waits until the
+ * page asks it to take over (see Javascript/pwa.js), then old caches are
+ * dropped on activate.
+ */
+const CACHE_VERSION = '__BUILD_ID__';
+const CACHE_NAME = `math-invaders-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'mathdex.html',
+    'manifest.webmanifest',
+    'CSS/tailwind.css',
+    'CSS/styles.css',
+    'Javascript/i18n.js',
+    'Javascript/locales/en.js',
+    'Javascript/locales/es.js',
+    'Javascript/locales/fr.js',
+    'Javascript/locales/ar.js',
+    'Javascript/engine.js',
+    'Javascript/accessibility.js',
+    'Javascript/input.js',
+    'Javascript/sound.js',
+    'Javascript/assignments.js',
+    'Javascript/highscores.js',
+    'Javascript/campaign.js',
+    'Javascript/mastery.js',
+    'Javascript/profiles.js',
+    'Javascript/dashboard.js',
+    'Javascript/sync.js',
+    'Javascript/renderer.js',
+    'Javascript/versus.js',
+    'Javascript/race.js',
+    'Javascript/replay.js',
+    'Javascript/embed.js',
+    'Javascript/pwa.js',
+    'Javascript/script.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon.svg',
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('math-invaders-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Only the game's own static files; API and race server calls and other origins go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/') || url.pathname.startsWith('/race/')) return;
+
+    if (request.mode === 'navigate') {
+        // Pages: the cached copy (query strings like ?autostart=1 still apply client-side);
+        // other pages such as roster.html come from the network, with the game as the offline fallback
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || fetch(request).catch(() => caches.match('mathdex.html')))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request).then((response) => {
+            // Keep a copy of same-origin files that weren't precached (e.g. assignment JSON)
+            if (response.ok && response.type === 'basic') {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
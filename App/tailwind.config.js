@@ -0,0 +1,8 @@
+// Tailwind build for the offline bundle (CSS/tailwind.css). Rebuild after
+// changing classes in the HTML or scripts:
+//   npx tailwindcss@3 -c tailwind.config.js -i CSS/tailwind.src.css -o CSS/tailwind.css --minify
+module.exports = {
+    content: ['./mathdex.html', './roster.html', './race.html', './Javascript/**/*.js'],
+    theme: { extend: {} },
+    plugins: [],
+};
@@ -0,0 +1,115 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ASSIGNMENT_FORMAT, ASSIGNMENT_VERSION, parseAssignment, assignmentToSettings, limitFieldId, encodeShareCode, decodeShareCode, resultsToCSV, resultsToJSON } = require('../Javascript/assignments.js');
+
+const sample = {
+    format: ASSIGNMENT_FORMAT,
+    version: 1,
+    title: '×6 to ×9, "fast"',
+    operation: 'multiply',
+    multipliers: [6, 7, 8, 9],
+    speed: 'fast',
+    mode: 'score',
+    limit: 25,
+    passAccuracy: 80,
+};
+
+test('parseAssignment accepts JSON text and objects', () => {
+    assert.deepEqual(parseAssignment(JSON.stringify(sample)), sample);
+    assert.deepEqual(parseAssignment(sample), sample);
+});
+
+test('parseAssignment rejects other files and newer versions', () => {
+    assert.throws(() => parseAssignment('not json'), /not valid JSON/);
+    assert.throws(() => parseAssignment({ version: 1 }), /not a Math Fact Invaders assignment/);
+    assert.throws(() => parseAssignment({ ...sample, version: 99 }), /newer version/);
+    assert.throws(() => parseAssignment({ ...sample, version: ASSIGNMENT_VERSION + 1 }), /newer version/);
+});
+
+test('only assignments that use version 2 fields are marked version 2', () => {
+    assert.equal(parseAssignment({ ...sample, version: 2 }).version, 1);
+    assert.equal(parseAssignment({ ...sample, problemFormat: 'standard', numbers: 'whole' }).version, 1);
+    assert.equal(parseAssignment({ ...sample, problemFormat: 'reverse' }).version, 2);
+    assert.equal(parseAssignment({ ...sample, numbers: 'fractions' }).version, 2);
+    assert.equal(parseAssignment({ ...sample, range: { base: [-5, 5], operand: [1, 12] } }).version, 2);
+    assert.equal(parseAssignment({ ...sample, mode: 'survival', limit: 5 }).version, 2);
+    assert.equal(decodeShareCode(encodeShareCode(parseAssignment({ ...sample, numbers: 'tenths' }))).version, 2);
+});
+
+test('parseAssignment validates fields', () => {
+    assert.throws(() => parseAssignment({ ...sample, operation: 'modulo' }), /Unknown operation/);
+    assert.throws(() => parseAssignment({ ...sample, multipliers: [0, 13] }), /multipliers/);
+    assert.throws(() => parseAssignment({ ...sample, facts: [[7]] }), /facts/);
+    assert.throws(() => parseAssignment({ ...sample, limit: -1 }), /limit/);
+    assert.throws(() => parseAssignment({ ...sample, passAccuracy: 120 }), /passAccuracy/);
+    assert.throws(() => parseAssignment({ ...sample, problemFormat: 'sideways' }), /Unknown problemFormat/);
+    assert.equal(assignmentToSettings(parseAssignment({ ...sample, problemFormat: 'missing' })).problemFormat, 'missing');
+});
+
+test('assignmentToSettings overrides only what the assignment sets', () => {
+    const settings = assignmentToSettings(parseAssignment(sample), { difficulty: 'double', mode: 'time', limit: 60 });
+    assert.equal(settings.difficulty, 'double');
+    assert.equal(settings.mode, 'score');
+    assert.equal(settings.limit, 25);
+    assert.deepEqual(settings.multipliers, [6, 7, 8, 9]);
+    assert.equal(settings.passAccuracy, 80);
+});
+
+test('a single multiplier becomes a fixed multiplier', () => {
+    const settings = assignmentToSettings(parseAssignment({ format: ASSIGNMENT_FORMAT, version: 1, multipliers: [7] }));
+    assert.equal(settings.multiplierMode, 'fixed');
+    assert.equal(settings.fixedMultiplier, 7);
+});
+
+test('assignments can set decimals, fractions and a custom range', () => {
+    const assignment = parseAssignment({ format: ASSIGNMENT_FORMAT, version: 1, numbers: 'tenths', range: { base: [-12, 12], operand: [13, 20] } });
+    const settings = assignmentToSettings(assignment, { numbers: 'whole', range: null });
+    assert.equal(settings.numbers, 'tenths');
+    assert.deepEqual(settings.range, { base: [-12, 12], operand: [13, 20] });
+    assert.throws(() => parseAssignment({ ...sample, numbers: 'irrational' }), /Unknown numbers/);
+    assert.throws(() => parseAssignment({ ...sample, range: { base: [1, 9] } }), /range/);
+    assert.throws(() => parseAssignment({ ...sample, range: { base: [9, 1], operand: [1, 12] } }), /range/);
+    assert.throws(() => parseAssignment({ ...sample, range: { base: [1, 9], operand: [0, 0] } }), /range/);
+});
+
+test('assignments can be survival rounds with up to nine lives', () => {
+    const assignment = parseAssignment({ format: ASSIGNMENT_FORMAT, version: 1, mode: 'survival', limit: 20 });
+    assert.equal(assignment.limit, 9);
+    const settings = assignmentToSettings(assignment);
+    assert.equal(settings.mode, 'survival');
+    assert.equal(parseAssignment({ format: ASSIGNMENT_FORMAT, version: 1, mode: 'survival', limit: 3 }).limit, 3);
+});
+
+test('a survival assignment fills in the lives field, not the time limit', () => {
+    // The settings form's limit fields, as applyAssignmentToForm and getSettings use them
+    const form = { 'time-limit': 60, 'score-limit': 20, 'lives-limit': 5 };
+    const settings = assignmentToSettings(parseAssignment({ format: ASSIGNMENT_FORMAT, version: 2, mode: 'survival', limit: 3 }));
+    form[limitFieldId(settings.mode)] = settings.limit;
+    assert.deepEqual(form, { 'time-limit': 60, 'score-limit': 20, 'lives-limit': 3 });
+    // Once the assignment is cleared a timed round still runs for the form's time
+    assert.equal(form[limitFieldId('time')], 60);
+    assert.equal(limitFieldId('score'), 'score-limit');
+});
+
+test('share codes round-trip, including non-ASCII titles', () => {
+    const code = encodeShareCode(sample);
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeShareCode(code), sample);
+    assert.throws(() => decodeShareCode('not a code!'), /Share code is not valid/);
+});
+
+test('results export as CSV with quoting and as JSON', () => {
+    const sessions = [{
+        date: '2026-01-05T10:00:00.000Z', settings: { operation: 'multiply', mode: 'score', limit: 25 },
+        right: 20, wrong: 5, accuracy: 80, assignment: sample.title, passed: true,
+        missedFacts: [{ label: '7 × 8' }, { label: '6 × 9' }],
+    }];
+    const csv = resultsToCSV('Ana', sessions).split('\r\n');
+    assert.equal(csv[0], 'student,date,assignment,operation,mode,limit,right,wrong,accuracy,passed,missedFacts');
+    assert.equal(csv[1], 'Ana,2026-01-05T10:00:00.000Z,"×6 to ×9, ""fast""",multiply,score,25,20,5,80,true,7 × 8; 6 × 9');
+
+    const json = JSON.parse(resultsToJSON('Ana', sessions));
+    assert.equal(json.results[0].student, 'Ana');
+    assert.equal(json.results[0].missedFacts, '7 × 8; 6 × 9');
+});
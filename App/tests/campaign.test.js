@@ -0,0 +1,51 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+const { CAMPAIGN_LEVELS, campaignLevel, levelSettings, levelStars, CampaignProgress } = require('../Javascript/campaign.js');
+const { GameEngine } = require('../Javascript/engine.js');
+
+test.beforeEach(() => storage.clear());
+
+test('every level normalizes to a valid score-target round', () => {
+    CAMPAIGN_LEVELS.forEach((level) => {
+        const settings = GameEngine.normalizeSettings(levelSettings(level, { difficulty: 'double', mode: 'time', limit: 90 }));
+        assert.equal(settings.mode, 'score');
+        assert.equal(settings.limit, level.target);
+        assert.equal(settings.difficulty, 'double');
+        assert.deepEqual(settings.multipliers, level.multipliers);
+        assert.deepEqual(settings.speedRange, level.speedRange);
+        assert.deepEqual(settings.spawnCurve, level.spawnCurve);
+        assert.equal(settings.maxMisses, level.maxMisses);
+    });
+    assert.ok(CAMPAIGN_LEVELS.some(level => level.boss));
+    assert.equal(campaignLevel(99), null);
+});
+
+test('levelStars rates cleared levels by accuracy', () => {
+    assert.equal(levelStars({ won: false, accuracy: 100 }), 0);
+    assert.equal(levelStars({ won: true, accuracy: 60 }), 1);
+    assert.equal(levelStars({ won: true, accuracy: 80 }), 2);
+    assert.equal(levelStars({ won: true, accuracy: 95 }), 3);
+});
+
+test('levels unlock in order and keep their best rating', () => {
+    const progress = new CampaignProgress('campaign.test');
+    assert.equal(progress.isUnlocked(1), true);
+    assert.equal(progress.isUnlocked(2), false);
+    assert.equal(progress.record(1, 2), true);
+    assert.equal(progress.record(1, 1), false);
+    assert.equal(progress.isUnlocked(2), true);
+    assert.equal(progress.isUnlocked(3), false);
+
+    const reloaded = new CampaignProgress('campaign.test');
+    assert.equal(reloaded.stars(1), 2);
+    assert.equal(reloaded.totalStars(), 2);
+    assert.equal(reloaded.nextLevel(1).id, 2);
+    assert.equal(reloaded.nextLevel(CAMPAIGN_LEVELS.at(-1).id), null);
+});
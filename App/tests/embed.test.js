@@ -0,0 +1,100 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+Object.assign(global, require('../Javascript/assignments.js'));
+const { EMBED_SOURCE, embedSettings, embedOrigin, embedAssignment, EmbedBridge } = require('../Javascript/embed.js');
+
+// Just enough of the Game side of the bridge
+class FakeGame {
+    constructor() {
+        this.listeners = {};
+        this.assignment = null;
+        this.started = 0;
+        this.running = false;
+    }
+
+    on(type, fn) { (this.listeners[type] = this.listeners[type] || []).push(fn); }
+    emit(type, payload) { (this.listeners[type] || []).forEach(fn => fn(payload)); }
+    setAssignment(assignment) { this.assignment = assignment; }
+    start() { this.started++; this.running = true; }
+    quit() { this.running = false; }
+}
+
+function frame(origin = '*', options = {}) {
+    const host = { posts: [], postMessage(data, target) { this.posts.push({ data, target }); } };
+    const win = { addEventListener(type, fn) { if (type === 'message') this.onmessage = fn; } };
+    const game = new FakeGame();
+    const bridge = new EmbedBridge(game, { host, origin, win, ...options });
+    const send = (data, from = { source: host, origin: 'https://lms.example.org' }) => win.onmessage({ ...from, data });
+    return { host, game, bridge, send };
+}
+
+test('URL params become assignment settings', () => {
+    assert.equal(embedSettings(new URLSearchParams('lang=es&autostart=1')), null);
+    const params = new URLSearchParams('operation=multiply&multipliers=6,7&facts=7x8,6x9&rangeBase=-12,12&mode=score&limit=20&passAccuracy=80');
+    assert.deepEqual(embedSettings(params), {
+        operation: 'multiply',
+        mode: 'score',
+        limit: 20,
+        passAccuracy: 80,
+        multipliers: [6, 7],
+        facts: [[7, 8], [6, 9]],
+        range: { base: [-12, 12], operand: [1, 12] },
+    });
+    const assignment = embedAssignment(embedSettings(new URLSearchParams('operation=divide&limit=30&mode=score')));
+    assert.equal(assignment.operation, 'divide');
+    assert.equal(assignment.limit, 30);
+    assert.throws(() => embedAssignment({ operation: 'modulo' }), /Unknown operation/);
+    assert.throws(() => embedAssignment({ limit: 0 }), /limit/);
+});
+
+test('game events are posted to the embedding page', () => {
+    const { host, game } = frame('https://lms.example.org');
+    game.emit('answer', { answer: '56', correct: true });
+    game.emit('end', { accuracy: 90, passed: true });
+    game.emit('hit', {}); // not part of the API
+    assert.deepEqual(host.posts.map(p => p.data), [
+        { source: EMBED_SOURCE, type: 'answer', detail: { answer: '56', correct: true } },
+        { source: EMBED_SOURCE, type: 'end', detail: { accuracy: 90, passed: true } },
+    ]);
+    assert.ok(host.posts.every(p => p.target === 'https://lms.example.org'));
+});
+
+test('without parentOrigin events go to the framing page and leave out the name', () => {
+    const params = new URLSearchParams('parentOrigin=https://lms.example.org');
+    assert.equal(embedOrigin(params, 'https://other.example/course'), 'https://lms.example.org');
+    assert.equal(embedOrigin(new URLSearchParams(), 'https://school.example/maths/page.html'), 'https://school.example');
+    assert.equal(embedOrigin(new URLSearchParams(), ''), '*');
+
+    const { host, game } = frame('https://school.example');
+    game.emit('end', { accuracy: 90, player: 'Ana' });
+    assert.deepEqual(host.posts[0].data.detail, { accuracy: 90 });
+    const named = frame('https://lms.example.org', { shareNames: true });
+    named.game.emit('end', { accuracy: 90, player: 'Ana' });
+    assert.deepEqual(named.host.posts[0].data.detail, { accuracy: 90, player: 'Ana' });
+});
+
+test('messages from the parent configure, start and quit the game', () => {
+    const { host, game, send } = frame();
+    send({ source: EMBED_SOURCE, type: 'configure', settings: { operation: 'add', limit: 15, mode: 'score' } });
+    assert.equal(game.assignment.operation, 'add');
+    assert.equal(host.posts.at(-1).data.type, 'configured');
+
+    send({ source: EMBED_SOURCE, type: 'configure', settings: { speed: 'warp' } });
+    assert.equal(game.assignment.operation, 'add');
+    assert.deepEqual(host.posts.at(-1).data, { source: EMBED_SOURCE, type: 'error', detail: { message: 'Unknown speed "warp".' } });
+
+    send({ source: EMBED_SOURCE, type: 'start' });
+    assert.equal(game.running, true);
+    send({ source: EMBED_SOURCE, type: 'quit' });
+    assert.equal(game.running, false);
+});
+
+test('messages from other windows, origins or apps are ignored', () => {
+    const { game, send } = frame('https://lms.example.org');
+    send({ source: EMBED_SOURCE, type: 'start' }, { source: {}, origin: 'https://lms.example.org' });
+    send({ source: EMBED_SOURCE, type: 'start' }, { source: undefined, origin: 'https://elsewhere.example' });
+    send({ type: 'start' });
+    send('start');
+    assert.equal(game.started, 0);
+});
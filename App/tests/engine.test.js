@@ -0,0 +1,598 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, createRng, formatFact, formatProblem, factPoints, streakMultiplier, motionSeconds, exactNumber, sameNumber, writeNumber, typeAnswerKey, answerSymbols, MAX_ANSWER_LENGTH } = require('../Javascript/engine.js');
+
+// Manually advanced clock for the timestamps the engine records
+function fakeClock(start = 10000) {
+    let now = start;
+    const clock = () => now;
+    clock.advance = (ms) => { now += ms; };
+    return clock;
+}
+
+function makeEngine(settings = {}, seed = 42) {
+    const clock = fakeClock();
+    const engine = new GameEngine({ settings, rng: createRng(seed), clock, area: { width: 400, height: 500 } });
+    return { engine, clock };
+}
+
+test('createRng is reproducible for the same seed', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const c = createRng(8);
+    const seqA = [a(), a(), a()];
+    assert.deepEqual(seqA, [b(), b(), b()]);
+    assert.notDeepEqual(seqA, [c(), c(), c()]);
+    seqA.forEach(n => assert.ok(n >= 0 && n < 1));
+});
+
+test('same seed and inputs produce the same round', () => {
+    const run = () => {
+        const { engine, clock } = makeEngine({ operation: 'mixed' }, 123);
+        engine.start();
+        for (let i = 0; i < 50; i++) { clock.advance(100); engine.tick(0.1); }
+        engine.submit(7);
+        return engine.snapshot();
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('normalizeSettings clamps limits and the fixed multiplier', () => {
+    assert.deepEqual(GameEngine.normalizeSettings({ mode: 'time', limit: '-5', fixedMultiplier: '40' }), {
+        difficulty: 'single', mode: 'time', speed: 'intermediate', multiplierMode: 'random', fixedMultiplier: 12, operation: 'multiply', problemFormat: 'standard', targeting: false, numbers: 'whole', range: null, limit: 60,
+        multipliers: [], facts: [], passAccuracy: null, seed: null, timePressure: true, speedRange: null, spawnCurve: null, maxMisses: null,
+    });
+    assert.equal(GameEngine.normalizeSettings({ mode: 'score', limit: 'abc' }).limit, 20);
+    assert.equal(GameEngine.normalizeSettings({ fixedMultiplier: '0' }).fixedMultiplier, 1);
+    assert.equal(GameEngine.normalizeSettings({ operation: 'modulo' }).operation, 'multiply');
+});
+
+test('submit destroys the matching invader and scores it right', () => {
+    const { engine } = makeEngine({ multiplierMode: 'fixed', fixedMultiplier: 6 });
+    engine.start();
+    engine.tick(0);
+    assert.equal(engine.invaders.length, 1);
+    const inv = engine.invaders[0];
+
+    const result = engine.submit(inv.value * 6);
+    assert.equal(result.correct, true);
+    assert.equal(result.invader.id, inv.id);
+    assert.equal(engine.invaders.length, 0);
+    assert.equal(engine.scoreRight, 1);
+    assert.equal(engine.scoreWrong, 0);
+});
+
+test('submit counts a non-matching answer as wrong and records the missed fact', () => {
+    const { engine } = makeEngine({ multiplierMode: 'fixed', fixedMultiplier: 3 });
+    engine.start();
+    engine.tick(0);
+    const inv = engine.invaders[0];
+
+    const result = engine.submit(inv.value * 3 + 1);
+    assert.equal(result.correct, false);
+    assert.equal(engine.scoreWrong, 1);
+    assert.equal(engine.invaders.length, 1);
+    assert.deepEqual(engine.missedFacts.map(f => f.label), [formatFact('multiply', inv.base, 3)]);
+});
+
+test('submit solves each operation with whole-number answers', () => {
+    for (const operation of ['add', 'subtract', 'divide']) {
+        const { engine } = makeEngine({ operation, multiplierMode: 'fixed', fixedMultiplier: 4 });
+        engine.start();
+        engine.tick(0);
+        const inv = engine.invaders[0];
+        const expected = { add: inv.value + 4, subtract: inv.value - 4, divide: inv.value / 4 }[operation];
+        assert.ok(Number.isInteger(expected) && expected >= 0, `${operation} answer ${expected}`);
+        assert.equal(engine.submit(expected).correct, true, operation);
+    }
+});
+
+test('factStats counts right, wrong and missed per fact for the round', () => {
+    const { engine } = makeEngine({ multiplierMode: 'fixed', fixedMultiplier: 5, speed: 'fast' });
+    engine.start();
+    engine.tick(0);
+    const first = engine.invaders[0];
+    engine.submit(first.value * 5 + 1);
+    engine.submit(first.value * 5);
+    const second = engine.spawnInvader();
+    for (let i = 0; i < 51; i++) engine.tick(0.1);
+    const stats = engine.snapshot().factStats;
+    assert.deepEqual(stats[`multiply:${first.base}:5`], { operation: 'multiply', base: first.base, operand: 5, label: formatFact('multiply', first.base, 5), right: 1, wrong: 1, missed: first.base === second.base ? 1 : 0 });
+    assert.ok(stats[`multiply:${second.base}:5`].missed >= 1);
+});
+
+test('without time pressure invaders wait above the bottom and the round is to a score', () => {
+    const { engine } = makeEngine({ mode: 'time', limit: 15, timePressure: false, speed: 'fast' });
+    assert.equal(engine.settings.mode, 'score');
+    engine.start();
+    for (let i = 0; i < 600; i++) engine.tick(0.1);
+    assert.equal(engine.scoreWrong, 0);
+    assert.equal(engine.invaders.length, 3);
+    engine.invaders.forEach(inv => assert.ok(inv.y <= 500 - 80));
+    assert.equal(engine.isTimeUp(), false);
+});
+
+test('factPoints rewards larger numbers and division', () => {
+    assert.equal(factPoints('multiply', 3, 4), 10);
+    assert.equal(factPoints('multiply', 7, 8), 15);
+    assert.equal(factPoints('multiply', 12, 8), 20);
+    assert.equal(factPoints('divide', 7, 8), 20);
+});
+
+test('streakMultiplier steps up at 5, 10 and 20 in a row', () => {
+    assert.deepEqual([0, 4, 5, 9, 10, 19, 20, 50].map(streakMultiplier), [1, 1, 2, 2, 3, 3, 4, 4]);
+});
+
+test('hits score the fact, height bonus, speed and streak', () => {
+    const { engine } = makeEngine({ multiplierMode: 'fixed', fixedMultiplier: 7, speed: 'fast' });
+    engine.start();
+    const awards = [];
+    engine.on('score', award => awards.push(award));
+    const inv = engine.spawnInvader();
+    inv.base = 8;
+    inv.y = 125; // a quarter of the way down the 500px area
+    const { award } = engine.submit(GameEngine.answerFor(inv));
+    // (15 fact points + 8 height bonus) x2 for fast, no streak yet
+    assert.equal(award.points, 46);
+    assert.deepEqual({ base: award.base, heightBonus: award.heightBonus, streakMultiplier: award.streakMultiplier }, { base: 15, heightBonus: 8, streakMultiplier: 1 });
+    assert.deepEqual(awards, [award]);
+
+    engine.streak = 4;
+    const next = engine.spawnInvader();
+    next.base = 2;
+    next.y = 500;
+    assert.equal(engine.submit(GameEngine.answerFor(next)).award.points, 10 * 2 * 2);
+    assert.equal(engine.bestStreak, 5);
+    assert.equal(engine.points, 86);
+});
+
+test('wrong answers and misses break the streak and cost points, never below zero', () => {
+    const { engine } = makeEngine({ speed: 'fast' });
+    engine.start();
+    engine.points = 18;
+    engine.streak = 7;
+    assert.equal(engine.submit(-1).award.points, -5);
+    assert.equal(engine.streak, 0);
+    assert.equal(engine.points, 13);
+    engine.tick(0);
+    for (let i = 0; i < 51; i++) engine.tick(0.1);
+    assert.ok(engine.scoreWrong >= 2);
+    assert.equal(engine.points, 0);
+});
+
+test('a custom speed range and spawn curve replace the speed setting', () => {
+    const settings = { speed: 'fast', speedRange: [20, 0], spawnCurve: { initial: 1000, min: 800, step: 150 } };
+    const { engine } = makeEngine(settings);
+    engine.start();
+    engine.tick(0);
+    assert.equal(engine.invaders[0].speed, 20);
+    assert.equal(engine.spawnInterval, 850);
+    engine.tick(1);
+    assert.equal(engine.spawnInterval, 800);
+    assert.equal(GameEngine.normalizeSettings({ spawnCurve: { initial: 500, min: 900, step: 10 } }).spawnCurve, null);
+    assert.equal(GameEngine.normalizeSettings({ speedRange: [0, 10] }).speedRange, null);
+});
+
+test('maxMisses ends the round once enough invaders get through', () => {
+    const { engine } = makeEngine({ mode: 'score', limit: 50, maxMisses: 2, speedRange: [500, 0], spawnCurve: { initial: 100, min: 100, step: 0 } });
+    engine.start();
+    assert.equal(engine.isOutOfMisses(), false);
+    for (let i = 0; i < 20 && !engine.isOutOfMisses(); i++) engine.tick(0.1);
+    assert.equal(engine.misses, 2);
+    assert.equal(engine.isOutOfMisses(), true);
+    assert.equal(makeEngine().engine.isOutOfMisses(), false);
+});
+
+test('reaching the score target is reported by submit', () => {
+    const { engine } = makeEngine({ mode: 'score', limit: 1, multiplierMode: 'fixed', fixedMultiplier: 2 });
+    engine.start();
+    engine.tick(0);
+    const result = engine.submit(engine.invaders[0].value * 2);
+    assert.equal(result.reachedTarget, true);
+});
+
+test('finish: more wrong than right is a loss even when the round was won', () => {
+    const { engine } = makeEngine();
+    engine.start();
+    engine.scoreRight = 3;
+    engine.scoreWrong = 4;
+    assert.deepEqual(engine.finish(true), { won: false, lostByWrong: true, accuracy: 43, passed: null, points: 0, bestStreak: 0 });
+});
+
+test('finish: a tie or better keeps the win', () => {
+    const { engine } = makeEngine();
+    engine.start();
+    engine.scoreRight = 4;
+    engine.scoreWrong = 4;
+    assert.deepEqual(engine.finish(true), { won: true, lostByWrong: false, accuracy: 50, passed: null, points: 0, bestStreak: 0 });
+    assert.equal(engine.over, true);
+});
+
+test('finish: a round that was not won stays lost', () => {
+    const { engine } = makeEngine();
+    engine.start();
+    engine.scoreRight = 5;
+    assert.deepEqual(engine.finish(false), { won: false, lostByWrong: false, accuracy: 100, passed: null, points: 0, bestStreak: 0 });
+});
+
+test('finish: passed compares accuracy with the required accuracy', () => {
+    const { engine } = makeEngine({ passAccuracy: 80 });
+    engine.start();
+    engine.scoreRight = 7;
+    engine.scoreWrong = 3;
+    assert.equal(engine.finish(true).passed, false);
+    engine.scoreRight = 8;
+    engine.scoreWrong = 2;
+    assert.equal(engine.finish(true).passed, true);
+});
+
+test('normalizeSettings keeps valid multiplier sets and facts only', () => {
+    const settings = GameEngine.normalizeSettings({ multipliers: [6, '7', 7, 40, 'x'], facts: [[7, 8], { base: 3, operand: 4 }, [0, 2], [5, 13]], passAccuracy: '90' });
+    assert.deepEqual(settings.multipliers, [6, 7]);
+    assert.deepEqual(settings.facts, [{ base: 7, operand: 8 }, { base: 3, operand: 4 }]);
+    assert.equal(settings.passAccuracy, 90);
+});
+
+test('a multiplier set restricts and rotates the center number', () => {
+    const { engine, clock } = makeEngine({ multipliers: [6, 7, 8, 9], mode: 'score', limit: 100 });
+    engine.start();
+    const seen = new Set();
+    for (let i = 0; i < 40; i++) {
+        seen.add(engine.multiplier);
+        engine.tick(0);
+        const inv = engine.invaders[engine.invaders.length - 1];
+        const before = engine.multiplier;
+        engine.submit(GameEngine.answerFor(inv));
+        assert.notEqual(engine.multiplier, before);
+        clock.advance(3000);
+        engine.tick(3);
+    }
+    assert.deepEqual([...seen].sort(), [6, 7, 8, 9]);
+});
+
+test('an explicit fact list is the only source of problems', () => {
+    const facts = [[7, 8], [6, 9], [12, 3]];
+    const { engine } = makeEngine({ facts, speed: 'easy' });
+    engine.start();
+    for (let i = 0; i < 30; i++) engine.tick(0.6);
+    const asPairs = engine.snapshot().invaders.map(inv => [inv.base, inv.operand]);
+    assert.ok(asPairs.length > 0);
+    asPairs.forEach(pair => assert.ok(facts.some(f => f[0] === pair[0] && f[1] === pair[1]), String(pair)));
+});
+
+test('spawn interval starts at 2500ms and ramps down 50ms per spawn', () => {
+    const { engine } = makeEngine({ speed: 'easy' });
+    engine.start();
+    engine.tick(0); // first spawn is immediate
+    assert.equal(engine.invaders.length, 1);
+    assert.equal(engine.spawnInterval, 2450);
+
+    engine.tick(2.449);
+    assert.equal(engine.invaders.length, 1, 'no spawn before the interval elapses');
+
+    engine.tick(0.001);
+    assert.equal(engine.invaders.length, 2);
+    assert.equal(engine.spawnInterval, 2400);
+});
+
+test('spawn interval never drops below 600ms', () => {
+    const { engine } = makeEngine({ speed: 'easy' });
+    engine.start();
+    for (let i = 0; i < 60; i++) engine.tick(engine.spawnInterval / 1000);
+    assert.equal(engine.spawnInterval, 600);
+});
+
+test('spawning follows game time, not the wall clock', () => {
+    const { engine, clock } = makeEngine();
+    engine.start();
+    engine.tick(0);
+    clock.advance(60000); // e.g. a paused round: the wall clock moves, ticks do not
+    engine.tick(0);
+    assert.equal(engine.invaders.length, 1);
+});
+
+test('timed mode counts down in game time', () => {
+    const { engine } = makeEngine({ mode: 'time', limit: 3 });
+    const seen = [];
+    engine.on('timer', (t) => seen.push(t));
+    engine.start();
+    assert.equal(engine.timeLeft, 3);
+    for (let i = 0; i < 30; i++) engine.tick(0.1);
+    assert.deepEqual(seen, [2, 1, 0]);
+    assert.equal(engine.isTimeUp(), true);
+});
+
+test('answer latency is measured in game time from spawn', () => {
+    const recorded = [];
+    const mastery = {
+        recordSeen() {}, recordMiss() {}, recordWrong() {}, weight: () => 1,
+        recordRight: (op, base, operand, latency) => recorded.push(latency),
+    };
+    const engine = new GameEngine({ settings: { speed: 'easy', multiplierMode: 'fixed', fixedMultiplier: 2 }, rng: createRng(1), clock: fakeClock(), mastery });
+    engine.start();
+    engine.tick(0);
+    engine.tick(1.5);
+    engine.submit(engine.invaders[0].value * 2);
+    assert.equal(Math.round(recorded[0]), 1500);
+});
+
+test('invaders that fall off the bottom count as wrong', () => {
+    const { engine } = makeEngine({ speed: 'fast' });
+    const missed = [];
+    engine.on('miss', (inv) => missed.push(inv.id));
+    engine.start();
+    engine.tick(0);
+    const id = engine.invaders[0].id;
+    for (let i = 0; i < 51; i++) engine.tick(0.1); // 5.1s at >= 110px/s clears 550px
+    assert.deepEqual(missed, [id]);
+    assert.equal(engine.scoreWrong, 1);
+    assert.ok(engine.invaders.every(inv => inv.id !== id));
+});
+
+test('snapshot is a detached copy of the state', () => {
+    const { engine } = makeEngine();
+    engine.start();
+    engine.tick(0);
+    const snap = engine.snapshot();
+    snap.invaders[0].y = 9999;
+    assert.notEqual(engine.invaders[0].y, 9999);
+    assert.equal(JSON.parse(JSON.stringify(snap)).invaders.length, 1);
+});
+
+test('missing-factor and reverse invaders show the equation and take the missing number', () => {
+    const fact = { operation: 'multiply', base: 7, value: 7, operand: 8 };
+    assert.equal(formatProblem({ ...fact, format: 'standard' }), '7 × 8');
+    assert.equal(formatProblem({ ...fact, format: 'missing' }), '8 × ? = 56');
+    assert.equal(formatProblem({ ...fact, format: 'reverse' }), '56 = ? × 8');
+    assert.equal(GameEngine.answerFor({ ...fact, format: 'missing' }), 7);
+    assert.equal(GameEngine.resultFor({ ...fact, format: 'missing' }), 56);
+    const division = { operation: 'divide', base: 7, value: 56, operand: 8, format: 'missing' };
+    assert.equal(formatProblem(division), '? ÷ 8 = 7');
+    assert.equal(GameEngine.answerFor(division), 56);
+
+    const { engine } = makeEngine({ problemFormat: 'reverse', multiplierMode: 'fixed', fixedMultiplier: 6 });
+    engine.start();
+    engine.tick(0);
+    const inv = engine.invaders[0];
+    assert.equal(inv.format, 'reverse');
+    assert.equal(engine.submit(inv.value * 6).correct, false);
+    engine.tick(3);
+    const next = engine.invaders[0];
+    assert.equal(engine.submit(next.value).invader, next);
+});
+
+test('when invaders share an answer the lowest one is destroyed', () => {
+    const { engine } = makeEngine({ multiplierMode: 'fixed', fixedMultiplier: 3 });
+    engine.start();
+    engine.tick(0);
+    const first = engine.invaders[0];
+    const second = engine.spawnInvader();
+    second.value = first.value;
+    second.base = first.base;
+    second.y = first.y + 100;
+    assert.equal(engine.submit(first.value * 3).invader, second);
+    assert.deepEqual(engine.invaders, [first]);
+});
+
+test('with targeting answers only go to the selected invader', () => {
+    const { engine } = makeEngine({ targeting: true, multiplierMode: 'fixed', fixedMultiplier: 2 });
+    const targets = [];
+    engine.on('target', inv => targets.push(inv ? inv.id : null));
+    engine.start();
+    engine.tick(0);
+    const left = engine.invaders[0];
+    const right = engine.spawnInvader();
+    left.x = 10;
+    right.x = 200;
+    right.value = left.value + 1;
+    right.base = left.base + 1;
+    right.y = left.y + 50;
+
+    const unselected = engine.submit(left.value * 2);
+    assert.equal(unselected.noTarget, true);
+    assert.equal(engine.scoreWrong, 0);
+
+    assert.equal(engine.cycleTarget(1), left);
+    assert.equal(engine.cycleTarget(1), right);
+    assert.equal(engine.cycleTarget(1), left);
+    assert.equal(engine.cycleTarget(-1), right);
+
+    // Right for the other invader, so wrong for the selected one, and charged to it
+    const wrong = engine.submit(left.value * 2);
+    assert.equal(wrong.correct, false);
+    assert.equal(wrong.invader, right);
+    assert.equal(engine.snapshot().factStats[`multiply:${right.base}:2`].wrong, 1);
+
+    engine.setTarget(left.id);
+    assert.equal(engine.submit(left.value * 2).invader, left);
+    assert.equal(engine.target(), null);
+    assert.deepEqual(targets, [left.id, right.id, left.id, right.id, left.id, null]);
+});
+
+test('without targeting setTarget selects nothing', () => {
+    const { engine } = makeEngine();
+    engine.start();
+    engine.tick(0);
+    assert.equal(engine.setTarget(engine.invaders[0].id), null);
+    assert.equal(engine.cycleTarget(1), null);
+});
+
+test('survival rounds start with lives and end when invaders take the last one', () => {
+    assert.equal(GameEngine.normalizeSettings({ mode: 'survival' }).limit, 5);
+    assert.equal(GameEngine.normalizeSettings({ mode: 'survival', limit: 40 }).limit, 9);
+    assert.equal(GameEngine.normalizeSettings({ mode: 'survival', timePressure: false }).mode, 'score');
+
+    const { engine } = makeEngine({ mode: 'survival', limit: 2, speedRange: [500, 0], spawnCurve: { initial: 100, min: 100, step: 0 } });
+    const lives = [];
+    engine.on('lives', n => lives.push(n));
+    engine.start();
+    assert.equal(engine.lives, 2);
+    for (let i = 0; i < 30 && !engine.isOutOfMisses(); i++) engine.tick(0.1);
+    assert.deepEqual(lives, [1, 0]);
+    assert.equal(engine.isOutOfMisses(), true);
+    assert.equal(makeEngine({ mode: 'time' }).engine.lives, null);
+});
+
+test('every fifth answer in a row earns a power-up in survival', () => {
+    const { engine } = makeEngine({ mode: 'survival', multiplierMode: 'fixed', fixedMultiplier: 3 });
+    const earned = [];
+    engine.on('powerup', e => earned.push(e));
+    engine.start();
+    for (let i = 0; i < 10; i++) {
+        engine.spawnInvader();
+        engine.submit(engine.invaders[0].value * 3);
+    }
+    assert.equal(earned.length, 2);
+    assert.ok(earned.every(e => e.action === 'earned'));
+    assert.equal(Object.values(engine.powerUps).reduce((sum, n) => sum + n, 0), 2);
+
+    const timed = makeEngine({ mode: 'time', multiplierMode: 'fixed', fixedMultiplier: 3 }).engine;
+    timed.start();
+    for (let i = 0; i < 5; i++) {
+        timed.spawnInvader();
+        timed.submit(timed.invaders[0].value * 3);
+    }
+    assert.equal(Object.values(timed.powerUps).reduce((sum, n) => sum + n, 0), 0);
+});
+
+test('earning power-ups leaves the invader stream alone', () => {
+    const settings = { mode: 'survival', multiplierMode: 'fixed', fixedMultiplier: 3, seed: 7 };
+    const streaky = makeEngine(settings, 7).engine;
+    const wrong = makeEngine(settings, 7).engine;
+    const spawned = [[], []];
+    [streaky, wrong].forEach((engine, i) => {
+        engine.on('spawn', inv => spawned[i].push(inv.value));
+        engine.start();
+        for (let n = 0; n < 12; n++) {
+            engine.spawnInvader();
+            engine.submit(i === 0 ? engine.invaders[0].value * 3 : -1);
+            engine.invaders = [];
+        }
+    });
+    assert.equal(Object.values(streaky.powerUps).reduce((sum, n) => sum + n, 0), 2);
+    assert.deepEqual(spawned[0], spawned[1]);
+});
+
+test('power-ups freeze, slow and bomb invaders and restore lives', () => {
+    const { engine } = makeEngine({ mode: 'survival', limit: 3, speedRange: [100, 0] });
+    engine.start();
+    engine.tick(0);
+    const inv = engine.invaders[0];
+    assert.equal(engine.usePowerUp('freeze'), false, 'not held');
+
+    engine.powerUps = { freeze: 1, slow: 1, bomb: 1, life: 1 };
+    assert.equal(engine.usePowerUp('life'), false, 'already at full lives');
+    const y = inv.y;
+    assert.equal(engine.usePowerUp('freeze'), true);
+    engine.tick(1);
+    assert.equal(inv.y, y);
+    assert.equal(engine.invaders.length, 1, 'nothing spawns while frozen');
+    engine.tick(4);
+    assert.equal(engine.isFrozen(), false);
+
+    engine.usePowerUp('slow');
+    const before = inv.y;
+    engine.tick(1);
+    assert.equal(inv.y - before, 50);
+
+    engine.lives = 2;
+    assert.equal(engine.usePowerUp('life'), true);
+    assert.equal(engine.lives, 3);
+
+    const bombed = [];
+    engine.on('bomb', target => bombed.push(target));
+    const lowest = engine.lowestInvader();
+    assert.equal(engine.usePowerUp('bomb'), true);
+    assert.deepEqual(bombed, [lowest]);
+    assert.ok(!engine.invaders.includes(lowest));
+    assert.equal(engine.scoreRight, 0);
+    assert.deepEqual(engine.powerUps, { freeze: 0, slow: 0, bomb: 0, life: 0 });
+});
+
+test('motionSeconds stops inside a freeze and halves inside slow motion', () => {
+    assert.equal(motionSeconds(0, 2000), 2);
+    assert.equal(motionSeconds(0, 4000, [[1000, 2000]]), 3);
+    assert.equal(motionSeconds(0, 4000, [], [[1000, 3000]]), 3);
+    // A freeze inside slow motion wins
+    assert.equal(motionSeconds(0, 4000, [[1500, 2500]], [[1000, 3000]]), 2.5);
+    assert.equal(motionSeconds(5000, 6000, [[1000, 2000]]), 1);
+});
+
+test('exactNumber reads typed answers exactly', () => {
+    assert.deepEqual(exactNumber('-12'), { n: -12, d: 1 });
+    assert.deepEqual(exactNumber('3.75'), { n: 15, d: 4 });
+    assert.deepEqual(exactNumber('.5'), { n: 1, d: 2 });
+    assert.deepEqual(exactNumber('6/8'), { n: 3, d: 4 });
+    assert.deepEqual(exactNumber(0.21000000000000002), { n: 21, d: 100 });
+    assert.ok(sameNumber(exactNumber('0.5'), exactNumber('1/2')));
+    for (const bad of ['', '-', '3/', '3/0', '1.2.3', '4a']) assert.equal(exactNumber(bad), null, bad);
+    assert.equal(writeNumber('3/4', String), '3/4');
+    assert.equal(writeNumber({ n: -15, d: 4 }, String, true), '-15/4');
+});
+
+test('typeAnswerKey builds one number from keypad keys', () => {
+    const type = keys => keys.reduce(typeAnswerKey, '');
+    assert.equal(type(['1', '2', '-']), '-12');
+    assert.equal(type(['-', '-', '5']), '5');
+    assert.equal(type(['.', '5', '.']), '0.5');
+    assert.equal(type(['/', '3', '/', '4', '/', '.']), '3/4');
+    assert.equal(type(['3', '.', '2', 'del', 'del']), '3');
+    assert.equal(type(Array(20).fill('9')).length, MAX_ANSWER_LENGTH);
+});
+
+test('custom ranges pick center numbers past 12 and negatives, never 0', () => {
+    const settings = GameEngine.normalizeSettings({ range: { base: [5, -5], operand: [-3, 20] }, fixedMultiplier: 50 });
+    assert.deepEqual(settings.range, { base: [-5, 5], operand: [-3, 20] });
+    assert.equal(settings.fixedMultiplier, 20);
+    assert.equal(GameEngine.normalizeSettings({ range: { base: [1, 9], operand: [0, 0] } }).range, null);
+    assert.equal(GameEngine.normalizeSettings({ range: { base: [1, 9], operand: [-4, 0] }, fixedMultiplier: 0 }).fixedMultiplier, -1);
+
+    const { engine } = makeEngine({ range: { base: [-5, 5], operand: [-3, 20] }, operation: 'mixed' });
+    engine.start();
+    for (let i = 0; i < 200; i++) {
+        engine.setOperation();
+        engine.setMultiplier();
+        const inv = engine.spawnInvader();
+        assert.ok(inv.operand !== 0 && inv.operand >= -3 && inv.operand <= 20);
+        assert.ok(inv.base >= -5 && inv.base <= 5);
+        assert.equal(engine.submit(String(GameEngine.answerFor(inv))).correct, true, formatFact(inv.operation, inv.base, inv.operand));
+    }
+    assert.ok(engine.scoreRight === 200 && engine.scoreWrong === 0);
+});
+
+test('decimal invaders are answered exactly', () => {
+    const { engine } = makeEngine({ numbers: 'hundredths', operation: 'divide', multiplierMode: 'fixed', fixedMultiplier: 3 });
+    engine.start();
+    for (let i = 0; i < 50; i++) {
+        const inv = engine.spawnInvader();
+        assert.ok(!Number.isInteger(inv.base) && inv.base > 0 && inv.base < 10);
+        assert.equal(formatFact('divide', inv.base, 3), `${inv.value} ÷ 3`);
+        assert.equal(String(inv.value).split('.')[1].length <= 2, true);
+        assert.equal(engine.submit(GameEngine.answerText(inv)).correct, true);
+    }
+    assert.equal(factPoints('multiply', 0.7, 8), 15);
+    assert.equal(factPoints('multiply', -7, 13), 25);
+});
+
+test('fraction invaders are multiplication facts answered as fractions, decimals or whole numbers', () => {
+    const { engine } = makeEngine({ numbers: 'fractions', operation: 'add', multiplierMode: 'fixed', fixedMultiplier: 8 });
+    engine.start();
+    assert.equal(engine.settings.operation, 'multiply');
+    const seen = [];
+    for (let i = 0; i < 50; i++) {
+        const inv = engine.spawnInvader();
+        const [n, d] = inv.value.split('/').map(Number);
+        assert.ok(n >= 1 && n < d && d <= 10, inv.value);
+        seen.push(inv);
+    }
+    const quarter = { ...seen[0], value: '3/4', base: '3/4', operand: 6, format: 'standard' };
+    assert.equal(GameEngine.answerText(quarter), '9/2');
+    assert.equal(GameEngine.answerFor(quarter), 4.5);
+    assert.equal(formatProblem({ ...quarter, format: 'reverse' }), '9/2 = ? × 6');
+    assert.equal(GameEngine.answerText({ ...quarter, operand: 8 }), '6');
+    engine.invaders = [{ ...quarter, id: 999 }];
+    assert.equal(engine.submit('4.5').correct, true);
+    assert.deepEqual(answerSymbols(engine.settings), ['/']);
+    assert.deepEqual(answerSymbols(GameEngine.normalizeSettings({ numbers: 'tenths', range: { base: [-9, 9], operand: [1, 12] } })), ['-', '.']);
+});
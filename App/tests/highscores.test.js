@@ -0,0 +1,61 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+const { HighScores, highScoreKey, HIGH_SCORE_LIMIT } = require('../Javascript/highscores.js');
+const { GameEngine } = require('../Javascript/engine.js');
+
+test.beforeEach(() => storage.clear());
+
+test('highScoreKey separates settings that change the difficulty', () => {
+    const base = GameEngine.normalizeSettings({ speed: 'fast', mode: 'time', limit: 60 });
+    assert.equal(highScoreKey(base), highScoreKey({ ...base, theme: 'balloons' }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, speed: 'easy' }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, multiplierMode: 'fixed', fixedMultiplier: 7 }));
+    assert.notEqual(highScoreKey({ ...base, multiplierMode: 'fixed', fixedMultiplier: 7 }), highScoreKey({ ...base, multiplierMode: 'fixed', fixedMultiplier: 8 }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, timePressure: false }));
+    assert.equal(highScoreKey(base), highScoreKey({ ...base, numbers: 'whole', range: null }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, numbers: 'tenths' }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, range: { base: [1, 12], operand: [13, 20] } }));
+});
+
+test('problem formats and targeting get tables of their own', () => {
+    const base = GameEngine.normalizeSettings({ speed: 'fast', mode: 'time', limit: 60 });
+    assert.equal(highScoreKey(base), 'multiply|single|fast|time|60|random|timed');
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, problemFormat: 'missing' }));
+    assert.notEqual(highScoreKey({ ...base, problemFormat: 'missing' }), highScoreKey({ ...base, problemFormat: 'reverse' }));
+    assert.notEqual(highScoreKey(base), highScoreKey({ ...base, targeting: true }));
+});
+
+test('campaign tables are split by problem format and targeting too', () => {
+    const level = { ...GameEngine.normalizeSettings({ mode: 'score', limit: 10 }), campaign: { id: 3, title: 'Level 3' } };
+    assert.equal(highScoreKey(level), 'campaign|3|single|timed');
+    assert.notEqual(highScoreKey(level), highScoreKey({ ...level, problemFormat: 'missing' }));
+    assert.notEqual(highScoreKey(level), highScoreKey({ ...level, targeting: true }));
+});
+
+test('tables keep the best scores in order and persist', () => {
+    const scores = new HighScores();
+    assert.equal(scores.add('k', { name: 'Ana', points: 100 }), 0);
+    assert.equal(scores.add('k', { name: 'Ben', points: 250 }), 0);
+    assert.equal(scores.add('k', { name: 'Cy', points: 100 }), 2);
+    assert.equal(scores.add('k', { name: '  ', points: 50 }), 3);
+    assert.deepEqual(new HighScores().table('k').map(e => [e.name, e.points]), [['Ben', 250], ['Ana', 100], ['Cy', 100], ['Player', 50]]);
+    assert.deepEqual(scores.table('other'), []);
+});
+
+test('a full table only takes scores that beat its lowest entry', () => {
+    const scores = new HighScores();
+    for (let i = 1; i <= HIGH_SCORE_LIMIT; i++) scores.add('k', { name: `P${i}`, points: i * 10 });
+    assert.equal(scores.qualifies('k', 10), false);
+    assert.equal(scores.qualifies('k', 0), false);
+    assert.equal(scores.add('k', { name: 'Low', points: 5 }), -1);
+    assert.equal(scores.add('k', { name: 'New', points: 15 }), HIGH_SCORE_LIMIT - 1);
+    assert.equal(scores.table('k').length, HIGH_SCORE_LIMIT);
+    assert.equal(scores.table('k').at(-1).points, 15);
+});
@@ -0,0 +1,99 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The catalogs call addMessages() as a global, as they do on the page
+Object.assign(global, require('../Javascript/i18n.js'));
+const { LOCALES, MESSAGES, matchLocale, asciiDigits, Translator } = require('../Javascript/i18n.js');
+for (const code of Object.keys(LOCALES)) require(`../Javascript/locales/${code}.js`);
+
+// Node has no localStorage, so a Translator starts from navigator or English
+function translator(locale) {
+    const tr = new Translator();
+    tr.setLocale(locale, false);
+    return tr;
+}
+
+test('every catalog has every English key, with the same placeholders', () => {
+    const placeholders = message => JSON.stringify([...JSON.stringify(message).matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter((v, i, all) => all.indexOf(v) === i).sort());
+    for (const code of Object.keys(LOCALES)) {
+        assert.ok(MESSAGES[code], code);
+        for (const [key, message] of Object.entries(MESSAGES.en)) {
+            assert.ok(key in MESSAGES[code], `${code} is missing ${key}`);
+            if (key === 'ordinal') continue;
+            assert.equal(placeholders(MESSAGES[code][key]), placeholders(message), `${code} ${key}`);
+        }
+    }
+});
+
+test('messages fill their placeholders and fall back to English, then to the key', () => {
+    const tr = translator('fr');
+    assert.equal(tr.t('race.joined', { code: 'ABCD', name: 'Ana' }), 'Tu as rejoint la course ABCD sous le nom Ana.');
+    MESSAGES.fr['test.only'] = undefined;
+    MESSAGES.en['test.only'] = 'Only in English';
+    assert.equal(tr.t('test.only'), 'Only in English');
+    delete MESSAGES.en['test.only'];
+    delete MESSAGES.fr['test.only'];
+    assert.equal(tr.t('no.such.key'), 'no.such.key');
+});
+
+test('plural messages follow the locale plural rules', () => {
+    const en = translator('en');
+    assert.equal(en.t('announce.secondsLeft', { count: 1 }), '1 second left.');
+    assert.equal(en.t('announce.secondsLeft', { count: 5 }), '5 seconds left.');
+    const ar = translator('ar');
+    assert.equal(ar.t('announce.secondsLeft', { count: 2 }), 'بقيت ثانيتان.');
+    assert.equal(ar.t('announce.secondsLeft', { count: 5 }), 'بقيت ٥ ثوانٍ.');
+    assert.equal(ar.t('announce.secondsLeft', { count: 11 }), 'بقيت ١١ ثانية.');
+});
+
+test('numbers and percentages are formatted for the locale', () => {
+    assert.equal(translator('en').number(12345), '12,345');
+    assert.equal(translator('es').number(12345), '12.345');
+    assert.equal(translator('fr').number(12345), '12 345');
+    assert.equal(translator('ar').number(12345), '١٢٬٣٤٥');
+    assert.equal(translator('en').percent(85), '85%');
+    assert.equal(translator('fr').percent(85), '85 %');
+    assert.equal(translator('ar').percent(85), '٨٥٪؜');
+    assert.equal(translator('ar').t('game.score', { right: 7, limit: 20 }), 'النتيجة: ٧ / ٢٠');
+});
+
+test('digits() swaps the digits in laid-out text and asciiDigits() reads them back', () => {
+    const ar = translator('ar');
+    assert.equal(ar.digits('12 × 8'), '١٢ × ٨');
+    assert.equal(translator('fr').digits('12 × 8'), '12 × 8');
+    assert.equal(asciiDigits('١٢'), '12');
+    assert.equal(asciiDigits('۴۵'), '45');
+    assert.equal(asciiDigits('Enter'), 'Enter');
+});
+
+test('ordinals use the locale ordinal rules', () => {
+    const en = translator('en');
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22].map(n => en.ordinal(n)),
+        ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd']);
+    const fr = translator('fr');
+    assert.deepEqual([1, 2, 3].map(n => fr.ordinal(n)), ['1er', '2e', '3e']);
+    assert.equal(translator('es').ordinal(3), '3.º');
+    assert.equal(translator('ar').ordinal(3), '٣');
+});
+
+test('the browser language picks a supported locale, and unknown ones fall back', () => {
+    assert.equal(matchLocale(['de-DE', 'es-MX', 'en']), 'es');
+    assert.equal(matchLocale(['FR-ca']), 'fr');
+    assert.equal(matchLocale(['de', 'ja']), null);
+    assert.equal(matchLocale(undefined), null);
+    const tr = translator('xx');
+    assert.equal(tr.locale, 'en');
+    assert.equal(tr.dir, 'ltr');
+    assert.equal(translator('ar').dir, 'rtl');
+});
+
+test('setLocale tells listeners only when the choice is kept', () => {
+    const tr = translator('en');
+    const seen = [];
+    tr.onChange(locale => seen.push(locale));
+    tr.setLocale('es', false);
+    tr.setLocale('fr');
+    assert.deepEqual(seen, ['fr']);
+    assert.equal(tr.t('game.quit'), 'Quitter');
+});
@@ -0,0 +1,149 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+// input.js uses i18n.js's asciiDigits, as the page loads it first
+Object.assign(global, require('../Javascript/i18n.js'));
+const { DEFAULT_BINDINGS, INPUT_ACTIONS, isShortcut, InputSettings, DigitWheel, GamepadInput, SwitchScanner } = require('../Javascript/input.js');
+
+function fresh() {
+    storage.clear();
+    return new InputSettings();
+}
+
+test('the default bindings are the keys the game always had', () => {
+    const input = fresh();
+    assert.equal(input.actionFor('7'), 'digit7');
+    assert.equal(input.actionFor('٧'), 'digit7'); // Arabic-Indic digit
+    assert.equal(input.actionFor('P'), 'pause');
+    assert.equal(input.actionFor('Escape'), 'pause');
+    assert.equal(input.actionFor(','), 'point');
+    assert.equal(input.actionFor('F1'), null);
+    assert.equal(input.answerKey('Enter'), 'submit');
+    assert.equal(input.answerKey('Backspace'), 'del');
+    assert.equal(input.answerKey('m'), null);
+    // No key does two things
+    const keys = INPUT_ACTIONS.flatMap(action => DEFAULT_BINDINGS[action]);
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('browser shortcuts are not taken as bindings, but AltGr still types', () => {
+    assert.equal(isShortcut({ key: 'r', ctrlKey: true }), true);
+    assert.equal(isShortcut({ key: 'p', metaKey: true }), true);
+    assert.equal(isShortcut({ key: 'f', altKey: true }), true);
+    assert.equal(isShortcut({ key: 'r' }), false);
+    assert.equal(isShortcut({ key: '@', ctrlKey: true, altKey: true, getModifierState: m => m === 'AltGraph' }), false);
+});
+
+test('binding a key moves it from its old action and is saved', () => {
+    const input = fresh();
+    assert.equal(input.bind('fire', ' '), 'scanSelect');
+    assert.equal(input.bind('pause', 'Q'), null);
+    assert.deepEqual(input.keys('fire'), ['Enter', ' ']);
+    assert.deepEqual(input.keys('scanSelect'), []);
+    assert.equal(input.actionFor('q'), 'pause');
+    input.unbind('fire', 'Enter');
+    assert.equal(input.actionFor('Enter'), null);
+    assert.throws(() => input.bind('fire', 'Tab'), /can't be bound/);
+    assert.throws(() => input.bind('jump', 'j'), /Unknown action/);
+
+    const reloaded = new InputSettings();
+    assert.deepEqual(reloaded.keys('fire'), [' ']);
+    assert.equal(reloaded.actionFor('Q'), 'pause');
+    reloaded.reset();
+    assert.deepEqual(new InputSettings().keys('fire'), ['Enter']);
+});
+
+test('stored bindings are cleaned up and new actions get their defaults', () => {
+    storage.clear();
+    storage.set('mathInvaders.input', JSON.stringify({
+        bindings: { fire: ['Enter', 'F'], slow: ['f', 'x'], pause: [7, 'Tab', 'Escape'] },
+        scanning: true,
+        scanSpeed: 'warp',
+    }));
+    const input = new InputSettings();
+    assert.deepEqual(input.keys('fire'), ['Enter', 'f']);
+    assert.deepEqual(input.keys('slow'), ['x']);
+    assert.deepEqual(input.keys('pause'), ['Escape']);
+    // Not saved: the default, minus keys the player has given to something else
+    assert.deepEqual(input.keys('freeze'), []);
+    assert.deepEqual(input.keys('mute'), ['m']);
+    assert.equal(input.get('scanning'), true);
+    assert.equal(input.scanInterval(), 1200);
+    storage.set('mathInvaders.input', '{not json');
+    assert.equal(new InputSettings().actionFor('Enter'), 'fire');
+});
+
+test('the digit wheel turns through the round\'s keys', () => {
+    const wheel = new DigitWheel();
+    assert.equal(wheel.current(), '0');
+    assert.equal(wheel.move(-1), '9');
+    wheel.setKeys(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '-', '.']);
+    assert.equal(wheel.current(), '9');
+    assert.equal(wheel.move(1), '-');
+    wheel.setKeys(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']);
+    assert.equal(wheel.current(), '0');
+});
+
+test('gamepad buttons fire once per press, and a held d-pad repeats', () => {
+    const actions = [];
+    const listeners = {};
+    const win = { addEventListener: (type, fn) => { listeners[type] = fn; }, requestAnimationFrame: () => 1, cancelAnimationFrame() {} };
+    const buttons = Array.from({ length: 16 }, () => ({ pressed: false }));
+    const pad = { index: 0, id: 'Test pad', buttons };
+    const gamepad = new GamepadInput(action => actions.push(action), { getGamepads: () => [null, pad], win });
+
+    buttons[0].pressed = true;
+    gamepad.poll(0);
+    gamepad.poll(500);
+    assert.deepEqual(actions, ['wheelType']);
+    buttons[0].pressed = false;
+    gamepad.poll(600);
+    buttons[0].pressed = true;
+    gamepad.poll(700);
+    assert.deepEqual(actions, ['wheelType', 'wheelType']);
+
+    actions.length = 0;
+    buttons[0].pressed = false;
+    buttons[12].pressed = true;
+    [1000, 1200, 1400, 1450, 1600].forEach(now => gamepad.poll(now));
+    assert.deepEqual(actions, ['wheelUp', 'wheelUp', 'wheelUp']);
+
+    actions.length = 0;
+    buttons[12].pressed = false;
+    buttons[9] = 1; // older browsers report plain numbers
+    gamepad.poll(2000);
+    assert.deepEqual(actions, ['pause']);
+    assert.equal(gamepad.pads().length, 1);
+});
+
+test('switch scanning steps through enabled buttons and presses the lit one', () => {
+    const button = (name, disabled = false) => {
+        const classes = new Set();
+        return { name, disabled, clicks: 0, click() { this.clicks++; }, classList: { add: c => classes.add(c), remove: c => classes.delete(c), has: c => classes.has(c) } };
+    };
+    const items = [button('1'), button('2'), button('freeze', true), button('GO')];
+    const scanner = new SwitchScanner(() => items, 60000);
+    scanner.start();
+    assert.equal(scanner.current.name, '1');
+    scanner.step();
+    scanner.step();
+    assert.equal(scanner.current.name, 'GO'); // the disabled button is skipped
+    assert.ok(items[3].classList.has('scan-focus'));
+    assert.ok(!items[0].classList.has('scan-focus'));
+    scanner.step();
+    assert.equal(scanner.current.name, '1');
+    scanner.step();
+    scanner.select();
+    assert.equal(items[1].clicks, 1);
+    assert.equal(scanner.current.name, '1'); // starts again from the first button
+    scanner.stop();
+    assert.equal(scanner.active, false);
+    assert.equal(scanner.current, null);
+    assert.ok(!items[0].classList.has('scan-focus'));
+});
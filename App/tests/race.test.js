@@ -0,0 +1,77 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RaceClient, raceUrl, raceRoundPlan } = require('../Javascript/race.js');
+
+// Just enough of a browser WebSocket; the test opens and closes it by hand
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        FakeSocket.all.push(this);
+    }
+
+    send(text) { this.sent.push(JSON.parse(text)); }
+    close() { this.closed = true; }
+    serverOpens() { this.onopen(); }
+    serverSends(data) { this.onmessage({ data: JSON.stringify(data) }); }
+    drop(code = 1006) { this.onclose({ code }); }
+}
+FakeSocket.all = [];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the race server sits next to the page', () => {
+    assert.equal(raceUrl(new URL('https://school.example/games/mathdex.html?race=ABCDE')), 'wss://school.example/games/race');
+    assert.equal(raceUrl(new URL('http://localhost:8080/')), 'ws://localhost:8080/race');
+});
+
+test('the client rejoins after a drop and only resends the latest progress', async () => {
+    FakeSocket.all = [];
+    const client = new RaceClient('ws://test/race', { createSocket: url => new FakeSocket(url), retryDelays: [0] });
+    const statuses = [];
+    const joined = [];
+    client.on('status', s => statuses.push(s));
+    client.on('joined', m => joined.push(m));
+
+    client.connect({ type: 'join', code: 'ABCDE', name: 'Ana' });
+    client.send({ type: 'progress', right: 1 }); // before the socket is open
+    const first = FakeSocket.all[0];
+    first.serverOpens();
+    assert.deepEqual(first.sent, [{ type: 'join', code: 'ABCDE', name: 'Ana' }, { type: 'progress', right: 1 }]);
+
+    first.serverSends({ type: 'joined', code: 'ABCDE', token: 't1' });
+    assert.equal(joined[0].token, 't1');
+    client.hello = { type: 'join', code: 'ABCDE', token: 't1' };
+
+    first.drop();
+    client.send({ type: 'progress', right: 2 });
+    client.send({ type: 'progress', right: 3 });
+    await wait(5);
+    const second = FakeSocket.all[1];
+    second.serverOpens();
+    assert.deepEqual(second.sent, [{ type: 'join', code: 'ABCDE', token: 't1' }, { type: 'progress', right: 3 }]);
+    assert.deepEqual(statuses, ['connecting', 'open', 'reconnecting', 'open']);
+
+    // Joining from another window takes the race over; this one stops retrying
+    let replaced = false;
+    client.on('replaced', () => { replaced = true; });
+    second.drop(4000);
+    await wait(5);
+    assert.equal(replaced, true);
+    assert.equal(FakeSocket.all.length, 2);
+    assert.equal(client.status, 'closed');
+});
+
+test('a student coming back mid-race plays what is left of it', () => {
+    const timed = { mode: 'time', limit: 60 };
+    const none = { right: 0, wrong: 0, points: 0, finished: false };
+    assert.deepEqual(raceRoundPlan(timed, 10000, none, 7000), { timeLeft: 60, done: false });
+    assert.deepEqual(raceRoundPlan(timed, 10000, none, 30500), { timeLeft: 40, done: false });
+    assert.equal(raceRoundPlan(timed, 10000, none, 71000).done, true);
+    assert.equal(raceRoundPlan(timed, 10000, { ...none, finished: true }, 12000).done, true);
+
+    const score = { mode: 'score', limit: 20 };
+    assert.deepEqual(raceRoundPlan(score, 0, { ...none, right: 12 }, 99999), { timeLeft: null, done: false });
+    assert.equal(raceRoundPlan(score, 0, { ...none, right: 20 }, 99999).done, true);
+});
@@ -0,0 +1,186 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// RoundReplay.markers() looks up answers through the GameEngine global, as on the page
+Object.assign(global, require('../Javascript/engine.js'));
+const { GameEngine, createRng } = require('../Javascript/engine.js');
+const { RoundRecorder, RoundReplay, formatClock, REPLAY_VERSION } = require('../Javascript/replay.js');
+
+function makeEngine(settings = {}, seed = 42) {
+    let now = 10000;
+    const clock = () => now;
+    const engine = new GameEngine({ settings, rng: createRng(seed), clock, area: { width: 400, height: 500 } });
+    return { engine, advance: (ms) => { now += ms; engine.tick(ms / 1000); } };
+}
+
+// The recording as it comes back from localStorage
+function saved(recorder) {
+    return JSON.parse(JSON.stringify(recorder.toJSON()));
+}
+
+test('a replay rebuilds the invaders, scores and answer at any moment', () => {
+    const { engine, advance } = makeEngine({ mode: 'score', limit: 20 });
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    const checkpoints = [];
+    for (let i = 0; i < 60; i++) {
+        advance(100);
+        if (i === 20) {
+            const answer = String(GameEngine.answerFor(engine.invaders[0]));
+            for (let n = 1; n <= answer.length; n++) recorder.key(answer[n - 1], answer.slice(0, n));
+            recorder.submit(Number(answer), engine.submit(Number(answer)));
+        }
+        if (i === 35) recorder.submit(9999, engine.submit(9999));
+        if (i % 10 === 9) checkpoints.push({ t: engine.time, snap: engine.snapshot() });
+    }
+
+    const replay = new RoundReplay(saved(recorder));
+    assert.equal(replay.duration, Math.round(engine.time));
+    for (const { t, snap } of checkpoints) {
+        const state = replay.stateAt(t);
+        assert.equal(state.right, snap.scoreRight, `right at ${t}`);
+        assert.equal(state.wrong, snap.scoreWrong, `wrong at ${t}`);
+        assert.equal(state.points, snap.points, `points at ${t}`);
+        assert.deepEqual(state.invaders.map(inv => inv.id).sort(), snap.invaders.map(inv => inv.id).sort(), `invaders at ${t}`);
+        for (const inv of state.invaders) {
+            const live = snap.invaders.find(other => other.id === inv.id);
+            assert.ok(Math.abs(inv.y - live.y) < 1, `y of ${inv.id} at ${t}`);
+            assert.ok(Math.abs(inv.x - live.x) < 0.1);
+            assert.equal(inv.value, live.value);
+        }
+    }
+});
+
+test('keys typed show up in the answer until it is fired', () => {
+    const { engine, advance } = makeEngine();
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    advance(500);
+    recorder.key('4', '4');
+    advance(100);
+    recorder.key('2', '42');
+    advance(100);
+    recorder.key('del', '4');
+    advance(100);
+    recorder.submit(4, engine.submit(4));
+    const replay = new RoundReplay(saved(recorder));
+    assert.equal(replay.stateAt(600).answer, '42');
+    assert.equal(replay.stateAt(700).answer, '4');
+    assert.equal(replay.stateAt(700).event.key, 'del');
+    assert.equal(replay.stateAt(800).answer, '');
+});
+
+test('the timeline marks wrong answers and invaders that got through', () => {
+    const { engine, advance } = makeEngine({ speed: 'fast' });
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    advance(1000);
+    recorder.submit(9999, engine.submit(9999));
+    while (engine.scoreWrong < 2 && engine.time < 60000) advance(100);
+
+    const marks = new RoundReplay(saved(recorder)).markers();
+    assert.equal(marks[0].type, 'wrong');
+    assert.equal(marks[0].answer, 9999);
+    assert.equal(marks[0].t, 1000);
+    const miss = marks.find(mark => mark.type === 'miss');
+    assert.ok(miss, 'an invader got through');
+    assert.equal(miss.answer, GameEngine.answerFor(miss.invader));
+});
+
+test('without time pressure replayed invaders stop at the floor', () => {
+    const { engine, advance } = makeEngine({ mode: 'time', limit: 15, timePressure: false, speed: 'fast' });
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    for (let i = 0; i < 100; i++) advance(100);
+    const replay = new RoundReplay(saved(recorder));
+    const state = replay.stateAt(engine.time);
+    assert.ok(state.invaders.length > 0);
+    state.invaders.forEach(inv => assert.ok(inv.y <= engine.floorY()));
+    assert.equal(state.wrong, 0);
+});
+
+test('stepping moves between recorded events and stays inside the round', () => {
+    const replay = new RoundReplay({
+        version: REPLAY_VERSION, area: { width: 400, height: 500 }, floor: null, duration: 5000,
+        settings: { mode: 'time', limit: 30 }, start: { right: 0, wrong: 0, points: 0, operation: 'multiply', multiplier: 3 },
+        events: [
+            { t: 0, type: 'spawn', id: 1, value: 4, base: 4, operation: 'multiply', operand: 3, x: 10, y: -40, speed: 50 },
+            { t: 1200, type: 'key', key: '1', answer: '1' },
+            { t: 1200, type: 'key', key: '2', answer: '12' },
+            { t: 2500, type: 'submit', answer: 12, correct: true, id: 1, points: 10 },
+            { t: 2500, type: 'hit', id: 1, points: 10 },
+        ],
+    });
+    assert.deepEqual(replay.times, [0, 1200, 2500, 5000]);
+    assert.equal(replay.nextTime(0), 1200);
+    assert.equal(replay.nextTime(2500), 5000);
+    assert.equal(replay.nextTime(5000), 5000);
+    assert.equal(replay.previousTime(2500), 1200);
+    assert.equal(replay.previousTime(0), 0);
+    assert.equal(replay.stateAt(1000).invaders[0].y, 10);
+    assert.equal(replay.stateAt(1200).timeLeft, 29);
+    const end = replay.stateAt(5000);
+    assert.equal(end.right, 1);
+    assert.equal(end.points, 10);
+    assert.equal(end.invaders.length, 0);
+    assert.equal(replay.eventsBetween(1200, 2500).length, 2);
+});
+
+test('formatClock shows minutes and seconds', () => {
+    assert.equal(formatClock(0), '0:00');
+    assert.equal(formatClock(9999), '0:09');
+    assert.equal(formatClock(75000), '1:15');
+    assert.equal(formatClock(-50), '0:00');
+});
+
+test('replays keep each invader\'s format and the invader the player selected', () => {
+    const { engine, advance } = makeEngine({ problemFormat: 'missing', targeting: true });
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    advance(100);
+    const inv = engine.invaders[0];
+    advance(100);
+    engine.setTarget(inv.id);
+    advance(100);
+    recorder.submit(inv.value, engine.submit(inv.value));
+
+    const replay = new RoundReplay(saved(recorder));
+    assert.equal(replay.settings.problemFormat, 'missing');
+    const selected = replay.stateAt(250);
+    assert.equal(selected.target, inv.id);
+    assert.equal(selected.invaders[0].format, 'missing');
+    assert.equal(selected.event.type, 'target');
+    assert.equal(replay.stateAt(300).target, null);
+    assert.equal(replay.stateAt(300).right, 1);
+});
+
+test('replays follow invaders through time freezes, slow motion and bombs', () => {
+    const { engine, advance } = makeEngine({ mode: 'survival', limit: 3, speed: 'fast' });
+    engine.start();
+    const recorder = new RoundRecorder(engine);
+    engine.powerUps = { freeze: 1, slow: 1, bomb: 1, life: 0 };
+    const checkpoints = [];
+    for (let i = 0; i < 300; i++) {
+        advance(50);
+        if (i === 10) engine.usePowerUp('slow');
+        if (i === 30) engine.usePowerUp('freeze');
+        if (i === 40) engine.usePowerUp('bomb');
+        if (i % 7 === 3) checkpoints.push({ t: engine.time, snap: engine.snapshot() });
+    }
+
+    const replay = new RoundReplay(saved(recorder));
+    for (const { t, snap } of checkpoints) {
+        const state = replay.stateAt(t);
+        assert.deepEqual(state.invaders.map(inv => inv.id).sort(), snap.invaders.map(inv => inv.id).sort(), `invaders at ${t}`);
+        for (const inv of state.invaders) {
+            const live = snap.invaders.find(other => other.id === inv.id);
+            assert.ok(Math.abs(inv.y - live.y) < 1, `y of ${inv.id} at ${t}`);
+        }
+        assert.equal(state.lives, snap.lives, `lives at ${t}`);
+        assert.equal(state.frozen, t < snap.frozenUntil);
+    }
+    assert.equal(replay.stateAt(1600).frozen, true);
+    assert.equal(replay.stateAt(600).slowed, true);
+    assert.ok(engine.lives < 3, 'an invader got through');
+});
@@ -0,0 +1,105 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findScormAPI, scormTime, ScormSession, connectScorm } = require('../Javascript/scorm.js');
+const { createScormAPI } = require('../scorm/runtime-stub.js');
+
+function session(api = createScormAPI()) {
+    let now = 0;
+    const scorm = new ScormSession(api, () => now);
+    return { api, scorm, wait: (ms) => { now += ms; } };
+}
+
+test('the runtime stub checks calls like an LMS', () => {
+    const api = createScormAPI();
+    assert.equal(api.LMSGetValue('cmi.core.lesson_status'), '');
+    assert.equal(api.LMSGetLastError(), '301');
+    assert.equal(api.LMSInitialize(''), 'true');
+    assert.equal(api.LMSSetValue('cmi.core.lesson_status', 'done'), 'false');
+    assert.equal(api.LMSGetLastError(), '405');
+    assert.equal(api.LMSSetValue('cmi.core.score.raw', '101'), 'false');
+    assert.equal(api.LMSSetValue('cmi.core.student_name', 'Someone'), 'false');
+    assert.equal(api.LMSGetLastError(), '403');
+    assert.equal(api.LMSGetValue('cmi.core.session_time'), '');
+    assert.equal(api.LMSGetLastError(), '404');
+    assert.equal(api.LMSGetErrorString('404'), 'Element is write only');
+});
+
+test('a session marks the activity incomplete, then reports each round', () => {
+    const { api, scorm, wait } = session();
+    assert.equal(scorm.start(), true);
+    assert.equal(api.data['cmi.core.lesson_status'], 'incomplete');
+
+    scorm.record({ accuracy: 72.6, passed: null });
+    assert.equal(api.data['cmi.core.lesson_status'], 'completed');
+    assert.equal(api.data['cmi.core.score.raw'], '73');
+    assert.equal(api.data['cmi.core.score.max'], '100');
+
+    // A worse round doesn't lower the score
+    scorm.record({ accuracy: 40, passed: null });
+    assert.equal(api.data['cmi.core.score.raw'], '73');
+
+    wait(83 * 60 * 1000 + 4520);
+    scorm.finish();
+    assert.equal(api.state(), 'finished');
+    assert.equal(api.commits.at(-1)['cmi.core.session_time'], '0001:23:04.52');
+});
+
+test('against a pass mark, a pass is never taken back', () => {
+    const { api, scorm } = session();
+    scorm.start();
+    scorm.record({ accuracy: 60, passed: false });
+    assert.equal(api.data['cmi.core.lesson_status'], 'failed');
+    scorm.record({ accuracy: 85, passed: true });
+    assert.equal(api.data['cmi.core.lesson_status'], 'passed');
+    scorm.record({ accuracy: 50, passed: false });
+    assert.equal(api.data['cmi.core.lesson_status'], 'passed');
+    assert.equal(api.data['cmi.core.score.raw'], '85');
+});
+
+test('a returning learner keeps their earlier status and best score', () => {
+    const next = createScormAPI();
+    Object.assign(next.data, { 'cmi.core.lesson_status': 'passed', 'cmi.core.score.raw': '90' });
+
+    const { scorm } = session(next);
+    scorm.start();
+    assert.equal(next.data['cmi.core.lesson_status'], 'passed');
+    scorm.record({ accuracy: 70, passed: false });
+    assert.equal(next.data['cmi.core.lesson_status'], 'passed');
+    assert.equal(next.data['cmi.core.score.raw'], '90');
+});
+
+test('session times use the SCORM 1.2 timespan format', () => {
+    assert.equal(scormTime(0), '0000:00:00.00');
+    assert.equal(scormTime(83 * 60 * 1000 + 4520), '0001:23:04.52');
+});
+
+test('the API is found on a parent frame or the opener', () => {
+    const api = createScormAPI();
+    const top = { API: api };
+    top.parent = top;
+    const middle = { parent: top };
+    const content = { parent: middle };
+    assert.equal(findScormAPI(content), api);
+
+    const lonely = {};
+    lonely.parent = lonely;
+    assert.equal(findScormAPI(lonely), null);
+    lonely.opener = content;
+    assert.equal(findScormAPI(lonely), api);
+});
+
+test('connectScorm reports the game\'s finished rounds', () => {
+    const api = createScormAPI();
+    const handlers = {};
+    const win = { API: api, addEventListener: (type, fn) => { handlers[type] = fn; } };
+    win.parent = win;
+    const listeners = {};
+    const game = { on: (type, fn) => { listeners[type] = fn; } };
+
+    assert.ok(connectScorm(game, win));
+    listeners.end({ accuracy: 95, passed: true });
+    assert.equal(api.data['cmi.core.lesson_status'], 'passed');
+    handlers.pagehide();
+    assert.equal(api.state(), 'finished');
+});
@@ -0,0 +1,81 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+const { SoundOptions, SoundBoard, SOUND_CUES, SOUND_DEFAULTS } = require('../Javascript/sound.js');
+
+// Just enough of an AudioContext to count the notes that get scheduled
+function fakeContext() {
+    const param = () => ({ value: 0, setValueAtTime() {}, linearRampToValueAtTime() {} });
+    const ctx = {
+        currentTime: 0,
+        state: 'running',
+        destination: {},
+        started: [],
+        createGain: () => ({ gain: param(), connect() {}, disconnect() {} }),
+        createOscillator: () => {
+            const osc = { type: '', frequency: param(), connect() {}, start: () => ctx.started.push(osc), stop() { osc.stopped = true; } };
+            return osc;
+        },
+    };
+    return ctx;
+}
+
+test.beforeEach(() => storage.clear());
+
+test('sound options default, clamp and persist', () => {
+    const options = new SoundOptions();
+    assert.deepEqual(options.values, SOUND_DEFAULTS);
+    assert.equal(options.audible(), true);
+    options.set('volume', 3);
+    options.set('music', true);
+    assert.deepEqual(new SoundOptions().values, { ...SOUND_DEFAULTS, volume: 1, music: true });
+
+    storage.set('mathInvaders.sound', '{broken');
+    assert.deepEqual(new SoundOptions().values, SOUND_DEFAULTS);
+});
+
+test('cues play through the board unless muted or in a quiet classroom', () => {
+    const ctx = fakeContext();
+    const options = new SoundOptions();
+    const board = new SoundBoard(options, () => ctx);
+    board.play('correct');
+    assert.equal(ctx.started.length, SOUND_CUES.correct.notes.length);
+    assert.equal(board.master.gain.value, SOUND_DEFAULTS.volume);
+
+    const jingle = board.play('win');
+    jingle.stop();
+    assert.ok(ctx.started.slice(-SOUND_CUES.win.notes.length).every(osc => osc.stopped));
+
+    options.set('quiet', true);
+    board.refresh();
+    const before = ctx.started.length;
+    board.play('wrong');
+    assert.equal(ctx.started.length, before);
+    assert.equal(board.master.gain.value, 0);
+
+    assert.doesNotThrow(() => new SoundBoard(new SoundOptions(), () => null).play('miss').stop());
+});
+
+test('music only runs when switched on and stops with the options', () => {
+    const ctx = fakeContext();
+    const options = new SoundOptions();
+    const board = new SoundBoard(options, () => ctx);
+    board.startMusic();
+    assert.equal(ctx.started.length, 0);
+
+    options.set('music', true);
+    board.startMusic();
+    assert.ok(ctx.started.length > 0);
+    assert.ok(board.musicTimer);
+
+    options.set('muted', true);
+    board.refresh();
+    assert.equal(board.musicTimer, null);
+    assert.equal(board.musicGain, null);
+});
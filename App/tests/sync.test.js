@@ -0,0 +1,58 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// ResultsSync talks to browser globals; give it just enough of them
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+global.location = { protocol: 'http:' };
+const { ResultsSync } = require('../Javascript/sync.js');
+
+function fakeFetch(statuses) {
+    const calls = [];
+    const fetch = async (url, options) => {
+        calls.push({ url, body: JSON.parse(options.body) });
+        const status = statuses.shift();
+        if (status === 'offline') throw new TypeError('Failed to fetch');
+        return { status, ok: status >= 200 && status < 300 };
+    };
+    return { fetch, calls };
+}
+
+test.beforeEach(() => storage.clear());
+
+test('rounds are queued while the API is unreachable and sent in order later', async () => {
+    const sync = new ResultsSync();
+    global.fetch = fakeFetch(['offline']).fetch;
+    assert.equal(await sync.submit({ id: 'a' }), 'queued');
+    global.fetch = fakeFetch([502]).fetch;
+    assert.equal(await sync.submit({ id: 'b' }), 'queued');
+    assert.deepEqual(sync.pending().map(r => r.id), ['a', 'b']);
+
+    const online = fakeFetch([201, 201]);
+    global.fetch = online.fetch;
+    assert.equal(await sync.flush(), 'synced');
+    assert.deepEqual(online.calls.map(c => [c.url, c.body.id]), [['api/sessions', 'a'], ['api/sessions', 'b']]);
+    assert.deepEqual(sync.pending(), []);
+});
+
+test('a round the API rejects is dropped instead of retried forever', async () => {
+    const sync = new ResultsSync();
+    global.fetch = fakeFetch([400, 201]).fetch;
+    assert.equal(await sync.submit({ id: 'bad' }), 'rejected');
+    assert.deepEqual(sync.pending(), []);
+});
+
+test('nothing is sent when the game is opened from a file', async () => {
+    const sync = new ResultsSync();
+    global.location = { protocol: 'file:' };
+    const offline = fakeFetch([]);
+    global.fetch = offline.fetch;
+    await sync.submit({ id: 'a' });
+    assert.equal(offline.calls.length, 0);
+    assert.deepEqual(sync.pending().map(r => r.id), ['a']);
+    global.location = { protocol: 'http:' };
+});
@@ -0,0 +1,98 @@
+// Run with: node --test App/tests/*.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// versus.js expects engine.js's and input.js's globals, as the page loads them first
+Object.assign(global, require('../Javascript/engine.js'), require('../Javascript/i18n.js'), require('../Javascript/input.js'));
+const { VersusMatch, HotSeatMatch, rankPlayers, turnSeed, versusKey, HOT_SEAT_TURNS } = require('../Javascript/versus.js');
+const { GameEngine } = require('../Javascript/engine.js');
+
+const settings = GameEngine.normalizeSettings({ mode: 'time', limit: 30, multipliers: [3, 4, 6], seed: 99 });
+
+test('both players face the same invaders however they play', () => {
+    const match = new VersusMatch(settings, ['Ana', 'Ben']);
+    match.start();
+    const [a, b] = match.players.map(p => p.engine);
+    const seen = [[], []];
+    a.on('spawn', inv => seen[0].push([inv.value, inv.x, inv.speed]));
+    b.on('spawn', inv => seen[1].push([inv.value, inv.x, inv.speed]));
+    const centers = [a.multiplier];
+    for (let i = 0; i < 40; i++) {
+        match.tick(0.5);
+        // Only Ana answers, which moves her center number on
+        const target = a.invaders[0];
+        if (target) match.submit(0, GameEngine.answerFor(target));
+        centers.push(a.multiplier);
+    }
+    assert.ok(seen[0].length > 5);
+    assert.deepEqual(seen[1], seen[0]);
+    assert.equal(match.over, false);
+    assert.ok(a.scoreRight > 0);
+    assert.equal(b.scoreRight, 0);
+
+    // Ben's first hit moves him to the same center number as Ana's first did
+    assert.equal(b.multiplier, centers[0]);
+    match.submit(1, GameEngine.answerFor(b.invaders[0]));
+    assert.equal(b.multiplier, centers.find(n => n !== centers[0]));
+});
+
+test('a timed match is won on points, a score match by the first to the target', () => {
+    const timed = new VersusMatch(settings, ['Ana', 'Ben']);
+    timed.start();
+    timed.tick(0.1);
+    timed.submit(1, GameEngine.answerFor(timed.players[1].engine.invaders[0]));
+    for (let t = 0; t < 40 && !timed.over; t++) timed.tick(1);
+    assert.equal(timed.over, true);
+    assert.equal(timed.winner, 1);
+    assert.deepEqual(timed.results.map(r => r.name), ['Ana', 'Ben']);
+
+    const race = new VersusMatch({ ...settings, mode: 'score', limit: 1 }, ['Ana', 'Ben']);
+    race.start();
+    race.tick(0.1);
+    assert.equal(race.submit(0, GameEngine.answerFor(race.players[0].engine.invaders[0])).reachedTarget, true);
+    assert.equal(race.over, true);
+    assert.equal(race.winner, 0);
+    assert.equal(race.submit(1, 1).correct, false);
+
+    assert.equal(rankPlayers([{ points: 10, right: 2, wrong: 0 }, { points: 10, right: 2, wrong: 0 }]), -1);
+    assert.equal(rankPlayers([{ points: 10, right: 2, wrong: 1 }, { points: 10, right: 2, wrong: 0 }]), 1);
+});
+
+test('hot-seat turns alternate, share seeds per round and add up', () => {
+    const match = new HotSeatMatch(settings, ['Ana', 'Ben']);
+    assert.deepEqual(match.turns.map(t => t.player), [0, 1, 0, 1].slice(0, HOT_SEAT_TURNS * 2));
+    assert.equal(match.turns[0].seed, match.turns[1].seed);
+    assert.notEqual(match.turns[0].seed, match.turns[2].seed);
+    assert.equal(turnSeed(99, 0), 99);
+
+    let turn = 0;
+    while (!match.isOver()) {
+        const engine = match.createEngine();
+        engine.start();
+        engine.tick(0.1);
+        // Ben answers his first invader each turn, Ana never does
+        if (match.currentTurn().player === 1) engine.submit(GameEngine.answerFor(engine.invaders[0]));
+        engine.finish(false);
+        match.record(engine);
+        turn++;
+    }
+    assert.equal(turn, HOT_SEAT_TURNS * 2);
+    assert.equal(match.totals[1].right, HOT_SEAT_TURNS);
+    assert.equal(match.totals[1].accuracy, 100);
+    assert.equal(match.winner(), 1);
+    assert.equal(match.createEngine(), null);
+});
+
+test('player 2 keys map to the answer keys', () => {
+    assert.equal(versusKey('7'), '7');
+    assert.equal(versusKey('Enter'), 'submit');
+    assert.equal(versusKey('Backspace'), 'del');
+    assert.equal(versusKey('-'), '-');
+    assert.equal(versusKey(','), '.');
+    assert.equal(versusKey('a'), null);
+    assert.equal(versusKey('F1'), null);
+    // Keys changed on the Controls screen apply to player 2 too
+    const bindings = { ...DEFAULT_BINDINGS, fire: ['q'] };
+    assert.equal(versusKey('Q', bindings), 'submit');
+    assert.equal(versusKey('Enter', bindings), null);
+});